@@ -1,18 +1,81 @@
 import mongoose from 'mongoose';
 import Article from '../models/Article.js';
+import ArticleDailyViews from '../models/ArticleDailyViews.js';
+import LiveBlogEntry from '../models/LiveBlogEntry.js';
+import Comment from '../models/Comment.js';
 import { generateArticleMetaHtml } from '../utils/metaHtmlGenerator.js';
+import { ensureBaselineRevision, recordArticleRevision } from '../utils/articleRevisions.js';
+import { applyTransition, WorkflowError } from '../utils/articleWorkflow.js';
+import { runJob } from '../services/scheduler.js';
+import { getRelatedArticleIds } from '../services/relatedArticles.js';
+import { articlesChanged } from '../services/articleEvents.js';
+import { resolveTagIds, findTagBySlug } from '../utils/tags.js';
+import { localizeArticle, normalizeLanguage } from '../utils/articleLocale.js';
+import { articleForReader, articleListForReader } from '../services/paywall.js';
 
 const BASE_URL = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://navmanchnews.com';
 
-// Get all articles with filters
+// Regenerate metaHtml for a populated article (non-blocking, doesn't add latency)
+export const refreshArticleMetaHtml = (populatedArticle) => {
+  generateArticleMetaHtml(populatedArticle.toObject(), BASE_URL)
+    .then(metaHtml => {
+      const update = { metaHtml };
+      // If shareImageUrl is empty, prefer featuredImage as a safe default
+      if (!populatedArticle.shareImageUrl && populatedArticle.featuredImage) {
+        update.shareImageUrl = populatedArticle.featuredImage;
+      }
+      Article.findByIdAndUpdate(populatedArticle._id, update)
+        .catch(err => console.error('Error saving metaHtml/shareImageUrl (non-critical):', err.message));
+    })
+    .catch(err => console.error('Error generating metaHtml (non-critical):', err.message));
+};
+
+// Workflow fields are only changed through the workflow endpoints; searchText is derived on save
+// and the live-blog counters are maintained by the live-blog endpoints
+const WORKFLOW_FIELDS = ['createdBy', 'reviewerId', 'assignedAt', 'reviewComments', 'statusHistory', 'searchText', 'liveBlogSeq', 'liveBlogPendingSeqs', 'liveBlogUpdatedAt'];
+
+const stripWorkflowFields = (data) => {
+  WORKFLOW_FIELDS.forEach(field => delete data[field]);
+  return data;
+};
+
+// Record a revision without failing the request (the article itself is already saved)
+const saveRevision = async (article, options) => {
+  try {
+    await recordArticleRevision(article, options);
+  } catch (error) {
+    console.error(`Error recording revision for article ${article._id}:`, error.message);
+  }
+};
+
+// Review workflow data stays inside the newsroom
+const INTERNAL_FIELDS = '-createdBy -reviewerId -assignedAt -reviewComments -statusHistory';
+
+// Get all articles with filters (readers only ever see published ones)
 export const getArticles = async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, category, search, sort = 'createdAt:desc' } = req.query;
+    const { page = 1, limit = 20, status, category, tag, search, sort = 'createdAt:desc', lang } = req.query;
+    
+    if (lang && !normalizeLanguage(lang)) {
+      return res.status(400).json({ error: `Unsupported language: ${lang}` });
+    }
     
     const query = {};
     
-    if (status) query.status = status;
+    if (!req.user) {
+      query.status = 'published';
+    } else if (status) {
+      query.status = status;
+    }
     if (category) query.categoryId = category;
+    if (tag) {
+      // Tag id or slug; an unknown tag matches nothing
+      const tagDoc = await findTagBySlug(String(tag));
+      if (!tagDoc) {
+        return res.json({ data: [], page: parseInt(page), totalPages: 0, total: 0 });
+      }
+      query.tags = tagDoc._id;
+    }
     if (search) {
       query.$or = [
         { title: { $regex: search, $options: 'i' } },
@@ -26,9 +89,10 @@ export const getArticles = async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
     const articles = await Article.find(query)
+      .select(req.user ? '' : INTERNAL_FIELDS)
       .populate('categoryId', 'name nameEn')
       .populate('subCategoryId', 'name nameEn')
-      .populate('authorId', 'name designation')
+      .populate('authorId', 'name nameEn designation')
       .sort(sortObj)
       .skip(skip)
       .limit(parseInt(limit));
@@ -37,7 +101,8 @@ export const getArticles = async (req, res) => {
     const totalPages = Math.ceil(total / parseInt(limit));
     
     res.json({
-      data: articles,
+      // ?lang=hi|en returns the translated fields (falling back to Marathi); full texts only without the paywall
+      data: await articleListForReader(req, lang ? articles.map(article => localizeArticle(article, lang)) : articles),
       page: parseInt(page),
       totalPages,
       total
@@ -52,47 +117,101 @@ export const getArticles = async (req, res) => {
 export const getArticle = async (req, res) => {
   try {
     const { id } = req.params;
+    const { lang } = req.query;
     
     // Validate ID
     if (!id || id === 'undefined' || id === 'null') {
       return res.status(400).json({ error: 'Invalid article identifier' });
     }
     
+    if (lang && !normalizeLanguage(lang)) {
+      return res.status(400).json({ error: `Unsupported language: ${lang}` });
+    }
+    
     let article;
     
     // Try to find by slug first (if it's not a valid ObjectId)
     if (mongoose.Types.ObjectId.isValid(id)) {
       // It's a valid ObjectId, try finding by ID
       article = await Article.findById(id)
+        .select(req.user ? '' : INTERNAL_FIELDS)
         .populate('categoryId', 'name nameEn')
         .populate('subCategoryId', 'name nameEn')
-        .populate('authorId', 'name designation profileImage');
+        .populate('authorId', 'name nameEn designation profileImage')
+        .populate('tags', 'name nameEn slug');
       
       // If found by ID and has slug, optionally redirect to slug URL (for SEO)
       // But for API, we'll just return the article
     } else {
       // It's likely a slug, try finding by slug
       article = await Article.findOne({ slug: id })
+        .select(req.user ? '' : INTERNAL_FIELDS)
         .populate('categoryId', 'name nameEn')
         .populate('subCategoryId', 'name nameEn')
-        .populate('authorId', 'name designation profileImage');
+        .populate('authorId', 'name nameEn designation profileImage')
+        .populate('tags', 'name nameEn slug');
     }
     
-    if (!article) {
+    // Drafts and articles in review are only visible to logged in staff
+    if (!article || (!req.user && article.status !== 'published')) {
       return res.status(404).json({ error: 'Article not found' });
     }
     
-    res.json(article);
+    if (lang) {
+      const localized = localizeArticle(article, lang);
+      res.setHeader('Content-Language', localized.lang);
+      return res.json(await articleForReader(req, localized));
+    }
+    
+    // Metered for readers without a subscription when the paywall is on
+    res.json(await articleForReader(req, article));
   } catch (error) {
     console.error('Error fetching article:', error);
     res.status(500).json({ error: 'Failed to fetch article' });
   }
 };
 
+// Related ("read more") articles, ranked by services/relatedArticles.js and cached per article
+export const getRelatedArticles = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 6, 1), 20);
+    
+    const query = mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { slug: id };
+    const article = await Article.findOne(query)
+      .select('title titleEn categoryId subCategoryId tags metaKeywords status');
+    
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+    
+    const { related, cached } = await getRelatedArticleIds(article);
+    const relatedIds = related.slice(0, limit).map(entry => entry.articleId);
+    
+    const articles = await Article.find({ _id: { $in: relatedIds }, status: 'published' })
+      .select('title titleEn summary featuredImage slug publishedAt categoryId authorId commentCount')
+      .populate('categoryId', 'name nameEn')
+      .populate('authorId', 'name designation profileImage')
+      .lean();
+    
+    // Keep the ranking order
+    const byId = new Map(articles.map(item => [String(item._id), item]));
+    const data = relatedIds.map(relatedId => byId.get(String(relatedId))).filter(Boolean);
+    
+    res.json({ data, cached });
+  } catch (error) {
+    console.error('Error fetching related articles:', error);
+    res.status(500).json({ error: 'Failed to fetch related articles' });
+  }
+};
+
 // Create article
 export const createArticle = async (req, res) => {
   try {
-    const articleData = req.body;
+    const articleData = stripWorkflowFields(req.body);
+    const { status = 'draft', statusNote } = articleData;
+    delete articleData.status;
+    delete articleData.statusNote;
     
     // Clean up empty strings for ObjectId fields
     if (articleData.subCategoryId === '' || articleData.subCategoryId === null) {
@@ -104,32 +223,28 @@ export const createArticle = async (req, res) => {
     if (articleData.scheduledAt === '' || articleData.scheduledAt === null) {
       delete articleData.scheduledAt;
     }
-    
-    // If status is published, set publishedAt
-    if (articleData.status === 'published' && !articleData.publishedAt) {
-      articleData.publishedAt = new Date();
+    // Tags may be sent as ids or names (new names create tags)
+    if (articleData.tags !== undefined) {
+      articleData.tags = await resolveTagIds(articleData.tags);
     }
     
     const article = new Article(articleData);
+    article.createdBy = req.user?._id || null;
+    
+    // Validates the initial status for the user's role (sets publishedAt when publishing)
+    applyTransition(article, status, { user: req.user, note: statusNote, initial: true });
+    
     await article.save();
+    await saveRevision(article, { user: req.user, action: 'create' });
+    articlesChanged([article]);
     
     const populatedArticle = await Article.findById(article._id)
       .populate('categoryId', 'name nameEn')
       .populate('subCategoryId', 'name nameEn')
-      .populate('authorId', 'name designation');
-    
-    // Generate metaHtml asynchronously (non-blocking, doesn't add latency)
-    generateArticleMetaHtml(populatedArticle.toObject(), BASE_URL)
-      .then(metaHtml => {
-        const update = { metaHtml };
-        // If shareImageUrl is empty, prefer featuredImage as a safe default
-        if (!populatedArticle.shareImageUrl && populatedArticle.featuredImage) {
-          update.shareImageUrl = populatedArticle.featuredImage;
-        }
-        Article.findByIdAndUpdate(article._id, update)
-          .catch(err => console.error('Error saving metaHtml/shareImageUrl (non-critical):', err.message));
-      })
-      .catch(err => console.error('Error generating metaHtml (non-critical):', err.message));
+      .populate('authorId', 'name designation')
+      .populate('tags', 'name nameEn slug');
+    
+    refreshArticleMetaHtml(populatedArticle);
     
     res.status(201).json(populatedArticle);
   } catch (error) {
@@ -138,7 +253,7 @@ export const createArticle = async (req, res) => {
     const errorMessage = error.name === 'ValidationError' 
       ? Object.values(error.errors).map(e => e.message).join(', ')
       : error.message || 'Failed to create article';
-    res.status(400).json({ error: errorMessage });
+    res.status(error.status || 400).json({ error: errorMessage });
   }
 };
 
@@ -146,7 +261,10 @@ export const createArticle = async (req, res) => {
 export const updateArticle = async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const updateData = stripWorkflowFields(req.body);
+    const { status: requestedStatus, statusNote } = updateData;
+    delete updateData.status;
+    delete updateData.statusNote;
     
     // Clean up empty strings for ObjectId fields
     if (updateData.subCategoryId === '' || updateData.subCategoryId === null) {
@@ -158,10 +276,8 @@ export const updateArticle = async (req, res) => {
     if (updateData.scheduledAt === '' || updateData.scheduledAt === null) {
       updateData.scheduledAt = null;
     }
-    
-    // If status changed to published, set publishedAt
-    if (updateData.status === 'published' && !updateData.publishedAt) {
-      updateData.publishedAt = new Date();
+    if (updateData.tags !== undefined) {
+      updateData.tags = await resolveTagIds(updateData.tags);
     }
     
     // Find article by ID or slug
@@ -176,27 +292,32 @@ export const updateArticle = async (req, res) => {
       return res.status(404).json({ error: 'Article not found' });
     }
     
+    // Keep the pre-edit state of articles created before revision tracking
+    await ensureBaselineRevision(article);
+    
+    const wasPublished = article.status === 'published';
+    const wasBreaking = article.isBreaking;
+    
     // Update the article
     Object.assign(article, updateData);
+    
+    // Status changes must follow the editorial workflow
+    if (requestedStatus && requestedStatus !== article.status) {
+      applyTransition(article, requestedStatus, { user: req.user, note: statusNote });
+    }
+    
     await article.save();
+    await saveRevision(article, { user: req.user, action: 'update' });
+    articlesChanged([article], { wasPublished, wasBreaking });
     
     // Populate and return
     const populatedArticle = await Article.findById(article._id)
       .populate('categoryId', 'name nameEn')
       .populate('subCategoryId', 'name nameEn')
-      .populate('authorId', 'name designation');
-    
-    // Generate metaHtml asynchronously (non-blocking, doesn't add latency)
-    generateArticleMetaHtml(populatedArticle.toObject(), BASE_URL)
-      .then(metaHtml => {
-        const update = { metaHtml };
-        if (!populatedArticle.shareImageUrl && populatedArticle.featuredImage) {
-          update.shareImageUrl = populatedArticle.featuredImage;
-        }
-        Article.findByIdAndUpdate(article._id, update)
-          .catch(err => console.error('Error saving metaHtml/shareImageUrl (non-critical):', err.message));
-      })
-      .catch(err => console.error('Error generating metaHtml (non-critical):', err.message));
+      .populate('authorId', 'name designation')
+      .populate('tags', 'name nameEn slug');
+    
+    refreshArticleMetaHtml(populatedArticle);
     
     res.json(populatedArticle);
   } catch (error) {
@@ -205,7 +326,7 @@ export const updateArticle = async (req, res) => {
     const errorMessage = error.name === 'ValidationError' 
       ? Object.values(error.errors).map(e => e.message).join(', ')
       : error.message || 'Failed to update article';
-    res.status(400).json({ error: errorMessage });
+    res.status(error.status || 400).json({ error: errorMessage });
   }
 };
 
@@ -225,6 +346,10 @@ export const deleteArticle = async (req, res) => {
       return res.status(404).json({ error: 'Article not found' });
     }
     
+    await LiveBlogEntry.deleteMany({ articleId: article._id });
+    await Comment.deleteMany({ articleId: article._id });
+    articlesChanged([article], { deleted: true });
+    
     res.status(204).send();
   } catch (error) {
     console.error('Error deleting article:', error);
@@ -241,28 +366,54 @@ export const bulkAction = async (req, res) => {
       return res.status(400).json({ error: 'Invalid IDs array' });
     }
     
-    let result;
-    switch (action) {
-      case 'publish':
-        result = await Article.updateMany(
-          { _id: { $in: ids } },
-          { status: 'published', publishedAt: new Date() }
-        );
-        break;
-      case 'draft':
-        result = await Article.updateMany(
-          { _id: { $in: ids } },
-          { status: 'draft' }
-        );
-        break;
-      case 'delete':
-        result = await Article.deleteMany({ _id: { $in: ids } });
-        break;
-      default:
-        return res.status(400).json({ error: 'Invalid action' });
+    // Status actions go through the workflow one article at a time
+    const statusActions = {
+      publish: { status: 'published', label: 'published' },
+      draft: { status: 'draft', label: 'moved to draft' },
+      unpublish: { status: 'unpublished', label: 'unpublished' },
+      archive: { status: 'archived', label: 'archived' }
+    };
+    
+    if (statusActions[action]) {
+      const { status, label } = statusActions[action];
+      const articles = await Article.find({ _id: { $in: ids } });
+      const skipped = [];
+      const updated = [];
+      
+      let wasPublished = false;
+      
+      for (const article of articles) {
+        if (article.status === status) continue;
+        try {
+          const previousStatus = article.status;
+          await ensureBaselineRevision(article);
+          applyTransition(article, status, { user: req.user, note: 'Bulk action' });
+          await article.save();
+          await saveRevision(article, { user: req.user, action: 'bulk' });
+          updated.push(article);
+          wasPublished = wasPublished || previousStatus === 'published';
+        } catch (error) {
+          if (!(error instanceof WorkflowError)) throw error;
+          skipped.push({ id: article._id, title: article.title, reason: error.message });
+        }
+      }
+      
+      articlesChanged(updated, { wasPublished });
+      
+      return res.json({ message: `Successfully ${label} ${updated.length} articles`, skipped });
+    }
+    
+    if (action !== 'delete') {
+      return res.status(400).json({ error: 'Invalid action' });
     }
     
-    res.json({ message: `Successfully ${action}ed ${result.modifiedCount || result.deletedCount} articles` });
+    const deleted = await Article.find({ _id: { $in: ids } }).select('title slug categoryId subCategoryId tags status isBreaking').lean();
+    const result = await Article.deleteMany({ _id: { $in: ids } });
+    await LiveBlogEntry.deleteMany({ articleId: { $in: ids } });
+    await Comment.deleteMany({ articleId: { $in: ids } });
+    articlesChanged(deleted, { deleted: true });
+    
+    res.json({ message: `Successfully deleted ${result.deletedCount} articles` });
   } catch (error) {
     console.error('Error in bulk action:', error);
     res.status(500).json({ error: 'Failed to perform bulk action' });
@@ -281,7 +432,16 @@ export const incrementViews = async (req, res) => {
       updateQuery = { slug: id };
     }
     
-    await Article.findOneAndUpdate(updateQuery, { $inc: { views: 1 } });
+    const article = await Article.findOneAndUpdate(updateQuery, { $inc: { views: 1 } }, { projection: { _id: 1 } });
+
+    // Daily counter for trending lists
+    if (article) {
+      const day = new Date();
+      day.setUTCHours(0, 0, 0, 0);
+      ArticleDailyViews.updateOne({ articleId: article._id, day }, { $inc: { views: 1 } }, { upsert: true })
+        .catch(err => console.error('Error counting daily views (non-critical):', err.message));
+    }
+
     res.json({ success: true });
   } catch (error) {
     console.error('Error incrementing views:', error);
@@ -289,33 +449,28 @@ export const incrementViews = async (req, res) => {
   }
 };
 
-// Run scheduled publishing (triggered by external cron / uptime monitor)
+// Run scheduled publishing now (manual override for the in-process scheduler, e.g. external cron)
 export const runScheduledPublisher = async (req, res) => {
   try {
     const secret = req.query.secret;
-    if (secret !== process.env.SCHEDULER_SECRET) {
+    if (!process.env.SCHEDULER_SECRET || secret !== process.env.SCHEDULER_SECRET) {
       return res.status(403).json({ error: 'Forbidden' });
     }
 
-    const now = new Date();
+    const run = await runJob('publish-scheduled-articles', { trigger: 'http' });
 
-    const result = await Article.updateMany(
-      {
-        status: 'pending',
-        scheduledAt: { $lte: now }
-      },
-      {
-        $set: {
-          status: 'published',
-          publishedAt: now
-        }
-      }
-    );
+    if (run.skipped) {
+      return res.json({ success: true, skipped: true, reason: run.reason, publishedCount: 0, runAt: new Date() });
+    }
+
+    if (run.status === 'failed') {
+      return res.status(500).json({ error: 'Scheduler failed', details: run.error });
+    }
 
     return res.json({
       success: true,
-      publishedCount: result.modifiedCount || 0,
-      runAt: now
+      publishedCount: run.result?.publishedCount || 0,
+      runAt: run.startedAt
     });
   } catch (error) {
     console.error('Error in runScheduledPublisher:', error);
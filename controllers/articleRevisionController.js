@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import ArticleRevision from '../models/ArticleRevision.js';
+import {
+  snapshotArticle,
+  diffSnapshots,
+  ensureBaselineRevision,
+  recordArticleRevision,
+  RESTORE_EXCLUDED_FIELDS
+} from '../utils/articleRevisions.js';
+import { refreshArticleMetaHtml } from './articleController.js';
+import { articlesChanged } from '../services/articleEvents.js';
+
+// Find article by ID or slug
+const findArticle = (id) => {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    return Article.findById(id);
+  }
+  return Article.findOne({ slug: id });
+};
+
+// Get revision list for an article (without snapshots)
+export const getRevisions = async (req, res) => {
+  try {
+    const article = await findArticle(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const revisions = await ArticleRevision.find({ articleId: article._id })
+      .select('-snapshot')
+      .sort({ revision: -1 })
+      .lean();
+
+    res.json({ data: revisions });
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+};
+
+// Get single revision with its snapshot
+export const getRevision = async (req, res) => {
+  try {
+    const article = await findArticle(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const revision = await ArticleRevision.findOne({
+      articleId: article._id,
+      revision: parseInt(req.params.revision)
+    }).lean();
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({ error: 'Failed to fetch revision' });
+  }
+};
+
+// Field-level diff between two revisions (?from=2&to=5, "to" defaults to the current article)
+export const diffRevisions = async (req, res) => {
+  try {
+    const { from, to = 'current' } = req.query;
+
+    if (!from) {
+      return res.status(400).json({ error: 'The "from" revision number is required' });
+    }
+
+    const article = await findArticle(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const fromRevision = await ArticleRevision.findOne({
+      articleId: article._id,
+      revision: parseInt(from)
+    }).lean();
+
+    if (!fromRevision) {
+      return res.status(404).json({ error: `Revision ${from} not found` });
+    }
+
+    let toInfo;
+    let toSnapshot;
+    if (to === 'current') {
+      toInfo = { revision: 'current', updatedAt: article.updatedAt };
+      toSnapshot = snapshotArticle(article);
+    } else {
+      const toRevision = await ArticleRevision.findOne({
+        articleId: article._id,
+        revision: parseInt(to)
+      }).lean();
+
+      if (!toRevision) {
+        return res.status(404).json({ error: `Revision ${to} not found` });
+      }
+
+      toInfo = {
+        revision: toRevision.revision,
+        action: toRevision.action,
+        editedByName: toRevision.editedByName,
+        createdAt: toRevision.createdAt
+      };
+      toSnapshot = toRevision.snapshot;
+    }
+
+    res.json({
+      from: {
+        revision: fromRevision.revision,
+        action: fromRevision.action,
+        editedByName: fromRevision.editedByName,
+        createdAt: fromRevision.createdAt
+      },
+      to: toInfo,
+      changes: diffSnapshots(fromRevision.snapshot, toSnapshot)
+    });
+  } catch (error) {
+    console.error('Error diffing revisions:', error);
+    res.status(500).json({ error: 'Failed to compare revisions' });
+  }
+};
+
+// Restore an older revision as the current version (workflow fields are kept)
+export const restoreRevision = async (req, res) => {
+  try {
+    const article = await findArticle(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const revision = await ArticleRevision.findOne({
+      articleId: article._id,
+      revision: parseInt(req.params.revision)
+    }).lean();
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    await ensureBaselineRevision(article);
+
+    const wasBreaking = article.isBreaking;
+
+    Object.entries(revision.snapshot).forEach(([field, value]) => {
+      if (RESTORE_EXCLUDED_FIELDS.includes(field)) return;
+      article.set(field, value === null ? undefined : value);
+    });
+
+    await article.save();
+    await recordArticleRevision(article, {
+      user: req.user,
+      action: 'restore',
+      restoredFrom: revision.revision
+    });
+    // Workflow fields are kept, so the status did not change
+    articlesChanged([article], { wasPublished: article.status === 'published', wasBreaking });
+
+    const populatedArticle = await Article.findById(article._id)
+      .populate('categoryId', 'name nameEn')
+      .populate('subCategoryId', 'name nameEn')
+      .populate('authorId', 'name designation');
+
+    refreshArticleMetaHtml(populatedArticle);
+
+    res.json(populatedArticle);
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    const errorMessage = error.name === 'ValidationError'
+      ? Object.values(error.errors).map(e => e.message).join(', ')
+      : error.message || 'Failed to restore revision';
+    res.status(400).json({ error: errorMessage });
+  }
+};
@@ -0,0 +1,121 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { hashPassword, verifyPassword, generateToken, hashToken, MIN_PASSWORD_LENGTH } from '../utils/password.js';
+
+const SESSION_TTL_DAYS = parseInt(process.env.AUTH_SESSION_TTL_DAYS) || 7;
+const MAX_FAILED_LOGINS = 5;
+const LOCK_DURATION = 15 * 60 * 1000; // 15 minutes
+
+// Create a session for the user and return the raw token
+const createSession = async (user, req) => {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt,
+    userAgent: req.headers['user-agent'] || '',
+    ip: req.ip || ''
+  });
+
+  return { token, expiresAt };
+};
+
+// Login with email and password
+export const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() })
+      .select('+passwordHash +failedLoginAttempts +lockedUntil');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+      return res.status(429).json({ error: 'Too many failed login attempts. Please try again later.' });
+    }
+
+    const isValid = await verifyPassword(password, user.passwordHash);
+
+    if (!isValid) {
+      user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+      if (user.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+        user.lockedUntil = new Date(Date.now() + LOCK_DURATION);
+        user.failedLoginAttempts = 0;
+      }
+      await user.save();
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = undefined;
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const { token, expiresAt } = await createSession(user, req);
+
+    res.json({
+      token,
+      expiresAt,
+      user
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to login' });
+  }
+};
+
+// Logout (revoke the current session)
+export const logout = async (req, res) => {
+  try {
+    await Session.deleteOne({ _id: req.authSession._id });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to logout' });
+  }
+};
+
+// Get the logged in user
+export const getCurrentUser = async (req, res) => {
+  res.json(req.user);
+};
+
+// Change own password (revokes all other sessions)
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+
+    if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await User.findById(req.user._id).select('+passwordHash');
+    const isValid = await verifyPassword(currentPassword, user.passwordHash);
+
+    if (!isValid) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    user.passwordHash = await hashPassword(newPassword);
+    await user.save();
+
+    await Session.deleteMany({ userId: user._id, _id: { $ne: req.authSession._id } });
+
+    res.json({ message: 'Password updated successfully' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+};
@@ -0,0 +1,254 @@
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import Comment, { COMMENT_STATUSES } from '../models/Comment.js';
+import {
+  getCommentSettings,
+  updateCommentSettings,
+  createComment,
+  setCommentStatus,
+  banReader as banCommentReader,
+  unbanReader as unbanCommentReader
+} from '../services/comments.js';
+
+// Fields shown to the public (no IPs, flags or moderation details)
+const PUBLIC_FIELDS = 'articleId authorName parentId rootId depth body createdAt';
+
+// Replies returned per top-level comment
+const MAX_REPLIES = 100;
+
+const readPagination = (query, defaultLimit = 20) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100);
+  return { page, limit };
+};
+
+// Published article by id or slug
+const findPublishedArticle = (id) => Article.findOne({
+  ...(mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { slug: id }),
+  status: 'published'
+}).select('_id commentCount').lean();
+
+// Approved comments on an article, newest threads first, each with its approved replies (oldest first)
+export const getComments = async (req, res) => {
+  try {
+    const article = await findPublishedArticle(req.params.id);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const { page, limit } = readPagination(req.query);
+    const query = { articleId: article._id, status: 'approved', parentId: null };
+
+    const [threads, total] = await Promise.all([
+      Comment.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select(PUBLIC_FIELDS)
+        .lean(),
+      Comment.countDocuments(query)
+    ]);
+
+    const replies = threads.length === 0 ? [] : await Comment.find({
+      rootId: { $in: threads.map(thread => thread._id) },
+      status: 'approved',
+      parentId: { $ne: null }
+    })
+      .sort({ createdAt: 1 })
+      .limit(MAX_REPLIES * threads.length)
+      .select(PUBLIC_FIELDS)
+      .lean();
+
+    const repliesByThread = new Map(threads.map(thread => [thread._id.toString(), []]));
+    replies.forEach((reply) => {
+      const list = repliesByThread.get(reply.rootId.toString());
+      if (list && list.length < MAX_REPLIES) list.push(reply);
+    });
+
+    res.json({
+      data: threads.map(thread => ({ ...thread, replies: repliesByThread.get(thread._id.toString()) })),
+      commentCount: article.commentCount || 0,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+};
+
+// Post a comment or reply ({ body, parentId }) as the logged in reader
+export const postComment = async (req, res) => {
+  try {
+    const article = await findPublishedArticle(req.params.id);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const comment = await createComment({
+      reader: req.reader,
+      article,
+      body: req.body.body,
+      parentId: req.body.parentId || null,
+      ip: req.ip || ''
+    });
+
+    // Flags are not shown so spammers cannot tune their posts against the filter
+    const { ip, flags, moderatedBy, moderatedAt, rejectReason, ...data } = comment.toObject();
+    res.status(201).json({
+      ...data,
+      message: comment.status === 'approved' ? 'Comment published' : 'Comment will appear after moderation'
+    });
+  } catch (error) {
+    console.error('Error posting comment:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to post comment' });
+  }
+};
+
+// Admin: moderation queue (?status=pending|approved|rejected, default pending; ?articleId, ?readerId, ?flagged=true)
+export const getModerationQueue = async (req, res) => {
+  try {
+    const { page, limit } = readPagination(req.query, 50);
+    const status = req.query.status || 'pending';
+
+    if (!COMMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${COMMENT_STATUSES.join(', ')}` });
+    }
+
+    const query = { status };
+    for (const field of ['articleId', 'readerId']) {
+      if (!req.query[field]) continue;
+      if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+        return res.status(400).json({ error: `Invalid ${field}` });
+      }
+      query[field] = req.query[field];
+    }
+    if (req.query.flagged === 'true') query['flags.0'] = { $exists: true };
+
+    const [comments, total] = await Promise.all([
+      Comment.find(query)
+        // Oldest first so nothing waits forever
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('articleId', 'title slug')
+        .populate('readerId', 'email name emailVerified commentBannedAt')
+        .populate('parentId', 'authorName body')
+        .populate('moderatedBy', 'name email')
+        .lean(),
+      Comment.countDocuments(query)
+    ]);
+
+    res.json({
+      data: comments,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+};
+
+// Admin: approve a comment
+export const approveComment = async (req, res) => {
+  try {
+    const comment = await setCommentStatus(req.params.id, 'approved', { userId: req.user._id });
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    res.json(comment);
+  } catch (error) {
+    console.error('Error approving comment:', error);
+    res.status(500).json({ error: 'Failed to approve comment' });
+  }
+};
+
+// Admin: reject a comment ({ reason })
+export const rejectComment = async (req, res) => {
+  try {
+    const comment = await setCommentStatus(req.params.id, 'rejected', { userId: req.user._id, reason: req.body.reason || '' });
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    res.json(comment);
+  } catch (error) {
+    console.error('Error rejecting comment:', error);
+    res.status(500).json({ error: 'Failed to reject comment' });
+  }
+};
+
+// Admin: approve or reject several comments ({ ids, action: approve|reject, reason })
+export const bulkModerate = async (req, res) => {
+  try {
+    const { ids, action, reason = '' } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > 200) {
+      return res.status(400).json({ error: 'ids must be a list of 1 to 200 comment ids' });
+    }
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ error: 'action must be approve or reject' });
+    }
+
+    const status = action === 'approve' ? 'approved' : 'rejected';
+    let updated = 0;
+    for (const id of ids) {
+      if (await setCommentStatus(id, status, { userId: req.user._id, reason })) updated++;
+    }
+
+    res.json({ message: `${updated} comment(s) ${status}`, updated });
+  } catch (error) {
+    console.error('Error moderating comments:', error);
+    res.status(500).json({ error: 'Failed to moderate comments' });
+  }
+};
+
+// Admin: ban a reader from commenting ({ reason, removeComments - also take down their published comments })
+export const banReader = async (req, res) => {
+  try {
+    const result = await banCommentReader(req.params.id, {
+      userId: req.user._id,
+      reason: req.body.reason || '',
+      removeComments: req.body.removeComments === true
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Reader not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error banning reader:', error);
+    res.status(500).json({ error: 'Failed to ban reader' });
+  }
+};
+
+// Admin: lift a comment ban
+export const unbanReader = async (req, res) => {
+  try {
+    const reader = await unbanCommentReader(req.params.id);
+    if (!reader) {
+      return res.status(404).json({ error: 'Reader not found' });
+    }
+    res.json(reader);
+  } catch (error) {
+    console.error('Error unbanning reader:', error);
+    res.status(500).json({ error: 'Failed to unban reader' });
+  }
+};
+
+// Admin: comment settings
+export const getCommentConfig = async (req, res) => {
+  try {
+    res.json(await getCommentSettings());
+  } catch (error) {
+    console.error('Error fetching comment settings:', error);
+    res.status(500).json({ error: 'Failed to fetch comment settings' });
+  }
+};
+
+// Admin: update comment settings (partial: { enabled, premoderate, blockedWords })
+export const updateCommentConfig = async (req, res) => {
+  try {
+    res.json(await updateCommentSettings(req.body));
+  } catch (error) {
+    console.error('Error updating comment settings:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update comment settings' });
+  }
+};
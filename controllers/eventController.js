@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import Category from '../models/Category.js';
+import { addLiveClient, countLiveClients } from '../services/liveEvents.js';
+
+const MAX_CHANNELS = 20;
+const MAX_CLIENTS = parseInt(process.env.SSE_MAX_CLIENTS) || 1000;
+
+// Browsers reconnect after this many milliseconds when the stream drops
+const RETRY_MS = 5000;
+
+const STATIC_CHANNELS = ['breaking', 'articles', 'epaper'];
+
+// category:<id|slug> and article:<id|slug> are stored with ids
+const resolveChannel = async (channel) => {
+  if (STATIC_CHANNELS.includes(channel)) return channel;
+
+  const [kind, value] = channel.split(':');
+  if (!value || !['category', 'article'].includes(kind)) return null;
+  if (mongoose.Types.ObjectId.isValid(value)) return `${kind}:${value}`;
+
+  const Model = kind === 'category' ? Category : Article;
+  const doc = await Model.findOne({ slug: value }).select('_id').lean();
+  return doc ? `${kind}:${doc._id}` : null;
+};
+
+// Server-Sent Events stream: ?channels=breaking,category:<id|slug>,article:<id|slug>,epaper,articles
+// Reconnects resume after the Last-Event-ID header (or ?lastEventId= on the first connect).
+export const streamEvents = async (req, res) => {
+  try {
+    const requested = [...new Set(String(req.query.channels || '').split(',').map(c => c.trim()).filter(Boolean))];
+
+    if (requested.length === 0) {
+      return res.status(400).json({ error: 'channels is required', channels: [...STATIC_CHANNELS, 'category:<id|slug>', 'article:<id|slug>'] });
+    }
+    if (requested.length > MAX_CHANNELS) {
+      return res.status(400).json({ error: `At most ${MAX_CHANNELS} channels are allowed` });
+    }
+
+    const resolved = await Promise.all(requested.map(resolveChannel));
+    const unknown = requested.filter((channel, index) => !resolved[index]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown channel: ${unknown.join(', ')}` });
+    }
+
+    if (countLiveClients() >= MAX_CLIENTS) {
+      res.setHeader('Retry-After', '30');
+      return res.status(503).json({ error: 'Too many live connections, try again later' });
+    }
+
+    const lastEventIdValue = req.get('Last-Event-ID') ?? req.query.lastEventId;
+    const lastEventId = lastEventIdValue !== undefined && /^\d+$/.test(lastEventIdValue)
+      ? parseInt(lastEventIdValue)
+      : null;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx/Render proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    let closed = false;
+    let removeClient = null;
+    req.on('close', () => {
+      closed = true;
+      if (removeClient) removeClient();
+    });
+
+    removeClient = await addLiveClient(res, { channels: new Set(resolved), lastEventId });
+    if (closed) removeClient();
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to open event stream' });
+    }
+    res.end();
+  }
+};
@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import Category from '../models/Category.js';
+import Author from '../models/Author.js';
+import { buildRssFeed, buildAtomFeed } from '../utils/feedBuilder.js';
+import { findTagBySlug } from '../utils/tags.js';
+import { fullTextFeedsAllowed } from '../services/paywall.js';
+
+const BASE_URL = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://navmanchnews.com';
+const SITE_NAME = 'नव मंच - Nav Manch';
+
+const DEFAULT_LIMIT = 30;
+const MAX_LIMIT = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Map an article to the feed item shape used by utils/feedBuilder.js
+const toFeedItem = (article) => ({
+  id: String(article._id),
+  title: article.title,
+  link: `${BASE_URL}/news/${article.slug || article._id}`,
+  summary: article.summary,
+  content: article.content,
+  author: article.authorId?.name || '',
+  categories: [article.categoryId?.name, article.subCategoryId?.name, ...(article.tags || []).map(tag => tag.name)].filter(Boolean),
+  image: article.featuredImage,
+  publishedAt: article.publishedAt || article.createdAt,
+  updatedAt: article.updatedAt
+});
+
+/**
+ * Query published articles and send them as RSS or Atom (with ETag/Last-Modified)
+ * @param {Object} req - Express request (params.format, query.content, query.limit)
+ * @param {Object} res - Express response
+ * @param {Object} options - { query, title, description, link }
+ */
+const sendFeed = async (req, res, { query = {}, title, description, link }) => {
+  const format = req.params.format === 'atom' ? 'atom' : 'rss';
+  // Full texts would bypass the paywall
+  const fullContent = req.query.content === 'full' && await fullTextFeedsAllowed();
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const articles = await Article.find({ ...query, status: 'published' })
+    .select(`title slug summary featuredImage publishedAt createdAt updatedAt categoryId subCategoryId authorId tags${fullContent ? ' content' : ''}`)
+    .populate('categoryId', 'name')
+    .populate('subCategoryId', 'name')
+    .populate('authorId', 'name')
+    .populate('tags', 'name')
+    .sort({ publishedAt: -1 })
+    .limit(limit)
+    .lean();
+
+  const items = articles.map(toFeedItem);
+  const updatedAt = items.reduce((latest, item) => {
+    const time = new Date(item.updatedAt || item.publishedAt);
+    return !latest || time > latest ? time : latest;
+  }, null);
+
+  const channel = {
+    title: title ? `${title} | ${SITE_NAME}` : SITE_NAME,
+    description: description || title || SITE_NAME,
+    link,
+    selfUrl: `${BASE_URL}${req.originalUrl}`,
+    language: 'mr',
+    updatedAt
+  };
+
+  const xml = format === 'atom'
+    ? buildAtomFeed(channel, items, { fullContent })
+    : buildRssFeed(channel, items, { fullContent });
+
+  res.setHeader('Content-Type', `${format === 'atom' ? 'application/atom+xml' : 'application/rss+xml'}; charset=utf-8`);
+  res.setHeader('Cache-Control', 'public, max-age=600'); // Cache for 10 minutes
+  res.setHeader('ETag', `W/"${crypto.createHash('sha1').update(xml).digest('hex')}"`);
+  if (updatedAt) {
+    res.setHeader('Last-Modified', updatedAt.toUTCString());
+  }
+
+  // Conditional GET: answers If-None-Match / If-Modified-Since with 304
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.send(xml);
+};
+
+const sendFeedError = (res, error) => {
+  console.error('Error generating feed:', error);
+  res.status(500).type('text/plain').send('Failed to generate feed');
+};
+
+// Latest articles
+export const getLatestFeed = async (req, res) => {
+  try {
+    await sendFeed(req, res, {
+      description: 'ताज्या बातम्या - Latest news',
+      link: `${BASE_URL}/`
+    });
+  } catch (error) {
+    sendFeedError(res, error);
+  }
+};
+
+// Breaking news
+export const getBreakingFeed = async (req, res) => {
+  try {
+    await sendFeed(req, res, {
+      query: { isBreaking: true },
+      title: 'ब्रेकिंग न्यूज - Breaking News',
+      link: `${BASE_URL}/`
+    });
+  } catch (error) {
+    sendFeedError(res, error);
+  }
+};
+
+// Articles of a category (slug, English name or ID); subcategory articles are included
+export const getCategoryFeed = async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    let category = await Category.findOne({ slug: slug.toLowerCase(), isActive: true });
+    if (!category && mongoose.Types.ObjectId.isValid(slug)) {
+      category = await Category.findById(slug);
+    }
+    if (!category) {
+      // Categories created before slugs existed
+      const nameRegex = new RegExp(`^${escapeRegex(slug.replace(/-/g, ' '))}$`, 'i');
+      category = await Category.findOne({ $or: [{ nameEn: nameRegex }, { name: nameRegex }], isActive: true });
+    }
+
+    if (!category) {
+      return res.status(404).type('text/plain').send('Category not found');
+    }
+
+    await sendFeed(req, res, {
+      query: { $or: [{ categoryId: category._id }, { subCategoryId: category._id }] },
+      title: [category.name, category.nameEn].filter(Boolean).join(' - '),
+      link: `${BASE_URL}/category/${category.slug || category._id}`
+    });
+  } catch (error) {
+    sendFeedError(res, error);
+  }
+};
+
+// Articles by an author
+export const getAuthorFeed = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const author = mongoose.Types.ObjectId.isValid(id) ? await Author.findById(id) : null;
+
+    if (!author) {
+      return res.status(404).type('text/plain').send('Author not found');
+    }
+
+    await sendFeed(req, res, {
+      query: { authorId: author._id },
+      title: author.name,
+      description: author.bio || author.name,
+      link: `${BASE_URL}/author/${author._id}`
+    });
+  } catch (error) {
+    sendFeedError(res, error);
+  }
+};
+
+// Articles with a tag
+export const getTagFeed = async (req, res) => {
+  try {
+    const tag = await findTagBySlug(req.params.slug);
+
+    if (!tag || !tag.isActive) {
+      return res.status(404).type('text/plain').send('Tag not found');
+    }
+
+    await sendFeed(req, res, {
+      query: { tags: tag._id },
+      title: [tag.name, tag.nameEn].filter(Boolean).join(' - '),
+      description: tag.description || tag.name,
+      link: `${BASE_URL}/tag/${tag.slug}`
+    });
+  } catch (error) {
+    sendFeedError(res, error);
+  }
+};
@@ -0,0 +1,355 @@
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import LiveBlogEntry from '../models/LiveBlogEntry.js';
+import Short from '../models/Short.js';
+import { publishLiveEvent } from '../services/liveEvents.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields an editor can set on an entry
+const ENTRY_FIELDS = ['title', 'body', 'image', 'shortId', 'authorId', 'postedAt'];
+
+const findArticle = (id, projection) => {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    return Article.findById(id).select(projection);
+  }
+  return Article.findOne({ slug: id }).select(projection);
+};
+
+const populateEntries = (query) => query
+  .populate('authorId', 'name nameEn designation profileImage')
+  .populate('shortId', 'youtubeUrl videoId');
+
+// Deleted entries only tell the client which entry to remove
+const toPublicEntry = (entry) => {
+  if (entry.deletedAt) {
+    return { _id: entry._id, seq: entry.seq, deleted: true };
+  }
+  const { createdBy, deletedAt, __v, ...publicEntry } = entry;
+  return publicEntry;
+};
+
+// Push an entry change to SSE clients following the article
+const entryChanged = (article, entry) => {
+  if (article.status !== 'published') return;
+  publishLiveEvent('live.entry', [`article:${article._id}`], {
+    articleId: article._id.toString(),
+    entry: toPublicEntry(entry.toObject())
+  });
+};
+
+// A pending seq older than this belongs to a save that died; it no longer holds cursors back
+const PENDING_SEQ_MS = 60 * 1000;
+
+// Take the next change number of an article's live blog and mark it pending in the same update, so a reader of the
+// article sees every seq up to liveBlogSeq either saved or pending. Pending seqs of dead saves are dropped here.
+const nextSeq = async (articleId) => {
+  const article = await Article.findByIdAndUpdate(
+    articleId,
+    [
+      { $set: { liveBlogSeq: { $add: [{ $ifNull: ['$liveBlogSeq', 0] }, 1] }, liveBlogUpdatedAt: '$$NOW' } },
+      {
+        $set: {
+          liveBlogPendingSeqs: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: { $ifNull: ['$liveBlogPendingSeqs', []] },
+                  cond: { $gt: ['$$this.at', { $subtract: ['$$NOW', PENDING_SEQ_MS] }] }
+                }
+              },
+              [{ seq: '$liveBlogSeq', at: '$$NOW' }]
+            ]
+          }
+        }
+      }
+    ],
+    { new: true, projection: { liveBlogSeq: 1 } }
+  );
+  return article.liveBlogSeq;
+};
+
+// Save an entry change under the next seq; the seq stops being pending once the save is over (or failed)
+const saveWithSeq = async (articleId, save) => {
+  const seq = await nextSeq(articleId);
+  try {
+    return await save(seq);
+  } finally {
+    await Article.updateOne({ _id: articleId }, { $pull: { liveBlogPendingSeqs: { seq } } }, { timestamps: false });
+  }
+};
+
+// Highest cursor that is safe to hand out: below the lowest seq still being saved, and not past the counter read
+// together with the pending list (a seq handed out after that read may still be saved with a lower number)
+const safeCursor = (article) => {
+  const cutoff = Date.now() - PENDING_SEQ_MS;
+  const pending = (article.liveBlogPendingSeqs || [])
+    .filter(item => new Date(item.at).getTime() > cutoff)
+    .map(item => item.seq);
+  return pending.length > 0 ? Math.min(article.liveBlogSeq, Math.min(...pending) - 1) : article.liveBlogSeq;
+};
+
+// Validate and copy entry fields from the request body
+const readEntryFields = async (body, { partial = false } = {}) => {
+  const data = {};
+  ENTRY_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+
+  ['shortId', 'authorId'].forEach((field) => {
+    if (data[field] === '') data[field] = null;
+    if (data[field] && !mongoose.Types.ObjectId.isValid(data[field])) {
+      throw Object.assign(new Error(`Invalid ${field}`), { status: 400 });
+    }
+  });
+
+  if (data.shortId && !(await Short.exists({ _id: data.shortId }))) {
+    throw Object.assign(new Error('Short not found'), { status: 400 });
+  }
+
+  if (data.postedAt !== undefined) {
+    data.postedAt = data.postedAt ? new Date(data.postedAt) : new Date();
+    if (Number.isNaN(data.postedAt.getTime())) {
+      throw Object.assign(new Error('Invalid postedAt'), { status: 400 });
+    }
+  }
+
+  if (!partial && !data.body && !data.image && !data.shortId) {
+    throw Object.assign(new Error('An entry needs text, an image or a short'), { status: 400 });
+  }
+
+  return data;
+};
+
+// Public: live updates of a published live blog
+// Without ?since: pinned entries plus the newest entries (?before=<postedAt> pages back).
+// With ?since=<cursor>: every entry added, edited, pinned or deleted after that cursor.
+export const getLiveUpdates = async (req, res) => {
+  try {
+    const { since, before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const article = await findArticle(req.params.id, 'title slug status isLiveBlog liveBlogStatus liveBlogSeq liveBlogPendingSeqs liveBlogUpdatedAt');
+
+    if (!article || !article.isLiveBlog || article.status !== 'published') {
+      return res.status(404).json({ error: 'Live blog not found' });
+    }
+
+    const liveBlog = {
+      _id: article._id,
+      title: article.title,
+      slug: article.slug,
+      liveBlogStatus: article.liveBlogStatus,
+      liveBlogUpdatedAt: article.liveBlogUpdatedAt
+    };
+
+    res.setHeader('Cache-Control', 'no-cache');
+
+    if (since !== undefined) {
+      const cursor = parseInt(since);
+      if (Number.isNaN(cursor) || cursor < 0) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+
+      // Nothing changed - answer without touching the entries
+      if (cursor >= article.liveBlogSeq) {
+        return res.json({ article: liveBlog, data: [], cursor, hasMore: false });
+      }
+
+      const changes = await populateEntries(
+        LiveBlogEntry.find({ articleId: article._id, seq: { $gt: cursor, $lte: article.liveBlogSeq } })
+          .sort({ seq: 1 })
+          .limit(limit + 1)
+      ).lean();
+
+      const data = changes.slice(0, limit).map(toPublicEntry);
+      const lastSeq = data.length > 0 ? data[data.length - 1].seq : cursor;
+
+      // Never past a seq still being saved, so that entry is not skipped; entries after it may come again and
+      // replace the copy the client has (same _id)
+      const nextCursor = Math.max(cursor, Math.min(lastSeq, safeCursor(article)));
+
+      return res.json({
+        article: liveBlog,
+        data,
+        cursor: nextCursor,
+        // Poll again right away only when the cursor moved past everything returned; a cursor held back by a pending
+        // save would just return the same page again
+        hasMore: changes.length > limit && nextCursor === lastSeq
+      });
+    }
+
+    const query = { articleId: article._id, deletedAt: null };
+    if (before) {
+      const beforeDate = new Date(before);
+      if (Number.isNaN(beforeDate.getTime())) {
+        return res.status(400).json({ error: 'Invalid before date' });
+      }
+      query.postedAt = { $lt: beforeDate };
+    }
+
+    const [entries, pinned] = await Promise.all([
+      populateEntries(LiveBlogEntry.find(query).sort({ postedAt: -1 }).limit(limit + 1)).lean(),
+      before
+        ? Promise.resolve([])
+        : populateEntries(LiveBlogEntry.find({ articleId: article._id, deletedAt: null, isPinned: true }).sort({ postedAt: -1 })).lean()
+    ]);
+
+    res.json({
+      article: liveBlog,
+      pinned: pinned.map(toPublicEntry),
+      data: entries.slice(0, limit).map(toPublicEntry),
+      cursor: safeCursor(article),
+      hasMore: entries.length > limit
+    });
+  } catch (error) {
+    console.error('Error fetching live updates:', error);
+    res.status(500).json({ error: 'Failed to fetch live updates' });
+  }
+};
+
+// Admin: all entries of a live blog (newest first)
+export const getLiveEntries = async (req, res) => {
+  try {
+    const article = await findArticle(req.params.id, 'isLiveBlog liveBlogStatus liveBlogSeq');
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const entries = await populateEntries(
+      LiveBlogEntry.find({ articleId: article._id, deletedAt: null }).sort({ isPinned: -1, postedAt: -1 })
+    ).populate('createdBy', 'name');
+
+    res.json({ data: entries, cursor: article.liveBlogSeq, liveBlogStatus: article.liveBlogStatus });
+  } catch (error) {
+    console.error('Error fetching live entries:', error);
+    res.status(500).json({ error: 'Failed to fetch live entries' });
+  }
+};
+
+// Admin: append an entry
+export const createLiveEntry = async (req, res) => {
+  try {
+    const article = await findArticle(req.params.id, 'isLiveBlog status');
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+    if (!article.isLiveBlog) {
+      return res.status(400).json({ error: 'Article is not a live blog' });
+    }
+
+    const data = await readEntryFields(req.body);
+    const entry = await saveWithSeq(article._id, seq => LiveBlogEntry.create({
+      ...data,
+      articleId: article._id,
+      isPinned: Boolean(req.body.isPinned),
+      createdBy: req.user?._id || null,
+      seq
+    }));
+
+    await populateEntries(entry);
+    entryChanged(article, entry);
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Error creating live entry:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create live entry' });
+  }
+};
+
+// Admin: edit an entry
+export const updateLiveEntry = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const article = await findArticle(id, 'status');
+
+    if (!article || !mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(404).json({ error: 'Live entry not found' });
+    }
+
+    const entry = await LiveBlogEntry.findOne({ _id: entryId, articleId: article._id, deletedAt: null });
+    if (!entry) {
+      return res.status(404).json({ error: 'Live entry not found' });
+    }
+
+    Object.assign(entry, await readEntryFields(req.body, { partial: true }));
+    if (!entry.body && !entry.image && !entry.shortId) {
+      return res.status(400).json({ error: 'An entry needs text, an image or a short' });
+    }
+
+    entry.editedAt = new Date();
+    await saveWithSeq(article._id, (seq) => {
+      entry.seq = seq;
+      return entry.save();
+    });
+
+    await populateEntries(entry);
+    entryChanged(article, entry);
+    res.json(entry);
+  } catch (error) {
+    console.error('Error updating live entry:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update live entry' });
+  }
+};
+
+// Admin: pin or unpin an entry ({ pinned: false } unpins)
+export const pinLiveEntry = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const article = await findArticle(id, 'status');
+
+    if (!article || !mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(404).json({ error: 'Live entry not found' });
+    }
+
+    const entry = await LiveBlogEntry.findOne({ _id: entryId, articleId: article._id, deletedAt: null });
+    if (!entry) {
+      return res.status(404).json({ error: 'Live entry not found' });
+    }
+
+    entry.isPinned = req.body.pinned !== false;
+    await saveWithSeq(article._id, (seq) => {
+      entry.seq = seq;
+      return entry.save();
+    });
+
+    await populateEntries(entry);
+    entryChanged(article, entry);
+    res.json(entry);
+  } catch (error) {
+    console.error('Error pinning live entry:', error);
+    res.status(500).json({ error: 'Failed to pin live entry' });
+  }
+};
+
+// Admin: delete an entry (kept as a tombstone for polling clients)
+export const deleteLiveEntry = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const article = await findArticle(id, 'status');
+
+    if (!article || !mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(404).json({ error: 'Live entry not found' });
+    }
+
+    const entry = await LiveBlogEntry.findOne({ _id: entryId, articleId: article._id, deletedAt: null });
+    if (!entry) {
+      return res.status(404).json({ error: 'Live entry not found' });
+    }
+
+    entry.deletedAt = new Date();
+    entry.isPinned = false;
+    await saveWithSeq(article._id, (seq) => {
+      entry.seq = seq;
+      return entry.save();
+    });
+    entryChanged(article, entry);
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting live entry:', error);
+    res.status(500).json({ error: 'Failed to delete live entry' });
+  }
+};
@@ -0,0 +1,218 @@
+import mongoose from 'mongoose';
+import NewsletterIssue from '../models/NewsletterIssue.js';
+import NewsletterDelivery from '../models/NewsletterDelivery.js';
+import {
+  getNewsletterSettings,
+  maskNewsletterSettings,
+  updateNewsletterSettings,
+  buildDigest,
+  startNewsletterIssue,
+  resumeNewsletterIssue,
+  sendTestNewsletter,
+  recordBounce
+} from '../services/newsletter.js';
+import { findSegment } from '../services/subscriberSegments.js';
+import { renderDigestEmail } from '../utils/newsletterTemplate.js';
+
+const KINDS = ['daily', 'weekly'];
+
+const readKind = (value) => (KINDS.includes(value) ? value : null);
+
+// Admin: SMTP, sender and schedule settings (password masked)
+export const getMailSettings = async (req, res) => {
+  try {
+    res.json(maskNewsletterSettings(await getNewsletterSettings()));
+  } catch (error) {
+    console.error('Error fetching newsletter settings:', error);
+    res.status(500).json({ error: 'Failed to fetch newsletter settings' });
+  }
+};
+
+// Admin: update settings (partial; send the masked password back to keep the stored one)
+export const updateMailSettings = async (req, res) => {
+  try {
+    res.json(maskNewsletterSettings(await updateNewsletterSettings(req.body)));
+  } catch (error) {
+    console.error('Error updating newsletter settings:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update newsletter settings' });
+  }
+};
+
+// Admin: the digest that would be sent now (?kind=daily|weekly, ?format=html for the rendered email)
+export const previewNewsletter = async (req, res) => {
+  try {
+    const kind = readKind(req.query.kind || 'daily');
+    if (!kind) {
+      return res.status(400).json({ error: 'kind must be daily or weekly' });
+    }
+
+    const settings = await getNewsletterSettings();
+    const digest = await buildDigest(kind, { limit: settings.articleLimit });
+
+    if (req.query.format === 'html') {
+      const { html } = renderDigestEmail(digest, { name: req.user?.name || '', unsubscribeUrl: '#' });
+      return res.type('html').send(html);
+    }
+    res.json(digest);
+  } catch (error) {
+    console.error('Error building newsletter preview:', error);
+    res.status(500).json({ error: 'Failed to build newsletter preview' });
+  }
+};
+
+// Admin: send the current digest to one address ({ email, kind })
+export const sendTestEmail = async (req, res) => {
+  try {
+    const kind = readKind(req.body.kind || 'daily');
+    const email = (req.body.email || req.user?.email || '').trim();
+
+    if (!kind) {
+      return res.status(400).json({ error: 'kind must be daily or weekly' });
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    res.json(await sendTestNewsletter({ kind, email }));
+  } catch (error) {
+    console.error('Error sending test newsletter:', error);
+    res.status(error.status || 502).json({ error: error.status ? error.message : `Failed to send test email: ${error.message}` });
+  }
+};
+
+// Admin: send a digest now ({ kind, segmentId } - no segment = all subscribers); progress shows up in the issue list
+export const sendNewsletter = async (req, res) => {
+  try {
+    const kind = readKind(req.body.kind || 'daily');
+    if (!kind) {
+      return res.status(400).json({ error: 'kind must be daily or weekly' });
+    }
+
+    let segment = null;
+    if (req.body.segmentId) {
+      segment = await findSegment(req.body.segmentId);
+      if (!segment) {
+        return res.status(404).json({ error: 'Segment not found' });
+      }
+    }
+
+    const issue = await startNewsletterIssue({ kind, segment, user: req.user });
+    if (issue.status === 'skipped') {
+      return res.status(400).json({ error: 'No published articles to send', issue });
+    }
+    res.status(202).json(issue);
+  } catch (error) {
+    console.error('Error sending newsletter:', error);
+    res.status(500).json({ error: 'Failed to send newsletter' });
+  }
+};
+
+// Admin: sent issues with their stats (paginated)
+export const getIssues = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [issues, total] = await Promise.all([
+      NewsletterIssue.find()
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-content')
+        .populate('createdBy', 'name')
+        .lean(),
+      NewsletterIssue.countDocuments()
+    ]);
+
+    res.json({
+      data: issues,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching newsletter issues:', error);
+    res.status(500).json({ error: 'Failed to fetch newsletter issues' });
+  }
+};
+
+// Admin: per-subscriber send log of an issue (?status=sent|failed|bounced)
+export const getIssueDeliveries = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const query = { issueId: req.params.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const [deliveries, total] = await Promise.all([
+      NewsletterDelivery.find(query)
+        .sort({ sentAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      NewsletterDelivery.countDocuments(query)
+    ]);
+
+    res.json({
+      data: deliveries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching newsletter deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch newsletter deliveries' });
+  }
+};
+
+// Admin: retry a failed issue (subscribers who already got it are skipped)
+export const resumeIssue = async (req, res) => {
+  try {
+    const issue = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await NewsletterIssue.findById(req.params.id).select('status')
+      : null;
+
+    if (!issue) {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+    if (issue.status !== 'failed') {
+      return res.status(400).json({ error: 'Only failed issues can be resumed' });
+    }
+
+    await resumeNewsletterIssue(issue);
+    res.status(202).json({ resumed: true });
+  } catch (error) {
+    console.error('Error resuming newsletter issue:', error);
+    res.status(500).json({ error: 'Failed to resume newsletter issue' });
+  }
+};
+
+// Public webhook for the mail provider's bounce reports (?secret=NEWSLETTER_WEBHOOK_SECRET)
+// Body: { email, messageId, type: "hard"|"soft", reason } or an array of them
+export const receiveBounces = async (req, res) => {
+  try {
+    const secret = process.env.NEWSLETTER_WEBHOOK_SECRET;
+    if (!secret || req.query.secret !== secret) {
+      return res.status(401).json({ error: 'Invalid webhook secret' });
+    }
+
+    const reports = (Array.isArray(req.body) ? req.body : [req.body]).slice(0, 500);
+    if (reports.some(report => !report || (!report.email && !report.messageId))) {
+      return res.status(400).json({ error: 'email or messageId is required' });
+    }
+
+    const results = [];
+    for (const report of reports) {
+      results.push(await recordBounce({
+        email: report.email,
+        messageId: report.messageId,
+        type: report.type === 'soft' ? 'soft' : 'hard',
+        reason: report.reason || ''
+      }));
+    }
+    res.json({ processed: results.length, results });
+  } catch (error) {
+    console.error('Error processing bounce reports:', error);
+    res.status(500).json({ error: 'Failed to process bounce reports' });
+  }
+};
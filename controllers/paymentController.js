@@ -0,0 +1,309 @@
+import mongoose from 'mongoose';
+import Plan from '../models/Plan.js';
+import Payment from '../models/Payment.js';
+import Subscription from '../models/Subscription.js';
+import { getPaywallSettings, updatePaywallSettings, resolveReaderAccess } from '../services/paywall.js';
+import {
+  createCheckout,
+  handlePaymentWebhook,
+  simulateFakePayment,
+  sendAccessLinkEmail,
+  redeemAccessLink
+} from '../services/payments.js';
+
+const PLAN_FIELDS = ['code', 'name', 'nameEn', 'description', 'price', 'currency', 'interval', 'intervalCount', 'entitlements', 'isActive', 'sortOrder'];
+
+const pickPlanFields = (body) => Object.fromEntries(PLAN_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+const readPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 200);
+  return { page, limit };
+};
+
+// Plans on sale
+export const getPlans = async (req, res) => {
+  try {
+    const plans = await Plan.find({ isActive: true })
+      .sort({ sortOrder: 1, price: 1 })
+      .select('code name nameEn description price currency interval intervalCount entitlements')
+      .lean();
+    res.json(plans);
+  } catch (error) {
+    console.error('Error fetching plans:', error);
+    res.status(500).json({ error: 'Failed to fetch plans' });
+  }
+};
+
+// Start a checkout ({ planCode, email, name, phone }); keep the returned accessToken and send it as X-Access-Token
+export const checkout = async (req, res) => {
+  try {
+    const { payment, checkout: providerCheckout, accessToken } = await createCheckout(req.body);
+    res.status(201).json({
+      paymentId: payment._id,
+      provider: payment.provider,
+      amount: payment.amount,
+      currency: payment.currency,
+      checkout: providerCheckout,
+      accessToken
+    });
+  } catch (error) {
+    console.error('Error creating checkout:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create checkout' });
+  }
+};
+
+// What the current reader (X-Access-Token) may read, plus the paywall limits
+export const getAccess = async (req, res) => {
+  try {
+    const [access, settings] = await Promise.all([resolveReaderAccess(req), getPaywallSettings()]);
+    res.json({
+      email: access.email,
+      entitlements: [...access.entitlements],
+      subscriptions: access.subscriptions.map(subscription => ({
+        planCode: subscription.planCode,
+        entitlements: subscription.entitlements,
+        startsAt: subscription.startsAt,
+        endsAt: subscription.endsAt
+      })),
+      paywall: {
+        enabled: settings.enabled,
+        freeArticles: settings.freeArticles,
+        meterDays: settings.meterDays,
+        epaperPreviewPages: settings.epaperPreviewPages
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching reader access:', error);
+    res.status(500).json({ error: 'Failed to fetch access' });
+  }
+};
+
+// Email a sign-in link for another device ({ email }); same answer whether or not the address has a subscription
+export const requestAccessLink = async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    await sendAccessLinkEmail(email);
+    res.json({ message: 'If this email has an active subscription, a sign-in link has been sent.' });
+  } catch (error) {
+    console.error('Error sending access link:', error);
+    res.status(500).json({ error: 'Failed to send sign-in link' });
+  }
+};
+
+// Exchange the emailed link token ({ token }) for an access token
+export const redeemAccess = async (req, res) => {
+  try {
+    res.json(await redeemAccessLink(req.body.token));
+  } catch (error) {
+    console.error('Error redeeming access link:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to redeem sign-in link' });
+  }
+};
+
+// Payment provider webhook (signature checked per provider)
+export const receiveWebhook = async (req, res) => {
+  try {
+    res.json(await handlePaymentWebhook(req.params.provider, req));
+  } catch (error) {
+    console.error(`Error processing ${req.params.provider} payment webhook:`, error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to process webhook' });
+  }
+};
+
+// Fake gateway: order details for the local checkout page
+export const getFakeOrder = async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ provider: 'fake', providerOrderId: req.params.orderId })
+      .select('planCode email amount currency status providerOrderId')
+      .lean();
+    if (!payment) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json(payment);
+  } catch (error) {
+    console.error('Error fetching fake order:', error);
+    res.status(500).json({ error: 'Failed to fetch order' });
+  }
+};
+
+// Fake gateway: settle an order ({ outcome: paid|failed|refunded, repeat, amount }) - sends the signed webhook
+export const payFakeOrder = async (req, res) => {
+  try {
+    res.json(await simulateFakePayment(req.params.orderId, req.body || {}));
+  } catch (error) {
+    console.error('Error settling fake order:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to settle order' });
+  }
+};
+
+// Admin: paywall settings
+export const getPaywallConfig = async (req, res) => {
+  try {
+    res.json(await getPaywallSettings());
+  } catch (error) {
+    console.error('Error fetching paywall settings:', error);
+    res.status(500).json({ error: 'Failed to fetch paywall settings' });
+  }
+};
+
+// Admin: update paywall settings (partial)
+export const updatePaywallConfig = async (req, res) => {
+  try {
+    res.json(await updatePaywallSettings(req.body));
+  } catch (error) {
+    console.error('Error updating paywall settings:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update paywall settings' });
+  }
+};
+
+// Admin: all plans, including inactive ones
+export const getAllPlans = async (req, res) => {
+  try {
+    res.json(await Plan.find().sort({ sortOrder: 1, price: 1 }).lean());
+  } catch (error) {
+    console.error('Error fetching plans:', error);
+    res.status(500).json({ error: 'Failed to fetch plans' });
+  }
+};
+
+// Admin: create a plan
+export const createPlan = async (req, res) => {
+  try {
+    const plan = await Plan.create(pickPlanFields(req.body));
+    res.status(201).json(plan);
+  } catch (error) {
+    console.error('Error creating plan:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A plan with this code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to create plan' });
+  }
+};
+
+// Admin: update a plan (existing subscriptions keep the terms they were bought with)
+export const updatePlan = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    const update = pickPlanFields(req.body);
+    // Payments and subscriptions refer to the code
+    delete update.code;
+
+    const plan = await Plan.findByIdAndUpdate(req.params.id, { $set: update }, { new: true, runValidators: true });
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    res.json(plan);
+  } catch (error) {
+    console.error('Error updating plan:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update plan' });
+  }
+};
+
+// Admin: delete a plan nobody has paid for (otherwise deactivate it)
+export const deletePlan = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    if (await Payment.exists({ planId: req.params.id })) {
+      return res.status(409).json({ error: 'Plan has payments; set isActive to false instead' });
+    }
+
+    const plan = await Plan.findByIdAndDelete(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    res.json({ message: 'Plan deleted' });
+  } catch (error) {
+    console.error('Error deleting plan:', error);
+    res.status(500).json({ error: 'Failed to delete plan' });
+  }
+};
+
+// Admin: subscriptions (?email=, ?status=active|cancelled, ?current=true for running periods only)
+export const getSubscriptions = async (req, res) => {
+  try {
+    const { page, limit } = readPagination(req.query);
+    const query = {};
+    if (req.query.email) query.email = String(req.query.email).trim().toLowerCase();
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.current === 'true') {
+      const now = new Date();
+      query.startsAt = { $lte: now };
+      query.endsAt = { $gt: now };
+    }
+
+    const [subscriptions, total] = await Promise.all([
+      Subscription.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Subscription.countDocuments(query)
+    ]);
+
+    res.json({
+      data: subscriptions,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching subscriptions:', error);
+    res.status(500).json({ error: 'Failed to fetch subscriptions' });
+  }
+};
+
+// Admin: cancel a subscription period ({ reason }); refunds are made at the provider
+export const cancelSubscription = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: req.params.id, status: 'active' },
+      { status: 'cancelled', cancelledAt: new Date(), cancelReason: String(req.body.reason || 'cancelled by admin').slice(0, 300) },
+      { new: true }
+    );
+    if (!subscription) {
+      return res.status(404).json({ error: 'Active subscription not found' });
+    }
+    res.json(subscription);
+  } catch (error) {
+    console.error('Error cancelling subscription:', error);
+    res.status(500).json({ error: 'Failed to cancel subscription' });
+  }
+};
+
+// Admin: payments (?status=created|paid|failed|refunded, ?email=)
+export const getPayments = async (req, res) => {
+  try {
+    const { page, limit } = readPagination(req.query);
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.email) query.email = String(req.query.email).trim().toLowerCase();
+
+    const [payments, total] = await Promise.all([
+      Payment.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Payment.countDocuments(query)
+    ]);
+
+    res.json({
+      data: payments,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({ error: 'Failed to fetch payments' });
+  }
+};
@@ -1,7 +1,14 @@
 import PhotoOfTheDay from '../models/PhotoOfTheDay.js';
 import { uploadToCloudinary } from '../services/uploadService.js';
+import { rotatePhotoOfTheDay } from '../services/scheduledJobs.js';
 import multer from 'multer';
 
+// Re-pick the current photo right away instead of waiting for the scheduler
+const refreshCurrentPhoto = () => {
+  rotatePhotoOfTheDay()
+    .catch(err => console.error('Error rotating photo of the day (non-critical):', err.message));
+};
+
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
 const upload = multer({ 
@@ -25,6 +32,12 @@ export const uploadMiddleware = (req, res, next) => {
 // Get today's photo
 export const getTodayPhoto = async (req, res) => {
   try {
+    // Photo picked by the rotate-photo-of-the-day scheduler job
+    const currentPhoto = await PhotoOfTheDay.findOne({ isCurrent: true, isActive: true });
+    if (currentPhoto) {
+      return res.json(currentPhoto);
+    }
+
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     const tomorrow = new Date(today);
@@ -140,6 +153,7 @@ export const createPhoto = async (req, res) => {
     console.log('Saving photo to database...');
     await photo.save();
     console.log('Photo saved successfully:', photo._id);
+    refreshCurrentPhoto();
     
     res.status(201).json(photo);
   } catch (error) {
@@ -194,6 +208,7 @@ export const updatePhoto = async (req, res) => {
     }
 
     await photo.save();
+    refreshCurrentPhoto();
     res.json(photo);
   } catch (error) {
     console.error('Error updating photo:', error);
@@ -211,6 +226,7 @@ export const deletePhoto = async (req, res) => {
       return res.status(404).json({ error: 'Photo not found' });
     }
 
+    refreshCurrentPhoto();
     res.json({ message: 'Photo deleted successfully' });
   } catch (error) {
     console.error('Error deleting photo:', error);
@@ -0,0 +1,257 @@
+import mongoose from 'mongoose';
+import Poll from '../models/Poll.js';
+import PollVote from '../models/PollVote.js';
+import Article from '../models/Article.js';
+import { isPollOpen, pollResults, publicPoll, findVote, castVote, preparePollFields } from '../services/polls.js';
+import { toCsvRow } from '../utils/csv.js';
+
+// Closed homepage polls stay up this long with their results
+const HOMEPAGE_CLOSED_DAYS = 2;
+const MAX_HOMEPAGE_POLLS = 5;
+
+const readPagination = (query, defaultLimit = 20) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100);
+  return { page, limit };
+};
+
+// Polls readers can see: switched on and already opened
+const visibleQuery = () => ({ isActive: true, opensAt: { $lte: new Date() } });
+
+// Polls with this voter's vote and the results they may see
+const withVotes = (polls, req) => Promise.all(polls.map(async poll =>
+  publicPoll(poll, { vote: await findVote(poll._id, req), isStaff: Boolean(req.user) })));
+
+// Polls for the homepage: open ones, plus recently closed ones with their results
+export const getHomepagePolls = async (req, res) => {
+  try {
+    const closedSince = new Date(Date.now() - HOMEPAGE_CLOSED_DAYS * 24 * 60 * 60 * 1000);
+    const polls = await Poll.find({
+      ...visibleQuery(),
+      showOnHomepage: true,
+      $or: [{ closesAt: null }, { closesAt: { $gt: closedSince } }]
+    })
+      .sort({ opensAt: -1 })
+      .limit(MAX_HOMEPAGE_POLLS)
+      .lean();
+
+    res.json(await withVotes(polls, req));
+  } catch (error) {
+    console.error('Error fetching homepage polls:', error);
+    res.status(500).json({ error: 'Failed to fetch polls' });
+  }
+};
+
+// Polls attached to an article (id or slug)
+export const getArticlePolls = async (req, res) => {
+  try {
+    const { articleId } = req.params;
+    const article = await Article.findOne({
+      ...(mongoose.Types.ObjectId.isValid(articleId) ? { _id: articleId } : { slug: articleId }),
+      status: 'published'
+    }).select('_id').lean();
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const polls = await Poll.find({ ...visibleQuery(), articleId: article._id }).sort({ opensAt: -1 }).lean();
+    res.json(await withVotes(polls, req));
+  } catch (error) {
+    console.error('Error fetching article polls:', error);
+    res.status(500).json({ error: 'Failed to fetch polls' });
+  }
+};
+
+// Get a single poll
+export const getPoll = async (req, res) => {
+  try {
+    const poll = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Poll.findOne({ _id: req.params.id, ...visibleQuery() }).lean()
+      : null;
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const [data] = await withVotes([poll], req);
+    res.json(data);
+  } catch (error) {
+    console.error('Error fetching poll:', error);
+    res.status(500).json({ error: 'Failed to fetch poll' });
+  }
+};
+
+// Vote ({ optionId }); one vote per reader account, or signed out per device (nm_device cookie)
+export const votePoll = async (req, res) => {
+  try {
+    const poll = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Poll.findOne({ _id: req.params.id, ...visibleQuery() }).lean()
+      : null;
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const vote = await castVote(poll, req.body.optionId, req);
+    const updated = await Poll.findById(poll._id).lean();
+    res.status(201).json(publicPoll(updated, { vote, isStaff: Boolean(req.user) }));
+  } catch (error) {
+    console.error('Error voting in poll:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to vote' });
+  }
+};
+
+// Results with percentages (when the poll's resultVisibility allows it for this reader)
+export const getPollResults = async (req, res) => {
+  try {
+    const poll = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Poll.findOne({ _id: req.params.id, ...visibleQuery() }).lean()
+      : null;
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const [data] = await withVotes([poll], req);
+    if (!data.results) {
+      return res.status(403).json({
+        error: poll.resultVisibility === 'after-close' ? 'Results are shown when the poll closes' : 'Vote to see the results'
+      });
+    }
+    res.json(data.results);
+  } catch (error) {
+    console.error('Error fetching poll results:', error);
+    res.status(500).json({ error: 'Failed to fetch poll results' });
+  }
+};
+
+// Admin: all polls with results (?status=open|scheduled|closed|inactive, ?articleId, ?homepage=true)
+export const getAllPolls = async (req, res) => {
+  try {
+    const { page, limit } = readPagination(req.query);
+    const now = new Date();
+    const query = {};
+
+    if (req.query.articleId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.articleId)) {
+        return res.status(400).json({ error: 'Invalid articleId' });
+      }
+      query.articleId = req.query.articleId;
+    }
+    if (req.query.homepage === 'true') query.showOnHomepage = true;
+
+    const statusQueries = {
+      open: { isActive: true, opensAt: { $lte: now }, $or: [{ closesAt: null }, { closesAt: { $gt: now } }] },
+      scheduled: { isActive: true, opensAt: { $gt: now } },
+      closed: { isActive: true, closesAt: { $lte: now } },
+      inactive: { isActive: false }
+    };
+    if (req.query.status) {
+      if (!statusQueries[req.query.status]) {
+        return res.status(400).json({ error: `status must be one of: ${Object.keys(statusQueries).join(', ')}` });
+      }
+      Object.assign(query, statusQueries[req.query.status]);
+    }
+
+    const [polls, total] = await Promise.all([
+      Poll.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('articleId', 'title slug')
+        .lean(),
+      Poll.countDocuments(query)
+    ]);
+
+    res.json({
+      data: polls.map(poll => ({ ...poll, isOpen: isPollOpen(poll, now), results: pollResults(poll) })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching polls:', error);
+    res.status(500).json({ error: 'Failed to fetch polls' });
+  }
+};
+
+// Admin: get a poll with results
+export const getPollById = async (req, res) => {
+  try {
+    const poll = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Poll.findById(req.params.id).populate('articleId', 'title slug').lean()
+      : null;
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+    res.json({ ...poll, isOpen: isPollOpen(poll), results: pollResults(poll) });
+  } catch (error) {
+    console.error('Error fetching poll:', error);
+    res.status(500).json({ error: 'Failed to fetch poll' });
+  }
+};
+
+// Admin: create a poll ({ question, questionEn, options: [text | { text, textEn }], articleId, showOnHomepage, opensAt, closesAt, resultVisibility, isActive })
+export const createPoll = async (req, res) => {
+  try {
+    const fields = await preparePollFields(req.body);
+    const poll = await Poll.create({ ...fields, createdBy: req.user._id });
+    res.status(201).json(poll);
+  } catch (error) {
+    console.error('Error creating poll:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create poll' });
+  }
+};
+
+// Admin: update a poll (partial; options keep their votes when sent with their _id)
+export const updatePoll = async (req, res) => {
+  try {
+    const existing = mongoose.Types.ObjectId.isValid(req.params.id) ? await Poll.findById(req.params.id).lean() : null;
+    if (!existing) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const fields = await preparePollFields(req.body, existing);
+    const poll = await Poll.findByIdAndUpdate(existing._id, { $set: fields }, { new: true, runValidators: true });
+    res.json(poll);
+  } catch (error) {
+    console.error('Error updating poll:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update poll' });
+  }
+};
+
+// Admin: delete a poll with its votes
+export const deletePoll = async (req, res) => {
+  try {
+    const poll = mongoose.Types.ObjectId.isValid(req.params.id) ? await Poll.findByIdAndDelete(req.params.id) : null;
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    await PollVote.deleteMany({ pollId: poll._id });
+    res.json({ message: 'Poll deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting poll:', error);
+    res.status(500).json({ error: 'Failed to delete poll' });
+  }
+};
+
+// Admin: download results as CSV (one row per option, then the total)
+export const exportPollResults = async (req, res) => {
+  try {
+    const poll = mongoose.Types.ObjectId.isValid(req.params.id) ? await Poll.findById(req.params.id).lean() : null;
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const results = pollResults(poll);
+    const rows = [
+      ['Question', 'Question (English)', 'Option', 'Option (English)', 'Votes', 'Percent'],
+      ...results.options.map(option => [poll.question, poll.questionEn, option.text, option.textEn, option.votes, option.percent]),
+      [poll.question, poll.questionEn, 'Total', 'Total', results.totalVotes, results.totalVotes > 0 ? 100 : 0]
+    ];
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="poll-${poll._id}-results.csv"`);
+    // Byte order mark so Excel reads the Marathi text as UTF-8
+    res.send(`\uFEFF${rows.map(toCsvRow).join('\r\n')}\r\n`);
+  } catch (error) {
+    console.error('Error exporting poll results:', error);
+    res.status(500).json({ error: 'Failed to export poll results' });
+  }
+};
@@ -0,0 +1,227 @@
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import PushSubscription from '../models/PushSubscription.js';
+import PushNotification from '../models/PushNotification.js';
+import {
+  getVapidKeys,
+  rotateVapidKeys,
+  isAllowedEndpoint,
+  sendPushNotification
+} from '../services/webPush.js';
+import { resolveCategoryIds } from '../utils/categories.js';
+
+const BASE_URL = process.env.FRONTEND_URL || 'https://navmanchnews.com';
+
+// Pushes kept by the local stand-in endpoint (per token, newest last)
+const TEST_PUSH_LIMIT = 50;
+// Tokens kept at most; the oldest token is dropped first
+const TEST_TOKEN_LIMIT = 100;
+const testPushes = new Map();
+
+// Public: key the browser needs for pushManager.subscribe()
+export const getVapidPublicKey = async (req, res) => {
+  try {
+    const { publicKey } = await getVapidKeys();
+    res.json({ publicKey });
+  } catch (error) {
+    console.error('Error fetching VAPID public key:', error);
+    res.status(500).json({ error: 'Failed to fetch push key' });
+  }
+};
+
+// Public: save (or update the categories of) a browser subscription
+// Body: { subscription: PushSubscription.toJSON(), categories: [id|slug] } - no categories = all breaking news
+export const subscribe = async (req, res) => {
+  try {
+    const { subscription, categories } = req.body;
+    const endpoint = subscription?.endpoint;
+    const keys = subscription?.keys || {};
+
+    if (!endpoint || !isAllowedEndpoint(endpoint)) {
+      return res.status(400).json({ error: 'Invalid subscription endpoint' });
+    }
+    if (typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string' || !keys.p256dh || !keys.auth) {
+      return res.status(400).json({ error: 'Subscription keys are required' });
+    }
+
+    const categoryIds = await resolveCategoryIds(categories);
+    if (categoryIds === null) {
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+
+    const pushSubscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        $set: {
+          keys: { p256dh: keys.p256dh, auth: keys.auth },
+          expirationTime: subscription.expirationTime ? new Date(subscription.expirationTime) : null,
+          categoryIds,
+          userAgent: (req.get('User-Agent') || '').slice(0, 300),
+          isActive: true,
+          failureCount: 0,
+          lastError: ''
+        }
+      },
+      { upsert: true, new: true, runValidators: true }
+    ).populate('categoryIds', 'name nameEn slug');
+
+    res.status(201).json({ subscribed: true, categories: pushSubscription.categoryIds });
+  } catch (error) {
+    console.error('Error saving push subscription:', error);
+    res.status(500).json({ error: 'Failed to save push subscription' });
+  }
+};
+
+// Public: remove a browser subscription ({ endpoint })
+export const unsubscribe = async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+
+    if (!endpoint) {
+      return res.status(400).json({ error: 'endpoint is required' });
+    }
+
+    await PushSubscription.deleteOne({ endpoint });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    res.status(500).json({ error: 'Failed to remove push subscription' });
+  }
+};
+
+// Admin: subscription counts and recent notifications with delivery stats
+export const getPushStats = async (req, res) => {
+  try {
+    const [active, inactive, allBreaking, byCategory, recent] = await Promise.all([
+      PushSubscription.countDocuments({ isActive: true }),
+      PushSubscription.countDocuments({ isActive: false }),
+      PushSubscription.countDocuments({ isActive: true, categoryIds: { $size: 0 } }),
+      PushSubscription.aggregate([
+        { $match: { isActive: true } },
+        { $unwind: '$categoryIds' },
+        { $group: { _id: '$categoryIds', subscribers: { $sum: 1 } } },
+        { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+        { $unwind: '$category' },
+        { $project: { _id: 0, categoryId: '$_id', name: '$category.name', nameEn: '$category.nameEn', subscribers: 1 } },
+        { $sort: { subscribers: -1 } }
+      ]),
+      PushNotification.find().sort({ createdAt: -1 }).limit(10).lean()
+    ]);
+
+    res.json({ subscriptions: { active, inactive, allBreaking, byCategory }, recent });
+  } catch (error) {
+    console.error('Error fetching push stats:', error);
+    res.status(500).json({ error: 'Failed to fetch push stats' });
+  }
+};
+
+// Admin: sent notifications (paginated)
+export const getPushNotifications = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [notifications, total] = await Promise.all([
+      PushNotification.find()
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('createdBy', 'name')
+        .lean(),
+      PushNotification.countDocuments()
+    ]);
+
+    res.json({
+      data: notifications,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching push notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch push notifications' });
+  }
+};
+
+// Admin: send a push now - { articleId } or { title, body, url, image, categories }
+export const sendPush = async (req, res) => {
+  try {
+    const { articleId, categories } = req.body;
+    let notification;
+
+    if (articleId) {
+      const article = mongoose.Types.ObjectId.isValid(articleId)
+        ? await Article.findById(articleId).select('title summary slug featuredImage status').lean()
+        : null;
+      if (!article || article.status !== 'published') {
+        return res.status(400).json({ error: 'Published article not found' });
+      }
+      notification = {
+        articleId: article._id,
+        title: req.body.title || article.title,
+        body: req.body.body ?? article.summary,
+        url: `${BASE_URL}/news/${article.slug || article._id}`,
+        image: article.featuredImage || ''
+      };
+    } else {
+      if (!req.body.title) {
+        return res.status(400).json({ error: 'title or articleId is required' });
+      }
+      notification = { title: req.body.title, body: req.body.body, url: req.body.url, image: req.body.image };
+    }
+
+    const categoryIds = await resolveCategoryIds(categories);
+    if (categoryIds === null) {
+      return res.status(400).json({ error: 'Unknown category' });
+    }
+
+    // Sent in the background; progress shows up in the notification list
+    const queued = await sendPushNotification({ ...notification, kind: 'manual', categoryIds, user: req.user });
+    res.status(202).json(queued);
+  } catch (error) {
+    console.error('Error sending push notification:', error);
+    res.status(500).json({ error: 'Failed to send push notification' });
+  }
+};
+
+// Admin: new VAPID key pair (drops all subscriptions)
+export const rotatePushKeys = async (req, res) => {
+  try {
+    res.json(await rotateVapidKeys());
+  } catch (error) {
+    console.error('Error rotating VAPID keys:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to rotate push keys' });
+  }
+};
+
+// Local stand-in push service: subscribe with endpoint http://localhost:PORT/api/push/test-endpoint/<token>
+// (?status=410 to simulate an expired subscription) and read what was sent with GET on the same URL.
+// The body is read by hand: body parsers reject the "aes128gcm" Content-Encoding.
+export const receiveTestPush = (req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const pushes = testPushes.get(req.params.token) || [];
+    pushes.push({
+      receivedAt: new Date(),
+      headers: {
+        authorization: req.get('Authorization'),
+        contentEncoding: req.get('Content-Encoding'),
+        ttl: req.get('TTL'),
+        urgency: req.get('Urgency'),
+        topic: req.get('Topic')
+      },
+      // Encrypted payload (aes128gcm), decryptable with the test client's keys
+      body: Buffer.concat(chunks).toString('base64')
+    });
+    // Re-inserted so the Map's order stays oldest token first
+    testPushes.delete(req.params.token);
+    testPushes.set(req.params.token, pushes.slice(-TEST_PUSH_LIMIT));
+    if (testPushes.size > TEST_TOKEN_LIMIT) testPushes.delete(testPushes.keys().next().value);
+
+    const status = parseInt(req.query.status) || 201;
+    res.status(status >= 200 && status < 600 ? status : 201).send();
+  });
+};
+
+export const getTestPushes = (req, res) => {
+  res.json({ data: testPushes.get(req.params.token) || [] });
+};
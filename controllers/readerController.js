@@ -0,0 +1,341 @@
+import mongoose from 'mongoose';
+import Reader from '../models/Reader.js';
+import ReaderSession from '../models/ReaderSession.js';
+import Author from '../models/Author.js';
+import { createReaderSession, sendLoginCode, consumeLoginCode, deleteReaderAccount } from '../services/readerAccounts.js';
+import { resolveCategoryIds } from '../utils/categories.js';
+import { hashPassword, verifyPassword, MIN_PASSWORD_LENGTH } from '../utils/password.js';
+
+const MAX_FAILED_LOGINS = 5;
+const LOCK_DURATION = 15 * 60 * 1000; // 15 minutes
+
+// Most categories/authors a reader can follow
+const MAX_FOLLOWS = 100;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+// Author ids from a list of ids; null if any is unknown
+const resolveAuthorIds = async (values) => {
+  if (!Array.isArray(values) || values.length === 0) return [];
+  if (!values.every(value => mongoose.Types.ObjectId.isValid(value))) return null;
+
+  const authors = await Author.find({ _id: { $in: values } }).select('_id').lean();
+  return authors.length === new Set(values.map(String)).size ? authors.map(author => author._id) : null;
+};
+
+// Register with email and password
+export const register = async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    const { password, name = '' } = req.body;
+
+    if (!EMAIL_REGEX.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    // Readers who signed in with a code before can set a password from their profile instead
+    if (await Reader.exists({ email })) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const reader = await Reader.create({
+      email,
+      name: String(name).trim(),
+      passwordHash: await hashPassword(password),
+      lastLoginAt: new Date()
+    });
+    const { token, expiresAt } = await createReaderSession(reader, req);
+
+    res.status(201).json({ token, expiresAt, reader });
+  } catch (error) {
+    console.error('Error registering reader:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+    res.status(500).json({ error: 'Failed to register' });
+  }
+};
+
+// Login with email and password
+export const login = async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    const { password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const reader = await Reader.findOne({ email }).select('+passwordHash +failedLoginAttempts +lockedUntil');
+
+    if (!reader || !reader.isActive || !reader.passwordHash) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    if (reader.lockedUntil && reader.lockedUntil > new Date()) {
+      return res.status(429).json({ error: 'Too many failed login attempts. Please try again later.' });
+    }
+
+    if (!(await verifyPassword(password, reader.passwordHash))) {
+      reader.failedLoginAttempts = (reader.failedLoginAttempts || 0) + 1;
+      if (reader.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+        reader.lockedUntil = new Date(Date.now() + LOCK_DURATION);
+        reader.failedLoginAttempts = 0;
+      }
+      await reader.save();
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    reader.failedLoginAttempts = 0;
+    reader.lockedUntil = undefined;
+    reader.lastLoginAt = new Date();
+    await reader.save();
+
+    const { token, expiresAt } = await createReaderSession(reader, req);
+    res.json({ token, expiresAt, reader });
+  } catch (error) {
+    console.error('Error logging in reader:', error);
+    res.status(500).json({ error: 'Failed to login' });
+  }
+};
+
+// Email a one-time sign-in code ({ email }); works for new and existing readers
+export const requestLoginCode = async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+
+    if (!EMAIL_REGEX.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    const reader = await Reader.findOne({ email }).lean();
+    if (reader && !reader.isActive) {
+      return res.status(403).json({ error: 'Account is disabled' });
+    }
+
+    const sent = await sendLoginCode(email);
+    if (!sent) {
+      return res.status(429).json({ error: 'A code was sent a moment ago. Please wait before requesting another.' });
+    }
+    res.json({ message: 'Login code sent' });
+  } catch (error) {
+    console.error('Error sending login code:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to send login code' });
+  }
+};
+
+// Sign in (or register) with the emailed code ({ email, code, name })
+export const verifyLoginCode = async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+
+    if (!email || !req.body.code) {
+      return res.status(400).json({ error: 'Email and code are required' });
+    }
+
+    if (!(await consumeLoginCode(email, req.body.code))) {
+      return res.status(401).json({ error: 'Invalid or expired code' });
+    }
+
+    // The code proves the email belongs to this person. An unverified account may have been registered with their
+    // email by someone else, so its password and sessions stop working.
+    const claimed = await Reader.findOneAndUpdate(
+      { email, emailVerified: false },
+      { $set: { emailVerified: true, passwordHash: null } }
+    );
+    if (claimed) {
+      await ReaderSession.deleteMany({ readerId: claimed._id });
+    }
+
+    const reader = await Reader.findOneAndUpdate(
+      { email },
+      {
+        $set: { emailVerified: true, lastLoginAt: new Date() },
+        $setOnInsert: { name: String(req.body.name || '').trim() }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (!reader.isActive) {
+      return res.status(403).json({ error: 'Account is disabled' });
+    }
+
+    const { token, expiresAt } = await createReaderSession(reader, req);
+    res.json({ token, expiresAt, reader });
+  } catch (error) {
+    console.error('Error verifying login code:', error);
+    res.status(500).json({ error: 'Failed to verify login code' });
+  }
+};
+
+// Logout (revoke the current session)
+export const logout = async (req, res) => {
+  try {
+    await ReaderSession.deleteOne({ _id: req.readerSession._id });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error logging out reader:', error);
+    res.status(500).json({ error: 'Failed to logout' });
+  }
+};
+
+// Get the logged in reader
+export const getMe = async (req, res) => {
+  res.json(req.reader);
+};
+
+// Update name and/or password ({ name, password, currentPassword - required when a password is set })
+export const updateMe = async (req, res) => {
+  try {
+    const reader = await Reader.findById(req.reader._id).select('+passwordHash');
+    const { name, password, currentPassword } = req.body;
+
+    if (name !== undefined) reader.name = String(name).trim();
+
+    if (password !== undefined) {
+      if (String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      if (reader.passwordHash && !(await verifyPassword(currentPassword, reader.passwordHash))) {
+        return res.status(400).json({ error: 'Current password is incorrect' });
+      }
+      reader.passwordHash = await hashPassword(password);
+    }
+
+    await reader.save();
+
+    // Other devices have to sign in again after a password change
+    if (password !== undefined) {
+      await ReaderSession.deleteMany({ readerId: reader._id, _id: { $ne: req.readerSession._id } });
+    }
+
+    res.json(reader);
+  } catch (error) {
+    console.error('Error updating reader profile:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+};
+
+// Delete the account with all bookmarks and reading history
+export const deleteMe = async (req, res) => {
+  try {
+    await deleteReaderAccount(req.reader._id);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting reader account:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+};
+
+// Followed categories and authors
+export const getFollows = async (req, res) => {
+  try {
+    const reader = await Reader.findById(req.reader._id)
+      .select('follows')
+      .populate('follows.categoryIds', 'name nameEn slug')
+      .populate('follows.authorIds', 'name nameEn profileImage')
+      .lean();
+
+    res.json({
+      categories: reader.follows?.categoryIds || [],
+      authors: reader.follows?.authorIds || []
+    });
+  } catch (error) {
+    console.error('Error fetching follows:', error);
+    res.status(500).json({ error: 'Failed to fetch follows' });
+  }
+};
+
+// Replace followed categories and/or authors ({ categories: [id|slug], authors: [id] })
+export const updateFollows = async (req, res) => {
+  try {
+    const update = {};
+
+    if (req.body.categories !== undefined) {
+      if (!Array.isArray(req.body.categories) || req.body.categories.length > MAX_FOLLOWS) {
+        return res.status(400).json({ error: `categories must be a list of at most ${MAX_FOLLOWS} category ids or slugs` });
+      }
+      const categoryIds = await resolveCategoryIds(req.body.categories);
+      if (categoryIds === null) {
+        return res.status(400).json({ error: 'Unknown category' });
+      }
+      update['follows.categoryIds'] = categoryIds;
+    }
+
+    if (req.body.authors !== undefined) {
+      if (!Array.isArray(req.body.authors) || req.body.authors.length > MAX_FOLLOWS) {
+        return res.status(400).json({ error: `authors must be a list of at most ${MAX_FOLLOWS} author ids` });
+      }
+      const authorIds = await resolveAuthorIds(req.body.authors);
+      if (authorIds === null) {
+        return res.status(400).json({ error: 'Unknown author' });
+      }
+      update['follows.authorIds'] = authorIds;
+    }
+
+    const reader = await Reader.findByIdAndUpdate(req.reader._id, { $set: update }, { new: true }).select('follows').lean();
+    res.json(reader.follows);
+  } catch (error) {
+    console.error('Error updating follows:', error);
+    res.status(500).json({ error: 'Failed to update follows' });
+  }
+};
+
+// Follow one category or author (:type = category|author, :id = id, or slug for categories)
+export const follow = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    let ids;
+
+    if (type === 'category') ids = await resolveCategoryIds([id]);
+    else if (type === 'author') ids = await resolveAuthorIds([id]);
+    else return res.status(400).json({ error: 'type must be category or author' });
+
+    if (!ids) {
+      return res.status(404).json({ error: `${type === 'category' ? 'Category' : 'Author'} not found` });
+    }
+
+    const field = type === 'category' ? 'follows.categoryIds' : 'follows.authorIds';
+    const reader = await Reader.findOneAndUpdate(
+      { _id: req.reader._id, [`${field}.${MAX_FOLLOWS - 1}`]: { $exists: false } },
+      { $addToSet: { [field]: ids[0] } },
+      { new: true }
+    ).select('follows').lean();
+
+    if (!reader) {
+      return res.status(400).json({ error: `You can follow at most ${MAX_FOLLOWS} ${type === 'category' ? 'categories' : 'authors'}` });
+    }
+    res.json(reader.follows);
+  } catch (error) {
+    console.error('Error following:', error);
+    res.status(500).json({ error: 'Failed to follow' });
+  }
+};
+
+// Unfollow a category or author
+export const unfollow = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    if (!['category', 'author'].includes(type)) {
+      return res.status(400).json({ error: 'type must be category or author' });
+    }
+
+    const ids = type === 'category' ? await resolveCategoryIds([id]) : (mongoose.Types.ObjectId.isValid(id) ? [id] : null);
+    if (!ids) {
+      return res.status(404).json({ error: `${type === 'category' ? 'Category' : 'Author'} not found` });
+    }
+
+    const field = type === 'category' ? 'follows.categoryIds' : 'follows.authorIds';
+    const reader = await Reader.findByIdAndUpdate(req.reader._id, { $pull: { [field]: ids[0] } }, { new: true }).select('follows').lean();
+    res.json(reader.follows);
+  } catch (error) {
+    console.error('Error unfollowing:', error);
+    res.status(500).json({ error: 'Failed to unfollow' });
+  }
+};
@@ -0,0 +1,216 @@
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import Epaper from '../models/Epaper.js';
+import Bookmark, { BOOKMARK_TYPES } from '../models/Bookmark.js';
+import ReadingHistory from '../models/ReadingHistory.js';
+import { buildForYouFeed } from '../services/readerFeed.js';
+
+// Progress at which an article counts as read to the end
+const COMPLETED_PROGRESS = 90;
+
+const ARTICLE_LIST_FIELDS = 'title titleEn slug summary featuredImage categoryId authorId publishedAt commentCount status';
+
+const readPagination = (query, defaultLimit = 20) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100);
+  return { page, limit };
+};
+
+// Saved articles and e-paper sections, newest first (?type=article|epaper-section)
+export const getBookmarks = async (req, res) => {
+  try {
+    const { page, limit } = readPagination(req.query);
+    const query = { readerId: req.reader._id };
+    if (req.query.type) query.type = req.query.type;
+
+    const [bookmarks, total] = await Promise.all([
+      Bookmark.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('articleId', ARTICLE_LIST_FIELDS)
+        .populate('epaperId', 'id title slug date')
+        .lean(),
+      Bookmark.countDocuments(query)
+    ]);
+
+    res.json({
+      data: bookmarks,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching bookmarks:', error);
+    res.status(500).json({ error: 'Failed to fetch bookmarks' });
+  }
+};
+
+// Save an article ({ type: "article", articleId }) or e-paper section ({ type: "epaper-section", epaperId, pageNo, sectionId }); { note } optional
+export const addBookmark = async (req, res) => {
+  try {
+    const { type = 'article', note = '' } = req.body;
+    let bookmark;
+
+    if (!BOOKMARK_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${BOOKMARK_TYPES.join(', ')}` });
+    }
+
+    if (type === 'article') {
+      const { articleId } = req.body;
+      const article = mongoose.Types.ObjectId.isValid(articleId)
+        ? await Article.findOne({ _id: articleId, status: 'published' }).select('_id').lean()
+        : null;
+      if (!article) {
+        return res.status(404).json({ error: 'Article not found' });
+      }
+      bookmark = { type, articleId: article._id, targetKey: `article:${article._id}` };
+    } else {
+      const { epaperId } = req.body;
+      const pageNo = parseInt(req.body.pageNo);
+      const sectionId = parseInt(req.body.sectionId);
+      const epaper = mongoose.Types.ObjectId.isValid(epaperId)
+        ? await Epaper.findOne({ _id: epaperId, status: 'published' }).select('pages.pageNo pages.news.id').lean()
+        : null;
+      const page = epaper?.pages.find(item => item.pageNo === pageNo);
+      if (!page || !page.news.some(item => item.id === sectionId)) {
+        return res.status(404).json({ error: 'E-paper section not found' });
+      }
+      bookmark = { type, epaperId: epaper._id, pageNo, sectionId, targetKey: `epaper:${epaper._id}:${pageNo}:${sectionId}` };
+    }
+
+    // Saving the same thing again only updates the note
+    const saved = await Bookmark.findOneAndUpdate(
+      { readerId: req.reader._id, targetKey: bookmark.targetKey },
+      { $set: { note: String(note).slice(0, 500) }, $setOnInsert: { readerId: req.reader._id, ...bookmark } },
+      { upsert: true, new: true }
+    );
+
+    res.status(201).json(saved);
+  } catch (error) {
+    console.error('Error adding bookmark:', error);
+    res.status(500).json({ error: 'Failed to add bookmark' });
+  }
+};
+
+// Remove a bookmark
+export const removeBookmark = async (req, res) => {
+  try {
+    const result = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Bookmark.deleteOne({ _id: req.params.id, readerId: req.reader._id })
+      : { deletedCount: 0 };
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Bookmark not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error removing bookmark:', error);
+    res.status(500).json({ error: 'Failed to remove bookmark' });
+  }
+};
+
+// Reading history, most recent first (?inProgress=true for articles not finished yet)
+export const getHistory = async (req, res) => {
+  try {
+    const { page, limit } = readPagination(req.query);
+    const query = { readerId: req.reader._id };
+    if (req.query.inProgress === 'true') query.completed = false;
+
+    const [history, total] = await Promise.all([
+      ReadingHistory.find(query)
+        .sort({ lastReadAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-readerId -categoryId -authorId')
+        .populate('articleId', ARTICLE_LIST_FIELDS)
+        .lean(),
+      ReadingHistory.countDocuments(query)
+    ]);
+
+    res.json({
+      data: history,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching reading history:', error);
+    res.status(500).json({ error: 'Failed to fetch reading history' });
+  }
+};
+
+// Record reading an article ({ progress: 0-100, newVisit }); progress never goes back, so re-opening an article keeps it
+export const recordReading = async (req, res) => {
+  try {
+    const progress = req.body.progress === undefined ? 0 : Number(req.body.progress);
+    if (Number.isNaN(progress) || progress < 0 || progress > 100) {
+      return res.status(400).json({ error: 'progress must be between 0 and 100' });
+    }
+
+    const article = mongoose.Types.ObjectId.isValid(req.params.articleId)
+      ? await Article.findOne({ _id: req.params.articleId, status: 'published' }).select('categoryId authorId').lean()
+      : null;
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const now = new Date();
+    const entry = await ReadingHistory.findOneAndUpdate(
+      { readerId: req.reader._id, articleId: article._id },
+      {
+        $max: { progress: Math.round(progress) },
+        $set: { lastReadAt: now, categoryId: article.categoryId || null, authorId: article.authorId || null },
+        $setOnInsert: { firstReadAt: now },
+        // Sent with { newVisit: true } when the article is opened, without it for progress updates
+        ...(req.body.newVisit === true && { $inc: { readCount: 1 } })
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (!entry.completed && entry.progress >= COMPLETED_PROGRESS) {
+      entry.completed = true;
+      await ReadingHistory.updateOne({ _id: entry._id }, { completed: true });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error('Error recording reading history:', error);
+    res.status(500).json({ error: 'Failed to record reading history' });
+  }
+};
+
+// Remove one article from the history
+export const removeHistoryEntry = async (req, res) => {
+  try {
+    const result = mongoose.Types.ObjectId.isValid(req.params.articleId)
+      ? await ReadingHistory.deleteOne({ readerId: req.reader._id, articleId: req.params.articleId })
+      : { deletedCount: 0 };
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error removing history entry:', error);
+    res.status(500).json({ error: 'Failed to remove history entry' });
+  }
+};
+
+// Clear the whole reading history
+export const clearHistory = async (req, res) => {
+  try {
+    await ReadingHistory.deleteMany({ readerId: req.reader._id });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error clearing reading history:', error);
+    res.status(500).json({ error: 'Failed to clear reading history' });
+  }
+};
+
+// Personalized "for you" feed from follows and reading history
+export const getForYouFeed = async (req, res) => {
+  try {
+    const { page, limit } = readPagination(req.query);
+    res.json(await buildForYouFeed(req.reader, { page, limit }));
+  } catch (error) {
+    console.error('Error building for-you feed:', error);
+    res.status(500).json({ error: 'Failed to build feed' });
+  }
+};
@@ -0,0 +1,65 @@
+import JobRun from '../models/JobRun.js';
+import { getJobStatuses, runJob } from '../services/scheduler.js';
+
+// List scheduled jobs with lock state and latest run
+export const getSchedulerJobs = async (req, res) => {
+  try {
+    const jobs = await getJobStatuses();
+    res.json({ data: jobs });
+  } catch (error) {
+    console.error('Error fetching scheduler jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduler jobs' });
+  }
+};
+
+// Job run log (?job=&status=&page=&limit=)
+export const getSchedulerRuns = async (req, res) => {
+  try {
+    const { job, status, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (job) query.job = job;
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(query)
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      JobRun.countDocuments(query)
+    ]);
+
+    res.json({
+      data: runs,
+      page: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching scheduler runs:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduler runs' });
+  }
+};
+
+// Run a job immediately (still respects the cross-instance lock)
+export const runSchedulerJob = async (req, res) => {
+  try {
+    const run = await runJob(req.params.name, { trigger: 'manual' });
+
+    if (!run) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (run.skipped) {
+      return res.status(409).json({ error: run.reason });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error('Error running scheduler job:', error);
+    res.status(500).json({ error: 'Failed to run scheduler job' });
+  }
+};
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import {
+  tokenizeSearchText,
+  stemSearchToken,
+  buildHighlightedSnippet
+} from '../utils/searchText.js';
+
+const MAX_LIMIT = 50;
+
+// The prefix fallback scans article text without an index, so it is bounded in time and hits
+const PREFIX_SEARCH_MAX_MS = 3000;
+const PREFIX_SEARCH_MAX_HITS = 500;
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Public article search (?q=&category=&from=&to=&page=&limit=)
+export const searchArticles = async (req, res) => {
+  try {
+    const { q = '', category, from, to, page = 1, limit = 20 } = req.query;
+
+    const tokens = tokenizeSearchText(q);
+    if (tokens.length === 0) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT);
+    const skip = (pageNum - 1) * limitNum;
+
+    const filter = { status: 'published' };
+
+    if (category) {
+      if (!mongoose.Types.ObjectId.isValid(category)) {
+        return res.status(400).json({ error: 'Invalid category ID' });
+      }
+      filter.$or = [{ categoryId: category }, { subCategoryId: category }];
+    }
+
+    if (from || to) {
+      filter.publishedAt = {};
+      if (from) filter.publishedAt.$gte = new Date(from);
+      if (to) filter.publishedAt.$lte = new Date(to);
+      if (Object.values(filter.publishedAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'Invalid date filter' });
+      }
+    }
+
+    const fields = 'title titleEn slug summary content featuredImage categoryId subCategoryId authorId publishedAt views commentCount';
+
+    // Ranked text search first
+    let matchMode = 'text';
+    let query = { ...filter, $text: { $search: tokens.join(' ') } };
+    let total = await Article.countDocuments(query);
+    let articles = [];
+
+    if (total > 0) {
+      articles = await Article.find(query, { score: { $meta: 'textScore' } })
+        .select(fields)
+        .populate('categoryId', 'name nameEn')
+        .populate('subCategoryId', 'name nameEn')
+        .populate('authorId', 'name designation')
+        .sort({ score: { $meta: 'textScore' }, publishedAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean();
+    } else {
+      // Text index only matches whole words; fall back to word-prefix matches
+      // so inflected Marathi forms (पुणे -> पुण्यात) are still found
+      matchMode = 'prefix';
+      const tokenConditions = tokens.map(token => {
+        const pattern = new RegExp(`(^|\\s)${escapeRegex(stemSearchToken(token))}`);
+        return {
+          $or: [
+            { 'searchText.title': pattern },
+            { 'searchText.keywords': pattern },
+            { 'searchText.body': pattern }
+          ]
+        };
+      });
+      query = { ...filter, $and: tokenConditions };
+
+      total = await Article.countDocuments(query, { limit: PREFIX_SEARCH_MAX_HITS, maxTimeMS: PREFIX_SEARCH_MAX_MS });
+      if (skip < PREFIX_SEARCH_MAX_HITS) {
+        articles = await Article.find(query)
+          .select(fields)
+          .populate('categoryId', 'name nameEn')
+          .populate('subCategoryId', 'name nameEn')
+          .populate('authorId', 'name designation')
+          .sort({ publishedAt: -1 })
+          .skip(skip)
+          .limit(Math.min(limitNum, PREFIX_SEARCH_MAX_HITS - skip))
+          .maxTimeMS(PREFIX_SEARCH_MAX_MS)
+          .lean();
+      }
+    }
+
+    const data = articles.map(({ content, ...article }) => ({
+      ...article,
+      highlightedTitle: buildHighlightedSnippet(article.title, tokens, { maxLength: 500 }),
+      snippet: buildHighlightedSnippet([article.summary, content].filter(Boolean).join(' '), tokens)
+    }));
+
+    res.json({
+      data,
+      page: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      total,
+      query: q,
+      matchMode
+    });
+  } catch (error) {
+    // MaxTimeMSExpired: the prefix fallback hit its time limit
+    if (error.code === 50) {
+      return res.status(503).json({ error: 'Search took too long; try a more specific query' });
+    }
+    console.error('Error searching articles:', error);
+    res.status(500).json({ error: 'Failed to search articles' });
+  }
+};
@@ -1,9 +1,18 @@
 import Settings from '../models/Settings.js';
+import { VAPID_SETTINGS_KEY } from '../services/webPush.js';
+import { NEWSLETTER_SETTINGS_KEY } from '../services/newsletter.js';
+import { SUBSCRIBER_SECRET_SETTINGS_KEY } from '../services/subscriberTokens.js';
+import { PAYWALL_SETTINGS_KEY } from '../services/paywall.js';
+import { COMMENT_SETTINGS_KEY } from '../services/comments.js';
+import { DEVICE_SECRET_SETTINGS_KEY } from '../services/deviceIds.js';
+
+// Managed by their own endpoints; never returned or overwritten here
+const PRIVATE_SETTINGS = [VAPID_SETTINGS_KEY, NEWSLETTER_SETTINGS_KEY, SUBSCRIBER_SECRET_SETTINGS_KEY, PAYWALL_SETTINGS_KEY, COMMENT_SETTINGS_KEY, DEVICE_SECRET_SETTINGS_KEY];
 
 // Get all settings
 export const getSettings = async (req, res) => {
   try {
-    const settings = await Settings.find();
+    const settings = await Settings.find({ key: { $nin: PRIVATE_SETTINGS } });
     const settingsObj = {};
     
     settings.forEach(setting => {
@@ -22,17 +31,19 @@ export const updateSettings = async (req, res) => {
   try {
     const settingsData = req.body;
     
-    const updatePromises = Object.entries(settingsData).map(([key, value]) => {
-      return Settings.findOneAndUpdate(
-        { key },
-        { key, value },
-        { upsert: true, new: true }
-      );
-    });
+    const updatePromises = Object.entries(settingsData)
+      .filter(([key]) => !PRIVATE_SETTINGS.includes(key))
+      .map(([key, value]) => {
+        return Settings.findOneAndUpdate(
+          { key },
+          { key, value },
+          { upsert: true, new: true }
+        );
+      });
     
     await Promise.all(updatePromises);
     
-    const updatedSettings = await Settings.find();
+    const updatedSettings = await Settings.find({ key: { $nin: PRIVATE_SETTINGS } });
     const settingsObj = {};
     updatedSettings.forEach(setting => {
       settingsObj[setting.key] = setting.value;
@@ -1,132 +1,178 @@
-import fetch from 'node-fetch';
+import {
+  EXTERNAL_SPORTS,
+  getLiveMatches,
+  getUpcomingMatches,
+  getMatch,
+  getScorecard
+} from '../services/sportsData.js';
+import Tournament, { LOCAL_SPORTS } from '../models/Tournament.js';
+import { findLocalMatches, findLocalMatch, normalizeLocalMatch, localScorecard } from '../services/localSports.js';
 
-const SPORTS_MONK_API_KEY = process.env.SPORTS_MONK_KEY;
-const CRICKET_BASE_URL = 'https://cricket.sportmonks.com/api/v2.0';
-const FOOTBALL_BASE_URL = 'https://api.sportmonks.com/v3/football';
+// Browsers and CDNs may reuse answers this long (seconds)
+const LIVE_MAX_AGE = 15;
+const UPCOMING_MAX_AGE = 300;
+// Same window as the Sports Monk fixtures
+const UPCOMING_DAYS = 7;
 
-// Helper function to make API requests with error handling
-const makeRequest = async (url) => {
-  try {
-    const response = await fetch(url, {
-      headers: {
-        'Accept': 'application/json',
-      }
-    });
+const SPORTS = [...new Set([...EXTERNAL_SPORTS, ...LOCAL_SPORTS])];
 
-    if (!response.ok) {
-      throw new Error(`Sports Monk API error: ${response.status} ${response.statusText}`);
-    }
+// Local match ids are ObjectIds; Sports Monk ids are numeric
+const isLocalId = id => /^[0-9a-f]{24}$/i.test(id);
+
+const sendResult = (res, result, maxAge) => {
+  // Old data served while the provider is down should not be cached downstream
+  res.set('Cache-Control', result.stale || result.unavailable ? 'no-cache' : `public, max-age=${maxAge}`);
+  res.json(result);
+};
+
+const unknownSport = (req, res) => {
+  if (SPORTS.includes(req.params.sport)) return false;
+  res.status(404).json({ error: `Unknown sport: ${req.params.sport}` });
+  return true;
+};
+
+// Local data is read straight from the database, so it is never stale
+const localResult = (data, match) => ({ data, updatedAt: new Date(match.updatedAt || Date.now()).toISOString(), stale: false });
+
+const byStartTime = (a, b) => new Date(a.startsAt || 0) - new Date(b.startsAt || 0);
+
+// Sports Monk matches merged with the desk's local matches. When Sports Monk fails for a sport that also has local
+// matches, the local ones are still returned and `unavailable` names the missing source.
+const withLocalMatches = async (sport, fetchExternal, localFilter) => {
+  const [external, local] = await Promise.all([
+    EXTERNAL_SPORTS.includes(sport) ? fetchExternal(sport).catch(error => ({ error })) : null,
+    LOCAL_SPORTS.includes(sport) ? findLocalMatches({ sport, ...localFilter }) : []
+  ]);
+
+  if (external?.error) {
+    if (!LOCAL_SPORTS.includes(sport)) throw external.error;
+    console.error(`Error fetching ${sport} matches from Sports Monk:`, external.error);
+    return { data: local, updatedAt: new Date().toISOString(), stale: false, unavailable: ['sportmonks'] };
+  }
+  if (!external) return { data: local, updatedAt: new Date().toISOString(), stale: false };
+  return { ...external, data: [...external.data, ...local].sort(byStartTime) };
+};
+
+// Live matches (:sport = cricket|football|kabaddi), normalized; cricket includes local tournaments
+export const getLiveScores = async (req, res) => {
+  try {
+    if (unknownSport(req, res)) return;
+    const result = await withLocalMatches(req.params.sport, getLiveMatches, { statuses: ['live', 'break'] });
+    sendResult(res, result, LIVE_MAX_AGE);
+  } catch (error) {
+    console.error('Error fetching live scores:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch live scores' });
+  }
+};
 
-    const data = await response.json();
-    return data;
+// Matches in the next 7 days
+export const getUpcomingFixtures = async (req, res) => {
+  try {
+    if (unknownSport(req, res)) return;
+    const now = new Date();
+    const result = await withLocalMatches(req.params.sport, getUpcomingMatches, {
+      statuses: ['scheduled'],
+      from: now,
+      to: new Date(now.getTime() + UPCOMING_DAYS * 24 * 60 * 60 * 1000)
+    });
+    sendResult(res, result, UPCOMING_MAX_AGE);
   } catch (error) {
-    console.error('Sports Monk API Error:', error);
-    throw error;
+    console.error('Error fetching upcoming matches:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch upcoming matches' });
   }
 };
 
-// Get live cricket scores
-export const getCricketLiveScores = async (req, res) => {
+// Single match (local matches by their ObjectId)
+export const getMatchDetail = async (req, res) => {
   try {
-    if (!SPORTS_MONK_API_KEY) {
-      console.error('Sports Monk API key not configured');
-      return res.json({ data: [] });
+    if (unknownSport(req, res)) return;
+    if (isLocalId(req.params.id)) {
+      const local = await findLocalMatch(req.params.id);
+      if (!local || local.match.sport !== req.params.sport) {
+        return res.status(404).json({ error: 'Match not found' });
+      }
+      return sendResult(res, localResult(normalizeLocalMatch(local.match, local.tournament), local.match), LIVE_MAX_AGE);
+    }
+    if (!EXTERNAL_SPORTS.includes(req.params.sport)) {
+      return res.status(404).json({ error: 'Match not found' });
     }
 
-    const url = `${CRICKET_BASE_URL}/livescores?api_token=${SPORTS_MONK_API_KEY}&include=localteam,visitorteam,venue,scoreboards`;
-    const data = await makeRequest(url);
-    
-    console.log(`Cricket live scores: ${data?.data?.length || 0} matches found`);
-    res.json(data || { data: [] });
+    const result = await getMatch(req.params.sport, req.params.id);
+    if (!result.data) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    sendResult(res, result, ['live', 'break'].includes(result.data.status) ? LIVE_MAX_AGE : UPCOMING_MAX_AGE);
   } catch (error) {
-    console.error('Error fetching cricket live scores:', error);
-    // Return empty array instead of error to prevent frontend issues
-    res.json({ data: [] });
+    console.error('Error fetching match:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch match' });
   }
 };
 
-// Get upcoming cricket matches
-export const getCricketUpcomingMatches = async (req, res) => {
+// Match with its scorecard
+export const getMatchScorecard = async (req, res) => {
   try {
-    if (!SPORTS_MONK_API_KEY) {
-      console.error('Sports Monk API key not configured');
-      return res.json({ data: [] });
+    if (unknownSport(req, res)) return;
+    if (isLocalId(req.params.id)) {
+      const local = await findLocalMatch(req.params.id);
+      if (!local || local.match.sport !== req.params.sport) {
+        return res.status(404).json({ error: 'Match not found' });
+      }
+      const data = { match: normalizeLocalMatch(local.match, local.tournament), scorecard: await localScorecard(local.match) };
+      return sendResult(res, localResult(data, local.match), LIVE_MAX_AGE);
+    }
+    if (!EXTERNAL_SPORTS.includes(req.params.sport)) {
+      return res.status(404).json({ error: 'Match not found' });
     }
 
-    const today = new Date();
-    const nextWeek = new Date(today);
-    nextWeek.setDate(today.getDate() + 7);
-    
-    const startDate = today.toISOString().split('T')[0];
-    const endDate = nextWeek.toISOString().split('T')[0];
-
-    const url = `${CRICKET_BASE_URL}/fixtures?api_token=${SPORTS_MONK_API_KEY}&filter[starts_between]=${startDate},${endDate}&include=localteam,visitorteam,venue&sort=starting_at`;
-    const data = await makeRequest(url);
-    
-    console.log(`Cricket upcoming matches: ${data?.data?.length || 0} matches found`);
-    res.json(data || { data: [] });
+    const result = await getScorecard(req.params.sport, req.params.id);
+    if (!result.data) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    sendResult(res, result, ['live', 'break'].includes(result.data.match.status) ? LIVE_MAX_AGE : UPCOMING_MAX_AGE);
   } catch (error) {
-    console.error('Error fetching upcoming cricket matches:', error);
-    // Return empty array instead of error
-    res.json({ data: [] });
+    console.error('Error fetching scorecard:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch scorecard' });
   }
 };
 
-// Get live football scores (limited leagues in free tier)
-export const getFootballLiveScores = async (req, res) => {
+// Active local tournaments (?sport)
+export const getTournaments = async (req, res) => {
   try {
-    if (!SPORTS_MONK_API_KEY) {
-      console.error('Sports Monk API key not configured');
-      return res.json({ data: [] });
+    const query = { isActive: true };
+    if (req.query.sport !== undefined) {
+      if (!LOCAL_SPORTS.includes(req.query.sport)) {
+        return res.status(400).json({ error: `sport must be one of: ${LOCAL_SPORTS.join(', ')}` });
+      }
+      query.sport = req.query.sport;
     }
 
-    // Free tier has limited leagues - Scottish Premiership (237) and Danish Superliga (271)
-    const url = `${FOOTBALL_BASE_URL}/livescores/inplay?api_token=${SPORTS_MONK_API_KEY}&include=participants,league`;
-    const data = await makeRequest(url);
-    
-    console.log(`Football live scores: ${data?.data?.length || 0} matches found`);
-    res.json(data || { data: [] });
+    const tournaments = await Tournament.find(query)
+      .select('name nameEn slug sport location startDate endDate teams')
+      .sort({ startDate: -1 })
+      .lean();
+    res.set('Cache-Control', `public, max-age=${UPCOMING_MAX_AGE}`);
+    res.json(tournaments);
   } catch (error) {
-    console.error('Error fetching football live scores:', error);
-    // Return empty array instead of error
-    res.json({ data: [] });
+    console.error('Error fetching tournaments:', error);
+    res.status(500).json({ error: 'Failed to fetch tournaments' });
   }
 };
 
-// Get upcoming football matches
-export const getFootballUpcomingMatches = async (req, res) => {
+// Local tournament with all its matches (normalized)
+export const getTournament = async (req, res) => {
   try {
-    if (!SPORTS_MONK_API_KEY) {
-      console.error('Sports Monk API key not configured');
-      return res.json({ data: [] });
+    const tournament = await Tournament.findOne({ slug: req.params.slug, isActive: true })
+      .select('name nameEn slug sport location startDate endDate oversPerInnings teams')
+      .lean();
+    if (!tournament) {
+      return res.status(404).json({ error: 'Tournament not found' });
     }
 
-    const today = new Date();
-    const nextWeek = new Date(today);
-    nextWeek.setDate(today.getDate() + 7);
-    
-    const startDate = today.toISOString().split('T')[0];
-    const endDate = nextWeek.toISOString().split('T')[0];
-
-    // Football API v3 uses different endpoint structure
-    const url = `${FOOTBALL_BASE_URL}/fixtures/date/${startDate}?api_token=${SPORTS_MONK_API_KEY}&include=participants,league`;
-    const data = await makeRequest(url);
-    
-    // Filter for upcoming matches within date range
-    if (data && data.data && Array.isArray(data.data)) {
-      const filtered = data.data.filter(match => {
-        const matchDate = match.starting_at || match.date;
-        return matchDate && matchDate >= startDate && matchDate <= endDate;
-      });
-      data.data = filtered;
-    }
-    
-    console.log(`Football upcoming matches: ${data?.data?.length || 0} matches found`);
-    res.json(data || { data: [] });
+    const matches = await findLocalMatches({ tournamentId: tournament._id });
+    res.set('Cache-Control', `public, max-age=${LIVE_MAX_AGE}`);
+    res.json({ ...tournament, matches });
   } catch (error) {
-    console.error('Error fetching upcoming football matches:', error);
-    // Return empty array instead of error
-    res.json({ data: [] });
+    console.error('Error fetching tournament:', error);
+    res.status(500).json({ error: 'Failed to fetch tournament' });
   }
 };
-
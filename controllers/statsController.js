@@ -138,7 +138,7 @@ export const getStats = async (req, res) => {
         publishedAt: { $gte: today } 
       }).catch(() => 0),
       Article.countDocuments({ status: 'draft' }).catch(() => 0),
-      Article.countDocuments({ status: 'pending' }).catch(() => 0),
+      Article.countDocuments({ status: { $in: ['submitted', 'in-review'] } }).catch(() => 0),
       Article.aggregate([
         { $group: { _id: null, total: { $sum: '$views' } } }
       ]).then(result => result[0]?.total || 0).catch(() => 0),
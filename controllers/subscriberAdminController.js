@@ -0,0 +1,298 @@
+import ExcelJS from 'exceljs';
+import Subscriber from '../models/Subscriber.js';
+import SubscriberSegment from '../models/SubscriberSegment.js';
+import Category from '../models/Category.js';
+import { subscriberPreferences } from '../services/subscriberConsent.js';
+import { normalizeSegmentFilters, subscriberQuery, findSegment } from '../services/subscriberSegments.js';
+import { importSubscribers as runImport } from '../services/subscriberImport.js';
+import { toCsvRow } from '../utils/csv.js';
+
+const EXPORT_COLUMNS = [
+  { header: 'Name', key: 'name', width: 24 },
+  { header: 'Email', key: 'email', width: 32 },
+  { header: 'Phone', key: 'phone', width: 14 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Active', key: 'active', width: 8 },
+  { header: 'Email status', key: 'emailStatus', width: 12 },
+  { header: 'Frequency', key: 'frequency', width: 10 },
+  { header: 'Categories', key: 'categories', width: 30 },
+  { header: 'Channels', key: 'channels', width: 20 },
+  { header: 'Subscribed at', key: 'subscribedAt', width: 22 },
+  { header: 'Confirmed at', key: 'confirmedAt', width: 22 },
+  { header: 'Unsubscribed at', key: 'unsubscribedAt', width: 22 }
+];
+
+// Filters from a saved segment (?segmentId=) or the query string; throws 400/404 errors
+const readFilters = async (source) => {
+  if (source.segmentId) {
+    const segment = await findSegment(source.segmentId);
+    if (!segment) throw Object.assign(new Error('Segment not found'), { status: 404 });
+    return segment.filters;
+  }
+  return normalizeSegmentFilters(source);
+};
+
+// Export row for a subscriber (categories by slug)
+const exportRow = (subscriber, categorySlugs) => {
+  const preferences = subscriberPreferences(subscriber);
+  return {
+    name: subscriber.name,
+    email: subscriber.email,
+    phone: subscriber.phone,
+    status: subscriber.status || 'confirmed',
+    active: subscriber.isActive ? 'yes' : 'no',
+    emailStatus: subscriber.emailStatus || 'ok',
+    frequency: preferences.frequency,
+    categories: preferences.categoryIds.map(id => categorySlugs.get(id) || id).join(';'),
+    channels: Object.keys(preferences.channels).filter(channel => preferences.channels[channel]).join(';'),
+    subscribedAt: subscriber.subscribedAt || null,
+    confirmedAt: subscriber.confirmedAt || null,
+    unsubscribedAt: subscriber.unsubscribedAt || null
+  };
+};
+
+// Export subscribers as CSV or XLSX (?format=csv|xlsx, filters or ?segmentId=)
+export const exportSubscribers = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be csv or xlsx'
+      });
+    }
+
+    let filters;
+    try {
+      filters = await readFilters(req.query);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const categories = await Category.find().select('slug').lean();
+    const categorySlugs = new Map(categories.map(category => [category._id.toString(), category.slug]));
+    const cursor = Subscriber.find(subscriberQuery(filters)).sort({ subscribedAt: -1 }).lean().cursor();
+    const fileName = `subscribers-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      // Byte order mark so Excel reads the Marathi names as UTF-8
+      res.write(`\uFEFF${toCsvRow(EXPORT_COLUMNS.map(column => column.header))}\r\n`);
+      for await (const subscriber of cursor) {
+        const row = exportRow(subscriber, categorySlugs);
+        res.write(`${toCsvRow(EXPORT_COLUMNS.map(column => row[column.key]))}\r\n`);
+      }
+      return res.end();
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Subscribers');
+    sheet.columns = EXPORT_COLUMNS;
+    sheet.getRow(1).font = { bold: true };
+    for await (const subscriber of cursor) {
+      sheet.addRow(exportRow(subscriber, categorySlugs)).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+  } catch (error) {
+    console.error('Error exporting subscribers:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting subscribers',
+      error: error.message
+    });
+  }
+};
+
+// Import subscribers from an uploaded CSV ("file" field; ?dryRun=true to only get the report)
+export const importSubscribers = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV file is required'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const report = await runImport(req.file.buffer.toString('utf8'), { dryRun, req });
+
+    res.status(200).json({
+      success: true,
+      message: dryRun ? 'Import checked (nothing saved)' : 'Import finished',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error importing subscribers:', error);
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error importing subscribers',
+      error: error.message
+    });
+  }
+};
+
+// Saved segments with their current subscriber counts
+export const getSegments = async (req, res) => {
+  try {
+    const segments = await SubscriberSegment.find().sort({ name: 1 }).populate('createdBy', 'name').lean();
+    const counts = await Promise.all(segments.map(segment => Subscriber.countDocuments(subscriberQuery(segment.filters))));
+
+    res.status(200).json({
+      success: true,
+      data: segments.map((segment, index) => ({ ...segment, subscriberCount: counts[index] }))
+    });
+  } catch (error) {
+    console.error('Error fetching segments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching segments',
+      error: error.message
+    });
+  }
+};
+
+// Preview a segment: count and first subscribers (:id of a saved segment, or filters in the query)
+export const previewSegment = async (req, res) => {
+  try {
+    let filters;
+    try {
+      filters = await readFilters(req.params.id ? { segmentId: req.params.id } : req.query);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const query = subscriberQuery(filters);
+    const [total, sample] = await Promise.all([
+      Subscriber.countDocuments(query),
+      Subscriber.find(query).sort({ subscribedAt: -1 }).limit(20).select('name email phone status isActive subscribedAt').lean()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { filters, total, sample }
+    });
+  } catch (error) {
+    console.error('Error previewing segment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error previewing segment',
+      error: error.message
+    });
+  }
+};
+
+// Create a segment ({ name, description, filters })
+export const createSegment = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+
+    const segment = await SubscriberSegment.create({
+      name,
+      description,
+      filters: await normalizeSegmentFilters(req.body.filters),
+      createdBy: req.user?._id || null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: segment
+    });
+  } catch (error) {
+    console.error('Error creating segment:', error);
+    if (error.status || error.code === 11000) {
+      return res.status(error.status || 409).json({
+        success: false,
+        message: error.status ? error.message : 'A segment with this name already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating segment',
+      error: error.message
+    });
+  }
+};
+
+// Update a segment's name, description and/or filters
+export const updateSegment = async (req, res) => {
+  try {
+    const segment = await findSegment(req.params.id);
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    const update = {};
+    if (req.body.name !== undefined) update.name = req.body.name;
+    if (req.body.description !== undefined) update.description = req.body.description;
+    if (req.body.filters !== undefined) update.filters = await normalizeSegmentFilters(req.body.filters);
+
+    const updated = await SubscriberSegment.findByIdAndUpdate(segment._id, { $set: update }, { new: true, runValidators: true });
+
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    console.error('Error updating segment:', error);
+    if (error.status || error.code === 11000) {
+      return res.status(error.status || 409).json({
+        success: false,
+        message: error.status ? error.message : 'A segment with this name already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating segment',
+      error: error.message
+    });
+  }
+};
+
+// Delete a segment (newsletter issues keep the filters they were sent with)
+export const deleteSegment = async (req, res) => {
+  try {
+    const segment = await findSegment(req.params.id);
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Segment not found'
+      });
+    }
+
+    await SubscriberSegment.deleteOne({ _id: segment._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Segment deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting segment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting segment',
+      error: error.message
+    });
+  }
+};
@@ -1,4 +1,50 @@
+import mongoose from 'mongoose';
 import Subscriber from '../models/Subscriber.js';
+import SubscriberConsent from '../models/SubscriberConsent.js';
+import {
+  subscriberPreferences,
+  mergePreferences,
+  recordConsent,
+  sendConfirmationEmail,
+  sendManageLinkEmail
+} from '../services/subscriberConsent.js';
+import { signSubscriberToken, verifySubscriberToken } from '../services/subscriberTokens.js';
+
+// Same answer whether or not the address is known, so the endpoints can't be used to look up subscribers
+const LINK_SENT_MESSAGE = 'If this email is subscribed, a link to manage your subscription has been sent to it';
+
+// Failures are only logged: an error answer for known addresses would tell who is subscribed
+const trySendManageLink = async (subscriber) => {
+  try {
+    await sendManageLinkEmail(subscriber);
+  } catch (error) {
+    console.error('Error sending manage link:', error);
+  }
+};
+
+// The subscription is saved even if the mail server is down; signing up again resends the link
+const sendConfirmation = async (subscriber) => {
+  try {
+    await sendConfirmationEmail(subscriber);
+  } catch (error) {
+    console.error(`Error sending confirmation email to subscriber ${subscriber._id}:`, error.message);
+  }
+};
+
+// Subscriber for a preference center token (null if invalid or expired)
+const findByManageToken = async (token) => {
+  const subscriberId = await verifySubscriberToken(token, 'manage');
+  return subscriberId && mongoose.Types.ObjectId.isValid(subscriberId) ? Subscriber.findById(subscriberId) : null;
+};
+
+// Subscriber and preferences as shown in the preference center
+const preferenceCenterData = (subscriber) => ({
+  name: subscriber.name,
+  email: subscriber.email,
+  status: subscriber.status,
+  subscribed: subscriber.isActive,
+  preferences: subscriberPreferences(subscriber)
+});
 
 // Create a new subscriber
 export const createSubscriber = async (req, res) => {
@@ -40,37 +86,61 @@ export const createSubscriber = async (req, res) => {
       ]
     });
 
+    // Topics, frequency and channels chosen on the form (optional; merged into earlier choices)
+    let preferences;
+    try {
+      preferences = await mergePreferences(
+        req.body.preferences || {},
+        existingSubscriber ? subscriberPreferences(existingSubscriber) : undefined
+      );
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
     if (existingSubscriber) {
-      // If subscriber exists but is inactive, reactivate them
-      if (!existingSubscriber.isActive) {
-        existingSubscriber.isActive = true;
-        existingSubscriber.name = name; // Update name in case it changed
-        await existingSubscriber.save();
-        return res.status(200).json({
-          success: true,
-          message: 'Subscription reactivated successfully',
-          data: existingSubscriber
+      if (existingSubscriber.isActive && existingSubscriber.emailStatus !== 'bounced') {
+        return res.status(409).json({
+          success: false,
+          message: 'You are already subscribed with this email or phone number'
         });
       }
-      
-      return res.status(409).json({
-        success: false,
-        message: 'You are already subscribed with this email or phone number'
+
+      // Inactive, unconfirmed or bounced: the address has to be confirmed (again) before anything is sent
+      const wasPending = existingSubscriber.status === 'pending';
+      existingSubscriber.name = name.trim(); // Update name in case it changed
+      existingSubscriber.status = 'pending';
+      existingSubscriber.isActive = false;
+      existingSubscriber.preferences = preferences;
+      await existingSubscriber.save();
+      await recordConsent(existingSubscriber, 'subscribed', { source: 'form', req });
+      await sendConfirmation(existingSubscriber);
+
+      return res.status(200).json({
+        success: true,
+        message: wasPending
+          ? 'Confirmation email sent again - please check your inbox'
+          : 'Please check your email to confirm your subscription'
       });
     }
 
-    // Create new subscriber
+    // Create new subscriber (pending until the emailed link is opened)
     const subscriber = new Subscriber({
       name: name.trim(),
       email: email.toLowerCase().trim(),
-      phone: cleanPhone
+      phone: cleanPhone,
+      status: 'pending',
+      isActive: false,
+      preferences
     });
 
     await subscriber.save();
+    await recordConsent(subscriber, 'subscribed', { source: 'form', req });
+    await sendConfirmation(subscriber);
 
     res.status(201).json({
       success: true,
-      message: 'Subscription successful',
+      message: 'Please check your email to confirm your subscription',
       data: subscriber
     });
   } catch (error) {
@@ -95,13 +165,16 @@ export const createSubscriber = async (req, res) => {
 // Get all subscribers (admin only - can be protected later)
 export const getSubscribers = async (req, res) => {
   try {
-    const { page = 1, limit = 50, isActive } = req.query;
+    const { page = 1, limit = 50, isActive, status } = req.query;
     const skip = (page - 1) * limit;
 
     const query = {};
     if (isActive !== undefined) {
       query.isActive = isActive === 'true';
     }
+    if (status) {
+      query.status = status;
+    }
 
     const subscribers = await Subscriber.find(query)
       .sort({ subscribedAt: -1 })
@@ -185,28 +258,50 @@ export const checkSubscriber = async (req, res) => {
 };
 
 // Unsubscribe (soft delete)
+// With the newsletter token or a preference center token (?token= also works for one-click List-Unsubscribe POSTs).
+// With only an email, a preference center link is emailed instead - nobody can unsubscribe someone else.
 export const unsubscribe = async (req, res) => {
   try {
     const { email } = req.body;
+    const token = req.body.token || req.query.token;
 
-    if (!email) {
+    if (!email && !token) {
       return res.status(400).json({
         success: false,
         message: 'Email is required'
       });
     }
 
-    const subscriber = await Subscriber.findOne({ email: email.toLowerCase() });
+    if (!token) {
+      const subscriber = await Subscriber.findOne({ email: String(email).toLowerCase().trim() });
+      if (subscriber && subscriber.isActive) {
+        await trySendManageLink(subscriber);
+      }
+      return res.status(200).json({
+        success: true,
+        message: LINK_SENT_MESSAGE
+      });
+    }
+
+    const subscriber = (await Subscriber.findOne({ unsubscribeToken: String(token) })) ||
+      (await findByManageToken(token));
 
     if (!subscriber) {
       return res.status(404).json({
         success: false,
-        message: 'Subscriber not found'
+        message: 'This unsubscribe link is invalid or has expired'
       });
     }
 
-    subscriber.isActive = false;
-    await subscriber.save();
+    if (subscriber.isActive || subscriber.status === 'pending') {
+      subscriber.isActive = false;
+      subscriber.status = 'unsubscribed';
+      subscriber.unsubscribedAt = new Date();
+      await subscriber.save();
+      // Mail clients send "List-Unsubscribe=One-Click" (RFC 8058)
+      const source = req.body['List-Unsubscribe'] === 'One-Click' ? 'one_click' : 'email_link';
+      await recordConsent(subscriber, 'unsubscribed', { source, req });
+    }
 
     res.status(200).json({
       success: true,
@@ -222,3 +317,203 @@ export const unsubscribe = async (req, res) => {
   }
 };
 
+// Confirm a pending subscription ({ token } from the confirmation email)
+export const confirmSubscription = async (req, res) => {
+  try {
+    const subscriberId = await verifySubscriberToken(req.body.token || req.query.token, 'confirm');
+    const subscriber = subscriberId && mongoose.Types.ObjectId.isValid(subscriberId)
+      ? await Subscriber.findById(subscriberId)
+      : null;
+
+    if (!subscriber) {
+      return res.status(400).json({
+        success: false,
+        message: 'This confirmation link is invalid or has expired'
+      });
+    }
+
+    // Only pending subscriptions; an old link must not undo a later unsubscribe
+    if (subscriber.status === 'pending') {
+      subscriber.status = 'confirmed';
+      subscriber.isActive = true;
+      subscriber.confirmedAt = new Date();
+      subscriber.unsubscribedAt = null;
+      subscriber.emailStatus = 'ok';
+      subscriber.emailBouncedAt = null;
+      subscriber.softBounceCount = 0;
+      await subscriber.save();
+      await recordConsent(subscriber, 'confirmed', { source: 'email_link', req });
+    } else if (subscriber.status === 'unsubscribed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This subscription was cancelled - please subscribe again'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription confirmed',
+      // Lets the confirmation page continue straight to the preference center
+      manageToken: await signSubscriberToken(subscriber._id, 'manage'),
+      data: preferenceCenterData(subscriber)
+    });
+  } catch (error) {
+    console.error('Error confirming subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error confirming subscription',
+      error: error.message
+    });
+  }
+};
+
+// Email a preference center link ({ email }) - same answer whether or not the address is subscribed
+export const requestManageLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const subscriber = await Subscriber.findOne({ email: String(email).toLowerCase().trim() });
+    if (subscriber && subscriber.status !== 'pending') {
+      await trySendManageLink(subscriber);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: LINK_SENT_MESSAGE
+    });
+  } catch (error) {
+    console.error('Error sending manage link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending manage link',
+      error: error.message
+    });
+  }
+};
+
+// Preference center: current preferences (?token= from a manage link)
+export const getPreferences = async (req, res) => {
+  try {
+    const subscriber = await findByManageToken(req.query.token);
+
+    if (!subscriber) {
+      return res.status(401).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: preferenceCenterData(subscriber)
+    });
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching preferences',
+      error: error.message
+    });
+  }
+};
+
+// Preference center: save preferences and/or (un)subscribe
+// Body: { token, categories: [id|slug], frequency: "daily"|"weekly", channels: { email, whatsapp, push }, subscribed }
+export const updatePreferences = async (req, res) => {
+  try {
+    const subscriber = await findByManageToken(req.body.token || req.query.token);
+
+    if (!subscriber) {
+      return res.status(401).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    const previousPreferences = subscriberPreferences(subscriber);
+    let preferences;
+    try {
+      preferences = await mergePreferences(req.body, previousPreferences);
+    } catch (error) {
+      if (!error.status) throw error;
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const { subscribed } = req.body;
+    const changedPreferences = JSON.stringify(preferences) !== JSON.stringify(previousPreferences);
+    const unsubscribing = subscribed === false && subscriber.isActive;
+    // The manage link was emailed to the address, which proves ownership like a confirmation link
+    const resubscribing = subscribed === true && !subscriber.isActive;
+
+    subscriber.preferences = preferences;
+    if (unsubscribing) {
+      subscriber.isActive = false;
+      subscriber.status = 'unsubscribed';
+      subscriber.unsubscribedAt = new Date();
+    }
+    if (resubscribing) {
+      subscriber.isActive = true;
+      subscriber.status = 'confirmed';
+      subscriber.confirmedAt = subscriber.confirmedAt || new Date();
+      subscriber.unsubscribedAt = null;
+      subscriber.emailStatus = 'ok';
+      subscriber.emailBouncedAt = null;
+      subscriber.softBounceCount = 0;
+    }
+    await subscriber.save();
+
+    const context = { source: 'preference_center', req, previousPreferences };
+    if (changedPreferences) await recordConsent(subscriber, 'preferences_updated', context);
+    if (unsubscribing) await recordConsent(subscriber, 'unsubscribed', context);
+    if (resubscribing) await recordConsent(subscriber, 'resubscribed', context);
+
+    res.status(200).json({
+      success: true,
+      message: 'Preferences saved',
+      data: preferenceCenterData(subscriber)
+    });
+  } catch (error) {
+    console.error('Error updating preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating preferences',
+      error: error.message
+    });
+  }
+};
+
+// Consent audit trail of a subscriber (admin only)
+export const getConsentHistory = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscriber not found'
+      });
+    }
+
+    const history = await SubscriberConsent.find({ subscriberId: req.params.id })
+      .sort({ createdAt: -1 })
+      .populate('userId', 'name')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error fetching consent history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching consent history',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,288 @@
+import mongoose from 'mongoose';
+import Tag from '../models/Tag.js';
+import Article from '../models/Article.js';
+import ArticleDailyViews from '../models/ArticleDailyViews.js';
+import { findTagBySlug, buildTagSlugs } from '../utils/tags.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields shown in topic page article lists
+const LIST_FIELDS = 'title titleEn summary featuredImage slug publishedAt views commentCount categoryId authorId tags isBreaking';
+
+// Published article count per tag
+const countArticles = async (tagIds) => {
+  const counts = await Article.aggregate([
+    { $match: { tags: { $in: tagIds }, status: 'published' } },
+    { $unwind: '$tags' },
+    { $match: { tags: { $in: tagIds } } },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(item => [String(item._id), item.count]));
+};
+
+const withCounts = async (tags) => {
+  const counts = await countArticles(tags.map(tag => tag._id));
+  return tags.map(tag => ({ ...tag, articleCount: counts.get(String(tag._id)) || 0 }));
+};
+
+// Get all tags (public: active only)
+export const getTags = async (req, res) => {
+  try {
+    const { search, limit = 100 } = req.query;
+    const query = req.user ? {} : { isActive: true };
+
+    if (search) {
+      const regex = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ name: regex }, { nameEn: regex }, { slug: regex }];
+    }
+
+    const tags = await Tag.find(query)
+      .sort({ name: 1 })
+      .limit(Math.min(parseInt(limit) || 100, 500))
+      .lean();
+
+    const data = await withCounts(tags);
+    data.sort((a, b) => b.articleCount - a.articleCount);
+
+    res.json({ data });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+};
+
+// Get single tag (slug, English slug, old alias or ID)
+export const getTag = async (req, res) => {
+  try {
+    const tag = await findTagBySlug(req.params.slug);
+
+    if (!tag || (!tag.isActive && !req.user)) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const [data] = await withCounts([tag.toObject()]);
+    res.json(data);
+  } catch (error) {
+    console.error('Error fetching tag:', error);
+    res.status(500).json({ error: 'Failed to fetch tag' });
+  }
+};
+
+// Published articles for a topic page
+export const getTagArticles = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const tag = await findTagBySlug(req.params.slug);
+
+    if (!tag || !tag.isActive) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+    const query = { tags: tag._id, status: 'published' };
+
+    const [articles, total] = await Promise.all([
+      Article.find(query)
+        .select(LIST_FIELDS)
+        .populate('categoryId', 'name nameEn')
+        .populate('authorId', 'name designation profileImage')
+        .populate('tags', 'name nameEn slug')
+        .sort({ publishedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Article.countDocuments(query)
+    ]);
+
+    res.json({
+      tag,
+      data: articles,
+      page: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching tag articles:', error);
+    res.status(500).json({ error: 'Failed to fetch tag articles' });
+  }
+};
+
+// Tags of the most viewed articles over the last few days
+export const getTrendingTags = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 30);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const since = new Date(Date.now() - days * DAY_MS);
+    since.setUTCHours(0, 0, 0, 0);
+
+    const trending = await ArticleDailyViews.aggregate([
+      { $match: { day: { $gte: since } } },
+      { $group: { _id: '$articleId', views: { $sum: '$views' } } },
+      {
+        $lookup: {
+          from: Article.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'article'
+        }
+      },
+      { $unwind: '$article' },
+      { $match: { 'article.status': 'published' } },
+      { $unwind: '$article.tags' },
+      { $group: { _id: '$article.tags', views: { $sum: '$views' }, articles: { $sum: 1 } } },
+      {
+        $lookup: {
+          from: Tag.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'tag'
+        }
+      },
+      { $unwind: '$tag' },
+      { $match: { 'tag.isActive': true } },
+      { $sort: { views: -1, articles: -1 } },
+      { $limit: limit }
+    ]);
+
+    res.json({
+      data: trending.map(item => ({
+        _id: item.tag._id,
+        name: item.tag.name,
+        nameEn: item.tag.nameEn,
+        slug: item.tag.slug,
+        views: item.views,
+        articleCount: item.articles
+      })),
+      days
+    });
+  } catch (error) {
+    console.error('Error fetching trending tags:', error);
+    res.status(500).json({ error: 'Failed to fetch trending tags' });
+  }
+};
+
+// Create tag
+export const createTag = async (req, res) => {
+  try {
+    const { name, nameEn = '', description = '', isActive = true } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Tag name is required' });
+    }
+
+    const tag = await Tag.create({
+      name,
+      nameEn,
+      description,
+      isActive,
+      ...(await buildTagSlugs({ name, nameEn }))
+    });
+
+    res.status(201).json(tag);
+  } catch (error) {
+    console.error('Error creating tag:', error);
+    res.status(400).json({ error: error.message || 'Failed to create tag' });
+  }
+};
+
+// Update / rename tag (old slugs are kept as aliases)
+export const updateTag = async (req, res) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const { name, nameEn, description, isActive } = req.body;
+    const renamed = (name !== undefined && name !== tag.name) || (nameEn !== undefined && nameEn !== tag.nameEn);
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ error: 'Tag name is required' });
+      }
+      tag.name = name;
+    }
+    if (nameEn !== undefined) tag.nameEn = nameEn;
+    if (description !== undefined) tag.description = description;
+    if (isActive !== undefined) tag.isActive = isActive;
+
+    if (renamed) {
+      const oldSlugs = [tag.slug, tag.slugEn].filter(Boolean);
+      Object.assign(tag, await buildTagSlugs(tag, tag._id));
+      tag.aliases = [...new Set([...tag.aliases, ...oldSlugs])]
+        .filter(alias => alias !== tag.slug && alias !== tag.slugEn);
+    }
+
+    await tag.save();
+    res.json(tag);
+  } catch (error) {
+    console.error('Error updating tag:', error);
+    res.status(400).json({ error: error.message || 'Failed to update tag' });
+  }
+};
+
+// Delete tag (removed from all articles)
+export const deleteTag = async (req, res) => {
+  try {
+    const tag = await Tag.findByIdAndDelete(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    await Article.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ error: 'Failed to delete tag' });
+  }
+};
+
+// Merge other tags into this one: articles are re-tagged and the merged tags' slugs become aliases
+export const mergeTags = async (req, res) => {
+  try {
+    const { sourceIds } = req.body;
+
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0) {
+      return res.status(400).json({ error: 'sourceIds must be a non-empty array' });
+    }
+    if (!sourceIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ error: 'Invalid tag ID' });
+    }
+
+    const target = await Tag.findById(req.params.id);
+    if (!target) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const sources = await Tag.find({ _id: { $in: sourceIds, $ne: target._id } });
+    if (sources.length === 0) {
+      return res.status(400).json({ error: 'No tags to merge' });
+    }
+    const sourceTagIds = sources.map(tag => tag._id);
+
+    const articlesUpdated = await Article.countDocuments({ tags: { $in: sourceTagIds } });
+
+    // Two steps: $addToSet and $pull cannot touch the same array in one update
+    await Article.updateMany({ tags: { $in: sourceTagIds } }, { $addToSet: { tags: target._id } });
+    await Article.updateMany({ tags: { $in: sourceTagIds } }, { $pull: { tags: { $in: sourceTagIds } } });
+
+    const aliases = sources.flatMap(tag => [tag.slug, tag.slugEn, ...tag.aliases]).filter(Boolean);
+    target.aliases = [...new Set([...target.aliases, ...aliases])]
+      .filter(alias => alias !== target.slug && alias !== target.slugEn);
+    await target.save();
+
+    await Tag.deleteMany({ _id: { $in: sourceTagIds } });
+
+    res.json({
+      message: `Merged ${sources.length} tags into "${target.name}"`,
+      tag: target,
+      articlesUpdated
+    });
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    res.status(500).json({ error: 'Failed to merge tags' });
+  }
+};
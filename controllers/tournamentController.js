@@ -0,0 +1,293 @@
+import mongoose from 'mongoose';
+import Tournament, { LOCAL_SPORTS } from '../models/Tournament.js';
+import Match, { LOCAL_MATCH_STATUSES } from '../models/Match.js';
+import Score from '../models/Score.js';
+import {
+  prepareTournamentFields,
+  prepareMatchFields,
+  normalizeLocalMatch,
+  addBall,
+  setPeriodScore,
+  undoLastScore
+} from '../services/localSports.js';
+
+const readPagination = (query, defaultLimit = 20) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100);
+  return { page, limit };
+};
+
+const findById = (Model, id) => (mongoose.Types.ObjectId.isValid(id) ? Model.findById(id).lean() : null);
+
+// Match with its normalized form (names and scores as the public endpoints show them)
+const withNormalized = async (match) => {
+  const tournament = await Tournament.findById(match.tournamentId).lean();
+  return { ...match, normalized: normalizeLocalMatch(match, tournament) };
+};
+
+// Admin: all tournaments (?sport, ?active=true|false)
+export const getAllTournaments = async (req, res) => {
+  try {
+    const { page, limit } = readPagination(req.query);
+    const query = {};
+    if (req.query.sport !== undefined) {
+      if (!LOCAL_SPORTS.includes(req.query.sport)) {
+        return res.status(400).json({ error: `sport must be one of: ${LOCAL_SPORTS.join(', ')}` });
+      }
+      query.sport = req.query.sport;
+    }
+    if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+
+    const [tournaments, total] = await Promise.all([
+      Tournament.find(query).sort({ startDate: -1, createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Tournament.countDocuments(query)
+    ]);
+
+    res.json({
+      data: tournaments,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching tournaments:', error);
+    res.status(500).json({ error: 'Failed to fetch tournaments' });
+  }
+};
+
+// Admin: get a tournament with its matches
+export const getTournamentById = async (req, res) => {
+  try {
+    const tournament = await findById(Tournament, req.params.id);
+    if (!tournament) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    const matches = await Match.find({ tournamentId: tournament._id }).sort({ startsAt: 1 }).lean();
+    res.json({ ...tournament, matches: matches.map(match => normalizeLocalMatch(match, tournament)) });
+  } catch (error) {
+    console.error('Error fetching tournament:', error);
+    res.status(500).json({ error: 'Failed to fetch tournament' });
+  }
+};
+
+// Admin: create a tournament ({ name, nameEn, slug, sport, location, startDate, endDate, oversPerInnings, teams: [name | { name, nameEn, shortName, logo }], isActive })
+export const createTournament = async (req, res) => {
+  try {
+    const fields = await prepareTournamentFields(req.body);
+    const tournament = await Tournament.create({ ...fields, createdBy: req.user._id });
+    res.status(201).json(tournament);
+  } catch (error) {
+    console.error('Error creating tournament:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create tournament' });
+  }
+};
+
+// Admin: update a tournament (partial; teams keep their ids when sent with their _id)
+export const updateTournament = async (req, res) => {
+  try {
+    const existing = await findById(Tournament, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    const fields = await prepareTournamentFields(req.body, existing);
+    const tournament = await Tournament.findByIdAndUpdate(existing._id, { $set: fields }, { new: true, runValidators: true });
+    res.json(tournament);
+  } catch (error) {
+    console.error('Error updating tournament:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update tournament' });
+  }
+};
+
+// Admin: delete a tournament (only once its matches are deleted)
+export const deleteTournament = async (req, res) => {
+  try {
+    const tournament = await findById(Tournament, req.params.id);
+    if (!tournament) {
+      return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    if (await Match.exists({ tournamentId: tournament._id })) {
+      return res.status(409).json({ error: 'Delete the matches of this tournament first' });
+    }
+
+    await Tournament.deleteOne({ _id: tournament._id });
+    res.json({ message: 'Tournament deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting tournament:', error);
+    res.status(500).json({ error: 'Failed to delete tournament' });
+  }
+};
+
+// Admin: matches (?tournamentId, ?status, ?from, ?to)
+export const getAllMatches = async (req, res) => {
+  try {
+    const { page, limit } = readPagination(req.query, 50);
+    const query = {};
+
+    if (req.query.tournamentId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.tournamentId)) {
+        return res.status(400).json({ error: 'Invalid tournamentId' });
+      }
+      query.tournamentId = req.query.tournamentId;
+    }
+    if (req.query.status !== undefined) {
+      if (!LOCAL_MATCH_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of: ${LOCAL_MATCH_STATUSES.join(', ')}` });
+      }
+      query.status = req.query.status;
+    }
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (req.query[param] === undefined) continue;
+      const date = new Date(String(req.query[param]));
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ error: `Invalid ${param} date` });
+      }
+      query.startsAt = { ...query.startsAt, [operator]: date };
+    }
+
+    const [matches, total] = await Promise.all([
+      Match.find(query).sort({ startsAt: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Match.countDocuments(query)
+    ]);
+
+    res.json({
+      data: await Promise.all(matches.map(withNormalized)),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching matches:', error);
+    res.status(500).json({ error: 'Failed to fetch matches' });
+  }
+};
+
+// Admin: get a match
+export const getMatchById = async (req, res) => {
+  try {
+    const match = await findById(Match, req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    res.json(await withNormalized(match));
+  } catch (error) {
+    console.error('Error fetching match:', error);
+    res.status(500).json({ error: 'Failed to fetch match' });
+  }
+};
+
+// Admin: create a match ({ tournamentId, teamIds: [id, id], startsAt, venue: { name, city }, round, oversPerInnings, ... })
+export const createMatch = async (req, res) => {
+  try {
+    const tournament = await findById(Tournament, req.body.tournamentId);
+    if (!tournament) {
+      return res.status(400).json({ error: 'Tournament not found' });
+    }
+
+    const fields = prepareMatchFields(req.body, tournament);
+    const match = await Match.create({ ...fields, tournamentId: tournament._id, sport: tournament.sport, createdBy: req.user._id });
+    res.status(201).json(await withNormalized(match.toObject()));
+  } catch (error) {
+    console.error('Error creating match:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create match' });
+  }
+};
+
+// Admin: update a match (partial; status, result, winnerTeamId, toss and schedule)
+export const updateMatch = async (req, res) => {
+  try {
+    const existing = await findById(Match, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const tournament = await Tournament.findById(existing.tournamentId).lean();
+    const fields = prepareMatchFields(req.body, tournament, existing);
+    const match = await Match.findByIdAndUpdate(existing._id, { $set: fields }, { new: true, runValidators: true }).lean();
+    res.json(await withNormalized(match));
+  } catch (error) {
+    console.error('Error updating match:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update match' });
+  }
+};
+
+// Admin: delete a match with its score entries
+export const deleteMatch = async (req, res) => {
+  try {
+    const match = mongoose.Types.ObjectId.isValid(req.params.id) ? await Match.findByIdAndDelete(req.params.id) : null;
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    await Score.deleteMany({ matchId: match._id });
+    res.json({ message: 'Match deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting match:', error);
+    res.status(500).json({ error: 'Failed to delete match' });
+  }
+};
+
+// Admin: score entries of a match in order of entry
+export const getMatchScores = async (req, res) => {
+  try {
+    const match = await findById(Match, req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const scores = await Score.find({ matchId: match._id }).sort({ seq: 1 }).lean();
+    res.json({ data: scores, summary: match.summary });
+  } catch (error) {
+    console.error('Error fetching match scores:', error);
+    res.status(500).json({ error: 'Failed to fetch match scores' });
+  }
+};
+
+// Admin: record a cricket delivery ({ innings, battingTeamId, runs, extras: { kind, runs }, wicket: { kind, playerOut }, batter, bowler, commentary })
+export const recordBall = async (req, res) => {
+  try {
+    const match = await findById(Match, req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const result = await addBall(match, req.body, req.user._id);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error recording ball:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to record ball' });
+  }
+};
+
+// Admin: set the points of a kabaddi half ({ period, points: { teamId: n } })
+export const recordPeriod = async (req, res) => {
+  try {
+    const match = await findById(Match, req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const result = await setPeriodScore(match, req.body, req.user._id);
+    res.json(result);
+  } catch (error) {
+    console.error('Error recording period score:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to record period score' });
+  }
+};
+
+// Admin: undo the last score entry
+export const undoLastMatchScore = async (req, res) => {
+  try {
+    const match = await findById(Match, req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const result = await undoLastScore(match);
+    if (!result) {
+      return res.status(404).json({ error: 'No score entries to undo' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error undoing score entry:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to undo score entry' });
+  }
+};
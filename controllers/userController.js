@@ -0,0 +1,158 @@
+import User, { USER_ROLES } from '../models/User.js';
+import Session from '../models/Session.js';
+import { hashPassword, MIN_PASSWORD_LENGTH } from '../utils/password.js';
+
+// Get all users (admin)
+export const getUsers = async (req, res) => {
+  try {
+    const { role, isActive } = req.query;
+    const query = {};
+
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const users = await User.find(query).sort({ name: 1 });
+    res.json({ data: users });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+};
+
+// Get single user (admin)
+export const getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+};
+
+// Create user (admin)
+export const createUser = async (req, res) => {
+  try {
+    const { name, email, password, role, authorId, isActive } = req.body;
+
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    if (role && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Allowed roles: ${USER_ROLES.join(', ')}` });
+    }
+
+    const user = new User({
+      name,
+      email,
+      role,
+      authorId: authorId || null,
+      isActive: isActive !== false,
+      passwordHash: await hashPassword(password)
+    });
+
+    await user.save();
+    res.status(201).json(user);
+  } catch (error) {
+    console.error('Error creating user:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+
+    const errorMessage = error.name === 'ValidationError'
+      ? Object.values(error.errors).map(e => e.message).join(', ')
+      : error.message || 'Failed to create user';
+    res.status(400).json({ error: errorMessage });
+  }
+};
+
+// Update user (admin) - changing password, role or disabling revokes sessions
+export const updateUser = async (req, res) => {
+  try {
+    const { name, email, password, role, authorId, isActive } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Allowed roles: ${USER_ROLES.join(', ')}` });
+    }
+
+    // Prevent admins from locking themselves out
+    const isSelf = String(user._id) === String(req.user._id);
+    if (isSelf && ((role !== undefined && role !== 'admin') || isActive === false)) {
+      return res.status(400).json({ error: 'You cannot remove your own admin access' });
+    }
+
+    let revokeSessions = false;
+
+    if (name !== undefined) user.name = name;
+    if (email !== undefined) user.email = email;
+    if (authorId !== undefined) user.authorId = authorId || null;
+    if (role !== undefined && role !== user.role) {
+      user.role = role;
+      revokeSessions = true;
+    }
+    if (isActive !== undefined) {
+      user.isActive = isActive === true || isActive === 'true';
+      if (!user.isActive) revokeSessions = true;
+    }
+    if (password) {
+      if (String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      user.passwordHash = await hashPassword(password);
+      revokeSessions = true;
+    }
+
+    await user.save();
+
+    if (revokeSessions && !isSelf) {
+      await Session.deleteMany({ userId: user._id });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Error updating user:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+
+    const errorMessage = error.name === 'ValidationError'
+      ? Object.values(error.errors).map(e => e.message).join(', ')
+      : error.message || 'Failed to update user';
+    res.status(400).json({ error: errorMessage });
+  }
+};
+
+// Delete user (admin)
+export const deleteUser = async (req, res) => {
+  try {
+    if (String(req.params.id) === String(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    const user = await User.findByIdAndDelete(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await Session.deleteMany({ userId: user._id });
+
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+};
@@ -0,0 +1,227 @@
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import User from '../models/User.js';
+import { ensureBaselineRevision, recordArticleRevision } from '../utils/articleRevisions.js';
+import { applyTransition, getAllowedTransitions, REVIEW_STATUSES } from '../utils/articleWorkflow.js';
+import { ROLES } from '../middleware/auth.js';
+import { refreshArticleMetaHtml } from './articleController.js';
+import { articlesChanged } from '../services/articleEvents.js';
+
+// Find article by ID or slug
+const findArticle = (id) => {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    return Article.findById(id);
+  }
+  return Article.findOne({ slug: id });
+};
+
+// Workflow view of an article for the current user
+const toWorkflowResponse = (article, user) => ({
+  _id: article._id,
+  title: article.title,
+  status: article.status,
+  scheduledAt: article.scheduledAt,
+  publishedAt: article.publishedAt,
+  createdBy: article.createdBy,
+  reviewerId: article.reviewerId,
+  assignedAt: article.assignedAt,
+  reviewComments: article.reviewComments,
+  statusHistory: article.statusHistory,
+  allowedTransitions: getAllowedTransitions(article.status, user.role)
+});
+
+// Get workflow state, comments and history of an article
+export const getArticleWorkflow = async (req, res) => {
+  try {
+    const article = await findArticle(req.params.id)
+      .populate('createdBy', 'name email role')
+      .populate('reviewerId', 'name email role');
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    res.json(toWorkflowResponse(article, req.user));
+  } catch (error) {
+    console.error('Error fetching article workflow:', error);
+    res.status(500).json({ error: 'Failed to fetch article workflow' });
+  }
+};
+
+// Move an article to another workflow status
+export const transitionArticle = async (req, res) => {
+  try {
+    const { status, note, scheduledAt } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: 'Target status is required' });
+    }
+
+    const article = await findArticle(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    if (article.status === status) {
+      return res.status(400).json({ error: `Article is already ${status}` });
+    }
+
+    await ensureBaselineRevision(article);
+
+    const wasPublished = article.status === 'published';
+
+    applyTransition(article, status, {
+      user: req.user,
+      note,
+      scheduledAt: scheduledAt === '' ? null : scheduledAt
+    });
+
+    // Picking up a submitted article for review assigns it to the reviewer if nobody has it yet
+    if (status === 'in-review' && !article.reviewerId) {
+      article.reviewerId = req.user._id;
+      article.assignedAt = new Date();
+    }
+
+    await article.save();
+
+    try {
+      await recordArticleRevision(article, { user: req.user, action: 'update' });
+    } catch (revisionError) {
+      console.error(`Error recording revision for article ${article._id}:`, revisionError.message);
+    }
+
+    articlesChanged([article], { wasPublished });
+
+    const populatedArticle = await Article.findById(article._id)
+      .populate('categoryId', 'name nameEn')
+      .populate('subCategoryId', 'name nameEn')
+      .populate('authorId', 'name designation');
+
+    refreshArticleMetaHtml(populatedArticle);
+
+    res.json(toWorkflowResponse(article, req.user));
+  } catch (error) {
+    console.error('Error changing article status:', error);
+    const errorMessage = error.name === 'ValidationError'
+      ? Object.values(error.errors).map(e => e.message).join(', ')
+      : error.message || 'Failed to change article status';
+    res.status(error.status || 400).json({ error: errorMessage });
+  }
+};
+
+// Assign (or clear) the reviewer of an article
+export const assignReviewer = async (req, res) => {
+  try {
+    const { reviewerId } = req.body;
+
+    const article = await findArticle(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    if (reviewerId) {
+      if (!mongoose.Types.ObjectId.isValid(reviewerId)) {
+        return res.status(400).json({ error: 'Invalid reviewer ID' });
+      }
+
+      const reviewer = await User.findOne({ _id: reviewerId, isActive: true });
+      if (!reviewer || !ROLES.EDITORS.includes(reviewer.role)) {
+        return res.status(400).json({ error: 'Reviewer must be an active editor or admin' });
+      }
+
+      article.reviewerId = reviewer._id;
+      article.assignedAt = new Date();
+    } else {
+      article.reviewerId = null;
+      article.assignedAt = undefined;
+    }
+
+    await article.save();
+    await article.populate('reviewerId', 'name email role');
+
+    res.json(toWorkflowResponse(article, req.user));
+  } catch (error) {
+    console.error('Error assigning reviewer:', error);
+    res.status(500).json({ error: 'Failed to assign reviewer' });
+  }
+};
+
+// Add a reviewer comment
+export const addReviewComment = async (req, res) => {
+  try {
+    const { body } = req.body;
+
+    if (!body || !String(body).trim()) {
+      return res.status(400).json({ error: 'Comment text is required' });
+    }
+
+    const article = await findArticle(req.params.id);
+
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    article.reviewComments.push({
+      authorId: req.user._id,
+      authorName: req.user.name,
+      body: String(body).trim(),
+      status: article.status
+    });
+
+    await article.save();
+
+    res.status(201).json(article.reviewComments[article.reviewComments.length - 1]);
+  } catch (error) {
+    console.error('Error adding review comment:', error);
+    res.status(500).json({ error: 'Failed to add review comment' });
+  }
+};
+
+// Review queue for an editor (?reviewerId=<id>|unassigned, defaults to the current user)
+export const getReviewQueue = async (req, res) => {
+  try {
+    const { reviewerId, status, page = 1, limit = 20 } = req.query;
+
+    const query = {
+      status: status && REVIEW_STATUSES.includes(status) ? status : { $in: REVIEW_STATUSES }
+    };
+
+    if (reviewerId === 'unassigned') {
+      query.reviewerId = null;
+    } else if (reviewerId) {
+      if (!mongoose.Types.ObjectId.isValid(reviewerId)) {
+        return res.status(400).json({ error: 'Invalid reviewer ID' });
+      }
+      query.reviewerId = reviewerId;
+    } else {
+      query.reviewerId = req.user._id;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [articles, total] = await Promise.all([
+      Article.find(query)
+        .select('title titleEn status categoryId authorId createdBy reviewerId assignedAt scheduledAt updatedAt createdAt')
+        .populate('categoryId', 'name nameEn')
+        .populate('authorId', 'name designation')
+        .populate('createdBy', 'name email')
+        .populate('reviewerId', 'name email')
+        .sort({ assignedAt: 1, updatedAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Article.countDocuments(query)
+    ]);
+
+    res.json({
+      data: articles,
+      page: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({ error: 'Failed to fetch review queue' });
+  }
+};
@@ -0,0 +1,162 @@
+import Session from '../models/Session.js';
+import ReaderSession from '../models/ReaderSession.js';
+import { hashToken } from '../utils/password.js';
+
+// Role groups used by the routers
+export const ROLES = {
+  ADMIN: ['admin'],
+  EDITORS: ['admin', 'editor'],
+  NEWSROOM: ['admin', 'editor', 'reporter'],
+  ADS: ['admin', 'ad-manager']
+};
+
+// Only touch lastUsedAt every few minutes to avoid a write per request
+const LAST_USED_UPDATE_INTERVAL = 5 * 60 * 1000;
+
+// Extract bearer token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+  return token.trim();
+};
+
+// Require a valid session token - sets req.user and req.authSession
+export const requireAuth = async (req, res, next) => {
+  // Already authenticated by a parent router (e.g. /api/admin -> /api/admin/ads)
+  if (req.user) return next();
+
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const session = await Session.findOne({
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() }
+    }).populate('userId');
+
+    if (!session || !session.userId) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    if (!session.userId.isActive) {
+      return res.status(403).json({ error: 'Account is disabled' });
+    }
+
+    if (Date.now() - new Date(session.lastUsedAt).getTime() > LAST_USED_UPDATE_INTERVAL) {
+      Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() })
+        .catch(err => console.error('Error updating session lastUsedAt (non-critical):', err.message));
+    }
+
+    req.user = session.userId;
+    req.authSession = session;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+};
+
+// Set req.user when a valid staff session token is sent, but never reject the request
+// (public routes that show more to staff, e.g. paywalled content)
+export const optionalAuth = async (req, res, next) => {
+  if (req.user) return next();
+
+  try {
+    const token = getBearerToken(req);
+    if (!token) return next();
+
+    const session = await Session.findOne({
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() }
+    }).populate('userId');
+
+    if (session && session.userId && session.userId.isActive) {
+      req.user = session.userId;
+      req.authSession = session;
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking optional authentication (non-critical):', error.message);
+    next();
+  }
+};
+
+// Reader session for the token, or null (also refreshes lastUsedAt now and then)
+const findReaderSession = async (token) => {
+  const session = await ReaderSession.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  }).populate('readerId');
+
+  if (!session || !session.readerId || !session.readerId.isActive) return null;
+
+  if (Date.now() - new Date(session.lastUsedAt).getTime() > LAST_USED_UPDATE_INTERVAL) {
+    ReaderSession.updateOne({ _id: session._id }, { lastUsedAt: new Date() })
+      .catch(err => console.error('Error updating reader session lastUsedAt (non-critical):', err.message));
+  }
+  return session;
+};
+
+// Require a valid reader session token - sets req.reader and req.readerSession
+export const requireReader = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({ error: 'Login required' });
+    }
+
+    const session = await findReaderSession(token);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    req.reader = session.readerId;
+    req.readerSession = session;
+    next();
+  } catch (error) {
+    console.error('Error authenticating reader:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+};
+
+// Set req.reader when a valid reader session token is sent, but never reject the request
+export const optionalReader = async (req, res, next) => {
+  if (req.user || req.reader) return next();
+
+  try {
+    const token = getBearerToken(req);
+    if (!token) return next();
+
+    const session = await findReaderSession(token);
+    if (session) {
+      req.reader = session.readerId;
+      req.readerSession = session;
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking reader authentication (non-critical):', error.message);
+    next();
+  }
+};
+
+// Require one of the given roles - must run after requireAuth
+export const requireRole = (...roles) => {
+  const allowedRoles = roles.flat();
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    if (!allowedRoles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    next();
+  };
+};
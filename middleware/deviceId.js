@@ -0,0 +1,34 @@
+import { issueDeviceId, readDeviceId } from '../services/deviceIds.js';
+
+const COOKIE_NAME = 'nm_device';
+const COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || '').split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+// Set req.deviceId from the signed device cookie, issuing a new cookie when it is missing or was not signed here.
+// The site and the API are on different domains, so production cookies are SameSite=None (which requires Secure).
+export const deviceCookie = async (req, res, next) => {
+  try {
+    req.deviceId = await readDeviceId(readCookie(req, COOKIE_NAME));
+    if (!req.deviceId) {
+      const { deviceId, cookieValue } = await issueDeviceId();
+      const secure = process.env.NODE_ENV === 'production';
+      res.cookie(COOKIE_NAME, cookieValue, {
+        maxAge: COOKIE_MAX_AGE_MS,
+        httpOnly: true,
+        secure,
+        sameSite: secure ? 'none' : 'lax',
+        path: '/api'
+      });
+      req.deviceId = deviceId;
+    }
+    next();
+  } catch (error) {
+    // Without a device id readers are only told apart by IP address
+    console.error('Error reading device cookie (non-critical):', error.message);
+    next();
+  }
+};
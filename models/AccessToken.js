@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Reader device token for paid content (sent as X-Access-Token). Issued at checkout, where it only unlocks
+// the subscription paid through it, or through an emailed link, which proves the address and unlocks all of its subscriptions.
+const accessTokenSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Checkout the token was issued for (unverified tokens)
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+accessTokenSchema.index({ email: 1 });
+// Tokens not used for a year are removed
+accessTokenSchema.index({ lastUsedAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const AccessToken = mongoose.models.AccessToken || mongoose.model('AccessToken', accessTokenSchema);
+
+export default AccessToken;
@@ -1,5 +1,47 @@
 import mongoose from 'mongoose';
 
+// Editorial workflow states (allowed transitions live in utils/articleWorkflow.js)
+export const ARTICLE_STATUSES = [
+  'draft',
+  'submitted',
+  'in-review',
+  'approved',
+  'scheduled',
+  'published',
+  'unpublished',
+  'archived'
+];
+
+// Languages an article can be published in; Marathi lives in the top-level fields
+export const ARTICLE_LANGUAGES = ['mr', 'hi', 'en'];
+export const DEFAULT_ARTICLE_LANGUAGE = 'mr';
+
+// Translated copy of the reader-facing fields (empty fields fall back to Marathi)
+const translationSchema = new mongoose.Schema({
+  title: { type: String, trim: true, default: '' },
+  summary: { type: String, default: '' },
+  content: { type: String, default: '' },
+  metaDescription: { type: String, default: '' },
+  metaKeywords: { type: String, default: '' }
+}, { _id: false });
+
+const reviewCommentSchema = new mongoose.Schema({
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  authorName: { type: String, default: '' },
+  body: { type: String, required: true, trim: true },
+  // Article status when the comment was written
+  status: { type: String, default: '' }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  changedByName: { type: String, default: '' },
+  note: { type: String, default: '' },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const articleSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -23,6 +65,11 @@ const articleSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Hindi and English versions (see utils/articleLocale.js)
+  translations: {
+    hi: { type: translationSchema, default: undefined },
+    en: { type: translationSchema, default: undefined }
+  },
   categoryId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
@@ -48,6 +95,10 @@ const articleSchema = new mongoose.Schema({
   imageGallery: [{
     type: String
   }],
+  tags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }],
   isBreaking: {
     type: Boolean,
     default: false
@@ -58,15 +109,67 @@ const articleSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'pending', 'published'],
+    enum: ARTICLE_STATUSES,
     default: 'draft'
   },
+  // Newsroom user who created the article
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Editor assigned to review the article
+  reviewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assignedAt: {
+    type: Date
+  },
+  reviewComments: {
+    type: [reviewCommentSchema],
+    default: []
+  },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
   scheduledAt: {
     type: Date
   },
   publishedAt: {
     type: Date
   },
+  // Live blog mode: timestamped updates are stored in LiveBlogEntry
+  isLiveBlog: {
+    type: Boolean,
+    default: false
+  },
+  liveBlogStatus: {
+    type: String,
+    enum: ['live', 'ended'],
+    default: 'live'
+  },
+  // Bumped on every entry change; entry.seq values come from this counter
+  liveBlogSeq: {
+    type: Number,
+    default: 0
+  },
+  liveBlogUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  // Seqs handed out to entry changes that are still being saved; polling cursors stay below them
+  liveBlogPendingSeqs: {
+    type: [{ _id: false, seq: Number, at: Date }],
+    default: []
+  },
+  // Published articles are unpublished by the scheduler after this time
+  expiresAt: {
+    type: Date,
+    default: null
+  },
   date: {
     type: Date,
     default: Date.now
@@ -75,6 +178,11 @@ const articleSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Approved reader comments (kept up to date by services/comments.js)
+  commentCount: {
+    type: Number,
+    default: 0
+  },
   metaKeywords: {
     type: String,
     default: ''
@@ -92,6 +200,15 @@ const articleSchema = new mongoose.Schema({
   metaHtml: {
     type: String,
     default: '' // Pre-generated HTML for social media previews (instant serving)
+  },
+  // Normalized copies of the searchable fields (see utils/searchText.js)
+  searchText: {
+    type: new mongoose.Schema({
+      title: { type: String, default: '' },
+      keywords: { type: String, default: '' },
+      body: { type: String, default: '' }
+    }, { _id: false }),
+    select: false
   }
 }, {
   timestamps: true
@@ -103,7 +220,29 @@ articleSchema.index({ status: 1, publishedAt: -1 });
 articleSchema.index({ isFeatured: 1, publishedAt: -1 });
 articleSchema.index({ isBreaking: 1, publishedAt: -1 });
 articleSchema.index({ scheduledAt: 1 });
+articleSchema.index({ status: 1, scheduledAt: 1 });
+articleSchema.index({ status: 1, expiresAt: 1 });
+articleSchema.index({ reviewerId: 1, status: 1 });
+articleSchema.index({ tags: 1, status: 1, publishedAt: -1 });
 articleSchema.index({ slug: 1 }); // Index for slug lookups
+// Full-text search index; language 'none' because Marathi has no Mongo stemmer
+articleSchema.index(
+  { 'searchText.title': 'text', 'searchText.keywords': 'text', 'searchText.body': 'text' },
+  {
+    name: 'article_search',
+    weights: { 'searchText.title': 10, 'searchText.keywords': 5, 'searchText.body': 1 },
+    default_language: 'none',
+    language_override: 'searchLanguage'
+  }
+);
+
+// Map the legacy "pending" status (used to mean scheduled) so old documents still validate
+articleSchema.pre('validate', function(next) {
+  if (this.status === 'pending') {
+    this.status = this.scheduledAt ? 'scheduled' : 'submitted';
+  }
+  next();
+});
 
 // Pre-save hook to auto-generate slug from title
 articleSchema.pre('save', async function(next) {
@@ -124,6 +263,35 @@ articleSchema.pre('save', async function(next) {
   next();
 });
 
+// Pre-save hook to keep the normalized search fields in sync
+// (searchText is select: false, so loaded documents never have it; articles saved before it existed are filled in by
+// `npm run build-search-index`)
+articleSchema.pre('save', async function(next) {
+  const searchFields = ['title', 'titleEn', 'summary', 'content', 'metaKeywords', 'authorId', 'tags', 'translations'];
+  if (!this.isNew && !searchFields.some(field => this.isModified(field))) {
+    return next();
+  }
+
+  try {
+    const { buildArticleSearchText } = await import('../utils/searchText.js');
+    let authorName = '';
+    if (this.authorId && mongoose.models.Author) {
+      const author = await mongoose.models.Author.findById(this.authorId._id || this.authorId).select('name').lean();
+      authorName = author?.name || '';
+    }
+    let tagNames = [];
+    if (this.tags?.length && mongoose.models.Tag) {
+      const tags = await mongoose.models.Tag.find({ _id: { $in: this.tags.map(tag => tag._id || tag) } }).select('name nameEn').lean();
+      tagNames = tags.flatMap(tag => [tag.name, tag.nameEn]);
+    }
+    this.searchText = buildArticleSearchText(this, { authorName, tagNames });
+  } catch (error) {
+    console.error('Error building search text:', error);
+    // Continue even if search text generation fails
+  }
+  next();
+});
+
 // Check if model already exists to prevent overwrite errors during hot reload
 const Article = mongoose.models.Article || mongoose.model('Article', articleSchema);
 
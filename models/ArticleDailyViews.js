@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Per-day view counters, used for "trending" lists (Article.views is the all-time total)
+const articleDailyViewsSchema = new mongoose.Schema({
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  // Start of the day (UTC)
+  day: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  }
+});
+
+articleDailyViewsSchema.index({ articleId: 1, day: 1 }, { unique: true });
+// Only recent days are needed; old counters are removed after 60 days
+articleDailyViewsSchema.index({ day: 1 }, { expireAfterSeconds: 60 * 24 * 60 * 60 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const ArticleDailyViews = mongoose.models.ArticleDailyViews || mongoose.model('ArticleDailyViews', articleDailyViewsSchema);
+
+export default ArticleDailyViews;
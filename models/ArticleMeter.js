@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Free articles read by a device or from an IP address in the current metering window
+const articleMeterSchema = new mongoose.Schema({
+  // Hash of the signed device cookie id, or of the IP address
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  articleIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article'
+  }],
+  windowEndsAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Removed once the window is over; the next article starts a new one
+articleMeterSchema.index({ windowEndsAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const ArticleMeter = mongoose.models.ArticleMeter || mongoose.model('ArticleMeter', articleMeterSchema);
+
+export default ArticleMeter;
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const articleRevisionSchema = new mongoose.Schema({
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  // Sequential per article, starting at 1
+  revision: {
+    type: Number,
+    required: true
+  },
+  // baseline = state found before the first tracked edit of a pre-existing article
+  action: {
+    type: String,
+    enum: ['create', 'update', 'restore', 'bulk', 'baseline'],
+    required: true
+  },
+  // Full copy of the tracked article fields at this revision
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changedFields: [{
+    type: String
+  }],
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Name copied at save time so history survives user deletion
+  editedByName: {
+    type: String,
+    default: ''
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+articleRevisionSchema.index({ articleId: 1, revision: -1 }, { unique: true });
+
+// Revisions are immutable - block every kind of update
+const rejectUpdate = function(next) {
+  next(new Error('Article revisions are immutable'));
+};
+
+articleRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Article revisions are immutable'));
+  }
+  next();
+});
+articleRevisionSchema.pre('updateOne', rejectUpdate);
+articleRevisionSchema.pre('updateMany', rejectUpdate);
+articleRevisionSchema.pre('findOneAndUpdate', rejectUpdate);
+articleRevisionSchema.pre('replaceOne', rejectUpdate);
+articleRevisionSchema.pre('findOneAndReplace', rejectUpdate);
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const ArticleRevision = mongoose.models.ArticleRevision || mongoose.model('ArticleRevision', articleRevisionSchema);
+
+export default ArticleRevision;
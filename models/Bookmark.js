@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+export const BOOKMARK_TYPES = ['article', 'epaper-section'];
+
+// Article or e-paper section saved by a reader
+const bookmarkSchema = new mongoose.Schema({
+  readerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reader',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: BOOKMARK_TYPES,
+    required: true
+  },
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    default: null
+  },
+  // E-paper section: page and mapped news item (Epaper.pages[].news[].id)
+  epaperId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Epaper',
+    default: null
+  },
+  pageNo: {
+    type: Number,
+    default: null
+  },
+  sectionId: {
+    type: Number,
+    default: null
+  },
+  // "article:<id>" or "epaper:<id>:<pageNo>:<sectionId>" - one bookmark per target
+  targetKey: {
+    type: String,
+    required: true
+  },
+  note: {
+    type: String,
+    default: '',
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+bookmarkSchema.index({ readerId: 1, targetKey: 1 }, { unique: true });
+bookmarkSchema.index({ readerId: 1, createdAt: -1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const Bookmark = mongoose.models.Bookmark || mongoose.model('Bookmark', bookmarkSchema);
+
+export default Bookmark;
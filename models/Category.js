@@ -10,6 +10,13 @@ const categorySchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // URL slug (from nameEn when available), used by category feeds
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
   parentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
@@ -31,6 +38,23 @@ const categorySchema = new mongoose.Schema({
 categorySchema.index({ parentId: 1 });
 categorySchema.index({ displayOrder: 1 });
 
+// Pre-save hook to generate the slug once
+categorySchema.pre('save', async function(next) {
+  if (!this.slug && (this.nameEn || this.name)) {
+    try {
+      const { generateUniqueSlug } = await import('../utils/slugGenerator.js');
+      this.slug = await generateUniqueSlug(
+        mongoose.models.Category || Category,
+        String(this.nameEn || this.name).toLowerCase(),
+        this._id
+      );
+    } catch (error) {
+      console.error('Error generating category slug:', error);
+    }
+  }
+  next();
+});
+
 const Category = mongoose.model('Category', categorySchema);
 
 export default Category;
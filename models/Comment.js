@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+export const COMMENT_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Reader comment on an article; replies point to their parent and the top-level comment of the thread
+const commentSchema = new mongoose.Schema({
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  readerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reader',
+    required: true
+  },
+  // Display name at the time of writing
+  authorName: {
+    type: String,
+    default: ''
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Top-level comment of the thread (itself for top-level comments)
+  rootId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  status: {
+    type: String,
+    enum: COMMENT_STATUSES,
+    default: 'pending'
+  },
+  // Why the comment was held for moderation (e.g. "links", "phone-number", "premoderation")
+  flags: {
+    type: [String],
+    default: []
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  rejectReason: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ articleId: 1, status: 1, parentId: 1, createdAt: -1 });
+commentSchema.index({ rootId: 1, status: 1, createdAt: 1 });
+commentSchema.index({ status: 1, createdAt: -1 });
+commentSchema.index({ readerId: 1, createdAt: -1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const Comment = mongoose.models.Comment || mongoose.model('Comment', commentSchema);
+
+export default Comment;
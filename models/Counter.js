@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Named sequence counters (e.g. "liveEvents"), incremented atomically with $inc
+const counterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const Counter = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
+
+export default Counter;
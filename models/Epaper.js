@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// scheduled e-papers are published by the scheduler at publishAt
+export const EPAPER_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
 const newsItemSchema = new mongoose.Schema({
   id: { type: Number, required: true },
   slug: { type: String, trim: true },
@@ -48,9 +51,10 @@ const epaperSchema = new mongoose.Schema({
   date: { type: Date, required: true },
   status: { 
     type: String, 
-    enum: ['draft', 'published', 'archived'], 
+    enum: EPAPER_STATUSES, 
     default: 'published' 
   },
+  publishAt: { type: Date, default: null },
   pages: { type: [pageSchema], default: [] },
    // Optional pre-generated share image (front page small variant)
   shareImageUrl: {
@@ -110,6 +114,7 @@ epaperSchema.index({ id: 1 });
 epaperSchema.index({ slug: 1 });
 epaperSchema.index({ date: -1 });
 epaperSchema.index({ status: 1 });
+epaperSchema.index({ status: 1, publishAt: 1 });
 
 // Check if model already exists to prevent overwrite errors during hot reload
 const Epaper = mongoose.models.Epaper || mongoose.model('Epaper', epaperSchema);
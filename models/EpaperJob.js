@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+export const EPAPER_JOB_STATUSES = ['queued', 'processing', 'completed', 'failed'];
+
+const jobPageSchema = new mongoose.Schema({
+  pageNo: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'done', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  error: { type: String, default: '' },
+  finishedAt: { type: Date, default: null }
+}, { _id: false });
+
+// PDF -> page images conversion for one uploaded edition
+const epaperJobSchema = new mongoose.Schema({
+  // Numeric Epaper.id the pages are written to
+  epaperId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: EPAPER_JOB_STATUSES,
+    default: 'queued'
+  },
+  // Status given to the e-paper once every page is done
+  targetStatus: {
+    type: String,
+    default: 'published'
+  },
+  // Source PDF kept on Cloudinary (raw) so any instance can process or retry the job
+  sourceUrl: {
+    type: String,
+    required: true
+  },
+  sourcePublicId: {
+    type: String,
+    default: ''
+  },
+  pageCount: {
+    type: Number,
+    default: 0
+  },
+  pages: {
+    type: [jobPageSchema],
+    default: []
+  },
+  // Worker lease (expires if the instance dies mid-job)
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+epaperJobSchema.index({ status: 1, createdAt: 1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const EpaperJob = mongoose.models.EpaperJob || mongoose.model('EpaperJob', epaperJobSchema);
+
+export default EpaperJob;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const textItemSchema = new mongoose.Schema({
+  str: { type: String, required: true },
+  // Top-left corner and size in pixels of the rendered page image
+  x: { type: Number, required: true },
+  y: { type: Number, required: true },
+  width: { type: Number, required: true },
+  height: { type: Number, required: true }
+}, { _id: false });
+
+// Text layer of one e-paper page, extracted from the uploaded PDF
+// Kept out of the Epaper document so page lists stay small
+const epaperPageTextSchema = new mongoose.Schema({
+  // Numeric Epaper.id
+  epaperId: {
+    type: Number,
+    required: true
+  },
+  pageNo: {
+    type: Number,
+    required: true
+  },
+  // Size of the coordinate space (rendered page image)
+  width: {
+    type: Number,
+    required: true
+  },
+  height: {
+    type: Number,
+    required: true
+  },
+  items: {
+    type: [textItemSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+epaperPageTextSchema.index({ epaperId: 1, pageNo: 1 }, { unique: true });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const EpaperPageText = mongoose.models.EpaperPageText || mongoose.model('EpaperPageText', epaperPageTextSchema);
+
+export default EpaperPageText;
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// One document per scheduled job; acquiring it means "this instance runs the job now"
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Instance currently holding the lock (hostname:pid:random)
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  // Lock expires on its own if the holder dies mid-run
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Earliest time the next scheduled run may start (shared by all instances)
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const JobLock = mongoose.models.JobLock || mongoose.model('JobLock', jobLockSchema);
+
+export default JobLock;
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  // schedule = in-process timer, manual = admin panel, http = legacy cron ping
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual', 'http'],
+    default: 'schedule'
+  },
+  instanceId: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  // Whatever the job returned (e.g. { publishedCount: 3 })
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: ''
+  }
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+// Keep the run log for 30 days
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const JobRun = mongoose.models.JobRun || mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
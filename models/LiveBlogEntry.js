@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// One timestamped update of a live-blog article
+const liveBlogEntrySchema = new mongoose.Schema({
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  // Article.liveBlogSeq at the last change of this entry; clients poll with ?since=<seq>
+  seq: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // HTML text of the update
+  body: {
+    type: String,
+    default: ''
+  },
+  image: {
+    type: String,
+    default: ''
+  },
+  // Embedded short video
+  shortId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Short',
+    default: null
+  },
+  // Byline shown with the entry
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Author',
+    default: null
+  },
+  // Newsroom user who posted it
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  // Time shown on the entry (editors may backdate)
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted entries are kept so polling clients learn about the removal
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+liveBlogEntrySchema.index({ articleId: 1, seq: 1 });
+liveBlogEntrySchema.index({ articleId: 1, deletedAt: 1, postedAt: -1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const LiveBlogEntry = mongoose.models.LiveBlogEntry || mongoose.model('LiveBlogEntry', liveBlogEntrySchema);
+
+export default LiveBlogEntry;
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Events pushed to Server-Sent Events clients (see services/liveEvents.js).
+// Stored so every instance can relay them and reconnecting clients can resume.
+const liveEventSchema = new mongoose.Schema({
+  // Sent as the SSE id; clients resume with Last-Event-ID
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // "article.published", "article.breaking", "live.entry", "epaper.published", ...
+  type: {
+    type: String,
+    required: true
+  },
+  // "breaking", "articles", "epaper", "category:<id>", "article:<id>"
+  channels: {
+    type: [String],
+    default: []
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Events are only kept long enough for reconnects
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 24 * 60 * 60
+  }
+});
+
+liveEventSchema.index({ channels: 1, seq: 1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const LiveEvent = mongoose.models.LiveEvent || mongoose.model('LiveEvent', liveEventSchema);
+
+export default LiveEvent;
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import { LOCAL_SPORTS } from './Tournament.js';
+
+// Same statuses as the normalized matches of utils/sportsNormalizer.js
+export const LOCAL_MATCH_STATUSES = ['scheduled', 'live', 'break', 'finished', 'postponed', 'cancelled', 'abandoned'];
+
+// Match of a local tournament; teams are ids of the tournament's teams
+const matchSchema = new mongoose.Schema({
+  tournamentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true
+  },
+  sport: {
+    type: String,
+    enum: LOCAL_SPORTS,
+    required: true
+  },
+  // Home/batting-first side first
+  teamIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    validate: [value => value.length === 2, 'A match needs two teams']
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  venue: {
+    name: { type: String, default: '' },
+    city: { type: String, default: '' }
+  },
+  round: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: LOCAL_MATCH_STATUSES,
+    default: 'scheduled'
+  },
+  // Result or situation note ("Pune won by 12 runs")
+  result: {
+    type: String,
+    default: ''
+  },
+  winnerTeamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Cricket
+  oversPerInnings: {
+    type: Number,
+    default: null
+  },
+  tossWonBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  elected: {
+    type: String,
+    enum: ['batting', 'bowling', null],
+    default: null
+  },
+  // Last sequence number given to a score entry
+  scoreSeq: {
+    type: Number,
+    default: 0
+  },
+  // Bumped on every score change; summaryVersion says which change the summary includes
+  scoreVersion: {
+    type: Number,
+    default: 0
+  },
+  summaryVersion: {
+    type: Number,
+    default: 0
+  },
+  // Totals computed from the score entries (services/localSports.js):
+  // cricket { innings: [{ number, teamId, runs, wickets, balls, extras }] }, kabaddi { points: { teamId: n }, periods: [...] }
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+matchSchema.index({ tournamentId: 1, startsAt: 1 });
+matchSchema.index({ sport: 1, status: 1, startsAt: 1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const Match = mongoose.models.Match || mongoose.model('Match', matchSchema);
+
+export default Match;
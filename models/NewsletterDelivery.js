@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Per-subscriber log of a newsletter issue
+const newsletterDeliverySchema = new mongoose.Schema({
+  issueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NewsletterIssue',
+    required: true
+  },
+  subscriberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'bounced'],
+    required: true
+  },
+  // SMTP Message-ID, used to match bounce reports
+  messageId: {
+    type: String,
+    default: ''
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  bouncedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One entry per subscriber and issue (a resumed send skips subscribers already handled)
+newsletterDeliverySchema.index({ issueId: 1, subscriberId: 1 }, { unique: true });
+newsletterDeliverySchema.index({ issueId: 1, status: 1 });
+newsletterDeliverySchema.index({ messageId: 1 });
+newsletterDeliverySchema.index({ email: 1, sentAt: -1 });
+// Logs are kept for six months
+newsletterDeliverySchema.index({ sentAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const NewsletterDelivery = mongoose.models.NewsletterDelivery || mongoose.model('NewsletterDelivery', newsletterDeliverySchema);
+
+export default NewsletterDelivery;
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+// One newsletter send (a scheduled or manually started daily/weekly digest) and its totals
+const newsletterIssueSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    required: true
+  },
+  // "daily:2026-10-19" / "weekly:2026-10-18" for scheduled sends, so each period is sent once
+  periodKey: {
+    type: String,
+    default: undefined
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  articleIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article'
+  }],
+  // Saved segment the issue was sent to (null = all subscribers)
+  segmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubscriberSegment',
+    default: null
+  },
+  segmentName: {
+    type: String,
+    default: ''
+  },
+  // Segment filters at send time, so a resumed send reaches the same audience after the segment changes
+  segmentFilters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Epaper.id of the edition included in the digest
+  epaperId: {
+    type: Number,
+    default: null
+  },
+  // Digest as sent ({ subject, articles, epaper }), kept so an interrupted send resumes with the same content
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed', 'skipped'],
+    default: 'sending'
+  },
+  stats: {
+    targeted: { type: Number, default: 0 },
+    sent: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    bounced: { type: Number, default: 0 }
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  // Worker lease; a send left behind by a crashed instance is resumed after it expires
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+newsletterIssueSchema.index({ periodKey: 1 }, { unique: true, sparse: true });
+newsletterIssueSchema.index({ status: 1, lockedUntil: 1 });
+newsletterIssueSchema.index({ createdAt: -1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const NewsletterIssue = mongoose.models.NewsletterIssue || mongoose.model('NewsletterIssue', newsletterIssueSchema);
+
+export default NewsletterIssue;
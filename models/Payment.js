@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+// A checkout with the payment provider and its outcome
+const paymentSchema = new mongoose.Schema({
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: true
+  },
+  planCode: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  phone: {
+    type: String,
+    default: ''
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // Order/checkout id at the provider; webhooks are matched on it
+  providerOrderId: {
+    type: String,
+    default: null
+  },
+  providerPaymentId: {
+    type: String,
+    default: null
+  },
+  // In the smallest currency unit (paise)
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['created', 'paid', 'failed', 'refunded'],
+    default: 'created'
+  },
+  failureReason: {
+    type: String,
+    default: ''
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  refundedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ provider: 1, providerOrderId: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ provider: 1, providerPaymentId: 1 });
+paymentSchema.index({ email: 1, createdAt: -1 });
+paymentSchema.index({ status: 1, createdAt: -1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const Payment = mongoose.models.Payment || mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Webhook events already processed (providers retry and may deliver an event more than once)
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    default: ''
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  // What processing the event did (e.g. "activated", "ignored: unknown order")
+  result: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+// Kept for 90 days; providers stop retrying long before that
+paymentEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const PaymentEvent = mongoose.models.PaymentEvent || mongoose.model('PaymentEvent', paymentEventSchema);
+
+export default PaymentEvent;
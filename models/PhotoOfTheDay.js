@@ -32,6 +32,11 @@ const photoOfTheDaySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set by the rotate-photo-of-the-day scheduler job
+  isCurrent: {
+    type: Boolean,
+    default: false
+  },
   views: {
     type: Number,
     default: 0
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// What a subscription can unlock
+export const ENTITLEMENTS = ['epaper', 'articles'];
+
+// Paid plan readers can buy (e.g. monthly or annual e-paper access)
+const planSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Code may only contain lowercase letters, digits and dashes']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  nameEn: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // In the smallest currency unit (paise)
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [100, 'Price must be at least 100 (1 rupee)']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  interval: {
+    type: String,
+    enum: ['month', 'year'],
+    required: true
+  },
+  intervalCount: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  entitlements: {
+    type: [{ type: String, enum: ENTITLEMENTS }],
+    default: ['epaper']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const Plan = mongoose.models.Plan || mongoose.model('Plan', planSchema);
+
+export default Plan;
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+// When readers get to see the results
+export const POLL_RESULT_VISIBILITY = ['always', 'after-vote', 'after-close'];
+
+const pollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  textEn: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Kept up to date by services/polls.js
+  votes: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Reader opinion poll, shown on an article and/or the homepage
+const pollSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  questionEn: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  options: {
+    type: [pollOptionSchema],
+    default: []
+  },
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    default: null
+  },
+  showOnHomepage: {
+    type: Boolean,
+    default: false
+  },
+  opensAt: {
+    type: Date,
+    default: Date.now
+  },
+  // No end if null
+  closesAt: {
+    type: Date,
+    default: null
+  },
+  resultVisibility: {
+    type: String,
+    enum: POLL_RESULT_VISIBILITY,
+    default: 'after-vote'
+  },
+  // Switched off polls are hidden and take no votes
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  totalVotes: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+pollSchema.index({ articleId: 1, isActive: 1, opensAt: -1 });
+pollSchema.index({ showOnHomepage: 1, isActive: 1, opensAt: -1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const Poll = mongoose.models.Poll || mongoose.model('Poll', pollSchema);
+
+export default Poll;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// One vote in a poll; a reader or (signed out) device votes once per poll
+const pollVoteSchema = new mongoose.Schema({
+  pollId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  optionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // "reader:<id>" for signed-in readers, otherwise the device key
+  voterKey: {
+    type: String,
+    required: true
+  },
+  // Hash of the signed device cookie id (also stored for readers so they cannot vote again signed out)
+  deviceKey: {
+    type: String,
+    required: true
+  },
+  // Hash of the IP address, for votes cast signed out (null for readers); limits votes per address, not unique
+  ipKey: {
+    type: String,
+    default: null
+  },
+  readerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reader',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+pollVoteSchema.index({ pollId: 1, voterKey: 1 }, { unique: true });
+// Unique only for signed-out votes: readers sharing a device each have their own vote
+pollVoteSchema.index({ pollId: 1, deviceKey: 1 }, { unique: true, partialFilterExpression: { ipKey: { $type: 'string' } } });
+pollVoteSchema.index({ pollId: 1, ipKey: 1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const PollVote = mongoose.models.PollVote || mongoose.model('PollVote', pollVoteSchema);
+
+export default PollVote;
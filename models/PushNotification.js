@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// One push notification sent to subscribers, with its delivery stats
+const pushNotificationSchema = new mongoose.Schema({
+  // "breaking" (sent automatically, once per article) or "manual"
+  kind: {
+    type: String,
+    enum: ['breaking', 'manual'],
+    required: true
+  },
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    default: null
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    default: ''
+  },
+  url: {
+    type: String,
+    default: ''
+  },
+  image: {
+    type: String,
+    default: ''
+  },
+  // Only subscribers of these categories (and those without preferences) receive it; empty = everyone
+  categoryIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending'
+  },
+  stats: {
+    targeted: { type: Number, default: 0 },
+    delivered: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    // Subscriptions the push service reported as gone (removed)
+    expired: { type: Number, default: 0 }
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// An article triggers at most one automatic breaking-news push (across instances)
+pushNotificationSchema.index(
+  { articleId: 1 },
+  { unique: true, partialFilterExpression: { kind: 'breaking' } }
+);
+pushNotificationSchema.index({ createdAt: -1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const PushNotification = mongoose.models.PushNotification || mongoose.model('PushNotification', pushNotificationSchema);
+
+export default PushNotification;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// A browser's Web Push subscription (see services/webPush.js)
+const pushSubscriptionSchema = new mongoose.Schema({
+  // Push service URL; it identifies the subscription and is kept secret by the browser
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  // Set by some browsers; the subscription stops working after this time
+  expirationTime: {
+    type: Date,
+    default: null
+  },
+  // Breaking news from these categories only; empty means all breaking news
+  categoryIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Consecutive failed deliveries (other than "gone"); reset on success
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  lastSuccessAt: {
+    type: Date,
+    default: null
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+pushSubscriptionSchema.index({ isActive: 1, categoryIds: 1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const PushSubscription = mongoose.models.PushSubscription || mongoose.model('PushSubscription', pushSubscriptionSchema);
+
+export default PushSubscription;
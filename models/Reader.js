@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+// Website/app reader account (separate from newsroom users)
+const readerSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    unique: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+  },
+  name: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Optional; readers can always sign in with an emailed code instead
+  passwordHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Set once the reader signed in with an emailed code
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  follows: {
+    categoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    authorIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Author' }]
+  },
+  // Set by moderators; banned readers cannot comment
+  commentBannedAt: {
+    type: Date,
+    default: null
+  },
+  commentBanReason: {
+    type: String,
+    default: ''
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  // Brute-force protection for password login
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockedUntil: {
+    type: Date,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Never leak password data in API responses
+readerSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.failedLoginAttempts;
+    delete ret.lockedUntil;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const Reader = mongoose.models.Reader || mongoose.model('Reader', readerSchema);
+
+export default Reader;
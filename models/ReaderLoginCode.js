@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// One-time sign-in code emailed to a reader (one pending code per address)
+const readerLoginCodeSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    unique: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// MongoDB removes expired codes automatically
+readerLoginCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const ReaderLoginCode = mongoose.models.ReaderLoginCode || mongoose.model('ReaderLoginCode', readerLoginCodeSchema);
+
+export default ReaderLoginCode;
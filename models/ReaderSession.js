@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Reader login session (same scheme as the newsroom Session, separate so reader tokens never reach admin routes)
+const readerSessionSchema = new mongoose.Schema({
+  readerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reader',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the bearer token - the raw token is only ever sent to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes expired sessions automatically
+readerSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const ReaderSession = mongoose.models.ReaderSession || mongoose.model('ReaderSession', readerSessionSchema);
+
+export default ReaderSession;
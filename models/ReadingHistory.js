@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// Article read by a reader, with how far they got (one entry per article, updated on every read)
+const readingHistorySchema = new mongoose.Schema({
+  readerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reader',
+    required: true
+  },
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  // Copied from the article so the "for you" feed can weigh history without a join
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Author',
+    default: null
+  },
+  // Scroll/read progress in percent
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  // Times the article was opened (progress updates in between do not count)
+  readCount: {
+    type: Number,
+    default: 0
+  },
+  firstReadAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+readingHistorySchema.index({ readerId: 1, articleId: 1 }, { unique: true });
+readingHistorySchema.index({ readerId: 1, lastReadAt: -1 });
+// History older than a year is removed
+readingHistorySchema.index({ lastReadAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const ReadingHistory = mongoose.models.ReadingHistory || mongoose.model('ReadingHistory', readingHistorySchema);
+
+export default ReadingHistory;
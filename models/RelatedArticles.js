@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const relatedEntrySchema = new mongoose.Schema({
+  articleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Article', required: true },
+  score: { type: Number, default: 0 }
+}, { _id: false });
+
+// Cached "read more" ranking for one article (see services/relatedArticles.js)
+const relatedArticlesSchema = new mongoose.Schema({
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true,
+    unique: true
+  },
+  related: {
+    type: [relatedEntrySchema],
+    default: []
+  },
+  // Categories and tags of the source article, so new articles there invalidate the entry
+  categoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  tagIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+relatedArticlesSchema.index({ 'related.articleId': 1 });
+relatedArticlesSchema.index({ categoryIds: 1 });
+relatedArticlesSchema.index({ tagIds: 1 });
+// Recency is part of the score, so entries are recomputed at least twice a day
+relatedArticlesSchema.index({ computedAt: 1 }, { expireAfterSeconds: 12 * 60 * 60 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const RelatedArticles = mongoose.models.RelatedArticles || mongoose.model('RelatedArticles', relatedArticlesSchema);
+
+export default RelatedArticles;
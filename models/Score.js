@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+export const SCORE_TYPES = ['ball', 'period'];
+export const EXTRA_TYPES = ['wide', 'no-ball', 'bye', 'leg-bye', 'penalty'];
+export const WICKET_KINDS = ['bowled', 'caught', 'lbw', 'run-out', 'stumped', 'hit-wicket', 'retired-out', 'other'];
+
+// One score entry of a local match: a cricket delivery, or the points of a kabaddi half
+const scoreSchema = new mongoose.Schema({
+  matchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match',
+    required: true
+  },
+  // Order of entry within the match
+  seq: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: SCORE_TYPES,
+    required: true
+  },
+
+  // Cricket delivery
+  innings: {
+    type: Number,
+    default: null
+  },
+  battingTeamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Over (0-based) and legal ball in it (1-6); wides and no-balls share the number of the next legal ball
+  over: {
+    type: Number,
+    default: null
+  },
+  ball: {
+    type: Number,
+    default: null
+  },
+  // Runs off the bat
+  runs: {
+    type: Number,
+    default: 0
+  },
+  extras: {
+    kind: { type: String, enum: [...EXTRA_TYPES, null], default: null },
+    // Every extra run of the delivery (a wide that runs away for four is 5)
+    runs: { type: Number, default: 0 }
+  },
+  wicket: {
+    kind: { type: String, enum: [...WICKET_KINDS, null], default: null },
+    playerOut: { type: String, default: '' }
+  },
+  batter: {
+    type: String,
+    default: ''
+  },
+  bowler: {
+    type: String,
+    default: ''
+  },
+  commentary: {
+    type: String,
+    default: ''
+  },
+
+  // Kabaddi half (1, 2; 3+ for extra time) with the points each team scored in it
+  period: {
+    type: Number,
+    default: null
+  },
+  points: {
+    type: Map,
+    of: Number,
+    default: undefined
+  },
+
+  enteredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+scoreSchema.index({ matchId: 1, seq: 1 });
+scoreSchema.index({ matchId: 1, type: 1, period: 1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const Score = mongoose.models.Score || mongoose.model('Score', scoreSchema);
+
+export default Score;
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Pre-generated sitemap documents (see utils/sitemapRegenerator.js)
+const sitemapFileSchema = new mongoose.Schema({
+  // "index", "news", "pages", "articles-1", ...
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  xml: {
+    type: String,
+    default: ''
+  },
+  urlCount: {
+    type: Number,
+    default: 0
+  },
+  // Start of the regeneration that produced this file
+  generatedAt: {
+    type: Date,
+    default: null
+  },
+  // Only used on the index: set when published content changed after generatedAt
+  staleAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const SitemapFile = mongoose.models.SitemapFile || mongoose.model('SitemapFile', sitemapFileSchema);
+
+export default SitemapFile;
@@ -24,9 +24,70 @@ const subscriberSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Only confirmed subscribers are active; subscribers from before double opt-in count as confirmed
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'unsubscribed'],
+    default: 'confirmed'
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  // Last confirmation / manage-preferences email, so repeated requests don't flood the inbox
+  linkEmailSentAt: {
+    type: Date,
+    default: null
+  },
+  preferences: {
+    // Categories the digest is narrowed to (empty = all news)
+    categoryIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      default: 'daily'
+    },
+    channels: {
+      email: { type: Boolean, default: true },
+      whatsapp: { type: Boolean, default: false },
+      push: { type: Boolean, default: false }
+    }
+  },
+  unsubscribedAt: {
+    type: Date,
+    default: null
+  },
+  // Secret for one-click unsubscribe links in newsletters (created on the first send)
+  unsubscribeToken: {
+    type: String,
+    default: undefined,
+    select: false
+  },
+  // "bounced" addresses are skipped by newsletter sends until the subscriber signs up again
+  emailStatus: {
+    type: String,
+    enum: ['ok', 'bounced'],
+    default: 'ok'
+  },
+  emailBouncedAt: {
+    type: Date,
+    default: null
+  },
+  // Soft bounces reported for the address (too many and it is treated as bounced)
+  softBounceCount: {
+    type: Number,
+    default: 0
+  },
+  lastNewsletterAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -36,6 +97,8 @@ const subscriberSchema = new mongoose.Schema({
 subscriberSchema.index({ email: 1 });
 subscriberSchema.index({ phone: 1 });
 subscriberSchema.index({ subscribedAt: -1 });
+subscriberSchema.index({ status: 1 });
+subscriberSchema.index({ unsubscribeToken: 1 }, { unique: true, sparse: true });
 
 // Prevent model recompilation
 const Subscriber = mongoose.models.Subscriber || mongoose.model('Subscriber', subscriberSchema);
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Audit trail of a subscriber's consent (kept as proof of opt-in/opt-out, never edited)
+const subscriberConsentSchema = new mongoose.Schema({
+  subscriberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber',
+    required: true
+  },
+  // Address at the time of the change (the subscriber may be deleted later)
+  email: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['subscribed', 'confirmed', 'preferences_updated', 'unsubscribed', 'resubscribed'],
+    required: true
+  },
+  // Where the change came from
+  source: {
+    type: String,
+    enum: ['form', 'email_link', 'one_click', 'preference_center', 'admin', 'import'],
+    required: true
+  },
+  // Preferences after the change (and before, for updates)
+  preferences: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  previousPreferences: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  // Admin who made the change, if any
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+subscriberConsentSchema.index({ subscriberId: 1, createdAt: -1 });
+subscriberConsentSchema.index({ email: 1, createdAt: -1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const SubscriberConsent = mongoose.models.SubscriberConsent || mongoose.model('SubscriberConsent', subscriberConsentSchema);
+
+export default SubscriberConsent;
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Saved subscriber filter, reused for exports and newsletter sends
+const subscriberSegmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // See services/subscriberSegments.js for the accepted filters
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const SubscriberSegment = mongoose.models.SubscriberSegment || mongoose.model('SubscriberSegment', subscriberSegmentSchema);
+
+export default SubscriberSegment;
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+// One paid validity period of a plan (a renewal is a new period starting when the previous one ends)
+const subscriptionSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: true
+  },
+  // Plan details at purchase time (plans can change later)
+  planCode: {
+    type: String,
+    required: true
+  },
+  entitlements: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    default: ''
+  },
+  // Last emailed sign-in link (rate limit)
+  accessLinkSentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ email: 1, status: 1, endsAt: -1 });
+subscriptionSchema.index({ paymentId: 1 }, { unique: true, sparse: true });
+subscriptionSchema.index({ endsAt: -1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const Subscription = mongoose.models.Subscription || mongoose.model('Subscription', subscriptionSchema);
+
+export default Subscription;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const tagSchema = new mongoose.Schema({
+  // Marathi display name
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  nameEn: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // English slug so topic pages can also be reached with a Latin URL
+  slugEn: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Old slugs and names of renamed/merged tags, so old topic URLs keep working
+  aliases: {
+    type: [String],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+tagSchema.index({ aliases: 1 });
+tagSchema.index({ slugEn: 1 });
+tagSchema.index({ name: 1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const Tag = mongoose.models.Tag || mongoose.model('Tag', tagSchema);
+
+export default Tag;
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// Sports the district desk scores by hand
+export const LOCAL_SPORTS = ['cricket', 'kabaddi'];
+
+const tournamentTeamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  nameEn: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  shortName: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  logo: {
+    type: String,
+    default: ''
+  }
+});
+
+// Local tournament covered by the sports desk (not known to Sports Monk)
+const tournamentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  nameEn: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  sport: {
+    type: String,
+    enum: LOCAL_SPORTS,
+    required: true
+  },
+  // District/town shown with the tournament
+  location: {
+    type: String,
+    default: ''
+  },
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  // Cricket: overs per innings for new matches (null for unlimited)
+  oversPerInnings: {
+    type: Number,
+    default: null
+  },
+  teams: {
+    type: [tournamentTeamSchema],
+    default: []
+  },
+  // Hidden from the public endpoints when false
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+tournamentSchema.index({ isActive: 1, startDate: -1 });
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const Tournament = mongoose.models.Tournament || mongoose.model('Tournament', tournamentSchema);
+
+export default Tournament;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// Newsroom roles (checked by middleware/auth.js)
+export const USER_ROLES = ['admin', 'editor', 'reporter', 'ad-manager'];
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    unique: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'reporter'
+  },
+  // Optional link to the public byline used on articles
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Author',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  // Brute-force protection for the login endpoint
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockedUntil: {
+    type: Date,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+userSchema.index({ role: 1, isActive: 1 });
+
+// Never leak password data in API responses
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.failedLoginAttempts;
+    delete ret.lockedUntil;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Check if model already exists to prevent overwrite errors during hot reload
+const User = mongoose.models.User || mongoose.model('User', userSchema);
+
+export default User;
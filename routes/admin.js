@@ -9,6 +9,42 @@ import {
   bulkAction,
   runScheduledPublisher
 } from '../controllers/articleController.js';
+import {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} from '../controllers/articleRevisionController.js';
+import {
+  getArticleWorkflow,
+  transitionArticle,
+  assignReviewer,
+  addReviewComment,
+  getReviewQueue
+} from '../controllers/workflowController.js';
+import {
+  getLiveEntries,
+  createLiveEntry,
+  updateLiveEntry,
+  pinLiveEntry,
+  deleteLiveEntry
+} from '../controllers/liveBlogController.js';
+import {
+  getPushStats,
+  getPushNotifications,
+  sendPush,
+  rotatePushKeys
+} from '../controllers/pushController.js';
+import {
+  getMailSettings,
+  updateMailSettings,
+  previewNewsletter,
+  sendTestEmail,
+  sendNewsletter,
+  getIssues,
+  getIssueDeliveries,
+  resumeIssue
+} from '../controllers/newsletterController.js';
 import {
   getCategories,
   getCategory,
@@ -16,6 +52,14 @@ import {
   updateCategory,
   deleteCategory
 } from '../controllers/categoryController.js';
+import {
+  getTags,
+  getTag,
+  createTag,
+  updateTag,
+  deleteTag,
+  mergeTags
+} from '../controllers/tagController.js';
 import {
   getAuthors,
   getAuthor,
@@ -29,6 +73,51 @@ import {
   uploadImage,
   deleteMedia
 } from '../controllers/mediaController.js';
+import {
+  getPaywallConfig,
+  updatePaywallConfig,
+  getAllPlans,
+  createPlan,
+  updatePlan,
+  deletePlan,
+  getSubscriptions,
+  cancelSubscription,
+  getPayments
+} from '../controllers/paymentController.js';
+import {
+  getModerationQueue,
+  approveComment,
+  rejectComment,
+  bulkModerate,
+  banReader,
+  unbanReader,
+  getCommentConfig,
+  updateCommentConfig
+} from '../controllers/commentController.js';
+import {
+  getAllPolls,
+  getPollById,
+  createPoll,
+  updatePoll,
+  deletePoll,
+  exportPollResults
+} from '../controllers/pollController.js';
+import {
+  getAllTournaments,
+  getTournamentById,
+  createTournament,
+  updateTournament,
+  deleteTournament,
+  getAllMatches,
+  getMatchById,
+  createMatch,
+  updateMatch,
+  deleteMatch,
+  getMatchScores,
+  recordBall,
+  recordPeriod,
+  undoLastMatchScore
+} from '../controllers/tournamentController.js';
 import {
   getSettings,
   updateSettings
@@ -36,46 +125,164 @@ import {
 import {
   getStats
 } from '../controllers/statsController.js';
+import {
+  getUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser
+} from '../controllers/userController.js';
+import {
+  getSchedulerJobs,
+  getSchedulerRuns,
+  runSchedulerJob
+} from '../controllers/schedulerController.js';
 import { uploadSingle, uploadMultiple } from '../middleware/upload.js';
+import { requireAuth, requireRole, ROLES } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Manual scheduler trigger for external cron (protected by SCHEDULER_SECRET); jobs also run in-process
+router.get('/scheduler/run', runScheduledPublisher);
+
+// Everything below requires a logged in newsroom user
+router.use(requireAuth);
+
 // Stats
-router.get('/stats', getStats);
+router.get('/stats', requireRole(ROLES.NEWSROOM), getStats);
 
 // Articles
-router.get('/articles', getArticles);
-router.get('/articles/:id', getArticle);
-router.post('/articles', createArticle);
-router.put('/articles/:id', updateArticle);
-router.delete('/articles/:id', deleteArticle);
-router.post('/articles/bulk', bulkAction);
-// Scheduler (triggered by external uptime monitor / cron)
-router.get('/scheduler/run', runScheduledPublisher);
+router.get('/articles', requireRole(ROLES.NEWSROOM), getArticles);
+router.get('/articles/:id', requireRole(ROLES.NEWSROOM), getArticle);
+router.post('/articles', requireRole(ROLES.NEWSROOM), createArticle);
+router.put('/articles/:id', requireRole(ROLES.NEWSROOM), updateArticle);
+router.delete('/articles/:id', requireRole(ROLES.EDITORS), deleteArticle);
+router.post('/articles/bulk', requireRole(ROLES.EDITORS), bulkAction);
+
+// Article revisions
+router.get('/articles/:id/revisions', requireRole(ROLES.NEWSROOM), getRevisions);
+router.get('/articles/:id/revisions/diff', requireRole(ROLES.NEWSROOM), diffRevisions);
+router.get('/articles/:id/revisions/:revision', requireRole(ROLES.NEWSROOM), getRevision);
+router.post('/articles/:id/revisions/:revision/restore', requireRole(ROLES.EDITORS), restoreRevision);
+
+// Editorial workflow (role checks per transition live in utils/articleWorkflow.js)
+router.get('/workflow/queue', requireRole(ROLES.EDITORS), getReviewQueue);
+router.get('/articles/:id/workflow', requireRole(ROLES.NEWSROOM), getArticleWorkflow);
+router.post('/articles/:id/transition', requireRole(ROLES.NEWSROOM), transitionArticle);
+router.post('/articles/:id/assign', requireRole(ROLES.EDITORS), assignReviewer);
+router.post('/articles/:id/review-comments', requireRole(ROLES.NEWSROOM), addReviewComment);
+
+// Live blog entries
+router.get('/articles/:id/live-entries', requireRole(ROLES.NEWSROOM), getLiveEntries);
+router.post('/articles/:id/live-entries', requireRole(ROLES.NEWSROOM), createLiveEntry);
+router.put('/articles/:id/live-entries/:entryId', requireRole(ROLES.NEWSROOM), updateLiveEntry);
+router.post('/articles/:id/live-entries/:entryId/pin', requireRole(ROLES.NEWSROOM), pinLiveEntry);
+router.delete('/articles/:id/live-entries/:entryId', requireRole(ROLES.EDITORS), deleteLiveEntry);
 
 // Categories
-router.get('/categories', getCategories);
-router.get('/categories/:id', getCategory);
-router.post('/categories', createCategory);
-router.put('/categories/:id', updateCategory);
-router.delete('/categories/:id', deleteCategory);
+router.get('/categories', requireRole(ROLES.NEWSROOM), getCategories);
+router.get('/categories/:id', requireRole(ROLES.NEWSROOM), getCategory);
+router.post('/categories', requireRole(ROLES.EDITORS), createCategory);
+router.put('/categories/:id', requireRole(ROLES.EDITORS), updateCategory);
+router.delete('/categories/:id', requireRole(ROLES.EDITORS), deleteCategory);
+
+// Tags
+router.get('/tags', requireRole(ROLES.NEWSROOM), getTags);
+router.get('/tags/:slug', requireRole(ROLES.NEWSROOM), getTag);
+router.post('/tags', requireRole(ROLES.NEWSROOM), createTag);
+router.put('/tags/:id', requireRole(ROLES.EDITORS), updateTag);
+router.delete('/tags/:id', requireRole(ROLES.EDITORS), deleteTag);
+router.post('/tags/:id/merge', requireRole(ROLES.EDITORS), mergeTags);
 
 // Authors
-router.get('/authors', getAuthors);
-router.get('/authors/:id', getAuthor);
-router.post('/authors', createAuthor);
-router.put('/authors/:id', updateAuthor);
-router.delete('/authors/:id', deleteAuthor);
+router.get('/authors', requireRole(ROLES.NEWSROOM), getAuthors);
+router.get('/authors/:id', requireRole(ROLES.NEWSROOM), getAuthor);
+router.post('/authors', requireRole(ROLES.EDITORS), createAuthor);
+router.put('/authors/:id', requireRole(ROLES.EDITORS), updateAuthor);
+router.delete('/authors/:id', requireRole(ROLES.EDITORS), deleteAuthor);
 
 // Media
-router.get('/media', getMedia);
-router.post('/upload', uploadMultiple, uploadMedia);
-router.post('/upload/image', uploadSingle, uploadImage);
-router.delete('/media/:id', deleteMedia);
+router.get('/media', requireRole(ROLES.NEWSROOM), getMedia);
+router.post('/upload', requireRole(ROLES.NEWSROOM), uploadMultiple, uploadMedia);
+router.post('/upload/image', requireRole(ROLES.NEWSROOM), uploadSingle, uploadImage);
+router.delete('/media/:id', requireRole(ROLES.EDITORS), deleteMedia);
+
+// Web Push
+router.get('/push/stats', requireRole(ROLES.EDITORS), getPushStats);
+router.get('/push/notifications', requireRole(ROLES.EDITORS), getPushNotifications);
+router.post('/push/send', requireRole(ROLES.EDITORS), sendPush);
+router.post('/push/vapid-keys/rotate', requireRole(ROLES.ADMIN), rotatePushKeys);
+
+// Email newsletter
+router.get('/newsletter/settings', requireRole(ROLES.EDITORS), getMailSettings);
+router.put('/newsletter/settings', requireRole(ROLES.ADMIN), updateMailSettings);
+router.get('/newsletter/preview', requireRole(ROLES.EDITORS), previewNewsletter);
+router.post('/newsletter/test', requireRole(ROLES.EDITORS), sendTestEmail);
+router.post('/newsletter/send', requireRole(ROLES.EDITORS), sendNewsletter);
+router.get('/newsletter/issues', requireRole(ROLES.EDITORS), getIssues);
+router.get('/newsletter/issues/:id/deliveries', requireRole(ROLES.EDITORS), getIssueDeliveries);
+router.post('/newsletter/issues/:id/resume', requireRole(ROLES.EDITORS), resumeIssue);
+
+// Paywall and digital subscriptions
+router.get('/paywall/settings', requireRole(ROLES.EDITORS), getPaywallConfig);
+router.put('/paywall/settings', requireRole(ROLES.ADMIN), updatePaywallConfig);
+router.get('/paywall/plans', requireRole(ROLES.EDITORS), getAllPlans);
+router.post('/paywall/plans', requireRole(ROLES.ADMIN), createPlan);
+router.put('/paywall/plans/:id', requireRole(ROLES.ADMIN), updatePlan);
+router.delete('/paywall/plans/:id', requireRole(ROLES.ADMIN), deletePlan);
+router.get('/paywall/subscriptions', requireRole(ROLES.EDITORS), getSubscriptions);
+router.post('/paywall/subscriptions/:id/cancel', requireRole(ROLES.ADMIN), cancelSubscription);
+router.get('/paywall/payments', requireRole(ROLES.EDITORS), getPayments);
+
+// Reader comment moderation
+router.get('/comments', requireRole(ROLES.EDITORS), getModerationQueue);
+router.get('/comments/settings', requireRole(ROLES.EDITORS), getCommentConfig);
+router.put('/comments/settings', requireRole(ROLES.ADMIN), updateCommentConfig);
+router.post('/comments/bulk', requireRole(ROLES.EDITORS), bulkModerate);
+router.post('/comments/:id/approve', requireRole(ROLES.EDITORS), approveComment);
+router.post('/comments/:id/reject', requireRole(ROLES.EDITORS), rejectComment);
+router.post('/readers/:id/comment-ban', requireRole(ROLES.EDITORS), banReader);
+router.delete('/readers/:id/comment-ban', requireRole(ROLES.EDITORS), unbanReader);
+
+// Reader polls
+router.get('/polls', requireRole(ROLES.NEWSROOM), getAllPolls);
+router.get('/polls/:id', requireRole(ROLES.NEWSROOM), getPollById);
+router.get('/polls/:id/export', requireRole(ROLES.EDITORS), exportPollResults);
+router.post('/polls', requireRole(ROLES.EDITORS), createPoll);
+router.put('/polls/:id', requireRole(ROLES.EDITORS), updatePoll);
+router.delete('/polls/:id', requireRole(ROLES.EDITORS), deletePoll);
+
+// Local tournaments and manual match scoring
+router.get('/sports/tournaments', requireRole(ROLES.NEWSROOM), getAllTournaments);
+router.get('/sports/tournaments/:id', requireRole(ROLES.NEWSROOM), getTournamentById);
+router.post('/sports/tournaments', requireRole(ROLES.EDITORS), createTournament);
+router.put('/sports/tournaments/:id', requireRole(ROLES.EDITORS), updateTournament);
+router.delete('/sports/tournaments/:id', requireRole(ROLES.EDITORS), deleteTournament);
+router.get('/sports/matches', requireRole(ROLES.NEWSROOM), getAllMatches);
+router.get('/sports/matches/:id', requireRole(ROLES.NEWSROOM), getMatchById);
+router.post('/sports/matches', requireRole(ROLES.EDITORS), createMatch);
+router.put('/sports/matches/:id', requireRole(ROLES.NEWSROOM), updateMatch);
+router.delete('/sports/matches/:id', requireRole(ROLES.EDITORS), deleteMatch);
+router.get('/sports/matches/:id/scores', requireRole(ROLES.NEWSROOM), getMatchScores);
+router.post('/sports/matches/:id/balls', requireRole(ROLES.NEWSROOM), recordBall);
+router.put('/sports/matches/:id/periods', requireRole(ROLES.NEWSROOM), recordPeriod);
+router.delete('/sports/matches/:id/scores/last', requireRole(ROLES.NEWSROOM), undoLastMatchScore);
 
 // Settings
-router.get('/settings', getSettings);
-router.put('/settings', updateSettings);
+router.get('/settings', requireRole(ROLES.ADMIN), getSettings);
+router.put('/settings', requireRole(ROLES.ADMIN), updateSettings);
+
+// Scheduler
+router.get('/scheduler/jobs', requireRole(ROLES.EDITORS), getSchedulerJobs);
+router.get('/scheduler/runs', requireRole(ROLES.EDITORS), getSchedulerRuns);
+router.post('/scheduler/jobs/:name/run', requireRole(ROLES.EDITORS), runSchedulerJob);
+
+// Users
+router.get('/users', requireRole(ROLES.ADMIN), getUsers);
+router.get('/users/:id', requireRole(ROLES.ADMIN), getUser);
+router.post('/users', requireRole(ROLES.ADMIN), createUser);
+router.put('/users/:id', requireRole(ROLES.ADMIN), updateUser);
+router.delete('/users/:id', requireRole(ROLES.ADMIN), deleteUser);
 
 export default router;
 
@@ -3,6 +3,7 @@ import multer from 'multer';
 import { v2 as cloudinary } from 'cloudinary';
 import Ad from '../models/Ad.js';
 import fs from 'fs-extra';
+import { requireAuth, requireRole, ROLES } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -41,8 +42,11 @@ const upload = multer({
   }
 });
 
+// Ad management requires an admin or ad-manager (public routes: /active/:position, click, impression)
+const requireAdManager = [requireAuth, requireRole(ROLES.ADS)];
+
 // Get all ads (admin)
-router.get('/', async (req, res) => {
+router.get('/', requireAdManager, async (req, res) => {
   try {
     const ads = await Ad.find().sort({ position: 1, order: 1, createdAt: -1 });
     res.json(ads);
@@ -79,7 +83,7 @@ router.get('/active/:position', async (req, res) => {
 });
 
 // Get single ad - MUST be after /active/:position route
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireAdManager, async (req, res) => {
   try {
     // Don't match if it's an 'active' route (should have been caught above)
     if (req.params.id === 'active') {
@@ -98,7 +102,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create ad
-router.post('/', upload.single('file'), async (req, res) => {
+router.post('/', requireAdManager, upload.single('file'), async (req, res) => {
   try {
     const { position, title, link, order, isActive } = req.body;
     
@@ -170,7 +174,7 @@ router.post('/', upload.single('file'), async (req, res) => {
 });
 
 // Update ad
-router.put('/:id', upload.single('file'), async (req, res) => {
+router.put('/:id', requireAdManager, upload.single('file'), async (req, res) => {
   try {
     const { position, title, link, order, isActive } = req.body;
     const ad = await Ad.findById(req.params.id);
@@ -250,7 +254,7 @@ router.put('/:id', upload.single('file'), async (req, res) => {
 });
 
 // Delete ad
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAdManager, async (req, res) => {
   try {
     const ad = await Ad.findById(req.params.id);
     
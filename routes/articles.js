@@ -6,21 +6,34 @@ import {
   updateArticle,
   deleteArticle,
   bulkAction,
-  incrementViews
+  incrementViews,
+  getRelatedArticles
 } from '../controllers/articleController.js';
+import { searchArticles } from '../controllers/searchController.js';
+import { getLiveUpdates } from '../controllers/liveBlogController.js';
+import { getComments, postComment } from '../controllers/commentController.js';
+import { requireAuth, optionalAuth, optionalReader, requireReader, requireRole, ROLES } from '../middleware/auth.js';
+import { deviceCookie } from '../middleware/deviceId.js';
 
 const router = express.Router();
 
 // Public routes
-router.get('/', getArticles);
-router.get('/:id', getArticle);
+router.get('/', optionalAuth, optionalReader, getArticles);
+router.get('/search', searchArticles);
+router.get('/:id', optionalAuth, optionalReader, deviceCookie, getArticle);
+router.get('/:id/related', getRelatedArticles);
+router.get('/:id/live', getLiveUpdates);
 router.post('/:id/views', incrementViews);
 
-// Admin routes (add authentication middleware later)
-router.post('/', createArticle);
-router.put('/:id', updateArticle);
-router.delete('/:id', deleteArticle);
-router.post('/bulk', bulkAction);
+// Reader comments
+router.get('/:id/comments', getComments);
+router.post('/:id/comments', requireReader, postComment);
+
+// Admin routes
+router.post('/', requireAuth, requireRole(ROLES.NEWSROOM), createArticle);
+router.put('/:id', requireAuth, requireRole(ROLES.NEWSROOM), updateArticle);
+router.delete('/:id', requireAuth, requireRole(ROLES.EDITORS), deleteArticle);
+router.post('/bulk', requireAuth, requireRole(ROLES.EDITORS), bulkAction);
 
 export default router;
 
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  login,
+  logout,
+  getCurrentUser,
+  changePassword
+} from '../controllers/authController.js';
+import { requireAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes
+router.post('/login', login);
+
+// Authenticated routes
+router.post('/logout', requireAuth, logout);
+router.get('/me', requireAuth, getCurrentUser);
+router.put('/me/password', requireAuth, changePassword);
+
+export default router;
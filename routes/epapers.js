@@ -5,10 +5,19 @@ import { fileURLToPath } from 'url';
 import fs from 'fs-extra';
 import mongoose from 'mongoose';
 import sharp from 'sharp';
-import Epaper from '../models/Epaper.js';
+import Epaper, { EPAPER_STATUSES } from '../models/Epaper.js';
+import EpaperJob from '../models/EpaperJob.js';
+import EpaperPageText from '../models/EpaperPageText.js';
 import { uploadEpaperPage, deleteFolder, getOptimizedUrl, getCroppedUrl } from '../services/cloudinaryService.js';
-import { convertPDFToImages, cleanupTemp } from '../services/pdfConverter.js';
+import { deleteFromCloudinary } from '../services/uploadService.js';
+import { enqueueEpaperJob, retryEpaperJob, getJobProgress } from '../services/epaperJobQueue.js';
 import { generateEpaperMetaHtml } from '../utils/metaHtmlGenerator.js';
+import { markSitemapsStale } from '../utils/sitemapRegenerator.js';
+import { epaperPublished } from '../services/liveEvents.js';
+import { extractBoxText, fillSectionText } from '../utils/epaperText.js';
+import { detectPageBlocks, fetchPageImage } from '../services/layoutDetector.js';
+import { requireAuth, optionalAuth, optionalReader, requireRole, ROLES } from '../middleware/auth.js';
+import { epaperForReader } from '../services/paywall.js';
 
 const BASE_URL = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://navmanchnews.com';
 
@@ -17,6 +26,17 @@ const __dirname = path.dirname(__filename);
 
 const router = express.Router();
 
+// E-paper management is limited to editors and admins
+const requireEpaperEditor = [requireAuth, requireRole(ROLES.EDITORS)];
+
+// Parse publishAt from the request body (undefined = not sent, null = cleared)
+const parsePublishAt = (publishAt) => {
+  if (publishAt === undefined) return undefined;
+  if (!publishAt) return null;
+  const parsed = new Date(publishAt);
+  return isNaN(parsed.getTime()) ? NaN : parsed;
+};
+
 // Configure multer for PDF uploads
 const upload = multer({
   dest: path.join(__dirname, '../temp'),
@@ -48,7 +68,7 @@ const uploadImage = multer({
 });
 
 // GET /api/epapers - Get all epapers
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, optionalReader, async (req, res) => {
   try {
     // Check if MongoDB is connected
     if (mongoose.connection.readyState !== 1) {
@@ -75,7 +95,8 @@ router.get('/', async (req, res) => {
       }
     });
     
-    res.json(epapers);
+    // Pages after the preview are thumbnails only for readers without an e-paper subscription
+    res.json(await Promise.all(epapers.map(epaper => epaperForReader(req, epaper))));
   } catch (error) {
     console.error('Error fetching epapers:', error);
     console.error('Error stack:', error.stack);
@@ -88,7 +109,7 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/epapers/all - Get all epapers including drafts (for admin)
-router.get('/all', async (req, res) => {
+router.get('/all', requireEpaperEditor, async (req, res) => {
   try {
     // Check if MongoDB is connected
     if (mongoose.connection.readyState !== 1) {
@@ -127,8 +148,161 @@ router.get('/all', async (req, res) => {
   }
 });
 
+// GET /api/epapers/jobs - Recent PDF processing jobs (?status=&epaperId=)
+router.get('/jobs', requireEpaperEditor, async (req, res) => {
+  try {
+    const { status, epaperId, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (epaperId) query.epaperId = parseInt(epaperId);
+
+    const jobs = await EpaperJob.find(query)
+      .select('-sourceUrl -sourcePublicId -lockedBy')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 20, 100))
+      .lean();
+
+    res.json({
+      data: jobs.map(job => ({ ...job, ...getJobProgress(job) }))
+    });
+  } catch (error) {
+    console.error('Error fetching e-paper jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch e-paper jobs' });
+  }
+});
+
+// GET /api/epapers/jobs/:jobId - Progress of one processing job
+router.get('/jobs/:jobId', requireEpaperEditor, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await EpaperJob.findById(req.params.jobId)
+      .select('-sourceUrl -sourcePublicId -lockedBy')
+      .lean();
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ ...job, ...getJobProgress(job) });
+  } catch (error) {
+    console.error('Error fetching e-paper job:', error);
+    res.status(500).json({ error: 'Failed to fetch e-paper job' });
+  }
+});
+
+// POST /api/epapers/jobs/:jobId/retry - Re-queue the failed pages of a job
+router.post('/jobs/:jobId/retry', requireEpaperEditor, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await EpaperJob.findById(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status !== 'failed') {
+      return res.status(409).json({ error: `Only failed jobs can be retried (job is ${job.status})` });
+    }
+
+    await retryEpaperJob(job);
+
+    res.json({
+      jobId: job._id,
+      status: job.status,
+      ...getJobProgress(job)
+    });
+  } catch (error) {
+    console.error('Error retrying e-paper job:', error);
+    res.status(500).json({ error: 'Failed to retry e-paper job' });
+  }
+});
+
+// GET /api/epapers/:id/pages/:pageNo/text - PDF text of a page, or of one box (?x=&y=&width=&height=)
+router.get('/:id/pages/:pageNo/text', requireEpaperEditor, async (req, res) => {
+  try {
+    const epaperId = parseInt(req.params.id);
+    const pageNo = parseInt(req.params.pageNo);
+
+    const pageText = await EpaperPageText.findOne({ epaperId, pageNo }).lean();
+
+    if (!pageText) {
+      return res.status(404).json({ error: 'No text layer for this page' });
+    }
+
+    const { x, y, width, height } = req.query;
+    if (width === undefined || height === undefined) {
+      return res.json(pageText);
+    }
+
+    // Box coordinates are in pixels of the stored page image
+    const epaper = await Epaper.findOne({ id: epaperId }).select('pages.pageNo pages.width pages.height').lean();
+    const page = epaper?.pages?.find(p => p.pageNo === pageNo);
+
+    const box = {
+      x: parseFloat(x) || 0,
+      y: parseFloat(y) || 0,
+      width: parseFloat(width) || 0,
+      height: parseFloat(height) || 0
+    };
+
+    res.json(extractBoxText(pageText, box, { pageWidth: page?.width, pageHeight: page?.height }));
+  } catch (error) {
+    console.error('Error fetching page text:', error);
+    res.status(500).json({ error: 'Failed to fetch page text' });
+  }
+});
+
+// POST /api/epapers/:id/pages/:pageNo/detect-blocks - Propose section rectangles (nothing is saved)
+router.post('/:id/pages/:pageNo/detect-blocks', requireEpaperEditor, async (req, res) => {
+  try {
+    const epaperId = parseInt(req.params.id);
+    const pageNo = parseInt(req.params.pageNo);
+
+    const epaper = await Epaper.findOne({ id: epaperId }).lean();
+    if (!epaper) {
+      return res.status(404).json({ error: 'Epaper not found' });
+    }
+
+    const page = epaper.pages?.find(p => p.pageNo === pageNo);
+    if (!page || !page.image) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    const [imageBuffer, pageText] = await Promise.all([
+      fetchPageImage(page),
+      EpaperPageText.findOne({ epaperId, pageNo }).lean()
+    ]);
+
+    const candidates = await detectPageBlocks({
+      imageBuffer,
+      pageWidth: page.width,
+      pageHeight: page.height,
+      pageText,
+      existingSections: page.news || []
+    });
+
+    res.json({
+      pageNo,
+      width: page.width,
+      height: page.height,
+      usedTextLayer: !!pageText,
+      candidates
+    });
+  } catch (error) {
+    console.error('Error detecting page blocks:', error);
+    res.status(500).json({ error: 'Failed to detect page blocks', details: error.message });
+  }
+});
+
 // GET /api/epapers/:id - Get a specific epaper (supports both slug and ID)
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, optionalReader, async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -144,7 +318,8 @@ router.get('/:id', async (req, res) => {
       epaper = await Epaper.findOne({ slug: id }).select('-__v').lean();
     }
     
-    if (!epaper) {
+    // Scheduled and draft editions stay hidden from everyone but staff, as in the list
+    if (!epaper || (!req.user && epaper.status !== 'published')) {
       return res.status(404).json({ error: 'Epaper not found' });
     }
     
@@ -157,91 +332,55 @@ router.get('/:id', async (req, res) => {
       });
     }
     
-    res.json(epaper);
+    res.json(await epaperForReader(req, epaper));
   } catch (error) {
     console.error('Error fetching epaper:', error);
     res.status(500).json({ error: 'Failed to fetch epaper' });
   }
 });
 
-// POST /api/epapers/upload - Upload PDF and create e-paper
-router.post('/upload', upload.single('pdf'), async (req, res) => {
+// POST /api/epapers/upload - Upload PDF and queue page conversion (returns a job to poll)
+router.post('/upload', requireEpaperEditor, upload.single('pdf'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No PDF file uploaded' });
     }
 
-    const { title, date } = req.body;
+    const { title, date, status = 'published' } = req.body;
+    const publishAt = parsePublishAt(req.body.publishAt);
     
     if (!title || !date) {
       return res.status(400).json({ error: 'Title and date are required' });
     }
 
-    // Convert PDF to images
-    console.log('Converting PDF to images...');
-    const pages = await convertPDFToImages(req.file.path);
-
-    // Generate e-paper ID
-    const epaperId = Date.now();
+    if (!['draft', 'scheduled', 'published'].includes(status)) {
+      return res.status(400).json({ error: `Invalid status: ${status}` });
+    }
 
-    // Upload each page to Cloudinary
-    console.log('Uploading pages to Cloudinary...');
-    const uploadedPages = [];
-    
-    for (const page of pages) {
-      const uploadResult = await uploadEpaperPage(
-        page.imageBuffer,
-        epaperId,
-        page.pageNo
-      );
-
-      uploadedPages.push({
-        pageNo: page.pageNo,
-        image: uploadResult.imageUrl,
-        thumbnail: uploadResult.thumbnailUrl,
-        publicId: uploadResult.publicId,
-        width: uploadResult.width,
-        height: uploadResult.height,
-        news: []
-      });
+    if (Number.isNaN(publishAt) || (status === 'scheduled' && !publishAt)) {
+      return res.status(400).json({ error: 'A valid publishAt is required to schedule an e-paper' });
     }
 
-    // Create e-paper document
-    const epaper = new Epaper({
-      id: epaperId,
+    const pdfBuffer = await fs.readFile(req.file.path);
+    await fs.remove(req.file.path);
+
+    const { job, epaper } = await enqueueEpaperJob({
+      pdfBuffer,
       title,
-      date: new Date(date),
-      status: 'published',
-      pages: uploadedPages,
-      // Use an optimized 600x800 front-page image as default share image
-      shareImageUrl: uploadedPages[0]?.publicId
-        ? getOptimizedUrl(uploadedPages[0].publicId, {
-            width: 600,
-            height: 800,
-            crop: 'fill',
-            quality: 60,
-            fetch_format: 'jpg'
-          })
-        : (uploadedPages[0]?.thumbnail || uploadedPages[0]?.image || '')
+      date,
+      targetStatus: status,
+      publishAt: publishAt || null,
+      user: req.user
     });
 
-    await epaper.save();
-
-    // Clean up temp files
-    fs.unlinkSync(req.file.path);
-    cleanupTemp();
-
-    console.log(`✅ E-paper created with ID: ${epaperId}`);
+    console.log(`✅ E-paper ${epaper.id} queued as job ${job._id} (${job.pageCount} pages)`);
 
-    // Generate metaHtml asynchronously (non-blocking, doesn't add latency)
-    generateEpaperMetaHtml(epaper.toObject(), BASE_URL)
-      .then(metaHtml => {
-        Epaper.findByIdAndUpdate(epaper._id, { metaHtml })
-          .catch(err => console.error('Error saving metaHtml (non-critical):', err.message));
-      })
-      .catch(err => console.error('Error generating metaHtml (non-critical):', err.message));
-
-    res.status(201).json(epaper);
+    res.status(202).json({
+      jobId: job._id,
+      status: job.status,
+      ...getJobProgress(job),
+      epaper
+    });
   } catch (error) {
     console.error('Error uploading e-paper:', error);
     console.error('Error stack:', error.stack);
@@ -256,7 +395,6 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
         console.error('Error cleaning up file:', e);
       }
     }
-    cleanupTemp();
 
     res.status(500).json({ 
       error: 'Failed to upload e-paper', 
@@ -267,7 +405,7 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
 });
 
 // POST /api/epapers/upload-page - Upload individual page image
-router.post('/upload-page', uploadImage.single('image'), async (req, res) => {
+router.post('/upload-page', requireEpaperEditor, uploadImage.single('image'), async (req, res) => {
   const startTime = Date.now();
   const requestId = Date.now().toString().slice(-6);
   
@@ -415,9 +553,14 @@ router.post('/upload-page', uploadImage.single('image'), async (req, res) => {
     // Step 6: Save to database
     console.log(`[${requestId}] 💾 Step 6: Saving to database...`);
     const saveStartTime = Date.now();
+    const isNewEpaper = epaper.isNew;
     await epaper.save();
     const saveTime = ((Date.now() - saveStartTime) / 1000).toFixed(2);
     console.log(`[${requestId}] ✅ Database save completed in ${saveTime}s`);
+    markSitemapsStale();
+    if (isNewEpaper && epaper.status === 'published') {
+      epaperPublished(epaper);
+    }
     
     // Generate metaHtml asynchronously (non-blocking, doesn't add latency)
     generateEpaperMetaHtml(epaper.toObject(), BASE_URL)
@@ -468,14 +611,19 @@ router.post('/upload-page', uploadImage.single('image'), async (req, res) => {
 });
 
 // POST /api/epapers - Create e-paper (alternative endpoint)
-router.post('/', async (req, res) => {
+router.post('/', requireEpaperEditor, async (req, res) => {
   try {
     const { id, title, date, pages, status } = req.body;
+    const publishAt = parsePublishAt(req.body.publishAt);
 
     if (!title || !date) {
       return res.status(400).json({ error: 'Title and date are required' });
     }
 
+    if (Number.isNaN(publishAt)) {
+      return res.status(400).json({ error: 'Invalid publishAt date' });
+    }
+
     const epaperId = id || Date.now();
 
     // Check if ID already exists
@@ -486,7 +634,15 @@ router.post('/', async (req, res) => {
       existing.date = new Date(date);
       existing.pages = pages || existing.pages;
       existing.status = status || existing.status;
+      if (publishAt !== undefined) existing.publishAt = publishAt;
       existing.updatedAt = Date.now();
+
+      if (existing.status === 'scheduled' && !existing.publishAt) {
+        return res.status(400).json({ error: 'publishAt is required to schedule an e-paper' });
+      }
+
+      // Fill empty section titles/content from the PDF text layer
+      await fillSectionText(existing);
       
       await existing.save();
       
@@ -506,11 +662,21 @@ router.post('/', async (req, res) => {
       title,
       date: new Date(date),
       pages: pages || [],
-      status: status || 'published'
+      status: status || 'published',
+      publishAt: publishAt || null
     });
 
+    if (epaper.status === 'scheduled' && !epaper.publishAt) {
+      return res.status(400).json({ error: 'publishAt is required to schedule an e-paper' });
+    }
+
     await epaper.save();
 
+    if (epaper.status === 'published') {
+      markSitemapsStale();
+      epaperPublished(epaper);
+    }
+
     // Generate metaHtml asynchronously (non-blocking, doesn't add latency)
     generateEpaperMetaHtml(epaper.toObject(), BASE_URL)
       .then(metaHtml => {
@@ -530,7 +696,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/epapers/:id - Update e-paper (including mappings)
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireEpaperEditor, async (req, res) => {
   try {
     const epaperId = parseInt(req.params.id);
     console.log(`PUT /api/epapers/${epaperId} - Updating e-paper`);
@@ -540,11 +706,16 @@ router.put('/:id', async (req, res) => {
     
     // Extract only the fields we need (ignore _id, __v, etc. from MongoDB)
     const { title, date, pages, status } = req.body;
+    const publishAt = parsePublishAt(req.body.publishAt);
 
     // Validate request body
     if (!req.body || typeof req.body !== 'object') {
       return res.status(400).json({ error: 'Invalid request body' });
     }
+
+    if (Number.isNaN(publishAt)) {
+      return res.status(400).json({ error: 'Invalid publishAt date' });
+    }
     
     // Log for debugging
     if (pages && Array.isArray(pages)) {
@@ -574,6 +745,7 @@ router.put('/:id', async (req, res) => {
     }
 
     let epaper = await Epaper.findOne({ id: epaperId });
+    const wasPublished = epaper?.status === 'published';
 
     if (!epaper) {
       // Create if doesn't exist (upsert)
@@ -602,7 +774,8 @@ router.put('/:id', async (req, res) => {
         title: title || 'Untitled',
         date: epaperDate,
         pages: pages || [],
-        status: status || 'published'
+        status: status || 'published',
+        publishAt: publishAt || null
       });
     } else {
       // Update existing
@@ -711,15 +884,26 @@ router.put('/:id', async (req, res) => {
       }
       if (status !== undefined) {
         // Validate status enum
-        if (['draft', 'published', 'archived'].includes(status)) {
+        if (EPAPER_STATUSES.includes(status)) {
           epaper.status = status;
         } else {
           console.warn(`Invalid status: ${status}, keeping existing status`);
         }
       }
+      if (publishAt !== undefined) epaper.publishAt = publishAt;
       epaper.updatedAt = new Date();
     }
 
+    if (epaper.status === 'scheduled' && !epaper.publishAt) {
+      return res.status(400).json({ error: 'publishAt is required to schedule an e-paper' });
+    }
+
+    // Fill empty section titles/content from the PDF text layer
+    const filledSections = await fillSectionText(epaper);
+    if (filledSections > 0) {
+      console.log(`📝 Filled text of ${filledSections} section(s) from the PDF text layer`);
+    }
+
     // Ensure shareImageUrl is set if missing (fallback for epapers created before this logic)
     if (!epaper.shareImageUrl || epaper.shareImageUrl.trim() === '') {
       console.log('⚠️  shareImageUrl missing, generating from first page...');
@@ -805,6 +989,10 @@ router.put('/:id', async (req, res) => {
     try {
       await epaper.save();
       console.log(`✅ E-paper ${epaperId} updated successfully`);
+      markSitemapsStale();
+      if (epaper.status === 'published' && !wasPublished) {
+        epaperPublished(epaper);
+      }
       
       // Generate metaHtml asynchronously (non-blocking, doesn't add latency)
       generateEpaperMetaHtml(epaper.toObject(), BASE_URL)
@@ -854,7 +1042,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/epapers/:id - Delete e-paper
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireEpaperEditor, async (req, res) => {
   try {
     const epaperId = parseInt(req.params.id);
     
@@ -872,8 +1060,20 @@ router.delete('/:id', async (req, res) => {
       // Continue with deletion even if Cloudinary delete fails
     }
 
+    // Stop any PDF processing for this edition and drop its stored source PDFs
+    const jobs = await EpaperJob.find({ epaperId }).select('sourcePublicId status').lean();
+    await EpaperJob.deleteMany({ epaperId });
+    await EpaperPageText.deleteMany({ epaperId });
+    jobs
+      .filter(job => job.sourcePublicId && job.status !== 'completed')
+      .forEach(job => {
+        deleteFromCloudinary(job.sourcePublicId, 'raw')
+          .catch(err => console.error('Error deleting source PDF (non-critical):', err.message));
+      });
+
     // Delete from database
     await Epaper.deleteOne({ id: epaperId });
+    markSitemapsStale();
 
     console.log(`✅ E-paper ${epaperId} deleted`);
     res.status(204).send();
@@ -0,0 +1,9 @@
+import express from 'express';
+import { streamEvents } from '../controllers/eventController.js';
+
+const router = express.Router();
+
+// Server-Sent Events stream (breaking news, category/article updates, live blogs, e-papers)
+router.get('/', streamEvents);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getLatestFeed,
+  getBreakingFeed,
+  getCategoryFeed,
+  getAuthorFeed,
+  getTagFeed
+} from '../controllers/feedController.js';
+
+const router = express.Router();
+
+// RSS 2.0 / Atom 1.0 feeds (?content=full for full article HTML, ?limit= up to 100)
+router.get('/:format(rss|atom).xml', getLatestFeed);
+router.get('/feed/:format(rss|atom)', getLatestFeed);
+router.get('/feed/breaking/:format(rss|atom)', getBreakingFeed);
+router.get('/feed/category/:slug/:format(rss|atom)', getCategoryFeed);
+router.get('/feed/author/:id/:format(rss|atom)', getAuthorFeed);
+router.get('/feed/tag/:slug/:format(rss|atom)', getTagFeed);
+
+export default router;
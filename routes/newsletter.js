@@ -0,0 +1,9 @@
+import express from 'express';
+import { receiveBounces } from '../controllers/newsletterController.js';
+
+const router = express.Router();
+
+// Public routes (mail provider webhook, authenticated with ?secret=)
+router.post('/bounces', receiveBounces);
+
+export default router;
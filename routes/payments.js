@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getPlans,
+  checkout,
+  getAccess,
+  requestAccessLink,
+  redeemAccess,
+  receiveWebhook,
+  getFakeOrder,
+  payFakeOrder
+} from '../controllers/paymentController.js';
+import { optionalAuth, optionalReader } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes (digital subscription checkout and reader access)
+router.get('/plans', getPlans);
+router.post('/checkout', checkout);
+router.get('/access', optionalAuth, optionalReader, getAccess);
+router.post('/access-link', requestAccessLink);
+router.post('/access', redeemAccess);
+
+// Provider webhooks (signature checked per provider)
+router.post('/webhooks/:provider', receiveWebhook);
+
+// Local stand-in payment gateway for development and tests (only when explicitly enabled)
+if (process.env.FAKE_PAYMENTS_ENABLED === 'true') {
+  router.get('/fake-gateway/orders/:orderId', getFakeOrder);
+  router.post('/fake-gateway/orders/:orderId/pay', payFakeOrder);
+}
+
+export default router;
@@ -8,6 +8,7 @@ import {
   incrementViews,
   uploadMiddleware
 } from '../controllers/photoOfTheDayController.js';
+import { requireAuth, requireRole, ROLES } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -16,10 +17,10 @@ router.get('/today', getTodayPhoto);
 router.post('/:id/views', incrementViews);
 
 // Admin routes
-router.get('/', getAllPhotos);
-router.post('/', uploadMiddleware, createPhoto);
-router.put('/:id', uploadMiddleware, updatePhoto);
-router.delete('/:id', deletePhoto);
+router.get('/', requireAuth, requireRole(ROLES.EDITORS), getAllPhotos);
+router.post('/', requireAuth, requireRole(ROLES.EDITORS), uploadMiddleware, createPhoto);
+router.put('/:id', requireAuth, requireRole(ROLES.EDITORS), uploadMiddleware, updatePhoto);
+router.delete('/:id', requireAuth, requireRole(ROLES.EDITORS), deletePhoto);
 
 export default router;
 
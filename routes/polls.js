@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  getHomepagePolls,
+  getArticlePolls,
+  getPoll,
+  votePoll,
+  getPollResults
+} from '../controllers/pollController.js';
+import { optionalAuth, optionalReader } from '../middleware/auth.js';
+import { deviceCookie } from '../middleware/deviceId.js';
+
+const router = express.Router();
+
+// Public routes (admin management lives under /api/admin/polls)
+router.get('/homepage', optionalAuth, optionalReader, deviceCookie, getHomepagePolls);
+router.get('/article/:articleId', optionalAuth, optionalReader, deviceCookie, getArticlePolls);
+router.get('/:id', optionalAuth, optionalReader, deviceCookie, getPoll);
+router.get('/:id/results', optionalAuth, optionalReader, deviceCookie, getPollResults);
+router.post('/:id/vote', optionalAuth, optionalReader, deviceCookie, votePoll);
+
+export default router;
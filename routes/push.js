@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getVapidPublicKey,
+  subscribe,
+  unsubscribe,
+  receiveTestPush,
+  getTestPushes
+} from '../controllers/pushController.js';
+
+const router = express.Router();
+
+// Public routes (browser Web Push subscriptions)
+router.get('/vapid-public-key', getVapidPublicKey);
+router.post('/subscribe', subscribe);
+router.post('/unsubscribe', unsubscribe);
+
+// Local stand-in push service for development and tests (only when explicitly enabled)
+if (process.env.PUSH_TEST_ENDPOINT_ENABLED === 'true') {
+  router.post('/test-endpoint/:token', receiveTestPush);
+  router.get('/test-endpoint/:token', getTestPushes);
+}
+
+export default router;
@@ -0,0 +1,60 @@
+import express from 'express';
+import {
+  register,
+  login,
+  requestLoginCode,
+  verifyLoginCode,
+  logout,
+  getMe,
+  updateMe,
+  deleteMe,
+  getFollows,
+  updateFollows,
+  follow,
+  unfollow
+} from '../controllers/readerController.js';
+import {
+  getBookmarks,
+  addBookmark,
+  removeBookmark,
+  getHistory,
+  recordReading,
+  removeHistoryEntry,
+  clearHistory,
+  getForYouFeed
+} from '../controllers/readerLibraryController.js';
+import { requireReader } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public routes (reader registration and login)
+router.post('/register', register);
+router.post('/login', login);
+router.post('/login-code', requestLoginCode);
+router.post('/login-code/verify', verifyLoginCode);
+
+// Reader routes
+router.use(requireReader);
+
+router.post('/logout', logout);
+router.get('/me', getMe);
+router.put('/me', updateMe);
+router.delete('/me', deleteMe);
+
+router.get('/me/follows', getFollows);
+router.put('/me/follows', updateFollows);
+router.post('/me/follows/:type/:id', follow);
+router.delete('/me/follows/:type/:id', unfollow);
+
+router.get('/me/bookmarks', getBookmarks);
+router.post('/me/bookmarks', addBookmark);
+router.delete('/me/bookmarks/:id', removeBookmark);
+
+router.get('/me/history', getHistory);
+router.put('/me/history/:articleId', recordReading);
+router.delete('/me/history/:articleId', removeHistoryEntry);
+router.delete('/me/history', clearHistory);
+
+router.get('/me/feed', getForYouFeed);
+
+export default router;
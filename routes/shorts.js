@@ -8,6 +8,7 @@ import {
   deleteShort,
   incrementViews
 } from '../controllers/shortController.js';
+import { requireAuth, requireRole, ROLES } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -17,10 +18,10 @@ router.get('/:id', getShort);
 router.post('/:id/views', incrementViews);
 
 // Admin routes
-router.get('/admin/all', getAllShorts);
-router.post('/admin', createShort);
-router.put('/admin/:id', updateShort);
-router.delete('/admin/:id', deleteShort);
+router.get('/admin/all', requireAuth, requireRole(ROLES.EDITORS), getAllShorts);
+router.post('/admin', requireAuth, requireRole(ROLES.EDITORS), createShort);
+router.put('/admin/:id', requireAuth, requireRole(ROLES.EDITORS), updateShort);
+router.delete('/admin/:id', requireAuth, requireRole(ROLES.EDITORS), deleteShort);
 
 export default router;
 
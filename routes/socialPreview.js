@@ -10,6 +10,7 @@ import {
   getEpaperImageUrl,
   getCroppedImageUrl
 } from '../utils/metaHtmlGenerator.js';
+import { normalizeLanguage, getLocalizedUrl } from '../utils/articleLocale.js';
 
 const router = express.Router();
 
@@ -60,6 +61,9 @@ router.get('/news/:id', async (req, res) => {
   try {
     const userAgent = req.headers['user-agent'] || '';
     const { id } = req.params;
+    // Hindi/English versions (?lang=hi|en); Marathi is the default
+    const lang = normalizeLanguage(req.query.lang);
+    const isTranslation = lang && lang !== 'mr';
     // Use the frontend origin from the proxy header, or fallback to env or request origin
     const baseUrl = req.headers['x-frontend-origin'] || 
                     process.env.FRONTEND_URL || 
@@ -69,11 +73,11 @@ router.get('/news/:id', async (req, res) => {
     
     // Only serve HTML to crawlers, redirect others to React app
     if (!isCrawler(userAgent)) {
-      return res.redirect(`${baseUrl}/news/${id}`);
+      return res.redirect(getLocalizedUrl(`${baseUrl}/news/${id}`, lang));
     }
     
     // Check cache first (instant response for iOS)
-    const cacheKey = `news:${id}:${baseUrl}`;
+    const cacheKey = `news:${id}:${baseUrl}${isTranslation ? `:${lang}` : ''}`;
     const cached = metaCache.get(cacheKey);
     if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
       console.log(`⚡ [CACHE HIT] Instant meta tags for news/${id}`);
@@ -87,12 +91,12 @@ router.get('/news/:id', async (req, res) => {
     if (mongoose.Types.ObjectId.isValid(id)) {
       article = await Article.findById(id)
         .populate('categoryId', 'name')
-        .select('title summary content featuredImage imageGallery createdAt publishedAt slug metaHtml _id')
+        .select('title titleEn summary content translations featuredImage imageGallery createdAt publishedAt slug metaHtml _id')
         .lean(); // Use lean() for 2-3x faster queries
     } else {
       article = await Article.findOne({ slug: id })
         .populate('categoryId', 'name')
-        .select('title summary content featuredImage imageGallery createdAt publishedAt slug metaHtml _id')
+        .select('title titleEn summary content translations featuredImage imageGallery createdAt publishedAt slug metaHtml _id')
         .lean(); // Use lean() for 2-3x faster queries
     }
     
@@ -107,7 +111,8 @@ router.get('/news/:id', async (req, res) => {
     }
     
     // INSTANT: If pre-generated metaHtml exists, serve it immediately (zero latency)
-    if (article.metaHtml && article.metaHtml.trim() !== '') {
+    // (only the Marathi version is pre-generated)
+    if (!isTranslation && article.metaHtml && article.metaHtml.trim() !== '') {
       console.log(`⚡ [INSTANT] Serving pre-generated metaHtml for news/${id}`);
       res.setHeader('Content-Type', 'text/html; charset=utf-8');
       res.setHeader('Cache-Control', 'public, max-age=86400'); // 24 hours
@@ -116,11 +121,13 @@ router.get('/news/:id', async (req, res) => {
     
     // Lazy generation: Generate on-the-fly for existing articles (non-blocking)
     console.log(`🔄 [LAZY GEN] Generating metaHtml on-the-fly for news/${id}`);
-    const html = generateArticleMetaHtml(article, baseUrl);
+    const html = await generateArticleMetaHtml(article, baseUrl, { lang });
     
     // Save it for next time (async, non-blocking - don't wait)
-    Article.findByIdAndUpdate(article._id || id, { metaHtml: html })
-      .catch(err => console.error('Error saving metaHtml (non-critical):', err.message));
+    if (!isTranslation) {
+      Article.findByIdAndUpdate(article._id || id, { metaHtml: html })
+        .catch(err => console.error('Error saving metaHtml (non-critical):', err.message));
+    }
     
     // Cache in memory for immediate future requests
     metaCache.set(cacheKey, { html, timestamp: Date.now() });
@@ -1,20 +1,23 @@
 import express from 'express';
 import {
-  getCricketLiveScores,
-  getCricketUpcomingMatches,
-  getFootballLiveScores,
-  getFootballUpcomingMatches
+  getLiveScores,
+  getUpcomingFixtures,
+  getMatchDetail,
+  getMatchScorecard,
+  getTournaments,
+  getTournament
 } from '../controllers/sportsController.js';
 
 const router = express.Router();
 
-// Cricket routes
-router.get('/cricket/livescores', getCricketLiveScores);
-router.get('/cricket/upcoming', getCricketUpcomingMatches);
+// Local tournaments scored by the desk
+router.get('/tournaments', getTournaments);
+router.get('/tournaments/:slug', getTournament);
 
-// Football routes
-router.get('/football/livescores', getFootballLiveScores);
-router.get('/football/upcoming', getFootballUpcomingMatches);
+// Cricket and football from Sports Monk, cached and normalized, with local matches merged in (:sport = cricket|football|kabaddi)
+router.get('/:sport/livescores', getLiveScores);
+router.get('/:sport/upcoming', getUpcomingFixtures);
+router.get('/:sport/matches/:id', getMatchDetail);
+router.get('/:sport/matches/:id/scorecard', getMatchScorecard);
 
 export default router;
-
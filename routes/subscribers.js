@@ -1,20 +1,63 @@
 import express from 'express';
+import multer from 'multer';
 import {
   createSubscriber,
   getSubscribers,
   checkSubscriber,
-  unsubscribe
+  unsubscribe,
+  confirmSubscription,
+  requestManageLink,
+  getPreferences,
+  updatePreferences,
+  getConsentHistory
 } from '../controllers/subscriberController.js';
+import {
+  exportSubscribers,
+  importSubscribers,
+  getSegments,
+  previewSegment,
+  createSegment,
+  updateSegment,
+  deleteSegment
+} from '../controllers/subscriberAdminController.js';
+import { requireAuth, requireRole, ROLES } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// CSV uploads for imports (kept in memory, parsed right away)
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (/\.csv$/i.test(file.originalname) || ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  }
+});
+
+const requireEditor = [requireAuth, requireRole(ROLES.EDITORS)];
+
 // Public routes
 router.post('/', createSubscriber);
 router.post('/check', checkSubscriber);
+router.post('/confirm', confirmSubscription);
+router.post('/manage-link', requestManageLink);
+router.get('/preferences', getPreferences);
+router.put('/preferences', updatePreferences);
 
-// Admin routes (can be protected later with auth middleware)
-router.get('/', getSubscribers);
+// Admin routes
+router.get('/', ...requireEditor, getSubscribers);
+router.get('/export', ...requireEditor, exportSubscribers);
+router.post('/import', ...requireEditor, uploadCsv.single('file'), importSubscribers);
+router.get('/segments', ...requireEditor, getSegments);
+router.get('/segments/preview', ...requireEditor, previewSegment);
+router.post('/segments', ...requireEditor, createSegment);
+router.get('/segments/:id/preview', ...requireEditor, previewSegment);
+router.put('/segments/:id', ...requireEditor, updateSegment);
+router.delete('/segments/:id', ...requireEditor, deleteSegment);
+router.get('/:id/consent', ...requireEditor, getConsentHistory);
 router.post('/unsubscribe', unsubscribe);
 
 export default router;
-
@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  getTags,
+  getTag,
+  getTagArticles,
+  getTrendingTags
+} from '../controllers/tagController.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getTags);
+router.get('/trending', getTrendingTags);
+router.get('/:slug', getTag);
+router.get('/:slug/articles', getTagArticles);
+
+export default router;
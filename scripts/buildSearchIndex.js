@@ -0,0 +1,60 @@
+// Backfill script: compute normalized search fields for existing articles and build the text index
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Article from '../models/Article.js';
+import Author from '../models/Author.js';
+import Tag from '../models/Tag.js';
+import { buildArticleSearchText } from '../utils/searchText.js';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const buildIndex = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const authors = await Author.find({}).select('name').lean();
+    const authorNames = new Map(authors.map(author => [String(author._id), author.name]));
+    const tags = await Tag.find({}).select('name nameEn').lean();
+    const tagNames = new Map(tags.map(tag => [String(tag._id), [tag.name, tag.nameEn]]));
+
+    const cursor = Article.find({})
+      .select('title titleEn summary content metaKeywords authorId tags translations')
+      .lean()
+      .cursor();
+
+    let count = 0;
+    for await (const article of cursor) {
+      const searchText = buildArticleSearchText(article, {
+        authorName: authorNames.get(String(article.authorId)) || '',
+        tagNames: (article.tags || []).flatMap(tagId => tagNames.get(String(tagId)) || [])
+      });
+      // Raw update so updatedAt is left untouched
+      await Article.collection.updateOne({ _id: article._id }, { $set: { searchText } });
+      count++;
+      if (count % 100 === 0) {
+        console.log(`📝 ${count} articles processed...`);
+      }
+    }
+    console.log(`📝 ${count} articles processed`);
+
+    await Article.syncIndexes();
+    console.log('🔎 Search index ready');
+
+    await mongoose.disconnect();
+    console.log('\n🎉 Search index build completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Search index build failed:', error);
+    process.exit(1);
+  }
+};
+
+buildIndex();
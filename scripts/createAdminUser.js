@@ -0,0 +1,63 @@
+// Create (or reset) an admin panel user
+// Usage: npm run create-admin -- <email> <password> [name] [role]
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import User, { USER_ROLES } from '../models/User.js';
+import Session from '../models/Session.js';
+import { hashPassword, MIN_PASSWORD_LENGTH } from '../utils/password.js';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const [email, password, name = 'Administrator', role = 'admin'] = process.argv.slice(2);
+
+const createAdmin = async () => {
+  if (!email || !password) {
+    console.error('❌ Usage: npm run create-admin -- <email> <password> [name] [role]');
+    process.exit(1);
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    console.error(`❌ Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    process.exit(1);
+  }
+
+  if (!USER_ROLES.includes(role)) {
+    console.error(`❌ Invalid role "${role}". Allowed roles: ${USER_ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const passwordHash = await hashPassword(password);
+    let user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (user) {
+      user.passwordHash = passwordHash;
+      user.role = role;
+      user.isActive = true;
+      await user.save();
+      await Session.deleteMany({ userId: user._id });
+      console.log(`🔄 Updated existing user ${user.email} (role: ${user.role}), all sessions revoked`);
+    } else {
+      user = await User.create({ name, email, role, passwordHash });
+      console.log(`✅ Created user ${user.email} (role: ${user.role})`);
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to create admin user:', error.message);
+    process.exit(1);
+  }
+};
+
+createAdmin();
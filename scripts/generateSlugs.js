@@ -1,8 +1,9 @@
-// Migration script to regenerate slugs for articles and e-papers
+// Migration script to regenerate slugs for articles, e-papers and categories
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import Article from '../models/Article.js';
 import Epaper from '../models/Epaper.js';
+import Category from '../models/Category.js';
 import { generateUniqueSlug, generateSlug } from '../utils/slugGenerator.js';
 
 dotenv.config();
@@ -117,6 +118,35 @@ const regenerateEpaperSlugs = async () => {
   }
 };
 
+const generateCategorySlugs = async () => {
+  try {
+    // Only categories without a slug - existing slugs are used in feed URLs
+    const categories = await Category.find({ $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }] });
+    console.log(`\n🗂️  Found ${categories.length} categories without a slug\n`);
+
+    let successCount = 0;
+    let errorCount = 0;
+
+    for (let i = 0; i < categories.length; i++) {
+      const category = categories[i];
+      try {
+        category.slug = await generateUniqueSlug(Category, String(category.nameEn || category.name).toLowerCase(), category._id);
+        await category.save();
+        successCount++;
+        console.log(`✅ [${i + 1}/${categories.length}] Category slug: "${category.name}" -> ${category.slug}`);
+      } catch (error) {
+        errorCount++;
+        console.error(`❌ [${i + 1}/${categories.length}] Error for category ${category._id}:`, error.message);
+      }
+    }
+
+    return { success: successCount, error: errorCount, total: categories.length };
+  } catch (error) {
+    console.error('❌ Error in generateCategorySlugs:', error);
+    throw error;
+  }
+};
+
 const regenerateAllSlugs = async () => {
   try {
     // Connect to database
@@ -137,6 +167,11 @@ const regenerateAllSlugs = async () => {
     console.log('-'.repeat(60));
     const epaperStats = await regenerateEpaperSlugs();
 
+    // Generate missing category slugs
+    console.log('\n🗂️  GENERATING CATEGORY SLUGS');
+    console.log('-'.repeat(60));
+    const categoryStats = await generateCategorySlugs();
+
     // Summary
     console.log('\n' + '='.repeat(60));
     console.log('📊 REGENERATION SUMMARY');
@@ -151,6 +186,11 @@ const regenerateAllSlugs = async () => {
     console.log(`   ❌ Errors: ${epaperStats.error}`);
     console.log(`   📝 Total: ${epaperStats.total}`);
     console.log(`   📑 Sections: ${epaperStats.sections}`);
+
+    console.log('\n🗂️  Categories:');
+    console.log(`   ✅ Success: ${categoryStats.success}`);
+    console.log(`   ❌ Errors: ${categoryStats.error}`);
+    console.log(`   📝 Total: ${categoryStats.total}`);
     
     console.log('\n' + '='.repeat(60));
     console.log('✅ Slug regeneration completed!\n');
@@ -0,0 +1,52 @@
+// Migration script: map the legacy "pending" article status onto the editorial workflow
+// pending + scheduledAt -> scheduled, pending without a date -> submitted
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Article from '../models/Article.js';
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const now = new Date();
+    const historyEntry = (to) => ({
+      from: 'pending',
+      to,
+      changedByName: 'migration',
+      note: 'Legacy pending status migrated',
+      changedAt: now
+    });
+
+    // Use the raw collection: "pending" is no longer a valid enum value
+    const scheduled = await Article.collection.updateMany(
+      { status: 'pending', scheduledAt: { $ne: null } },
+      { $set: { status: 'scheduled' }, $push: { statusHistory: historyEntry('scheduled') } }
+    );
+    console.log(`📅 ${scheduled.modifiedCount} pending articles with a schedule -> scheduled`);
+
+    const submitted = await Article.collection.updateMany(
+      { status: 'pending' },
+      { $set: { status: 'submitted' }, $push: { statusHistory: historyEntry('submitted') } }
+    );
+    console.log(`📝 ${submitted.modifiedCount} pending articles without a schedule -> submitted`);
+
+    await mongoose.disconnect();
+    console.log('\n🎉 Migration completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
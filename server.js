@@ -17,7 +17,18 @@ import metaRoutes from './routes/meta.js';
 import socialPreviewRoutes from './routes/socialPreview.js';
 import subscriberRoutes from './routes/subscribers.js';
 import sitemapRoutes from './routes/sitemap.js';
+import feedRoutes from './routes/feeds.js';
 import statsRoutes from './routes/stats.js';
+import authRoutes from './routes/auth.js';
+import tagRoutes from './routes/tags.js';
+import eventRoutes from './routes/events.js';
+import pushRoutes from './routes/push.js';
+import newsletterRoutes from './routes/newsletter.js';
+import paymentRoutes from './routes/payments.js';
+import readerRoutes from './routes/readers.js';
+import pollRoutes from './routes/polls.js';
+import { startScheduler } from './services/scheduler.js';
+import { startEpaperWorker } from './services/epaperJobQueue.js';
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
@@ -35,6 +46,10 @@ console.log('  PORT:', process.env.PORT || 5001);
 const app = express();
 const PORT = process.env.PORT || 5001;
 
+// Behind Render's proxy req.ip would otherwise be the proxy's address for every reader (set TRUST_PROXY_HOPS=0 when
+// running without a proxy, or higher when a CDN sits in front)
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS ?? '1', 10) || false);
+
 // Middleware - CORS configuration
 const allowedOrigins = [
   'http://localhost:5174', // Old Frontend (Vite)
@@ -73,23 +88,37 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Access-Token', 'X-Device-Id']
+}));
+app.use(express.json({
+  limit: '50mb',
+  // Payment webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) req.rawBody = buf;
+  }
 }));
-app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Sitemap route (MUST be before other routes)
 app.use('/', sitemapRoutes);
 
+// RSS/Atom feeds
+app.use('/', feedRoutes);
+
 // Social media preview routes (MUST be before API routes to catch crawler requests)
 // These routes serve HTML with meta tags for WhatsApp, Facebook, Twitter crawlers
 // When crawlers visit /news/:id or /epaper/:id, they get HTML with proper meta tags
 app.use('/', socialPreviewRoutes);
 
 // API Routes
+app.use('/api/auth', authRoutes); // Admin panel login
+app.use('/api/readers', readerRoutes); // Reader accounts, bookmarks, history and "for you" feed
 app.use('/api/epapers', epaperRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/articles', articleRoutes);
+app.use('/api/tags', tagRoutes); // Tags and topic pages
+app.use('/api/events', eventRoutes); // Server-Sent Events stream
+app.use('/api/push', pushRoutes); // Web Push subscriptions
 app.use('/api/admin/ads', adRoutes);
 app.use('/api/ads', adRoutes); // Public route for frontend
 app.use('/api/tts', ttsRoutes); // TTS proxy route
@@ -98,6 +127,9 @@ app.use('/api/shorts', shortsRoutes); // Shorts route
 app.use('/api/sports', sportsRoutes); // Sports Monk API routes
 app.use('/api/meta', metaRoutes); // Meta tags route
 app.use('/api/subscribers', subscriberRoutes); // Subscribers route
+app.use('/api/newsletter', newsletterRoutes); // Newsletter bounce webhook
+app.use('/api/payments', paymentRoutes); // Digital subscriptions, reader access and payment webhooks
+app.use('/api/polls', pollRoutes); // Reader polls (voting and results)
 app.use('/api/stats', statsRoutes); // Website stats route
 
 // Ping/Pong endpoint - Keep server alive on Render
@@ -174,6 +206,11 @@ const startServer = async () => {
       console.log(`⏱️  Startup time: ${totalTime} seconds`);
       console.log('═══════════════════════════════════════════════════');
       console.log('');
+
+      // Scheduled publishing, expiry, e-paper publishing and Photo of the Day rotation
+      startScheduler();
+      // E-paper PDF -> page image conversion queue
+      startEpaperWorker();
     });
   } catch (error) {
     console.error('');
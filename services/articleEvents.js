@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import { invalidateRelatedArticles } from './relatedArticles.js';
+import { publishLiveEvent } from './liveEvents.js';
+import { pushBreakingArticle } from './webPush.js';
+import { markSitemapsStale } from '../utils/sitemapRegenerator.js';
+
+// Fields sent with article events (clients fetch the article for anything else)
+const EVENT_FIELDS = 'title titleEn slug summary featuredImage categoryId subCategoryId isBreaking isLiveBlog status publishedAt updatedAt';
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString() || null;
+
+const eventType = (article, { wasPublished, wasBreaking, deleted }) => {
+  if (deleted) return article.status === 'published' ? 'article.removed' : null;
+  if (article.status !== 'published') return wasPublished ? 'article.unpublished' : null;
+  if (!wasPublished) return 'article.published';
+  if (article.isBreaking && wasBreaking === false) return 'article.breaking';
+  return 'article.updated';
+};
+
+// Push published/breaking/updated/unpublished events to SSE clients
+const publishArticleEvents = async (list, options) => {
+  const bareIds = list.filter(item => item instanceof mongoose.Types.ObjectId || typeof item === 'string');
+  const loaded = bareIds.length > 0
+    ? await Article.find({ _id: { $in: bareIds } }).select(EVENT_FIELDS).lean()
+    : [];
+  const docs = [...list.filter(item => !bareIds.includes(item)), ...loaded];
+
+  for (const article of docs) {
+    const type = eventType(article, options);
+    if (!type) continue;
+
+    // Breaking news goes out as a Web Push once per article (in the background)
+    if (article.isBreaking && (type === 'article.published' || type === 'article.breaking')) {
+      pushBreakingArticle(article);
+    }
+
+    const id = toId(article);
+    const categoryIds = [toId(article.categoryId), toId(article.subCategoryId)].filter(Boolean);
+    const channels = ['articles', `article:${id}`, ...categoryIds.map(categoryId => `category:${categoryId}`)];
+    if (article.isBreaking || type === 'article.breaking') channels.push('breaking');
+
+    await publishLiveEvent(type, channels, {
+      _id: id,
+      title: article.title,
+      titleEn: article.titleEn,
+      slug: article.slug,
+      summary: article.summary,
+      featuredImage: article.featuredImage,
+      categoryId: toId(article.categoryId),
+      subCategoryId: toId(article.subCategoryId),
+      isBreaking: Boolean(article.isBreaking),
+      isLiveBlog: Boolean(article.isLiveBlog),
+      status: article.status,
+      publishedAt: article.publishedAt,
+      updatedAt: article.updatedAt
+    });
+  }
+};
+
+/**
+ * Refresh everything derived from articles after they were created, edited, re-stated or deleted
+ * @param {Array} articles - Article documents/lean objects, or ids (e.g. from scheduled jobs)
+ * @param {Object} options - {
+ *   wasPublished: true when the article was published before the change,
+ *   wasBreaking: isBreaking before an edit (a breaking event is sent when it turns true),
+ *   deleted: true when the articles were deleted
+ * }
+ */
+export const articlesChanged = async (articles, { wasPublished = false, wasBreaking = null, deleted = false } = {}) => {
+  const list = (articles || []).filter(Boolean);
+  if (list.length === 0) return;
+
+  // Bare ids come from status jobs, so they always touch public content
+  const affectsPublicContent = wasPublished || list.some(item => !item.status || item.status === 'published');
+
+  await Promise.all([
+    invalidateRelatedArticles(list),
+    affectsPublicContent ? markSitemapsStale() : null,
+    affectsPublicContent
+      ? publishArticleEvents(list, { wasPublished, wasBreaking, deleted })
+        .catch(error => console.error('Error publishing article events (non-critical):', error.message))
+      : null
+  ]);
+};
@@ -0,0 +1,243 @@
+import mongoose from 'mongoose';
+import Settings from '../models/Settings.js';
+import Comment from '../models/Comment.js';
+import Article from '../models/Article.js';
+import Reader from '../models/Reader.js';
+import { findBlockedWords, spamFlags } from '../utils/commentFilter.js';
+
+// Settings key holding the comment switches (managed through the admin comment endpoints)
+export const COMMENT_SETTINGS_KEY = 'comments';
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  // Hold every comment for moderation instead of only flagged ones
+  premoderate: false,
+  // Extra blocked words on top of the built-in Marathi/Hindi/English lists ("*" at the end matches as a prefix)
+  blockedWords: []
+};
+
+// Settings are re-read after this long so changes on another instance are picked up
+const SETTINGS_CACHE_MS = 60 * 1000;
+
+// Replies to comments this deep are attached to the parent instead (top-level comments are depth 0)
+export const MAX_DEPTH = 2;
+
+export const MIN_BODY_LENGTH = 2;
+export const MAX_BODY_LENGTH = 2000;
+
+// Per reader rate limits
+const MIN_INTERVAL_MS = 20 * 1000;
+const MAX_PER_HOUR = 20;
+// The same text posted again within this window is rejected
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+let cachedSettings = null;
+let cachedAt = 0;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Comment settings with defaults
+ * @returns {Promise<Object>} - { enabled, premoderate, blockedWords }
+ */
+export const getCommentSettings = async () => {
+  if (!cachedSettings || Date.now() - cachedAt > SETTINGS_CACHE_MS) {
+    const setting = await Settings.findOne({ key: COMMENT_SETTINGS_KEY }).lean();
+    cachedSettings = { ...DEFAULT_SETTINGS, ...setting?.value };
+    cachedAt = Date.now();
+  }
+  return cachedSettings;
+};
+
+/**
+ * Validate and store comment settings (partial update)
+ * @param {Object} changes - Any of the settings
+ * @returns {Promise<Object>} - Updated settings
+ */
+export const updateCommentSettings = async (changes) => {
+  const next = { ...(await getCommentSettings()) };
+
+  if (changes.enabled !== undefined) next.enabled = Boolean(changes.enabled);
+  if (changes.premoderate !== undefined) next.premoderate = Boolean(changes.premoderate);
+  if (changes.blockedWords !== undefined) {
+    if (!Array.isArray(changes.blockedWords) || changes.blockedWords.length > 1000) {
+      throw httpError(400, 'blockedWords must be a list of at most 1000 words');
+    }
+    next.blockedWords = [...new Set(changes.blockedWords.map(word => String(word).trim()).filter(Boolean))];
+  }
+
+  await Settings.findOneAndUpdate(
+    { key: COMMENT_SETTINGS_KEY },
+    { key: COMMENT_SETTINGS_KEY, value: next },
+    { upsert: true }
+  );
+  cachedSettings = next;
+  cachedAt = Date.now();
+  return next;
+};
+
+// Keep Article.commentCount in step with approved comments (without touching updatedAt)
+const adjustCommentCount = (articleId, delta) =>
+  Article.updateOne({ _id: articleId }, { $inc: { commentCount: delta } }, { timestamps: false });
+
+// Rejects readers posting too fast or repeating themselves
+const checkRateLimit = async (readerId, body) => {
+  const now = Date.now();
+  const [latest, lastHour, duplicate] = await Promise.all([
+    Comment.findOne({ readerId }).sort({ createdAt: -1 }).select('createdAt').lean(),
+    Comment.countDocuments({ readerId, createdAt: { $gte: new Date(now - 60 * 60 * 1000) } }),
+    Comment.exists({ readerId, body, createdAt: { $gte: new Date(now - DUPLICATE_WINDOW_MS) } })
+  ]);
+
+  if (latest && now - new Date(latest.createdAt).getTime() < MIN_INTERVAL_MS) {
+    throw httpError(429, 'You are commenting too fast. Please wait a moment.');
+  }
+  if (lastHour >= MAX_PER_HOUR) {
+    throw httpError(429, 'Comment limit reached. Please try again later.');
+  }
+  if (duplicate) {
+    throw httpError(409, 'You already posted this comment');
+  }
+};
+
+/**
+ * Post a comment or reply. Comments with profanity are refused; spam-like comments, comments from readers
+ * with an unverified email and all comments under premoderation wait in the moderation queue.
+ * @param {Object} options - { reader (document), article (lean, published), body, parentId, ip }
+ * @returns {Promise<Object>} - Created comment
+ */
+export const createComment = async ({ reader, article, body, parentId = null, ip = '' }) => {
+  const settings = await getCommentSettings();
+  if (!settings.enabled) throw httpError(403, 'Comments are closed');
+  if (reader.commentBannedAt) throw httpError(403, 'You are not allowed to comment');
+
+  const text = String(body || '').trim();
+  if (text.length < MIN_BODY_LENGTH || text.length > MAX_BODY_LENGTH) {
+    throw httpError(400, `Comment must be between ${MIN_BODY_LENGTH} and ${MAX_BODY_LENGTH} characters`);
+  }
+  if (findBlockedWords(text, settings.blockedWords).length > 0) {
+    throw httpError(400, 'Comment contains language that is not allowed');
+  }
+
+  const _id = new mongoose.Types.ObjectId();
+  const thread = { parentId: null, rootId: _id, depth: 0 };
+
+  if (parentId) {
+    const parent = mongoose.Types.ObjectId.isValid(parentId)
+      ? await Comment.findOne({ _id: parentId, articleId: article._id, status: 'approved' }).select('parentId rootId depth').lean()
+      : null;
+    if (!parent) throw httpError(404, 'Comment to reply to not found');
+
+    thread.rootId = parent.rootId || parent._id;
+    if (parent.depth >= MAX_DEPTH) {
+      thread.parentId = parent.parentId;
+      thread.depth = MAX_DEPTH;
+    } else {
+      thread.parentId = parent._id;
+      thread.depth = parent.depth + 1;
+    }
+  }
+
+  await checkRateLimit(reader._id, text);
+
+  const flags = spamFlags(text);
+  if (settings.premoderate) flags.push('premoderation');
+  if (!reader.emailVerified) flags.push('unverified-email');
+
+  const comment = await Comment.create({
+    _id,
+    articleId: article._id,
+    readerId: reader._id,
+    authorName: reader.name || '',
+    ...thread,
+    body: text,
+    status: flags.length > 0 ? 'pending' : 'approved',
+    flags,
+    ip
+  });
+
+  if (comment.status === 'approved') await adjustCommentCount(article._id, 1);
+  return comment;
+};
+
+/**
+ * Approve or reject a comment, keeping the article's comment count right
+ * @param {string} commentId - Comment id
+ * @param {string} status - approved | rejected
+ * @param {Object} options - { userId (moderator), reason (for rejections) }
+ * @returns {Promise<Object|null>} - Updated comment (lean), null if not found
+ */
+export const setCommentStatus = async (commentId, status, { userId = null, reason = '' } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(commentId)) return null;
+
+  // Only the request that actually changes the status adjusts the count
+  const previous = await Comment.findOneAndUpdate(
+    { _id: commentId, status: { $ne: status } },
+    {
+      $set: {
+        status,
+        moderatedBy: userId,
+        moderatedAt: new Date(),
+        rejectReason: status === 'rejected' ? String(reason).slice(0, 500) : ''
+      }
+    },
+    { new: false }
+  ).lean();
+
+  if (previous) {
+    if (status === 'approved') await adjustCommentCount(previous.articleId, 1);
+    else if (previous.status === 'approved') await adjustCommentCount(previous.articleId, -1);
+  }
+
+  return Comment.findById(commentId).lean();
+};
+
+/**
+ * Ban a reader from commenting; their pending comments are rejected
+ * @param {string} readerId - Reader id
+ * @param {Object} options - { userId (moderator), reason, removeComments - also reject approved comments }
+ * @returns {Promise<Object|null>} - { reader, rejected } or null if the reader does not exist
+ */
+export const banReader = async (readerId, { userId = null, reason = '', removeComments = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(readerId)) return null;
+
+  const reader = await Reader.findByIdAndUpdate(
+    readerId,
+    { $set: { commentBannedAt: new Date(), commentBanReason: String(reason).slice(0, 500) } },
+    { new: true }
+  );
+  if (!reader) return null;
+
+  const statuses = removeComments ? ['pending', 'approved'] : ['pending'];
+  const comments = await Comment.find({ readerId, status: { $in: statuses } }).select('_id').lean();
+
+  // One by one so the comment counts stay right
+  for (const comment of comments) {
+    await setCommentStatus(comment._id, 'rejected', { userId, reason: reason || 'Reader banned' });
+  }
+
+  return { reader, rejected: comments.length };
+};
+
+/**
+ * Let a banned reader comment again
+ * @param {string} readerId - Reader id
+ * @returns {Promise<Object|null>} - Reader, null if not found
+ */
+export const unbanReader = async (readerId) => {
+  if (!mongoose.Types.ObjectId.isValid(readerId)) return null;
+  return Reader.findByIdAndUpdate(readerId, { $set: { commentBannedAt: null, commentBanReason: '' } }, { new: true });
+};
+
+/**
+ * Delete all comments of a reader (account deletion)
+ * @param {string} readerId - Reader id
+ */
+export const deleteReaderComments = async (readerId) => {
+  const approved = await Comment.find({ readerId, status: 'approved' }).select('articleId').lean();
+  await Comment.deleteMany({ readerId });
+
+  const perArticle = new Map();
+  approved.forEach(({ articleId }) => perArticle.set(articleId.toString(), (perArticle.get(articleId.toString()) || 0) + 1));
+  await Promise.all([...perArticle].map(([articleId, count]) => adjustCommentCount(articleId, -count)));
+};
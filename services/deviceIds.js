@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+import Settings from '../models/Settings.js';
+
+// Settings key holding the generated cookie signing secret (hidden from the settings API)
+export const DEVICE_SECRET_SETTINGS_KEY = 'deviceCookieSecret';
+
+let cachedSecret = null;
+
+/**
+ * Secret used to sign device cookies. DEVICE_COOKIE_SECRET takes precedence;
+ * otherwise one is generated on first use and stored in settings (shared by all instances).
+ * @returns {Promise<string>}
+ */
+const getDeviceSecret = async () => {
+  if (process.env.DEVICE_COOKIE_SECRET) return process.env.DEVICE_COOKIE_SECRET;
+  if (cachedSecret) return cachedSecret;
+
+  let setting = await Settings.findOne({ key: DEVICE_SECRET_SETTINGS_KEY }).lean();
+  if (!setting) {
+    try {
+      // $setOnInsert: instances generating a secret at the same time end up with the same one
+      setting = await Settings.findOneAndUpdate(
+        { key: DEVICE_SECRET_SETTINGS_KEY },
+        { $setOnInsert: { value: crypto.randomBytes(32).toString('base64url') } },
+        { upsert: true, new: true }
+      ).lean();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      setting = await Settings.findOne({ key: DEVICE_SECRET_SETTINGS_KEY }).lean();
+    }
+  }
+  cachedSecret = setting.value;
+  return cachedSecret;
+};
+
+const sign = (deviceId, secret) => crypto.createHmac('sha256', secret).update(`device.${deviceId}`).digest('base64url');
+
+/**
+ * New random device id with its signed cookie value
+ * @returns {Promise<Object>} - { deviceId, cookieValue: "<id>.<signature>" }
+ */
+export const issueDeviceId = async () => {
+  const deviceId = crypto.randomBytes(16).toString('base64url');
+  return { deviceId, cookieValue: `${deviceId}.${sign(deviceId, await getDeviceSecret())}` };
+};
+
+/**
+ * Device id from a signed cookie value
+ * @param {string} cookieValue - "<id>.<signature>"
+ * @returns {Promise<string|null>} - Device id, or null if the value was not signed by this server
+ */
+export const readDeviceId = async (cookieValue) => {
+  const [deviceId, signature] = String(cookieValue || '').split('.');
+  if (!deviceId || !signature) return null;
+
+  const expected = Buffer.from(sign(deviceId, await getDeviceSecret()));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? deviceId : null;
+};
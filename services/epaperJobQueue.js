@@ -0,0 +1,365 @@
+import axios from 'axios';
+import mongoose from 'mongoose';
+import Epaper from '../models/Epaper.js';
+import EpaperJob from '../models/EpaperJob.js';
+import EpaperPageText from '../models/EpaperPageText.js';
+import { loadPdfDocument, renderPdfPage, extractPdfPageText } from './pdfConverter.js';
+import { uploadEpaperPage, getOptimizedUrl } from './cloudinaryService.js';
+import { uploadToCloudinary, deleteFromCloudinary } from './uploadService.js';
+import { INSTANCE_ID } from './instance.js';
+import { generateEpaperMetaHtml } from '../utils/metaHtmlGenerator.js';
+import { markSitemapsStale } from '../utils/sitemapRegenerator.js';
+import { epaperPublished } from './liveEvents.js';
+
+const BASE_URL = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://navmanchnews.com';
+
+// A page is given up on after this many failed attempts (until retried from the admin panel)
+export const MAX_PAGE_ATTEMPTS = 3;
+
+// Worker lease, renewed after every page; another instance takes over if it expires
+const LEASE_MS = 3 * 60 * 1000;
+
+const POLL_INTERVAL_MS = 5 * 1000;
+
+let workerTimer = null;
+let workerBusy = false;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Page counts and percentage for a job
+ * @param {Object} job - EpaperJob document or plain object
+ * @returns {Object} - { pageCount, pagesDone, pagesFailed, pagesPending, percent }
+ */
+export const getJobProgress = (job) => {
+  const pagesDone = job.pages.filter(page => page.status === 'done').length;
+  const pagesFailed = job.pages.filter(page => page.status === 'failed').length;
+  return {
+    pageCount: job.pageCount,
+    pagesDone,
+    pagesFailed,
+    pagesPending: job.pageCount - pagesDone - pagesFailed,
+    percent: job.pageCount ? Math.round((pagesDone / job.pageCount) * 100) : 0
+  };
+};
+
+/**
+ * Store the PDF, create a draft e-paper and queue its pages for conversion
+ * @param {Object} options - { pdfBuffer, title, date, targetStatus, publishAt, user }
+ * @returns {Promise<{job: Object, epaper: Object}>}
+ */
+export const enqueueEpaperJob = async ({ pdfBuffer, title, date, targetStatus = 'published', publishAt = null, user = null }) => {
+  // Count pages up front so progress is known from the start (also rejects broken PDFs early)
+  const pdf = await loadPdfDocument(pdfBuffer);
+  const pageCount = pdf.numPages;
+  await pdf.destroy();
+
+  const source = await uploadToCloudinary(pdfBuffer, 'epapers/sources', 'raw');
+
+  const epaperId = Date.now();
+
+  // Stays a draft until every page is converted
+  const epaper = new Epaper({
+    id: epaperId,
+    title,
+    date: new Date(date),
+    status: 'draft',
+    publishAt,
+    pages: []
+  });
+  await epaper.save();
+
+  const job = await EpaperJob.create({
+    epaperId,
+    title,
+    targetStatus,
+    sourceUrl: source.url,
+    sourcePublicId: source.publicId,
+    pageCount,
+    pages: Array.from({ length: pageCount }, (_, index) => ({ pageNo: index + 1 })),
+    createdBy: user?._id || null
+  });
+
+  kickEpaperWorker();
+
+  return { job, epaper };
+};
+
+/**
+ * Put failed pages of a job back in the queue
+ * @param {Object} job - EpaperJob document (status "failed")
+ * @returns {Promise<Object>} - Updated job
+ */
+export const retryEpaperJob = async (job) => {
+  job.pages.forEach((page) => {
+    if (page.status === 'failed') {
+      page.status = 'pending';
+      page.attempts = 0;
+      page.error = '';
+      page.finishedAt = null;
+    }
+  });
+  job.status = 'queued';
+  job.error = '';
+  job.finishedAt = null;
+  await job.save();
+
+  kickEpaperWorker();
+
+  return job;
+};
+
+// Atomically take the oldest job that nobody is working on
+const claimNextJob = () => {
+  const now = new Date();
+  return EpaperJob.findOneAndUpdate(
+    {
+      status: { $in: ['queued', 'processing'] },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    {
+      $set: {
+        status: 'processing',
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + LEASE_MS)
+      }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Persist one page's state and renew the lease; false if the job was taken over or deleted
+const savePageState = async (job, index) => {
+  const result = await EpaperJob.updateOne(
+    { _id: job._id, lockedBy: INSTANCE_ID },
+    {
+      $set: {
+        [`pages.${index}`]: job.pages[index],
+        lockedUntil: new Date(Date.now() + LEASE_MS)
+      }
+    }
+  );
+  return result.matchedCount > 0;
+};
+
+const downloadSource = async (job) => {
+  const response = await axios.get(job.sourceUrl, { responseType: 'arraybuffer', timeout: 120000 });
+  return Buffer.from(response.data);
+};
+
+// Store the page's text layer so mapped sections can be filled from it (never fails the page)
+const savePageText = async (job, pdf, pageNo) => {
+  try {
+    const text = await extractPdfPageText(pdf, pageNo);
+    await EpaperPageText.findOneAndUpdate(
+      { epaperId: job.epaperId, pageNo },
+      { $set: { width: text.width, height: text.height, items: text.items } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`Error extracting text of e-paper ${job.epaperId} page ${pageNo} (non-critical):`, error.message);
+  }
+};
+
+// Render, upload and attach one page to the e-paper
+const processPage = async (job, pdf, pageNo) => {
+  await savePageText(job, pdf, pageNo);
+
+  const rendered = await renderPdfPage(pdf, pageNo);
+  const uploadResult = await uploadEpaperPage(rendered.imageBuffer, job.epaperId, pageNo);
+
+  // Replace any earlier copy of the page, keep pages ordered
+  await Epaper.updateOne({ id: job.epaperId }, { $pull: { pages: { pageNo } } });
+  const result = await Epaper.updateOne(
+    { id: job.epaperId },
+    {
+      $push: {
+        pages: {
+          $each: [{
+            pageNo,
+            image: uploadResult.imageUrl,
+            thumbnail: uploadResult.thumbnailUrl,
+            publicId: uploadResult.publicId,
+            width: uploadResult.width,
+            height: uploadResult.height,
+            news: []
+          }],
+          $sort: { pageNo: 1 }
+        }
+      },
+      $set: { updatedAt: new Date() }
+    }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new Error(`E-paper ${job.epaperId} no longer exists`);
+  }
+};
+
+// Publish the e-paper once all pages are in
+const completeEpaper = async (job) => {
+  const epaper = await Epaper.findOne({ id: job.epaperId });
+  if (!epaper) {
+    throw new Error(`E-paper ${job.epaperId} no longer exists`);
+  }
+
+  const firstPage = epaper.pages.find(page => page.pageNo === 1) || epaper.pages[0];
+  if (!epaper.shareImageUrl && firstPage) {
+    // Use an optimized 600x800 front-page image as default share image
+    epaper.shareImageUrl = firstPage.publicId
+      ? getOptimizedUrl(firstPage.publicId, {
+          width: 600,
+          height: 800,
+          crop: 'fill',
+          quality: 60,
+          fetch_format: 'jpg'
+        })
+      : (firstPage.thumbnail || firstPage.image || '');
+  }
+
+  // Only publish drafts - an editor may have changed the status while pages were processing
+  if (epaper.status === 'draft') {
+    epaper.status = job.targetStatus;
+  }
+  await epaper.save();
+
+  if (epaper.status === 'published') {
+    markSitemapsStale();
+    epaperPublished(epaper);
+  }
+
+  // Generate metaHtml asynchronously (non-blocking)
+  generateEpaperMetaHtml(epaper.toObject(), BASE_URL)
+    .then(metaHtml => {
+      Epaper.findByIdAndUpdate(epaper._id, { metaHtml })
+        .catch(err => console.error('Error saving metaHtml (non-critical):', err.message));
+    })
+    .catch(err => console.error('Error generating metaHtml (non-critical):', err.message));
+};
+
+/**
+ * Convert all pending pages of a claimed job
+ * @param {Object} job - EpaperJob document locked by this instance
+ */
+const processJob = async (job) => {
+  console.log(`📄 Processing e-paper job ${job._id} (${job.title}, ${job.pageCount} pages)`);
+
+  if (!job.startedAt) {
+    await EpaperJob.updateOne({ _id: job._id }, { $set: { startedAt: new Date() } });
+  }
+
+  let pdf;
+  try {
+    pdf = await loadPdfDocument(await downloadSource(job));
+  } catch (error) {
+    console.error(`❌ Could not load PDF for e-paper job ${job._id}:`, error.message);
+    await EpaperJob.updateOne(
+      { _id: job._id, lockedBy: INSTANCE_ID },
+      { $set: { status: 'failed', error: `Could not load PDF: ${error.message}`, lockedBy: null, lockedUntil: null, finishedAt: new Date() } }
+    );
+    return;
+  }
+
+  try {
+    for (let index = 0; index < job.pages.length; index++) {
+      const page = job.pages[index];
+
+      while (page.status === 'pending') {
+        page.attempts += 1;
+        try {
+          await processPage(job, pdf, page.pageNo);
+          page.status = 'done';
+          page.error = '';
+          page.finishedAt = new Date();
+          console.log(`✅ E-paper ${job.epaperId}: page ${page.pageNo}/${job.pageCount} done`);
+        } catch (error) {
+          console.error(`❌ E-paper ${job.epaperId}: page ${page.pageNo} attempt ${page.attempts} failed:`, error.message);
+          page.error = error.message || String(error);
+          if (page.attempts >= MAX_PAGE_ATTEMPTS) {
+            page.status = 'failed';
+            page.finishedAt = new Date();
+          }
+        }
+
+        if (!(await savePageState(job, index))) {
+          console.warn(`⚠️  E-paper job ${job._id} was taken over or deleted, stopping`);
+          return;
+        }
+
+        if (page.status === 'pending') {
+          await delay(page.attempts * 2000);
+        }
+      }
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  const progress = getJobProgress(job);
+  const update = { lockedBy: null, lockedUntil: null, finishedAt: new Date() };
+
+  if (progress.pagesFailed === 0) {
+    try {
+      await completeEpaper(job);
+      update.status = 'completed';
+      update.error = '';
+    } catch (error) {
+      update.status = 'failed';
+      update.error = error.message;
+    }
+  } else {
+    update.status = 'failed';
+    update.error = `${progress.pagesFailed} page(s) failed after ${MAX_PAGE_ATTEMPTS} attempts`;
+  }
+
+  await EpaperJob.updateOne({ _id: job._id, lockedBy: INSTANCE_ID }, { $set: update });
+
+  // The source PDF is only needed for retries
+  if (update.status === 'completed' && job.sourcePublicId) {
+    deleteFromCloudinary(job.sourcePublicId, 'raw')
+      .catch(err => console.error('Error deleting source PDF (non-critical):', err.message));
+  }
+
+  console.log(`📄 E-paper job ${job._id} ${update.status} (${progress.pagesDone}/${progress.pageCount} pages)`);
+};
+
+// Process jobs until the queue is empty
+const runWorker = async () => {
+  if (workerBusy || mongoose.connection.readyState !== 1) return;
+
+  workerBusy = true;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await processJob(job);
+    }
+  } catch (error) {
+    console.error('❌ E-paper worker error:', error);
+  } finally {
+    workerBusy = false;
+  }
+};
+
+/**
+ * Start polling the e-paper job queue (disabled with EPAPER_WORKER_ENABLED=false)
+ */
+export const startEpaperWorker = () => {
+  if (workerTimer) return;
+
+  if (process.env.EPAPER_WORKER_ENABLED === 'false') {
+    console.log('📄 E-paper worker disabled (EPAPER_WORKER_ENABLED=false)');
+    return;
+  }
+
+  workerTimer = setInterval(runWorker, POLL_INTERVAL_MS);
+  console.log('📄 E-paper worker started');
+};
+
+/**
+ * Process new work right away instead of waiting for the next poll
+ */
+export const kickEpaperWorker = () => {
+  if (workerTimer) {
+    setImmediate(runWorker);
+  }
+};
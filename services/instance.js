@@ -0,0 +1,5 @@
+import os from 'os';
+import crypto from 'crypto';
+
+// Identifies this process in locks, leases and run logs (hostname:pid:random)
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
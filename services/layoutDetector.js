@@ -0,0 +1,356 @@
+import axios from 'axios';
+import sharp from 'sharp';
+import { getOptimizedUrl } from './cloudinaryService.js';
+import { extractBoxText } from '../utils/epaperText.js';
+
+// Pages are analysed at this width (full-size renders are ~3000px wide)
+const ANALYSIS_WIDTH = 800;
+
+// Gray level below which a pixel counts as ink
+const INK_THRESHOLD = 170;
+
+// Row/column ink ratios for "blank" and "rule line"
+const BLANK_RATIO = 0.005;
+const RULE_RATIO = 0.75;
+
+// Rules thicker than this (analysis pixels) are content, e.g. a dark photo band
+const MAX_RULE_THICKNESS = 4;
+
+// Blocks whose lines are this much taller than the page median are headlines
+const HEADLINE_RATIO = 1.6;
+
+// Candidates smaller than this share of the page are dropped
+const MIN_AREA_RATIO = 0.004;
+
+/**
+ * Download a page image and turn it into a binary ink grid
+ * @param {Buffer} imageBuffer - Page image
+ * @returns {Promise<Object>} - { width, height, ink: Uint8Array }
+ */
+export const loadInkGrid = async (imageBuffer) => {
+  const { data, info } = await sharp(imageBuffer)
+    .grayscale()
+    .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const ink = new Uint8Array(info.width * info.height);
+  for (let i = 0; i < ink.length; i++) {
+    ink[i] = data[i * info.channels] < INK_THRESHOLD ? 1 : 0;
+  }
+
+  return { width: info.width, height: info.height, ink };
+};
+
+// Mark text-layer glyph boxes as ink (helps with light-coloured or anti-aliased type)
+const addTextToGrid = (grid, pageText) => {
+  const scaleX = grid.width / pageText.width;
+  const scaleY = grid.height / pageText.height;
+
+  (pageText.items || []).forEach((item) => {
+    const x0 = Math.max(0, Math.floor(item.x * scaleX));
+    const y0 = Math.max(0, Math.floor(item.y * scaleY));
+    const x1 = Math.min(grid.width, Math.ceil((item.x + item.width) * scaleX));
+    const y1 = Math.min(grid.height, Math.ceil((item.y + item.height) * scaleY));
+    for (let y = y0; y < y1; y++) {
+      grid.ink.fill(1, y * grid.width + x0, y * grid.width + x1);
+    }
+  });
+};
+
+// Ink count per row (axis "y") or per column (axis "x") inside a region
+const profile = (grid, region, axis) => {
+  const length = axis === 'y' ? region.height : region.width;
+  const counts = new Array(length).fill(0);
+  for (let y = region.y; y < region.y + region.height; y++) {
+    const rowOffset = y * grid.width;
+    for (let x = region.x; x < region.x + region.width; x++) {
+      if (grid.ink[rowOffset + x]) {
+        counts[axis === 'y' ? y - region.y : x - region.x] += 1;
+      }
+    }
+  }
+  return counts;
+};
+
+// Shrink a region to the bounding box of its ink; null if it is blank
+const trimRegion = (grid, region) => {
+  const rows = profile(grid, region, 'y');
+  const cols = profile(grid, region, 'x');
+  const top = rows.findIndex(count => count > 0);
+  if (top === -1) return null;
+  const bottom = rows.length - 1 - [...rows].reverse().findIndex(count => count > 0);
+  const left = cols.findIndex(count => count > 0);
+  const right = cols.length - 1 - [...cols].reverse().findIndex(count => count > 0);
+
+  return {
+    x: region.x + left,
+    y: region.y + top,
+    width: right - left + 1,
+    height: bottom - top + 1
+  };
+};
+
+/**
+ * Best place to cut a profile: the widest whitespace gap, or a thin rule line
+ * @returns {Object|null} - { start, end, score }
+ */
+const findCut = (counts, span, minGap) => {
+  const kinds = counts.map(count => {
+    if (count <= span * BLANK_RATIO) return 'blank';
+    return count >= span * RULE_RATIO ? 'rule' : 'content';
+  });
+
+  // A rule only separates when it is thin and has whitespace on both sides -
+  // a headline or photo band also has "rule" rows
+  for (let i = 0; i < kinds.length;) {
+    if (kinds[i] !== 'rule') {
+      i++;
+      continue;
+    }
+    const start = i;
+    while (i < kinds.length && kinds[i] === 'rule') i++;
+    const isThinRule = i - start <= MAX_RULE_THICKNESS && kinds[start - 1] === 'blank' && kinds[i] === 'blank';
+    kinds.fill(isThinRule ? 'separator' : 'content', start, i);
+  }
+
+  let best = null;
+  for (let i = 0; i < kinds.length;) {
+    if (kinds[i] === 'content') {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let hasRule = false;
+    while (i < kinds.length && kinds[i] !== 'content') {
+      if (kinds[i] === 'separator') hasRule = true;
+      i++;
+    }
+    const end = i;
+
+    // Runs touching the region edge are margins, not separators
+    if (start === 0 || end === kinds.length) continue;
+    if (!hasRule && end - start < minGap) continue;
+
+    // Rules are strong evidence of a story boundary
+    const score = (end - start) + (hasRule ? minGap * 2 : 0);
+    if (!best || score > best.score) {
+      best = { start, end, score };
+    }
+  }
+
+  return best;
+};
+
+// Dominant line height of a block (median run of inked rows)
+const estimateLineHeight = (grid, region) => {
+  const rows = profile(grid, region, 'y');
+  const runs = [];
+  let run = 0;
+  rows.forEach((count) => {
+    if (count > region.width * BLANK_RATIO) {
+      run++;
+    } else if (run > 0) {
+      runs.push(run);
+      run = 0;
+    }
+  });
+  if (run > 0) runs.push(run);
+  if (runs.length === 0) return 0;
+  runs.sort((a, b) => a - b);
+  return runs[Math.floor((runs.length - 1) / 2)];
+};
+
+/**
+ * Recursive XY-cut: split regions at whitespace gaps / rule lines until no cut is left
+ * @param {Object} grid - Ink grid from loadInkGrid
+ * @returns {Object[]} - Leaf blocks { x, y, width, height } in grid pixels
+ */
+export const xyCut = (grid) => {
+  const minGap = Math.max(4, Math.round(grid.width * 0.008));
+  const leaves = [];
+
+  const split = (region, depth) => {
+    const trimmed = trimRegion(grid, region);
+    if (!trimmed) return;
+
+    if (depth > 40 || trimmed.width < minGap * 3 || trimmed.height < minGap * 2) {
+      leaves.push(trimmed);
+      return;
+    }
+
+    const rowCut = findCut(profile(grid, trimmed, 'y'), trimmed.width, minGap);
+    const colCut = findCut(profile(grid, trimmed, 'x'), trimmed.height, minGap);
+
+    if (!rowCut && !colCut) {
+      leaves.push(trimmed);
+      return;
+    }
+
+    if (rowCut && (!colCut || rowCut.score >= colCut.score)) {
+      split({ x: trimmed.x, y: trimmed.y, width: trimmed.width, height: rowCut.start }, depth + 1);
+      split({ x: trimmed.x, y: trimmed.y + rowCut.end, width: trimmed.width, height: trimmed.height - rowCut.end }, depth + 1);
+    } else {
+      split({ x: trimmed.x, y: trimmed.y, width: colCut.start, height: trimmed.height }, depth + 1);
+      split({ x: trimmed.x + colCut.end, y: trimmed.y, width: trimmed.width - colCut.end, height: trimmed.height }, depth + 1);
+    }
+  };
+
+  split({ x: 0, y: 0, width: grid.width, height: grid.height }, 0);
+  return leaves;
+};
+
+const union = (a, b) => {
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y
+  };
+};
+
+const overlapRatio = (a, b) => {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) return 0;
+  return (width * height) / Math.min(a.width * a.height, b.width * b.height);
+};
+
+/**
+ * Group XY-cut leaves into story candidates: a headline plus the blocks under it
+ * @param {Object} grid - Ink grid
+ * @param {Object[]} leaves - Blocks from xyCut
+ * @returns {Object[]} - { x, y, width, height, kind, parts } in grid pixels
+ */
+export const groupStories = (grid, leaves) => {
+  const blocks = leaves.map(leaf => {
+    let inked = 0;
+    for (let y = leaf.y; y < leaf.y + leaf.height; y++) {
+      for (let x = leaf.x; x < leaf.x + leaf.width; x++) {
+        inked += grid.ink[y * grid.width + x];
+      }
+    }
+    return {
+      ...leaf,
+      lineHeight: estimateLineHeight(grid, leaf),
+      density: inked / (leaf.width * leaf.height)
+    };
+  });
+
+  const lineHeights = blocks.map(block => block.lineHeight).filter(Boolean).sort((a, b) => a - b);
+  const bodyLineHeight = lineHeights[Math.floor((lineHeights.length - 1) / 2)] || 0;
+  const tolerance = Math.max(4, Math.round(grid.width * 0.01));
+
+  blocks.forEach((block) => {
+    // Photos are dense and have no line structure
+    block.isImage = block.density > 0.35 && block.lineHeight > bodyLineHeight * 4;
+    block.isHeadline = !block.isImage && bodyLineHeight > 0 && block.lineHeight >= bodyLineHeight * HEADLINE_RATIO;
+  });
+
+  const claimed = new Set();
+  const stories = [];
+  const headlines = blocks.filter(block => block.isHeadline).sort((a, b) => a.y - b.y);
+
+  headlines.forEach((headline) => {
+    if (claimed.has(headline)) return;
+    claimed.add(headline);
+
+    const left = headline.x - tolerance;
+    const right = headline.x + headline.width + tolerance;
+    const underHeadline = (block) => block.x >= left && block.x + block.width <= right &&
+      block.y >= headline.y + headline.height - tolerance;
+
+    // The story ends where the next headline over any of the same columns starts
+    const nextHeadline = headlines.find(other => other !== headline &&
+      other.y >= headline.y + headline.height - tolerance &&
+      other.x < right && other.x + other.width > left);
+    const limit = nextHeadline ? nextHeadline.y : Infinity;
+
+    let story = { x: headline.x, y: headline.y, width: headline.width, height: headline.height };
+    let parts = 1;
+    blocks.forEach((block) => {
+      if (claimed.has(block) || block.isHeadline || !underHeadline(block) || block.y >= limit) return;
+      claimed.add(block);
+      story = union(story, block);
+      parts++;
+    });
+
+    stories.push({ ...story, kind: 'story', parts });
+  });
+
+  // Whatever no headline claimed stays a candidate of its own
+  blocks.forEach((block) => {
+    if (claimed.has(block)) return;
+    stories.push({
+      x: block.x,
+      y: block.y,
+      width: block.width,
+      height: block.height,
+      kind: block.isImage ? 'image' : 'block',
+      parts: 1
+    });
+  });
+
+  return stories;
+};
+
+/**
+ * Propose section rectangles for an e-paper page
+ * @param {Object} options - { imageBuffer, pageWidth, pageHeight, pageText, existingSections }
+ * @returns {Promise<Object[]>} - Candidates in page image pixels, top-to-bottom / left-to-right
+ */
+export const detectPageBlocks = async ({ imageBuffer, pageWidth, pageHeight, pageText = null, existingSections = [] }) => {
+  const grid = await loadInkGrid(imageBuffer);
+  if (pageText?.items?.length) {
+    addTextToGrid(grid, pageText);
+  }
+
+  const candidates = groupStories(grid, xyCut(grid));
+
+  const scaleX = (pageWidth || grid.width) / grid.width;
+  const scaleY = (pageHeight || grid.height) / grid.height;
+  const minArea = grid.width * grid.height * MIN_AREA_RATIO;
+
+  return candidates
+    .filter(candidate => candidate.width * candidate.height >= minArea)
+    .map((candidate) => {
+      const box = {
+        x: Math.round(candidate.x * scaleX),
+        y: Math.round(candidate.y * scaleY),
+        width: Math.round(candidate.width * scaleX),
+        height: Math.round(candidate.height * scaleY)
+      };
+      const text = pageText ? extractBoxText(pageText, box, { pageWidth, pageHeight }) : { title: '', content: '' };
+
+      // Rough score for the admin panel to sort/highlight by
+      let confidence = candidate.kind === 'story' ? 0.8 : candidate.kind === 'image' ? 0.5 : 0.4;
+      if (text.content) confidence += 0.1;
+
+      return {
+        ...box,
+        kind: candidate.kind,
+        confidence: Math.min(1, Math.round(confidence * 100) / 100),
+        title: text.title,
+        excerpt: text.content.substring(0, 200),
+        // Editors usually skip boxes they have already drawn
+        overlapsExisting: existingSections.some(section => overlapRatio(box, section) > 0.5)
+      };
+    })
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+};
+
+/**
+ * Fetch a page image from Cloudinary at analysis size
+ * @param {Object} page - Epaper page { image, publicId }
+ * @returns {Promise<Buffer>}
+ */
+export const fetchPageImage = async (page) => {
+  const url = page.publicId
+    ? getOptimizedUrl(page.publicId, { width: ANALYSIS_WIDTH * 2, crop: 'limit', fetch_format: 'jpg' })
+    : page.image;
+  const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 60000 });
+  return Buffer.from(response.data);
+};
@@ -0,0 +1,195 @@
+import mongoose from 'mongoose';
+import Counter from '../models/Counter.js';
+import LiveEvent from '../models/LiveEvent.js';
+
+// Instances relay events from MongoDB, so an event published on one reaches clients of all
+const POLL_INTERVAL_MS = 1000;
+
+// Comment line sent to idle connections so proxies do not close them
+const HEARTBEAT_MS = 25 * 1000;
+
+// A missing seq is usually an insert still in flight; it is skipped after this long
+const GAP_WAIT_MS = 5 * 1000;
+
+// Resume from Last-Event-ID sends at most this many events, otherwise the client is told to reload
+const REPLAY_LIMIT = 200;
+
+const BATCH_SIZE = 500;
+
+const clients = new Set();
+let lastSeq = null;
+let gapSince = null;
+let relayReady = null;
+let pollTimer = null;
+let heartbeatTimer = null;
+let polling = false;
+
+const latestSeq = async () => {
+  const latest = await LiveEvent.findOne().sort({ seq: -1 }).select('seq').lean();
+  return latest ? latest.seq : 0;
+};
+
+const writeEvent = (client, event) => {
+  if (event.seq <= client.lastSeq) return;
+  client.lastSeq = event.seq;
+  client.res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+const deliver = (event) => {
+  clients.forEach((client) => {
+    if (!event.channels.some(channel => client.channels.has(channel))) return;
+    if (client.pending) {
+      client.pending.push(event);
+    } else {
+      writeEvent(client, event);
+    }
+  });
+};
+
+// Read new events and hand them to local clients, in seq order without holes
+const poll = async () => {
+  if (polling || lastSeq === null || mongoose.connection.readyState !== 1) return;
+
+  polling = true;
+  try {
+    const events = await LiveEvent.find({ seq: { $gt: lastSeq } })
+      .sort({ seq: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    for (const event of events) {
+      if (event.seq !== lastSeq + 1) {
+        gapSince = gapSince || Date.now();
+        if (Date.now() - gapSince < GAP_WAIT_MS) break;
+      }
+      gapSince = null;
+      lastSeq = event.seq;
+      deliver(event);
+    }
+  } catch (error) {
+    console.error('Error polling live events:', error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+// Start relaying from the newest stored event (once, shared by concurrent connections)
+const startRelay = () => {
+  if (!relayReady) {
+    pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+    heartbeatTimer = setInterval(() => {
+      clients.forEach(client => client.res.write(': ping\n\n'));
+    }, HEARTBEAT_MS);
+
+    relayReady = latestSeq().then((seq) => {
+      lastSeq = seq;
+    });
+    relayReady.catch(() => {
+      relayReady = null;
+      stopRelay();
+    });
+  }
+  return relayReady;
+};
+
+const stopRelay = () => {
+  clearInterval(pollTimer);
+  clearInterval(heartbeatTimer);
+  pollTimer = null;
+  heartbeatTimer = null;
+  relayReady = null;
+  lastSeq = null;
+  gapSince = null;
+};
+
+/**
+ * Store an event for SSE clients. Never throws - a missed event must not fail the request.
+ * @param {string} type - Event name, e.g. "article.published"
+ * @param {Array<string>} channels - Channels the event is sent on
+ * @param {Object} data - JSON payload
+ */
+export const publishLiveEvent = async (type, channels, data = {}) => {
+  try {
+    const counter = await Counter.findOneAndUpdate(
+      { name: 'liveEvents' },
+      { $inc: { seq: 1 } },
+      { upsert: true, new: true }
+    );
+    await LiveEvent.create({ seq: counter.seq, type, channels, data });
+
+    // Local clients do not have to wait for the next poll
+    if (pollTimer) setImmediate(poll);
+  } catch (error) {
+    console.error(`Error publishing live event ${type} (non-critical):`, error.message);
+  }
+};
+
+/**
+ * Tell SSE clients that an e-paper edition went live
+ * @param {Object} epaper - Epaper document or plain object
+ */
+export const epaperPublished = (epaper) => publishLiveEvent('epaper.published', ['epaper'], {
+  id: epaper.id,
+  title: epaper.title,
+  date: epaper.date,
+  shareImageUrl: epaper.shareImageUrl || ''
+});
+
+/**
+ * Register an open SSE response and replay missed events
+ * @param {Object} res - Express response, headers already sent
+ * @param {Object} options - { channels: Set<string>, lastEventId: number|null }
+ * @returns {Promise<Function>} - Call when the connection closes
+ */
+export const addLiveClient = async (res, { channels, lastEventId = null }) => {
+  // Events relayed while the replay runs are held back so the order is kept
+  const client = { res, channels, lastSeq: lastEventId ?? 0, pending: [] };
+  const relaySeq = lastSeq;
+  clients.add(client);
+
+  try {
+    await startRelay();
+  } catch (error) {
+    clients.delete(client);
+    throw error;
+  }
+
+  if (lastEventId === null) {
+    // New connections start with events published from now on
+    client.lastSeq = relaySeq ?? lastSeq;
+  } else {
+    const [missed, oldest, counter] = await Promise.all([
+      LiveEvent.find({ seq: { $gt: lastEventId }, channels: { $in: [...channels] } })
+        .sort({ seq: 1 })
+        .limit(REPLAY_LIMIT + 1)
+        .lean(),
+      LiveEvent.findOne().sort({ seq: 1 }).select('seq').lean(),
+      Counter.findOne({ name: 'liveEvents' }).lean()
+    ]);
+
+    // Too far behind, events already expired or an id we never issued: the client should reload its data
+    if (missed.length > REPLAY_LIMIT ||
+      (oldest && oldest.seq > lastEventId + 1) ||
+      lastEventId > (counter ? counter.seq : 0)) {
+      client.lastSeq = Math.max(lastSeq, missed.length > 0 ? missed[missed.length - 1].seq : 0);
+      res.write(`id: ${client.lastSeq}\nevent: reset\ndata: {}\n\n`);
+    } else {
+      missed.forEach(event => writeEvent(client, event));
+    }
+  }
+
+  const pending = client.pending;
+  client.pending = null;
+  pending.forEach(event => writeEvent(client, event));
+
+  return () => {
+    clients.delete(client);
+    if (clients.size === 0) stopRelay();
+  };
+};
+
+/**
+ * Number of SSE connections open on this instance
+ * @returns {number}
+ */
+export const countLiveClients = () => clients.size;
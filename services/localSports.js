@@ -0,0 +1,579 @@
+import mongoose from 'mongoose';
+import Tournament, { LOCAL_SPORTS } from '../models/Tournament.js';
+import Match, { LOCAL_MATCH_STATUSES } from '../models/Match.js';
+import Score, { EXTRA_TYPES, WICKET_KINDS } from '../models/Score.js';
+import { cricketScoreDisplay } from '../utils/sportsNormalizer.js';
+import { generateUniqueSlug } from '../utils/slugGenerator.js';
+
+const MAX_INNINGS = 4;
+const MAX_WICKETS = 10;
+const MAX_PERIODS = 6;
+// Deliveries listed under "recent balls" on the scorecard
+const RECENT_BALLS = 12;
+
+// Scores cannot be entered once a match is over
+const CLOSED_STATUSES = ['finished', 'cancelled', 'abandoned'];
+
+const STATUS_TEXT = {
+  scheduled: 'Scheduled',
+  live: 'Live',
+  break: 'Break',
+  finished: 'Finished',
+  postponed: 'Postponed',
+  cancelled: 'Cancelled',
+  abandoned: 'Abandoned'
+};
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+const badRequest = (message) => httpError(400, message);
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && a.toString() === b.toString();
+
+const readInt = (value, field, min, max) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) throw badRequest(`${field} must be a whole number from ${min} to ${max}`);
+  return number;
+};
+
+const readDate = (value, field) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`Invalid ${field}`);
+  return date;
+};
+
+const oversFromBalls = (balls) => Number(`${Math.floor(balls / 6)}.${balls % 6}`);
+
+const isLegal = (delivery) => !['wide', 'no-ball'].includes(delivery.extras?.kind);
+
+/**
+ * Innings totals from cricket deliveries
+ * @param {Array<Object>} deliveries - Ball score entries in order
+ * @returns {Object} - { innings: [{ number, teamId, runs, wickets, balls (legal), overs, extras }] }
+ */
+export const summarizeCricket = (deliveries) => {
+  const innings = new Map();
+  deliveries.forEach((delivery) => {
+    if (!innings.has(delivery.innings)) {
+      innings.set(delivery.innings, { number: delivery.innings, teamId: delivery.battingTeamId, runs: 0, wickets: 0, balls: 0, extras: 0 });
+    }
+    const total = innings.get(delivery.innings);
+    total.runs += (delivery.runs || 0) + (delivery.extras?.runs || 0);
+    total.extras += delivery.extras?.runs || 0;
+    if (delivery.wicket?.kind) total.wickets++;
+    if (isLegal(delivery)) total.balls++;
+  });
+
+  return {
+    innings: [...innings.values()]
+      .sort((a, b) => a.number - b.number)
+      .map(total => ({ ...total, overs: oversFromBalls(total.balls) }))
+  };
+};
+
+/**
+ * Points per team from kabaddi halves
+ * @param {Array<Object>} periods - Period score entries
+ * @param {Array} teamIds - Match team ids
+ * @returns {Object} - { points: { teamId: n }, periods: [{ period, points }] }
+ */
+export const summarizeKabaddi = (periods, teamIds) => {
+  const points = Object.fromEntries(teamIds.map(id => [id.toString(), 0]));
+  const list = [...periods].sort((a, b) => a.period - b.period).map((entry) => {
+    const scored = Object.fromEntries(teamIds.map(id => [id.toString(), Number(readPoints(entry)[id.toString()]) || 0]));
+    Object.entries(scored).forEach(([id, value]) => { points[id] += value; });
+    return { period: entry.period, points: scored };
+  });
+  return { points, periods: list };
+};
+
+// Map (document) or plain object (lean) of points
+const readPoints = (entry) => (entry.points instanceof Map ? Object.fromEntries(entry.points) : (entry.points || {}));
+
+const summarize = (match, scores) => (match.sport === 'cricket'
+  ? summarizeCricket(scores.filter(score => score.type === 'ball'))
+  : summarizeKabaddi(scores.filter(score => score.type === 'period'), match.teamIds));
+
+/**
+ * Recompute the stored match summary after a score change. Every change bumps scoreVersion first, so a slower
+ * request never overwrites a summary that already includes later changes.
+ * @param {string} matchId - Match id
+ * @returns {Promise<Object>} - Summary
+ */
+export const refreshSummary = async (matchId) => {
+  const match = await Match.findByIdAndUpdate(matchId, { $inc: { scoreVersion: 1 } }, { new: true }).select('sport teamIds scoreVersion').lean();
+  if (!match) return null;
+  const scores = await Score.find({ matchId }).sort({ seq: 1 }).lean();
+  const summary = summarize(match, scores);
+
+  await Match.updateOne(
+    { _id: matchId, summaryVersion: { $lt: match.scoreVersion } },
+    { $set: { summary, summaryVersion: match.scoreVersion } }
+  );
+  return summary;
+};
+
+// Scoring starts a scheduled match (and resumes one on a break)
+const markLive = (match) => (['scheduled', 'break', 'postponed'].includes(match.status)
+  ? Match.updateOne({ _id: match._id, status: match.status }, { $set: { status: 'live' } })
+  : null);
+
+const checkScoringOpen = (match, sport) => {
+  if (match.sport !== sport) {
+    throw badRequest(sport === 'cricket' ? 'Ball-by-ball scoring is only for cricket matches' : 'Period scores are only for kabaddi matches');
+  }
+  if (CLOSED_STATUSES.includes(match.status)) throw httpError(409, `Match is ${match.status}`);
+};
+
+const nextSeq = async (matchId) => {
+  const match = await Match.findByIdAndUpdate(matchId, { $inc: { scoreSeq: 1 } }, { new: true }).select('scoreSeq').lean();
+  return match.scoreSeq;
+};
+
+/**
+ * Record a cricket delivery
+ * @param {Object} match - Match (lean)
+ * @param {Object} input - { innings, battingTeamId, runs, extras: { kind, runs }, wicket: { kind, playerOut }, batter, bowler, commentary }
+ * @param {string} userId - Scorer
+ * @returns {Promise<Object>} - { score, summary }
+ */
+export const addBall = async (match, input, userId = null) => {
+  checkScoringOpen(match, 'cricket');
+
+  const deliveries = await Score.find({ matchId: match._id, type: 'ball' }).sort({ seq: 1 }).lean();
+  const { innings: played } = summarizeCricket(deliveries);
+  const current = played[played.length - 1];
+
+  const inningsNo = input.innings === undefined ? (current?.number || 1) : readInt(input.innings, 'innings', 1, MAX_INNINGS);
+  if (inningsNo > (current?.number || 0) + 1) throw badRequest(`Innings ${inningsNo} cannot start before innings ${inningsNo - 1}`);
+  const totals = played.find(item => item.number === inningsNo);
+
+  let battingTeamId;
+  if (totals) {
+    battingTeamId = totals.teamId;
+    if (input.battingTeamId && !sameId(input.battingTeamId, battingTeamId)) throw badRequest(`Innings ${inningsNo} is already being batted by the other team`);
+  } else if (input.battingTeamId) {
+    battingTeamId = match.teamIds.find(id => sameId(id, input.battingTeamId));
+    if (!battingTeamId) throw badRequest('battingTeamId must be one of the match teams');
+  } else {
+    // First innings: first team; later innings: the side that fielded in the previous one
+    const previous = played.find(item => item.number === inningsNo - 1);
+    battingTeamId = previous ? match.teamIds.find(id => !sameId(id, previous.teamId)) : match.teamIds[0];
+  }
+
+  if (totals && totals.wickets >= MAX_WICKETS) throw badRequest(`Innings ${inningsNo} is complete (all out)`);
+  if (totals && match.oversPerInnings && totals.balls >= match.oversPerInnings * 6) {
+    throw badRequest(`Innings ${inningsNo} is complete (overs limit reached)`);
+  }
+
+  const runs = input.runs === undefined ? 0 : readInt(input.runs, 'runs', 0, 7);
+  const extras = { kind: null, runs: 0 };
+  if (input.extras?.kind) {
+    if (!EXTRA_TYPES.includes(input.extras.kind)) throw badRequest(`extras.kind must be one of: ${EXTRA_TYPES.join(', ')}`);
+    extras.kind = input.extras.kind;
+    const defaultRuns = { wide: 1, 'no-ball': 1, penalty: 5 }[extras.kind];
+    extras.runs = input.extras.runs === undefined && defaultRuns ? defaultRuns : readInt(input.extras.runs, 'extras.runs', 1, 10);
+    if (['wide', 'bye', 'leg-bye'].includes(extras.kind) && runs > 0) throw badRequest(`No runs off the bat on a ${extras.kind}`);
+  }
+
+  const wicket = { kind: null, playerOut: '' };
+  if (input.wicket?.kind) {
+    if (!WICKET_KINDS.includes(input.wicket.kind)) throw badRequest(`wicket.kind must be one of: ${WICKET_KINDS.join(', ')}`);
+    wicket.kind = input.wicket.kind;
+    wicket.playerOut = String(input.wicket.playerOut || input.batter || '').trim().slice(0, 100);
+  }
+
+  const legalBefore = totals?.balls || 0;
+  const score = await Score.create({
+    matchId: match._id,
+    seq: await nextSeq(match._id),
+    type: 'ball',
+    innings: inningsNo,
+    battingTeamId,
+    over: Math.floor(legalBefore / 6),
+    ball: (legalBefore % 6) + 1,
+    runs,
+    extras,
+    wicket,
+    batter: String(input.batter || '').trim().slice(0, 100),
+    bowler: String(input.bowler || '').trim().slice(0, 100),
+    commentary: String(input.commentary || '').trim().slice(0, 500),
+    enteredBy: userId
+  });
+
+  await markLive(match);
+  return { score, summary: await refreshSummary(match._id) };
+};
+
+/**
+ * Set the points of a kabaddi half (sending the same period again replaces it)
+ * @param {Object} match - Match (lean)
+ * @param {Object} input - { period, points: { teamId: n } }
+ * @param {string} userId - Scorer
+ * @returns {Promise<Object>} - { score, summary }
+ */
+export const setPeriodScore = async (match, input, userId = null) => {
+  checkScoringOpen(match, 'kabaddi');
+
+  const period = readInt(input.period, 'period', 1, MAX_PERIODS);
+  if (!input.points || typeof input.points !== 'object') throw badRequest('points must map team ids to points');
+  if (Object.keys(input.points).some(id => !match.teamIds.some(teamId => sameId(teamId, id)))) {
+    throw badRequest('points must only contain the match teams');
+  }
+  const points = Object.fromEntries(match.teamIds.map(id => [
+    id.toString(),
+    input.points[id.toString()] === undefined ? 0 : readInt(input.points[id.toString()], 'points', 0, 500)
+  ]));
+
+  const score = await Score.findOneAndUpdate(
+    { matchId: match._id, type: 'period', period },
+    { $set: { points, enteredBy: userId }, $setOnInsert: { matchId: match._id, type: 'period', period, seq: period } },
+    { upsert: true, new: true }
+  );
+
+  await markLive(match);
+  return { score, summary: await refreshSummary(match._id) };
+};
+
+/**
+ * Remove the last score entry (last delivery, or the latest kabaddi half)
+ * @param {Object} match - Match (lean)
+ * @returns {Promise<Object|null>} - { score (removed), summary }, null if there was nothing to undo
+ */
+export const undoLastScore = async (match) => {
+  if (CLOSED_STATUSES.includes(match.status)) throw httpError(409, `Match is ${match.status}`);
+
+  const last = await Score.findOne({ matchId: match._id }).sort({ seq: -1 }).lean();
+  if (!last) return null;
+
+  const removed = await Score.deleteOne({ _id: last._id });
+  if (removed.deletedCount === 0) return null;
+  return { score: last, summary: await refreshSummary(match._id) };
+};
+
+const teamFor = (tournament, teamId) => tournament?.teams?.find(team => sameId(team._id, teamId)) || null;
+
+const localTeamScore = (match, teamId) => {
+  if (match.sport === 'cricket') {
+    const innings = (match.summary?.innings || []).filter(item => sameId(item.teamId, teamId))
+      .map(({ runs, wickets, overs }) => ({ runs, wickets, overs }));
+    if (innings.length === 0) return null;
+    const last = innings[innings.length - 1];
+    return { display: cricketScoreDisplay(innings), runs: last.runs, wickets: last.wickets, overs: last.overs, innings };
+  }
+
+  const points = match.summary?.points?.[teamId.toString()];
+  return points === undefined ? null : { display: String(points), points };
+};
+
+const localStatusText = (match) => {
+  if (match.status !== 'live') return STATUS_TEXT[match.status] || match.status;
+  if (match.sport === 'cricket') {
+    const innings = match.summary?.innings || [];
+    return innings.length > 0 ? `Innings ${innings[innings.length - 1].number}` : 'Live';
+  }
+  const periods = match.summary?.periods || [];
+  return periods.length > 0 ? `Half ${periods[periods.length - 1].period}` : 'Live';
+};
+
+/**
+ * A local match in the normalized match format of utils/sportsNormalizer.js
+ * @param {Object} match - Match (lean)
+ * @param {Object} tournament - Its tournament (lean)
+ * @returns {Object} - Match
+ */
+export const normalizeLocalMatch = (match, tournament) => ({
+  id: match._id.toString(),
+  source: 'local',
+  sport: match.sport,
+  status: match.status,
+  statusText: localStatusText(match),
+  startsAt: match.startsAt ? new Date(match.startsAt).toISOString() : null,
+  competition: tournament ? { id: tournament._id.toString(), name: tournament.name, nameEn: tournament.nameEn, slug: tournament.slug } : null,
+  venue: match.venue?.name ? { name: match.venue.name, city: match.venue.city || '' } : null,
+  teams: match.teamIds.map((teamId) => {
+    const team = teamFor(tournament, teamId);
+    return {
+      id: teamId.toString(),
+      name: team?.name || '',
+      nameEn: team?.nameEn || '',
+      shortName: team?.shortName || '',
+      logo: team?.logo || '',
+      isWinner: sameId(match.winnerTeamId, teamId),
+      score: localTeamScore(match, teamId)
+    };
+  }),
+  result: match.result || '',
+  detail: {
+    round: match.round || '',
+    format: match.sport === 'cricket' && match.oversPerInnings ? `${match.oversPerInnings} overs` : '',
+    tossWonBy: match.tossWonBy ? match.tossWonBy.toString() : null,
+    elected: match.elected || null
+  }
+});
+
+// Batting and bowling figures of one cricket innings
+const inningsCard = (deliveries) => {
+  const batting = new Map();
+  const bowling = new Map();
+  const overs = new Map();
+  const extras = { wides: 0, noBalls: 0, byes: 0, legByes: 0, penalty: 0 };
+  const extraField = { wide: 'wides', 'no-ball': 'noBalls', bye: 'byes', 'leg-bye': 'legByes', penalty: 'penalty' };
+
+  deliveries.forEach((delivery) => {
+    if (delivery.extras?.kind) extras[extraField[delivery.extras.kind]] += delivery.extras.runs || 0;
+
+    if (delivery.batter) {
+      if (!batting.has(delivery.batter)) batting.set(delivery.batter, { name: delivery.batter, runs: 0, balls: 0, fours: 0, sixes: 0, dismissal: '' });
+      const batter = batting.get(delivery.batter);
+      batter.runs += delivery.runs || 0;
+      if (delivery.extras?.kind !== 'wide') batter.balls++;
+      if (delivery.runs === 4) batter.fours++;
+      if (delivery.runs === 6) batter.sixes++;
+    }
+    if (delivery.wicket?.kind && delivery.wicket.playerOut) {
+      if (!batting.has(delivery.wicket.playerOut)) {
+        batting.set(delivery.wicket.playerOut, { name: delivery.wicket.playerOut, runs: 0, balls: 0, fours: 0, sixes: 0, dismissal: '' });
+      }
+      batting.get(delivery.wicket.playerOut).dismissal = delivery.wicket.kind + (delivery.bowler && delivery.wicket.kind !== 'run-out' ? ` (${delivery.bowler})` : '');
+    }
+
+    if (delivery.bowler) {
+      if (!bowling.has(delivery.bowler)) bowling.set(delivery.bowler, { name: delivery.bowler, balls: 0, maidens: 0, runs: 0, wickets: 0, wides: 0, noBalls: 0 });
+      const bowler = bowling.get(delivery.bowler);
+      // Byes, leg byes and penalties are not charged to the bowler
+      const conceded = (delivery.runs || 0) + (['wide', 'no-ball'].includes(delivery.extras?.kind) ? delivery.extras.runs : 0);
+      bowler.runs += conceded;
+      if (isLegal(delivery)) bowler.balls++;
+      if (delivery.extras?.kind === 'wide') bowler.wides++;
+      if (delivery.extras?.kind === 'no-ball') bowler.noBalls++;
+      if (delivery.wicket?.kind && !['run-out', 'retired-out'].includes(delivery.wicket.kind)) bowler.wickets++;
+
+      const key = `${delivery.over}:${delivery.bowler}`;
+      const over = overs.get(key) || { bowler: delivery.bowler, balls: 0, runs: 0 };
+      over.balls += isLegal(delivery) ? 1 : 0;
+      over.runs += conceded;
+      overs.set(key, over);
+    }
+  });
+
+  overs.forEach((over) => {
+    if (over.balls === 6 && over.runs === 0) bowling.get(over.bowler).maidens++;
+  });
+
+  return {
+    extras,
+    batting: [...batting.values()].map(batter => ({
+      ...batter,
+      strikeRate: batter.balls > 0 ? Math.round(batter.runs * 10000 / batter.balls) / 100 : null,
+      notOut: !batter.dismissal
+    })),
+    bowling: [...bowling.values()].map(({ balls, ...bowler }) => ({
+      ...bowler,
+      overs: oversFromBalls(balls),
+      economy: balls > 0 ? Math.round(bowler.runs * 600 / balls) / 100 : null
+    }))
+  };
+};
+
+/**
+ * Scorecard of a local match (cricket: innings with batting/bowling and recent balls; kabaddi: points per half)
+ * @param {Object} match - Match (lean)
+ * @returns {Promise<Object>}
+ */
+export const localScorecard = async (match) => {
+  const scores = await Score.find({ matchId: match._id }).sort({ seq: 1 }).lean();
+
+  if (match.sport !== 'cricket') {
+    const { periods } = summarizeKabaddi(scores.filter(score => score.type === 'period'), match.teamIds);
+    return {
+      periods: periods.map(item => ({ name: item.period <= 2 ? `Half ${item.period}` : `Extra time ${item.period - 2}`, scores: item.points })),
+      events: []
+    };
+  }
+
+  const deliveries = scores.filter(score => score.type === 'ball');
+  const { innings } = summarizeCricket(deliveries);
+  const latest = innings[innings.length - 1];
+
+  return {
+    innings: innings.map(total => ({
+      number: total.number,
+      battingTeamId: total.teamId.toString(),
+      total: { runs: total.runs, wickets: total.wickets, overs: total.overs },
+      ...inningsCard(deliveries.filter(delivery => delivery.innings === total.number))
+    })),
+    recentBalls: latest ? deliveries.filter(delivery => delivery.innings === latest.number).slice(-RECENT_BALLS).map(delivery => ({
+      over: `${delivery.over}.${delivery.ball}`,
+      runs: delivery.runs,
+      extras: delivery.extras?.kind ? delivery.extras : null,
+      wicket: delivery.wicket?.kind ? delivery.wicket : null,
+      batter: delivery.batter,
+      bowler: delivery.bowler,
+      commentary: delivery.commentary
+    })) : []
+  };
+};
+
+/**
+ * Local matches of active tournaments in the normalized format
+ * @param {Object} filter - { sport, statuses, from, to, tournamentId }
+ * @returns {Promise<Array>} - Matches sorted by start time
+ */
+export const findLocalMatches = async ({ sport, statuses, from, to, tournamentId } = {}) => {
+  const tournamentQuery = { isActive: true };
+  if (sport) tournamentQuery.sport = sport;
+  if (tournamentId) tournamentQuery._id = tournamentId;
+  const tournaments = await Tournament.find(tournamentQuery).lean();
+  if (tournaments.length === 0) return [];
+
+  const query = { tournamentId: { $in: tournaments.map(tournament => tournament._id) } };
+  if (statuses) query.status = { $in: statuses };
+  if (from || to) {
+    query.startsAt = {};
+    if (from) query.startsAt.$gte = from;
+    if (to) query.startsAt.$lte = to;
+  }
+
+  const matches = await Match.find(query).sort({ startsAt: 1 }).lean();
+  const byId = new Map(tournaments.map(tournament => [tournament._id.toString(), tournament]));
+  return matches.map(match => normalizeLocalMatch(match, byId.get(match.tournamentId.toString())));
+};
+
+/**
+ * A local match of an active tournament
+ * @param {string} id - Match id
+ * @returns {Promise<Object|null>} - { match, tournament } (lean)
+ */
+export const findLocalMatch = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  const match = await Match.findById(id).lean();
+  if (!match) return null;
+  const tournament = await Tournament.findOne({ _id: match.tournamentId, isActive: true }).lean();
+  return tournament ? { match, tournament } : null;
+};
+
+const readTeams = (teams, existing) => {
+  if (!Array.isArray(teams) || teams.length < 2 || teams.length > 64) throw badRequest('A tournament needs 2 to 64 teams');
+  const current = new Map((existing?.teams || []).map(team => [team._id.toString(), team]));
+
+  return teams.map((item) => {
+    const team = typeof item === 'string' ? { name: item } : (item || {});
+    const name = String(team.name || '').trim();
+    if (!name) throw badRequest('Every team needs a name');
+    if (team._id && !current.has(String(team._id))) throw badRequest('Unknown team id');
+    return {
+      ...(team._id && { _id: current.get(String(team._id))._id }),
+      name,
+      nameEn: String(team.nameEn || '').trim(),
+      shortName: String(team.shortName || '').trim().slice(0, 10),
+      logo: String(team.logo || '').trim()
+    };
+  });
+};
+
+/**
+ * Validate tournament fields from an admin request
+ * @param {Object} input - Request body
+ * @param {Object} existing - Tournament being updated (lean), or null when creating
+ * @returns {Promise<Object>} - Fields to save
+ */
+export const prepareTournamentFields = async (input, existing = null) => {
+  const fields = {};
+
+  if (input.name !== undefined || !existing) {
+    fields.name = String(input.name || '').trim();
+    if (!fields.name) throw badRequest('Tournament name is required');
+  }
+  if (input.nameEn !== undefined) fields.nameEn = String(input.nameEn).trim();
+  if (!existing) {
+    if (!LOCAL_SPORTS.includes(input.sport)) throw badRequest(`sport must be one of: ${LOCAL_SPORTS.join(', ')}`);
+    fields.sport = input.sport;
+  } else if (input.sport !== undefined && input.sport !== existing.sport) {
+    throw badRequest('The sport of a tournament cannot be changed');
+  }
+  if (!existing || input.slug !== undefined || (input.name !== undefined && !existing.slug)) {
+    fields.slug = await generateUniqueSlug(Tournament, input.slug || input.nameEn || fields.name || existing.name, existing?._id);
+  }
+  if (input.location !== undefined) fields.location = String(input.location).trim();
+  if (input.startDate !== undefined) fields.startDate = readDate(input.startDate, 'startDate');
+  if (input.endDate !== undefined) fields.endDate = readDate(input.endDate, 'endDate');
+  const startDate = fields.startDate !== undefined ? fields.startDate : existing?.startDate;
+  const endDate = fields.endDate !== undefined ? fields.endDate : existing?.endDate;
+  if (startDate && endDate && endDate < startDate) throw badRequest('endDate must not be before startDate');
+
+  if (input.oversPerInnings !== undefined) {
+    fields.oversPerInnings = input.oversPerInnings === null ? null : readInt(input.oversPerInnings, 'oversPerInnings', 1, 90);
+  }
+  if (input.teams !== undefined || !existing) {
+    fields.teams = readTeams(input.teams, existing);
+    if (existing) {
+      const kept = new Set(fields.teams.filter(team => team._id).map(team => team._id.toString()));
+      const removed = existing.teams.filter(team => !kept.has(team._id.toString())).map(team => team._id);
+      if (removed.length > 0 && await Match.exists({ tournamentId: existing._id, teamIds: { $in: removed } })) {
+        throw badRequest('Teams that have matches cannot be removed');
+      }
+    }
+  }
+  if (input.isActive !== undefined) fields.isActive = Boolean(input.isActive);
+
+  return fields;
+};
+
+/**
+ * Validate match fields from an admin request
+ * @param {Object} input - Request body
+ * @param {Object} tournament - Tournament of the match (lean)
+ * @param {Object} existing - Match being updated (lean), or null when creating
+ * @returns {Object} - Fields to save
+ */
+export const prepareMatchFields = (input, tournament, existing = null) => {
+  const fields = {};
+  const isTeam = id => tournament.teams.some(team => sameId(team._id, id));
+
+  if (input.teamIds !== undefined || !existing) {
+    if (!Array.isArray(input.teamIds) || input.teamIds.length !== 2 || sameId(input.teamIds[0], input.teamIds[1])) {
+      throw badRequest('teamIds must be two different teams of the tournament');
+    }
+    if (!input.teamIds.every(isTeam)) throw badRequest('teamIds must be two different teams of the tournament');
+    if (existing && existing.scoreSeq > 0 && !input.teamIds.every(id => existing.teamIds.some(teamId => sameId(teamId, id)))) {
+      throw badRequest('Teams cannot be changed once scoring has started');
+    }
+    fields.teamIds = input.teamIds;
+  }
+  const teamIds = fields.teamIds || existing?.teamIds || [];
+
+  if (input.startsAt !== undefined || !existing) {
+    fields.startsAt = readDate(input.startsAt, 'startsAt');
+    if (!fields.startsAt) throw badRequest('startsAt is required');
+  }
+  if (input.venue !== undefined) {
+    fields.venue = { name: String(input.venue?.name || '').trim(), city: String(input.venue?.city || '').trim() };
+  }
+  if (input.round !== undefined) fields.round = String(input.round).trim();
+  if (input.status !== undefined) {
+    if (!LOCAL_MATCH_STATUSES.includes(input.status)) throw badRequest(`status must be one of: ${LOCAL_MATCH_STATUSES.join(', ')}`);
+    fields.status = input.status;
+  }
+  if (input.result !== undefined) fields.result = String(input.result).trim().slice(0, 300);
+
+  for (const field of ['winnerTeamId', 'tossWonBy']) {
+    if (input[field] === undefined) continue;
+    if (input[field] && !teamIds.some(id => sameId(id, input[field]))) throw badRequest(`${field} must be one of the match teams`);
+    fields[field] = input[field] || null;
+  }
+
+  if (tournament.sport === 'cricket') {
+    if (input.oversPerInnings !== undefined) {
+      fields.oversPerInnings = input.oversPerInnings === null ? null : readInt(input.oversPerInnings, 'oversPerInnings', 1, 90);
+    } else if (!existing) {
+      fields.oversPerInnings = tournament.oversPerInnings;
+    }
+    if (input.elected !== undefined) {
+      if (![null, 'batting', 'bowling'].includes(input.elected)) throw badRequest('elected must be batting or bowling');
+      fields.elected = input.elected;
+    }
+  }
+
+  return fields;
+};
@@ -0,0 +1,55 @@
+import nodemailer from 'nodemailer';
+
+let transport = null;
+let transportKey = '';
+
+// Errors that mean the SMTP server itself is unusable (every further message would fail too)
+const TRANSPORT_ERROR_CODES = ['EAUTH', 'ECONNECTION', 'ESOCKET', 'ETIMEDOUT', 'EDNS', 'ETLS'];
+
+/**
+ * Pooled SMTP transport for the given settings (reused until the settings change)
+ * @param {Object} smtp - { host, port, secure, user, pass }
+ * @returns {Object} - Nodemailer transport
+ */
+export const getMailTransport = (smtp) => {
+  if (!smtp?.host) {
+    throw Object.assign(new Error('SMTP is not configured'), { status: 400 });
+  }
+
+  const key = JSON.stringify([smtp.host, smtp.port, smtp.secure, smtp.user, smtp.pass]);
+  if (!transport || key !== transportKey) {
+    if (transport) transport.close();
+    transport = nodemailer.createTransport({
+      host: smtp.host,
+      port: parseInt(smtp.port) || 587,
+      secure: Boolean(smtp.secure),
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+      pool: true,
+      maxConnections: 3
+    });
+    transportKey = key;
+  }
+  return transport;
+};
+
+/**
+ * Send one message
+ * @param {Object} smtp - SMTP settings (see getMailTransport)
+ * @param {Object} message - Nodemailer message ({ from, to, subject, html, text, headers, ... })
+ * @returns {Promise<Object>} - Nodemailer info ({ messageId, accepted, rejected, ... })
+ */
+export const sendMail = (smtp, message) => getMailTransport(smtp).sendMail(message);
+
+/**
+ * Whether a send error means the recipient address was rejected permanently (hard bounce)
+ * @param {Error} error - Nodemailer error
+ * @returns {boolean}
+ */
+export const isHardBounceError = (error) => error.responseCode >= 550 && error.responseCode < 560;
+
+/**
+ * Whether a send error means the SMTP server could not be used at all
+ * @param {Error} error - Nodemailer error
+ * @returns {boolean}
+ */
+export const isTransportError = (error) => TRANSPORT_ERROR_CODES.includes(error.code) || error.responseCode === 421;
@@ -0,0 +1,540 @@
+import crypto from 'crypto';
+import Article from '../models/Article.js';
+import Epaper from '../models/Epaper.js';
+import Settings from '../models/Settings.js';
+import Subscriber from '../models/Subscriber.js';
+import NewsletterIssue from '../models/NewsletterIssue.js';
+import NewsletterDelivery from '../models/NewsletterDelivery.js';
+import { sendMail, isHardBounceError, isTransportError } from './mailer.js';
+import { INSTANCE_ID } from './instance.js';
+import { signSubscriberToken, manageUrl } from './subscriberTokens.js';
+import { subscriberQuery } from './subscriberSegments.js';
+import { digestSubject, renderDigestEmail } from '../utils/newsletterTemplate.js';
+
+const BASE_URL = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://navmanchnews.com';
+
+// Public URL of this API; enables one-click unsubscribe (RFC 8058) in mail clients
+const API_URL = (process.env.API_URL || '').replace(/\/$/, '');
+
+// Settings key holding SMTP and schedule settings (hidden from the generic settings API)
+export const NEWSLETTER_SETTINGS_KEY = 'newsletter';
+
+// Schedule hours and digest dates are in this time zone
+const TIME_ZONE = process.env.NEWSLETTER_TIMEZONE || 'Asia/Kolkata';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Worker lease, renewed after every batch; another instance resumes the send if it expires
+const LEASE_MS = 5 * 60 * 1000;
+
+// Messages sent in parallel (the SMTP pool has 3 connections)
+const BATCH_SIZE = 5;
+
+// Soft bounces before an address is treated as bounced
+const SOFT_BOUNCE_LIMIT = 3;
+
+const PASSWORD_MASK = '********';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DEFAULT_SETTINGS = {
+  smtp: { host: '', port: 587, secure: false, user: '', pass: '' },
+  from: '',
+  replyTo: '',
+  daily: { enabled: false, hour: 7 },
+  weekly: { enabled: false, dayOfWeek: 0, hour: 9 },
+  articleLimit: 10
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Drop empty values so they do not hide defaults/environment values
+const compact = (object = {}) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+const envSmtp = () => compact({
+  host: process.env.SMTP_HOST,
+  port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT) : undefined,
+  secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : undefined,
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS
+});
+
+// Date, hour and weekday of a moment in the newsletter time zone
+const localTime = (date) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23',
+    weekday: 'short'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Newsletter settings with defaults (SMTP values fall back to SMTP_* environment variables)
+ * @returns {Promise<Object>} - { smtp, from, replyTo, daily, weekly, articleLimit }
+ */
+export const getNewsletterSettings = async () => {
+  const setting = await Settings.findOne({ key: NEWSLETTER_SETTINGS_KEY }).lean();
+  const stored = setting?.value || {};
+
+  return {
+    ...DEFAULT_SETTINGS,
+    ...compact(stored),
+    from: stored.from || process.env.NEWSLETTER_FROM || '',
+    smtp: { ...DEFAULT_SETTINGS.smtp, ...envSmtp(), ...compact(stored.smtp) },
+    daily: { ...DEFAULT_SETTINGS.daily, ...stored.daily },
+    weekly: { ...DEFAULT_SETTINGS.weekly, ...stored.weekly }
+  };
+};
+
+/**
+ * Settings safe to show in the admin panel (SMTP password masked)
+ * @param {Object} settings - From getNewsletterSettings
+ * @returns {Object}
+ */
+export const maskNewsletterSettings = (settings) => ({
+  ...settings,
+  smtp: { ...settings.smtp, pass: settings.smtp.pass ? PASSWORD_MASK : '' }
+});
+
+const readHour = (value, field) => {
+  const hour = parseInt(value);
+  if (Number.isNaN(hour) || hour < 0 || hour > 23) throw badRequest(`${field} must be between 0 and 23`);
+  return hour;
+};
+
+/**
+ * Validate and store newsletter settings (fields not sent are kept; the masked password keeps the stored one)
+ * @param {Object} changes - Partial settings
+ * @returns {Promise<Object>} - Updated settings
+ */
+export const updateNewsletterSettings = async (changes) => {
+  const setting = await Settings.findOne({ key: NEWSLETTER_SETTINGS_KEY }).lean();
+  const stored = setting?.value || {};
+  const next = {
+    ...stored,
+    smtp: { ...stored.smtp },
+    daily: { ...DEFAULT_SETTINGS.daily, ...stored.daily },
+    weekly: { ...DEFAULT_SETTINGS.weekly, ...stored.weekly }
+  };
+
+  if (changes.smtp) {
+    const { host, port, secure, user, pass } = changes.smtp;
+    if (host !== undefined) next.smtp.host = String(host).trim();
+    if (port !== undefined) {
+      const portNumber = parseInt(port);
+      if (Number.isNaN(portNumber) || portNumber < 1 || portNumber > 65535) throw badRequest('Invalid SMTP port');
+      next.smtp.port = portNumber;
+    }
+    if (secure !== undefined) next.smtp.secure = Boolean(secure);
+    if (user !== undefined) next.smtp.user = String(user).trim();
+    if (pass !== undefined && pass !== PASSWORD_MASK) next.smtp.pass = String(pass);
+  }
+
+  ['from', 'replyTo'].forEach((field) => {
+    if (changes[field] === undefined) return;
+    const value = String(changes[field]).trim();
+    if (value && !/@/.test(value)) throw badRequest(`${field} must be an email address`);
+    next[field] = value;
+  });
+
+  if (changes.daily) {
+    if (changes.daily.enabled !== undefined) next.daily.enabled = Boolean(changes.daily.enabled);
+    if (changes.daily.hour !== undefined) next.daily.hour = readHour(changes.daily.hour, 'daily.hour');
+  }
+
+  if (changes.weekly) {
+    if (changes.weekly.enabled !== undefined) next.weekly.enabled = Boolean(changes.weekly.enabled);
+    if (changes.weekly.hour !== undefined) next.weekly.hour = readHour(changes.weekly.hour, 'weekly.hour');
+    if (changes.weekly.dayOfWeek !== undefined) {
+      const day = parseInt(changes.weekly.dayOfWeek);
+      if (Number.isNaN(day) || day < 0 || day > 6) throw badRequest('weekly.dayOfWeek must be between 0 (Sunday) and 6');
+      next.weekly.dayOfWeek = day;
+    }
+  }
+
+  if (changes.articleLimit !== undefined) {
+    const limit = parseInt(changes.articleLimit);
+    if (Number.isNaN(limit) || limit < 1 || limit > 30) throw badRequest('articleLimit must be between 1 and 30');
+    next.articleLimit = limit;
+  }
+
+  await Settings.findOneAndUpdate(
+    { key: NEWSLETTER_SETTINGS_KEY },
+    { key: NEWSLETTER_SETTINGS_KEY, value: next },
+    { upsert: true }
+  );
+
+  return getNewsletterSettings();
+};
+
+/**
+ * Top published articles of the day/week (by views) and the latest e-paper
+ * @param {string} kind - "daily" or "weekly"
+ * @param {Object} options - { now, limit }
+ * @returns {Promise<Object>} - { subject, articles, epaper }
+ */
+export const buildDigest = async (kind, { now = new Date(), limit = DEFAULT_SETTINGS.articleLimit } = {}) => {
+  const since = new Date(now.getTime() - (kind === 'weekly' ? 7 : 1) * DAY_MS);
+
+  const [articles, epaper] = await Promise.all([
+    Article.find({ status: 'published', publishedAt: { $gte: since, $lte: now } })
+      .sort({ views: -1, publishedAt: -1 })
+      .limit(limit)
+      .select('title slug summary featuredImage categoryId subCategoryId publishedAt')
+      .lean(),
+    Epaper.findOne({ status: 'published' })
+      .sort({ date: -1 })
+      .select('id title date shareImageUrl')
+      .lean()
+  ]);
+
+  return {
+    subject: digestSubject(kind, now, TIME_ZONE),
+    articles: articles.map(article => ({
+      _id: article._id,
+      title: article.title,
+      summary: article.summary || '',
+      url: `${BASE_URL}/news/${article.slug || article._id}`,
+      featuredImage: article.featuredImage || '',
+      categoryIds: [article.categoryId, article.subCategoryId].filter(Boolean).map(id => id.toString())
+    })),
+    epaper: epaper
+      ? {
+          id: epaper.id,
+          title: epaper.title,
+          url: `${BASE_URL}/epaper/${new Date(epaper.date).toISOString().split('T')[0]}`,
+          image: epaper.shareImageUrl || ''
+        }
+      : null
+  };
+};
+
+/**
+ * Unsubscribe token of a subscriber (created on first use)
+ * @param {Object} subscriber - Subscriber selected with +unsubscribeToken
+ * @returns {Promise<string>}
+ */
+export const ensureUnsubscribeToken = async (subscriber) => {
+  if (subscriber.unsubscribeToken) return subscriber.unsubscribeToken;
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const result = await Subscriber.updateOne(
+    { _id: subscriber._id, unsubscribeToken: { $exists: false } },
+    { $set: { unsubscribeToken: token } }
+  );
+  if (result.modifiedCount > 0) return token;
+
+  // Another send created it first
+  const stored = await Subscriber.findById(subscriber._id).select('+unsubscribeToken').lean();
+  return stored.unsubscribeToken;
+};
+
+// Articles of the subscriber's chosen categories (all articles if none match, so the email is never empty)
+const articlesFor = (content, subscriber) => {
+  const categoryIds = (subscriber.preferences?.categoryIds || []).map(id => id.toString());
+  if (categoryIds.length === 0) return content.articles;
+
+  const matching = content.articles.filter(article =>
+    !article.categoryIds || article.categoryIds.some(id => categoryIds.includes(id)));
+  return matching.length > 0 ? matching : content.articles;
+};
+
+const buildMessage = (settings, content, subscriber, token, manageToken = null) => {
+  const unsubscribeUrl = `${BASE_URL}/unsubscribe?token=${encodeURIComponent(token)}`;
+  const { html, text } = renderDigestEmail(
+    { ...content, articles: articlesFor(content, subscriber) },
+    { name: subscriber.name, unsubscribeUrl, manageUrl: manageToken ? manageUrl(manageToken) : null }
+  );
+
+  const headers = API_URL
+    ? {
+        'List-Unsubscribe': `<${API_URL}/api/subscribers/unsubscribe?token=${encodeURIComponent(token)}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    : { 'List-Unsubscribe': `<${unsubscribeUrl}>` };
+
+  return {
+    from: settings.from,
+    replyTo: settings.replyTo || undefined,
+    to: subscriber.email,
+    subject: content.subject,
+    html,
+    text,
+    headers
+  };
+};
+
+// Mark an address as bounced (hard) or count a soft bounce
+const applyBounce = async (email, hard) => {
+  const now = new Date();
+  if (hard) {
+    await Subscriber.updateOne({ email }, { $set: { emailStatus: 'bounced', emailBouncedAt: now } });
+    return true;
+  }
+
+  const subscriber = await Subscriber.findOneAndUpdate(
+    { email },
+    { $inc: { softBounceCount: 1 } },
+    { new: true, projection: { softBounceCount: 1 } }
+  );
+  if (subscriber && subscriber.softBounceCount >= SOFT_BOUNCE_LIMIT) {
+    await Subscriber.updateOne({ _id: subscriber._id }, { $set: { emailStatus: 'bounced', emailBouncedAt: now } });
+    return true;
+  }
+  return false;
+};
+
+// Send one subscriber's copy; throws only when the SMTP server is unusable
+const deliverToSubscriber = async (issue, settings, subscriber) => {
+  const delivery = { issueId: issue._id, subscriberId: subscriber._id, email: subscriber.email, sentAt: new Date() };
+
+  try {
+    const token = await ensureUnsubscribeToken(subscriber);
+    const manageToken = await signSubscriberToken(subscriber._id, 'manage');
+    const info = await sendMail(settings.smtp, buildMessage(settings, issue.content, subscriber, token, manageToken));
+    delivery.messageId = info.messageId || '';
+    delivery.status = info.rejected && info.rejected.length > 0 ? 'bounced' : 'sent';
+  } catch (error) {
+    if (isTransportError(error)) throw error;
+    delivery.status = isHardBounceError(error) ? 'bounced' : 'failed';
+    delivery.error = error.message;
+  }
+
+  try {
+    await NewsletterDelivery.create(delivery);
+  } catch (error) {
+    // Already logged by an earlier (interrupted) run
+    if (error.code !== 11000) throw error;
+  }
+
+  if (delivery.status === 'bounced') {
+    await applyBounce(subscriber.email, true);
+  } else if (delivery.status === 'sent') {
+    await Subscriber.updateOne({ _id: subscriber._id }, { $set: { lastNewsletterAt: delivery.sentAt } });
+  }
+
+  return delivery.status;
+};
+
+// Send an issue to every active subscriber not handled yet
+const processIssue = async (issue) => {
+  const settings = await getNewsletterSettings();
+  if (!settings.from) throw badRequest('Newsletter "from" address is not configured');
+
+  // Confirmed subscribers who want this digest by email (missing preferences = daily email), narrowed to the segment
+  const audience = {
+    $and: [
+      {
+        isActive: true,
+        emailStatus: { $ne: 'bounced' },
+        'preferences.channels.email': { $ne: false },
+        'preferences.frequency': issue.kind === 'weekly' ? 'weekly' : { $ne: 'weekly' }
+      },
+      subscriberQuery(issue.segmentFilters || {})
+    ]
+  };
+  await NewsletterIssue.updateOne({ _id: issue._id }, { $set: { 'stats.targeted': await Subscriber.countDocuments(audience) } });
+
+  const sendBatch = async (batch) => {
+    const done = await NewsletterDelivery.find({ issueId: issue._id, subscriberId: { $in: batch.map(s => s._id) } })
+      .select('subscriberId')
+      .lean();
+    const doneIds = new Set(done.map(delivery => delivery.subscriberId.toString()));
+
+    const statuses = await Promise.all(batch
+      .filter(subscriber => !doneIds.has(subscriber._id.toString()))
+      .map(subscriber => deliverToSubscriber(issue, settings, subscriber)));
+
+    const count = (status) => statuses.filter(s => s === status).length;
+    const renewed = await NewsletterIssue.updateOne(
+      { _id: issue._id, lockedBy: INSTANCE_ID },
+      {
+        $inc: { 'stats.sent': count('sent'), 'stats.failed': count('failed'), 'stats.bounced': count('bounced') },
+        $set: { lockedUntil: new Date(Date.now() + LEASE_MS) }
+      }
+    );
+    return renewed.matchedCount > 0;
+  };
+
+  let batch = [];
+  const cursor = Subscriber.find(audience).select('name email preferences.categoryIds +unsubscribeToken').sort({ _id: 1 }).lean().cursor();
+  for await (const subscriber of cursor) {
+    batch.push(subscriber);
+    if (batch.length >= BATCH_SIZE) {
+      if (!(await sendBatch(batch))) {
+        console.warn(`⚠️  Newsletter issue ${issue._id} was taken over, stopping`);
+        await cursor.close();
+        return;
+      }
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await sendBatch(batch);
+
+  const finished = await NewsletterIssue.findOneAndUpdate(
+    { _id: issue._id, lockedBy: INSTANCE_ID },
+    { $set: { status: 'sent', finishedAt: new Date(), lockedBy: null, lockedUntil: null } },
+    { new: true }
+  );
+  if (finished) {
+    const { stats } = finished;
+    console.log(`📧 Newsletter "${finished.subject}": ${stats.sent}/${stats.targeted} sent, ${stats.failed} failed, ${stats.bounced} bounced`);
+  }
+};
+
+/**
+ * Send (or resume) an issue unless another instance is working on it
+ * @param {string} issueId - NewsletterIssue id
+ * @returns {Promise<boolean>} - false if the issue could not be claimed
+ */
+export const runNewsletterIssue = async (issueId) => {
+  const now = new Date();
+  const issue = await NewsletterIssue.findOneAndUpdate(
+    { _id: issueId, status: 'sending', $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+    { new: true }
+  );
+  if (!issue) return false;
+
+  try {
+    await processIssue(issue);
+  } catch (error) {
+    console.error(`❌ Newsletter issue ${issue._id} failed:`, error.message);
+    await NewsletterIssue.updateOne(
+      { _id: issue._id, lockedBy: INSTANCE_ID },
+      { $set: { status: 'failed', error: error.message, finishedAt: new Date(), lockedBy: null, lockedUntil: null } }
+    );
+  }
+  return true;
+};
+
+/**
+ * Create an issue with the current digest and start sending it in the background
+ * @param {Object} options - { kind: "daily"|"weekly", periodKey, segment: saved SubscriberSegment (optional), user, now }
+ * @returns {Promise<Object|null>} - NewsletterIssue (status "skipped" when there is nothing to send),
+ *   null if the period was already sent
+ */
+export const startNewsletterIssue = async ({ kind, periodKey, segment = null, user = null, now = new Date() }) => {
+  const settings = await getNewsletterSettings();
+  const content = await buildDigest(kind, { now, limit: settings.articleLimit });
+  const empty = content.articles.length === 0;
+
+  let issue;
+  try {
+    issue = await NewsletterIssue.create({
+      kind,
+      periodKey,
+      subject: content.subject,
+      articleIds: content.articles.map(article => article._id),
+      segmentId: segment?._id || null,
+      segmentName: segment?.name || '',
+      segmentFilters: segment?.filters || null,
+      epaperId: content.epaper?.id ?? null,
+      content,
+      status: empty ? 'skipped' : 'sending',
+      finishedAt: empty ? new Date() : null,
+      createdBy: user?._id || null
+    });
+  } catch (error) {
+    // Another instance already started this period
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  if (!empty) {
+    runNewsletterIssue(issue._id).catch(error => console.error('Error sending newsletter:', error.message));
+  }
+  return issue;
+};
+
+/**
+ * Send a failed issue again (subscribers who already got it are skipped)
+ * @param {Object} issue - NewsletterIssue document with status "failed"
+ */
+export const resumeNewsletterIssue = async (issue) => {
+  await NewsletterIssue.updateOne(
+    { _id: issue._id, status: 'failed' },
+    { $set: { status: 'sending', error: '', finishedAt: null, lockedBy: null, lockedUntil: null } }
+  );
+  runNewsletterIssue(issue._id).catch(error => console.error('Error resuming newsletter:', error.message));
+};
+
+/**
+ * Send a digest preview to one address (not logged, no subscriber needed)
+ * @param {Object} options - { kind, email }
+ * @returns {Promise<Object>} - { messageId, subject }
+ */
+export const sendTestNewsletter = async ({ kind, email }) => {
+  const settings = await getNewsletterSettings();
+  if (!settings.from) throw badRequest('Newsletter "from" address is not configured');
+
+  const content = await buildDigest(kind, { limit: settings.articleLimit });
+  const message = buildMessage(settings, content, { name: '', email }, 'preview');
+  const info = await sendMail(settings.smtp, message);
+  return { messageId: info.messageId, subject: content.subject };
+};
+
+/**
+ * Record a bounce reported by the mail provider
+ * @param {Object} report - { email, messageId, type: "hard"|"soft", reason }
+ * @returns {Promise<Object>} - { matched, email, bounced }
+ */
+export const recordBounce = async ({ email, messageId, type = 'hard', reason = '' }) => {
+  const delivery = messageId ? await NewsletterDelivery.findOne({ messageId }) : null;
+  const address = String(email || delivery?.email || '').toLowerCase().trim();
+  if (!address) return { matched: false };
+
+  if (delivery && delivery.status === 'sent') {
+    delivery.status = 'bounced';
+    delivery.bouncedAt = new Date();
+    delivery.error = String(reason).slice(0, 500);
+    await delivery.save();
+    await NewsletterIssue.updateOne({ _id: delivery.issueId }, { $inc: { 'stats.sent': -1, 'stats.bounced': 1 } });
+  }
+
+  const bounced = await applyBounce(address, type !== 'soft');
+  return { matched: Boolean(delivery) || (await Subscriber.exists({ email: address })) !== null, email: address, bounced };
+};
+
+/**
+ * Scheduler job: start the daily/weekly digest once its hour has come and resume abandoned sends
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} - { started, resumed }
+ */
+export const sendScheduledNewsletters = async ({ now = new Date() } = {}) => {
+  const settings = await getNewsletterSettings();
+  const local = localTime(now);
+  const started = [];
+
+  if (settings.daily.enabled && local.hour >= settings.daily.hour) {
+    const issue = await startNewsletterIssue({ kind: 'daily', periodKey: `daily:${local.date}`, now });
+    if (issue) started.push({ kind: 'daily', issueId: issue._id, status: issue.status });
+  }
+
+  if (settings.weekly.enabled && local.weekday === settings.weekly.dayOfWeek && local.hour >= settings.weekly.hour) {
+    const issue = await startNewsletterIssue({ kind: 'weekly', periodKey: `weekly:${local.date}`, now });
+    if (issue) started.push({ kind: 'weekly', issueId: issue._id, status: issue.status });
+  }
+
+  // Sends whose instance died (lease expired)
+  const abandoned = await NewsletterIssue.find({ status: 'sending', lockedUntil: { $ne: null, $lte: now } })
+    .select('_id')
+    .lean();
+  abandoned.forEach((issue) => {
+    runNewsletterIssue(issue._id).catch(error => console.error('Error resuming newsletter:', error.message));
+  });
+
+  return { started, resumed: abandoned.length };
+};
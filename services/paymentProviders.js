@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import axios from 'axios';
+
+const API_URL = (process.env.API_URL || `http://127.0.0.1:${process.env.PORT || 5001}`).replace(/\/$/, '');
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+const PUBLICATION_NAME = 'नव मंच';
+
+const hmacHex = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const safeEqual = (a, b) => {
+  const expected = Buffer.from(String(a || ''));
+  const given = Buffer.from(String(b || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// Raw request body as received (kept by the express.json verify hook for webhook routes)
+const rawBody = (req) => req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+
+/**
+ * Local stand-in gateway for development and tests. Orders are "paid" through
+ * POST /api/payments/fake-gateway/orders/:orderId/pay, which sends a signed webhook back to this server.
+ */
+const fakeProvider = {
+  name: 'fake',
+
+  secret: () => process.env.FAKE_PAYMENT_WEBHOOK_SECRET || null,
+
+  // Only when explicitly enabled and given its own secret (anyone knowing the secret can forge its webhooks)
+  isEnabled() {
+    return process.env.FAKE_PAYMENTS_ENABLED === 'true' && Boolean(this.secret());
+  },
+
+  async createOrder({ payment }) {
+    const orderId = `order_fake_${crypto.randomBytes(8).toString('hex')}`;
+    return {
+      orderId,
+      checkout: {
+        orderId,
+        amount: payment.amount,
+        currency: payment.currency,
+        payUrl: `${API_URL}/api/payments/fake-gateway/orders/${orderId}/pay`
+      }
+    };
+  },
+
+  verifyWebhook(req) {
+    return safeEqual(hmacHex(this.secret(), rawBody(req)), req.get('X-Fake-Signature'));
+  },
+
+  // { id, type: payment.paid|payment.failed|payment.refunded, orderId, paymentId, amount, currency, reason }
+  parseWebhook(req) {
+    const event = req.body || {};
+    const statuses = { 'payment.paid': 'paid', 'payment.failed': 'failed', 'payment.refunded': 'refunded' };
+    return {
+      eventId: event.id,
+      type: event.type,
+      status: statuses[event.type] || null,
+      orderId: event.orderId,
+      providerPaymentId: event.paymentId,
+      amount: event.amount,
+      currency: event.currency,
+      reason: event.reason || ''
+    };
+  },
+
+  /**
+   * Send a signed webhook for an order, as the real gateway would
+   * @param {Object} event - Event body (see parseWebhook)
+   * @param {number} repeat - Deliveries of the same event (providers retry)
+   * @returns {Promise<Array>} - Response status per delivery
+   */
+  async sendWebhook(event, repeat = 1) {
+    const body = JSON.stringify(event);
+    const deliveries = [];
+    for (let attempt = 0; attempt < repeat; attempt++) {
+      const response = await axios.post(`${API_URL}/api/payments/webhooks/fake`, body, {
+        headers: { 'Content-Type': 'application/json', 'X-Fake-Signature': hmacHex(this.secret(), body) },
+        timeout: REQUEST_TIMEOUT_MS,
+        validateStatus: () => true
+      });
+      deliveries.push({ status: response.status, body: response.data });
+    }
+    return deliveries;
+  }
+};
+
+// Razorpay (orders API + Checkout.js on the frontend; payment outcome only trusted from webhooks)
+const razorpayProvider = {
+  name: 'razorpay',
+
+  isEnabled() {
+    return Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET && process.env.RAZORPAY_WEBHOOK_SECRET);
+  },
+
+  async createOrder({ payment, plan }) {
+    const { data } = await axios.post('https://api.razorpay.com/v1/orders', {
+      amount: payment.amount,
+      currency: payment.currency,
+      receipt: payment._id.toString(),
+      notes: { planCode: plan.code, email: payment.email }
+    }, {
+      auth: { username: process.env.RAZORPAY_KEY_ID, password: process.env.RAZORPAY_KEY_SECRET },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    return {
+      orderId: data.id,
+      // Options for Razorpay Checkout.js
+      checkout: {
+        key: process.env.RAZORPAY_KEY_ID,
+        order_id: data.id,
+        amount: data.amount,
+        currency: data.currency,
+        name: PUBLICATION_NAME,
+        description: plan.nameEn || plan.name,
+        prefill: { name: payment.name, email: payment.email, contact: payment.phone }
+      }
+    };
+  },
+
+  verifyWebhook(req) {
+    return safeEqual(hmacHex(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody(req)), req.get('X-Razorpay-Signature'));
+  },
+
+  parseWebhook(req) {
+    const body = req.body || {};
+    const payment = body.payload?.payment?.entity;
+    const refund = body.payload?.refund?.entity;
+    const order = body.payload?.order?.entity;
+    const statuses = { 'payment.captured': 'paid', 'order.paid': 'paid', 'payment.failed': 'failed', 'refund.processed': 'refunded' };
+
+    return {
+      // Razorpay sends the event id as a header; it is the same on retries
+      eventId: req.get('X-Razorpay-Event-Id') || [body.event, payment?.id || refund?.id || order?.id].filter(Boolean).join(':'),
+      type: body.event,
+      status: statuses[body.event] || null,
+      orderId: payment?.order_id || order?.id || null,
+      providerPaymentId: payment?.id || refund?.payment_id || null,
+      amount: body.event === 'refund.processed' ? refund?.amount : (payment?.amount ?? order?.amount_paid),
+      currency: payment?.currency || order?.currency || refund?.currency,
+      reason: payment?.error_description || ''
+    };
+  }
+};
+
+const PROVIDERS = { fake: fakeProvider, razorpay: razorpayProvider };
+
+/**
+ * Provider used for new checkouts: PAYMENT_PROVIDER, or the fake gateway when FAKE_PAYMENTS_ENABLED=true
+ * @returns {string}
+ */
+export const checkoutProviderName = () =>
+  process.env.PAYMENT_PROVIDER || (process.env.FAKE_PAYMENTS_ENABLED === 'true' ? 'fake' : 'razorpay');
+
+/**
+ * Payment provider by name (only configured/enabled providers)
+ * @param {string} name - "fake" or "razorpay" (defaults to the checkout provider)
+ * @returns {Object|null} - { name, createOrder, verifyWebhook, parseWebhook }
+ */
+export const getPaymentProvider = (name = checkoutProviderName()) => {
+  const provider = Object.prototype.hasOwnProperty.call(PROVIDERS, name) ? PROVIDERS[name] : null;
+  return provider && provider.isEnabled() ? provider : null;
+};
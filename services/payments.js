@@ -0,0 +1,282 @@
+import Plan from '../models/Plan.js';
+import Payment from '../models/Payment.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import Subscription from '../models/Subscription.js';
+import { getPaymentProvider, checkoutProviderName } from './paymentProviders.js';
+import { issueAccessToken } from './paywall.js';
+import { getNewsletterSettings } from './newsletter.js';
+import { sendMail } from './mailer.js';
+import { signSubscriberToken, verifySubscriberToken, accessUrl } from './subscriberTokens.js';
+import { renderAccessLinkEmail } from '../utils/newsletterTemplate.js';
+
+// Minimum gap between sign-in link emails to the same address
+const ACCESS_LINK_INTERVAL_MS = 2 * 60 * 1000;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * End of a subscription period
+ * @param {Date} startsAt - Period start
+ * @param {Object} plan - { interval: month|year, intervalCount }
+ * @returns {Date}
+ */
+export const periodEnd = (startsAt, plan) => {
+  const endsAt = new Date(startsAt);
+  const count = plan.intervalCount || 1;
+  if (plan.interval === 'year') endsAt.setUTCFullYear(endsAt.getUTCFullYear() + count);
+  else endsAt.setUTCMonth(endsAt.getUTCMonth() + count);
+  return endsAt;
+};
+
+/**
+ * Start a checkout: a Payment, the order at the provider and an access token for this device
+ * (the token unlocks the subscription as soon as the provider reports the payment)
+ * @param {Object} data - { planCode, email, name, phone }
+ * @returns {Promise<Object>} - { payment, checkout (provider-specific options for the frontend), accessToken }
+ */
+export const createCheckout = async ({ planCode, email, name = '', phone = '' }) => {
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+  if (!EMAIL_REGEX.test(normalizedEmail)) throw httpError(400, 'A valid email is required');
+
+  const plan = await Plan.findOne({ code: String(planCode || '').toLowerCase(), isActive: true });
+  if (!plan) throw httpError(404, 'Plan not found');
+
+  const provider = getPaymentProvider();
+  if (!provider) throw httpError(503, `Payment provider "${checkoutProviderName()}" is not configured`);
+
+  const payment = await Payment.create({
+    planId: plan._id,
+    planCode: plan.code,
+    email: normalizedEmail,
+    name: String(name).trim(),
+    phone: String(phone).trim(),
+    provider: provider.name,
+    amount: plan.price,
+    currency: plan.currency
+  });
+
+  let order;
+  try {
+    order = await provider.createOrder({ payment, plan });
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id }, { status: 'failed', failureReason: `order not created: ${error.message}` });
+    throw httpError(502, `Payment provider error: ${error.message}`);
+  }
+
+  payment.providerOrderId = order.orderId;
+  await payment.save();
+
+  const accessToken = await issueAccessToken({ email: normalizedEmail, paymentId: payment._id });
+  return { payment, checkout: order.checkout, accessToken };
+};
+
+/**
+ * Create the subscription period paid by a payment. A renewal of the same plan starts when
+ * the current period ends; anything else starts now. Safe to call twice for one payment.
+ * @param {Object} payment - Paid Payment document
+ * @returns {Promise<Object>} - Subscription
+ */
+export const activateSubscription = async (payment) => {
+  const existing = await Subscription.findOne({ paymentId: payment._id });
+  if (existing) return existing;
+
+  const plan = await Plan.findById(payment.planId).lean();
+  if (!plan) throw new Error(`Plan ${payment.planCode} of payment ${payment._id} no longer exists`);
+
+  const now = new Date();
+  const current = await Subscription.findOne({ email: payment.email, planCode: plan.code, status: 'active', endsAt: { $gt: now } })
+    .sort({ endsAt: -1 })
+    .lean();
+  const startsAt = current ? current.endsAt : now;
+
+  let subscription;
+  try {
+    subscription = await Subscription.create({
+      email: payment.email,
+      name: payment.name,
+      planId: plan._id,
+      planCode: plan.code,
+      entitlements: plan.entitlements,
+      startsAt,
+      endsAt: periodEnd(startsAt, plan),
+      paymentId: payment._id
+    });
+  } catch (error) {
+    // Another delivery of the same event got there first
+    if (error.code !== 11000) throw error;
+    subscription = await Subscription.findOne({ paymentId: payment._id });
+  }
+
+  await Payment.updateOne({ _id: payment._id }, { subscriptionId: subscription._id });
+  return subscription;
+};
+
+// Apply a parsed webhook event to its payment; returns what was done (stored on the PaymentEvent)
+const applyPaymentEvent = async (providerName, event) => {
+  const lookup = [
+    event.orderId && { provider: providerName, providerOrderId: event.orderId },
+    event.providerPaymentId && { provider: providerName, providerPaymentId: event.providerPaymentId }
+  ].filter(Boolean);
+  const payment = lookup.length > 0 ? await Payment.findOne({ $or: lookup }) : null;
+
+  if (!payment) return { result: 'ignored: unknown payment' };
+  if (!event.status) return { payment, result: `ignored: ${event.type}` };
+
+  const now = new Date();
+
+  if (event.status === 'paid') {
+    if (event.amount !== undefined && (Number(event.amount) !== payment.amount || (event.currency && event.currency !== payment.currency))) {
+      console.error(`Payment ${payment._id}: paid ${event.amount} ${event.currency}, expected ${payment.amount} ${payment.currency}`);
+      await Payment.updateOne({ _id: payment._id, status: { $in: ['created', 'failed'] } }, { failureReason: 'amount mismatch' });
+      return { payment, result: 'rejected: amount mismatch' };
+    }
+
+    // A failed attempt can be followed by a successful one for the same order
+    const paid = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: ['created', 'failed'] } },
+      { status: 'paid', paidAt: now, failureReason: '', ...(event.providerPaymentId && { providerPaymentId: event.providerPaymentId }) },
+      { new: true }
+    );
+    if (!paid) return { payment, result: `ignored: payment already ${payment.status}` };
+
+    const subscription = await activateSubscription(paid);
+    sendAccessLinkEmail(paid.email).catch(err => console.error('Error sending subscription sign-in link (non-critical):', err.message));
+    return { payment: paid, result: `activated subscription ${subscription._id}` };
+  }
+
+  if (event.status === 'failed') {
+    const failed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'created' },
+      { status: 'failed', failureReason: event.reason || 'payment failed' },
+      { new: true }
+    );
+    return { payment, result: failed ? 'failed' : `ignored: payment already ${payment.status}` };
+  }
+
+  // Refund: the period it paid for is cancelled
+  const refunded = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: 'paid' },
+    { status: 'refunded', refundedAt: now },
+    { new: true }
+  );
+  if (!refunded) return { payment, result: `ignored: payment is ${payment.status}` };
+
+  await Subscription.updateMany(
+    { paymentId: payment._id, status: 'active' },
+    { status: 'cancelled', cancelledAt: now, cancelReason: 'refunded' }
+  );
+  return { payment, result: 'refunded' };
+};
+
+/**
+ * Process a provider webhook: signature check, de-duplication by event id, then the payment transition
+ * @param {string} providerName - From the URL
+ * @param {Object} req - Express request (raw body kept for the signature)
+ * @returns {Promise<Object>} - { duplicate, result }
+ */
+export const handlePaymentWebhook = async (providerName, req) => {
+  const provider = getPaymentProvider(providerName);
+  if (!provider) throw httpError(404, 'Unknown payment provider');
+  if (!provider.verifyWebhook(req)) throw httpError(401, 'Invalid webhook signature');
+
+  const event = provider.parseWebhook(req);
+  if (!event.eventId) throw httpError(400, 'Event id missing');
+
+  let record;
+  try {
+    record = await PaymentEvent.create({ provider: provider.name, eventId: event.eventId, type: event.type || '' });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { duplicate: true, result: 'already processed' };
+  }
+
+  try {
+    const { payment, result } = await applyPaymentEvent(provider.name, event);
+    await PaymentEvent.updateOne({ _id: record._id }, { result, paymentId: payment?._id || null });
+    return { duplicate: false, result };
+  } catch (error) {
+    // Let the provider's retry process it again
+    await PaymentEvent.deleteOne({ _id: record._id });
+    throw error;
+  }
+};
+
+/**
+ * Pay (or fail/refund) a fake-gateway order by sending its webhook (development and tests)
+ * @param {string} orderId - providerOrderId of a "fake" payment
+ * @param {Object} options - { outcome: paid|failed|refunded, repeat: deliveries of the same event, amount: override }
+ * @returns {Promise<Object>} - { event, deliveries }
+ */
+export const simulateFakePayment = async (orderId, { outcome = 'paid', repeat = 1, amount } = {}) => {
+  const provider = getPaymentProvider('fake');
+  if (!provider) throw httpError(404, 'Fake payment gateway is disabled');
+  if (!['paid', 'failed', 'refunded'].includes(outcome)) throw httpError(400, 'outcome must be paid, failed or refunded');
+
+  const payment = await Payment.findOne({ provider: 'fake', providerOrderId: orderId }).lean();
+  if (!payment) throw httpError(404, 'Order not found');
+
+  const event = {
+    id: `evt_fake_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+    type: `payment.${outcome}`,
+    orderId,
+    paymentId: payment.providerPaymentId || `pay_fake_${orderId.slice(-8)}`,
+    amount: amount ?? payment.amount,
+    currency: payment.currency,
+    ...(outcome === 'failed' && { reason: 'Card declined (fake gateway)' })
+  };
+  const deliveries = await provider.sendWebhook(event, Math.min(Math.max(parseInt(repeat) || 1, 1), 5));
+  return { event, deliveries };
+};
+
+/**
+ * Email a sign-in link to a subscriber (only if the address has an active subscription;
+ * callers answer the same either way so addresses cannot be probed)
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>} - Whether an email was sent
+ */
+export const sendAccessLinkEmail = async (email) => {
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+  const now = new Date();
+
+  const subscription = await Subscription.findOneAndUpdate(
+    {
+      email: normalizedEmail,
+      status: 'active',
+      endsAt: { $gt: now },
+      $or: [{ accessLinkSentAt: null }, { accessLinkSentAt: { $lte: new Date(now.getTime() - ACCESS_LINK_INTERVAL_MS) } }]
+    },
+    { $set: { accessLinkSentAt: now } },
+    { sort: { endsAt: -1 } }
+  );
+  if (!subscription) return false;
+
+  const settings = await getNewsletterSettings();
+  if (!settings.from) throw httpError(400, 'Newsletter "from" address is not configured');
+
+  const { subject, html, text } = renderAccessLinkEmail({
+    name: subscription.name,
+    accessUrl: accessUrl(await signSubscriberToken(normalizedEmail, 'access'))
+  });
+  await sendMail(settings.smtp, {
+    from: settings.from,
+    replyTo: settings.replyTo || undefined,
+    to: normalizedEmail,
+    subject,
+    html,
+    text
+  });
+  return true;
+};
+
+/**
+ * Exchange an emailed sign-in link for an access token covering all subscriptions of the address
+ * @param {string} token - "access" token from the link
+ * @returns {Promise<Object>} - { email, accessToken }
+ */
+export const redeemAccessLink = async (token) => {
+  const email = await verifySubscriberToken(token, 'access');
+  if (!email) throw httpError(400, 'Invalid or expired link');
+  return { email, accessToken: await issueAccessToken({ email, emailVerified: true }) };
+};
@@ -0,0 +1,310 @@
+import crypto from 'crypto';
+import Settings from '../models/Settings.js';
+import Subscription from '../models/Subscription.js';
+import AccessToken from '../models/AccessToken.js';
+import ArticleMeter from '../models/ArticleMeter.js';
+import { ENTITLEMENTS } from '../models/Plan.js';
+import { hashToken } from '../utils/password.js';
+
+// Settings key holding the paywall switches (managed through the admin paywall endpoints)
+export const PAYWALL_SETTINGS_KEY = 'paywall';
+
+const DEFAULT_SETTINGS = {
+  // Off until plans are set up; everything stays public
+  enabled: false,
+  // Free articles per device within meterDays
+  freeArticles: 5,
+  meterDays: 30,
+  // E-paper pages shown in full to readers without e-paper access (the rest as thumbnails)
+  epaperPreviewPages: 1,
+  // Paragraphs of a locked article that are still shown
+  previewParagraphs: 2
+};
+
+// Settings are re-read after this long so changes on another instance are picked up
+const SETTINGS_CACHE_MS = 60 * 1000;
+
+// Only touch lastUsedAt every few minutes to avoid a write per request
+const LAST_USED_UPDATE_INTERVAL = 5 * 60 * 1000;
+
+let cachedSettings = null;
+let cachedAt = 0;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Paywall settings with defaults
+ * @returns {Promise<Object>} - { enabled, freeArticles, meterDays, epaperPreviewPages, previewParagraphs }
+ */
+export const getPaywallSettings = async () => {
+  if (!cachedSettings || Date.now() - cachedAt > SETTINGS_CACHE_MS) {
+    const setting = await Settings.findOne({ key: PAYWALL_SETTINGS_KEY }).lean();
+    cachedSettings = { ...DEFAULT_SETTINGS, ...setting?.value };
+    cachedAt = Date.now();
+  }
+  return cachedSettings;
+};
+
+/**
+ * Validate and store paywall settings (partial update)
+ * @param {Object} changes - Any of the settings
+ * @returns {Promise<Object>} - Updated settings
+ */
+export const updatePaywallSettings = async (changes) => {
+  const next = { ...(await getPaywallSettings()) };
+  const limits = { freeArticles: [0, 100], meterDays: [1, 365], epaperPreviewPages: [0, 20], previewParagraphs: [0, 10] };
+
+  if (changes.enabled !== undefined) next.enabled = Boolean(changes.enabled);
+  Object.entries(limits).forEach(([field, [min, max]]) => {
+    if (changes[field] === undefined) return;
+    const value = parseInt(changes[field]);
+    if (Number.isNaN(value) || value < min || value > max) throw badRequest(`${field} must be between ${min} and ${max}`);
+    next[field] = value;
+  });
+
+  await Settings.findOneAndUpdate(
+    { key: PAYWALL_SETTINGS_KEY },
+    { key: PAYWALL_SETTINGS_KEY, value: next },
+    { upsert: true }
+  );
+  cachedSettings = next;
+  cachedAt = Date.now();
+  return next;
+};
+
+/**
+ * Subscriptions a reader can use right now
+ * @param {Object} token - AccessToken document (lean)
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} - Subscriptions (lean)
+ */
+const activeSubscriptionsFor = (token, now = new Date()) => {
+  const scope = token.emailVerified ? { email: token.email } : { paymentId: token.paymentId };
+  return Subscription.find({ ...scope, status: 'active', startsAt: { $lte: now }, endsAt: { $gt: now } })
+    .sort({ endsAt: -1 })
+    .lean();
+};
+
+/**
+ * What the request may read. Staff (a valid admin session, see optionalAuth) may read everything;
+ * readers send the token they got at checkout or from an access link as X-Access-Token, or sign in
+ * to a reader account with the same (verified) email (see optionalReader).
+ * @param {Object} req - Express request (result is cached on it)
+ * @returns {Promise<Object>} - { staff, email, entitlements: Set, subscriptions }
+ */
+export const resolveReaderAccess = async (req) => {
+  if (req.readerAccess) return req.readerAccess;
+
+  const access = { staff: Boolean(req.user), email: null, entitlements: new Set(), subscriptions: [] };
+  if (access.staff) {
+    ENTITLEMENTS.forEach(entitlement => access.entitlements.add(entitlement));
+  }
+
+  const rawToken = req.get('X-Access-Token');
+  if (rawToken) {
+    const token = await AccessToken.findOne({ tokenHash: hashToken(rawToken) }).lean();
+    if (token) {
+      access.email = token.email;
+      access.subscriptions = await activeSubscriptionsFor(token);
+      access.subscriptions.forEach(subscription => subscription.entitlements.forEach(entitlement => access.entitlements.add(entitlement)));
+
+      if (Date.now() - new Date(token.lastUsedAt).getTime() > LAST_USED_UPDATE_INTERVAL) {
+        AccessToken.updateOne({ _id: token._id }, { lastUsedAt: new Date() })
+          .catch(err => console.error('Error updating access token lastUsedAt (non-critical):', err.message));
+      }
+    }
+  }
+
+  // A signed-in reader with a verified email has the subscriptions bought with that address
+  if (req.reader?.emailVerified && req.reader.email !== access.email) {
+    const subscriptions = await activeSubscriptionsFor({ emailVerified: true, email: req.reader.email });
+    access.email = access.email || req.reader.email;
+    access.subscriptions = access.subscriptions.concat(subscriptions);
+    subscriptions.forEach(subscription => subscription.entitlements.forEach(entitlement => access.entitlements.add(entitlement)));
+  }
+
+  req.readerAccess = access;
+  return access;
+};
+
+/**
+ * Key for a reader's device: the signed device cookie (middleware/deviceId.js), otherwise the IP address (hashed either way)
+ * @param {Object} req - Express request
+ * @returns {string} - Hex hash
+ */
+export const deviceKey = (req) => {
+  const source = req.deviceId ? `device:${req.deviceId}` : `ip:${req.ip}`;
+  return crypto.createHash('sha256').update(source).digest('hex');
+};
+
+/**
+ * Key for the client's IP address (hashed). Many readers can share one (mobile carriers, offices), so it is only
+ * used as a secondary signal with a higher limit.
+ * @param {Object} req - Express request
+ * @returns {string} - Hex hash
+ */
+export const ipKey = (req) => crypto.createHash('sha256').update(`ip:${req.ip}`).digest('hex');
+
+// The IP address of a device may read this many times the free quota, so clearing cookies does not reset the
+// paywall while readers behind a shared address still get their own quota
+const IP_METER_FACTOR = 25;
+
+// Add an article to one meter if it is already counted or there is quota left
+const countOnMeter = async (key, articleId, limit, meterDays) => {
+  const now = new Date();
+  const windowEndsAt = new Date(now.getTime() + meterDays * 24 * 60 * 60 * 1000);
+  const result = (meter) => ({
+    allowed: meter.articleIds.some(id => id.toString() === articleId.toString()),
+    used: meter.articleIds.length,
+    remaining: Math.max(limit - meter.articleIds.length, 0)
+  });
+
+  try {
+    // Otherwise the upsert hits the unique key
+    const meter = await ArticleMeter.findOneAndUpdate(
+      {
+        key,
+        windowEndsAt: { $gt: now },
+        $or: [{ articleIds: articleId }, { [`articleIds.${limit - 1}`]: { $exists: false } }]
+      },
+      { $addToSet: { articleIds: articleId }, $setOnInsert: { windowEndsAt } },
+      { upsert: true, new: true }
+    ).lean();
+    return result(meter);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // The window is over but not cleaned up yet: start a new one
+  const restarted = await ArticleMeter.findOneAndUpdate(
+    { key, windowEndsAt: { $lte: now } },
+    { $set: { articleIds: [articleId], windowEndsAt } },
+    { new: true }
+  ).lean();
+  if (restarted) return result(restarted);
+
+  const meter = await ArticleMeter.findOne({ key }).lean();
+  return meter ? result(meter) : { allowed: false, used: 0, remaining: 0 };
+};
+
+/**
+ * Count an article against the device's free quota (reading the same article again is free), and against the
+ * larger quota of its IP address
+ * @param {Object} req - Express request (req.deviceId from the device cookie)
+ * @param {string} articleId - Article id
+ * @param {Object} settings - Paywall settings
+ * @returns {Promise<Object>} - { allowed, used, remaining }
+ */
+export const meterArticle = async (req, articleId, settings) => {
+  if (settings.freeArticles === 0) return { allowed: false, used: 0, remaining: 0 };
+
+  const network = await countOnMeter(ipKey(req), articleId, settings.freeArticles * IP_METER_FACTOR, settings.meterDays);
+  if (!network.allowed) return { allowed: false, used: settings.freeArticles, remaining: 0 };
+  if (!req.deviceId) return { ...network, remaining: Math.min(network.remaining, settings.freeArticles) };
+
+  return countOnMeter(deviceKey(req), articleId, settings.freeArticles, settings.meterDays);
+};
+
+// First paragraphs of an article body (HTML paragraphs, or lines for plain text)
+const previewHtml = (html, paragraphs) => {
+  if (!html || paragraphs === 0) return '';
+  if (/<\/p>/i.test(html)) return html.split(/(?<=<\/p>)/i).slice(0, paragraphs).join('');
+  return html.split(/\n+/).slice(0, paragraphs).join('\n');
+};
+
+/**
+ * Article as shown to a reader without access: content cut to the preview paragraphs
+ * @param {Object} article - Plain article object (translations included)
+ * @param {Object} settings - Paywall settings
+ * @returns {Object} - Copy with shortened content
+ */
+export const lockArticle = (article, settings) => {
+  const locked = { ...article, content: previewHtml(article.content, settings.previewParagraphs) };
+  if (article.translations) {
+    locked.translations = Object.fromEntries(Object.entries(article.translations)
+      .filter(([, translation]) => translation)
+      .map(([lang, translation]) => [lang, { ...translation, content: previewHtml(translation.content, settings.previewParagraphs) }]));
+  }
+  return locked;
+};
+
+/**
+ * E-paper as shown to a reader without e-paper access: the first pages in full, the rest as thumbnails only
+ * @param {Object} epaper - Plain e-paper object (pages sorted)
+ * @param {Object} settings - Paywall settings
+ * @returns {Object} - Copy with locked pages ({ pageNo, thumbnail, width, height, locked: true })
+ */
+export const lockEpaper = (epaper, settings) => ({
+  ...epaper,
+  pages: (epaper.pages || []).map((page, index) => (index < settings.epaperPreviewPages
+    ? page
+    : { pageNo: page.pageNo, thumbnail: page.thumbnail || null, width: page.width, height: page.height, sortOrder: page.sortOrder, locked: true })),
+  paywall: { locked: true, previewPages: settings.epaperPreviewPages }
+});
+
+/**
+ * Create a reader access token (the raw value is only returned here)
+ * @param {Object} data - { email, emailVerified, paymentId }
+ * @returns {Promise<string>} - Token for the X-Access-Token header
+ */
+export const issueAccessToken = async ({ email, emailVerified = false, paymentId = null }) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await AccessToken.create({ email, tokenHash: hashToken(token), emailVerified, paymentId });
+  return token;
+};
+
+const plain = (doc) => (typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+/**
+ * Article for this request: unchanged if the paywall is off, the reader has article access or the
+ * article is not published; otherwise metered, and cut to the preview once the free quota is used
+ * @param {Object} req - Express request
+ * @param {Object} article - Article document or plain object (may be localized)
+ * @returns {Promise<Object>} - Article, with paywall: { locked, freeArticles, remaining } when metered
+ */
+export const articleForReader = async (req, article) => {
+  const settings = await getPaywallSettings();
+  if (!settings.enabled || article.status !== 'published') return article;
+
+  const access = await resolveReaderAccess(req);
+  if (access.entitlements.has('articles')) return article;
+
+  const meter = await meterArticle(req, article._id, settings);
+  const shown = meter.allowed ? plain(article) : lockArticle(plain(article), settings);
+  return { ...shown, paywall: { locked: !meter.allowed, freeArticles: settings.freeArticles, remaining: meter.remaining } };
+};
+
+/**
+ * Article list for this request: full texts only for readers with article access (lists are not metered)
+ * @param {Object} req - Express request
+ * @param {Array<Object>} articles - Article documents or plain objects
+ * @returns {Promise<Array<Object>>}
+ */
+export const articleListForReader = async (req, articles) => {
+  const settings = await getPaywallSettings();
+  if (!settings.enabled) return articles;
+
+  const access = await resolveReaderAccess(req);
+  if (access.entitlements.has('articles')) return articles;
+  return articles.map(article => (article.status === 'published' ? lockArticle(plain(article), settings) : article));
+};
+
+/**
+ * E-paper for this request: locked to the preview pages unless the paywall is off or the reader has e-paper access
+ * @param {Object} req - Express request
+ * @param {Object} epaper - Plain e-paper object (pages sorted)
+ * @returns {Promise<Object>}
+ */
+export const epaperForReader = async (req, epaper) => {
+  const settings = await getPaywallSettings();
+  if (!settings.enabled) return epaper;
+
+  const access = await resolveReaderAccess(req);
+  return access.entitlements.has('epaper') ? epaper : lockEpaper(epaper, settings);
+};
+
+/**
+ * Whether full article texts may go into public feeds (not while the paywall is on)
+ * @returns {Promise<boolean>}
+ */
+export const fullTextFeedsAllowed = async () => !(await getPaywallSettings()).enabled;
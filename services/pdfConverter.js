@@ -8,6 +8,9 @@ const __dirname = path.dirname(__filename);
 
 const TEMP_DIR = path.join(__dirname, '../temp');
 
+// Pages are rendered at this scale; the text layer uses the same pixel coordinates
+const RENDER_SCALE = 3.5;
+
 // Ensure temp directory exists
 fs.ensureDirSync(TEMP_DIR);
 
@@ -74,87 +77,150 @@ const loadPdfjs = async () => {
 };
 
 /**
- * Convert PDF to images using pdfjs-dist (pure JavaScript, works on all platforms)
- * @param {String} pdfPath - Path to PDF file
- * @returns {Promise<Array>} Array of page images as buffers
+ * Load a PDF document with pdfjs-dist
+ * @param {Buffer|Uint8Array} pdfBuffer - PDF file contents
+ * @returns {Promise<Object>} pdfjs document (numPages, getPage)
  */
-export const convertPDFToImages = async (pdfPath) => {
-  try {
-    // Ensure canvas and pdfjs are loaded
-    const canvas = await loadCanvas();
-    if (!canvas) {
-      throw new Error('Canvas module is not available');
-    }
+export const loadPdfDocument = async (pdfBuffer) => {
+  const pdfjs = await loadPdfjs();
+  if (!pdfjs) {
+    throw new Error('pdfjs-dist module is not available');
+  }
 
-    const pdfjs = await loadPdfjs();
-    if (!pdfjs) {
-      throw new Error('pdfjs-dist module is not available');
-    }
+  // Load PDF document - handle different export structures
+  let getDocument = pdfjs.getDocument;
+  if (!getDocument && pdfjs.default) {
+    getDocument = pdfjs.default.getDocument;
+  }
+  if (!getDocument) {
+    // Try accessing it directly from the module
+    getDocument = pdfjs;
+  }
+  
+  if (typeof getDocument !== 'function') {
+    throw new Error('getDocument method not found in pdfjs-dist. Available methods: ' + Object.keys(pdfjs).join(', '));
+  }
 
-    // Read PDF file
-    const pdfBuffer = fs.readFileSync(pdfPath);
-    const pdfData = new Uint8Array(pdfBuffer);
+  // pdfjs takes ownership of the array it is given, so always pass a copy
+  const loadingTask = getDocument({ 
+    data: new Uint8Array(pdfBuffer),
+    useSystemFonts: true 
+  });
+  return loadingTask.promise;
+};
 
-    // Load PDF document - handle different export structures
-    let getDocument = pdfjs.getDocument;
-    if (!getDocument && pdfjs.default) {
-      getDocument = pdfjs.default.getDocument;
-    }
-    if (!getDocument) {
-      // Try accessing it directly from the module
-      getDocument = pdfjs;
-    }
-    
-    if (typeof getDocument !== 'function') {
-      throw new Error('getDocument method not found in pdfjs-dist. Available methods: ' + Object.keys(pdfjs).join(', '));
-    }
+/**
+ * Render a single PDF page to a JPEG buffer
+ * @param {Object} pdf - Document returned by loadPdfDocument
+ * @param {Number} pageNum - 1-based page number
+ * @returns {Promise<Object>} { pageNo, imageBuffer, width, height }
+ */
+export const renderPdfPage = async (pdf, pageNum) => {
+  // Ensure canvas is loaded
+  const canvas = await loadCanvas();
+  if (!canvas) {
+    throw new Error('Canvas module is not available');
+  }
 
-    const loadingTask = getDocument({ 
-      data: pdfData,
-      useSystemFonts: true 
-    });
-    const pdf = await loadingTask.promise;
-    const numPages = pdf.numPages;
+  const page = await pdf.getPage(pageNum);
+  const viewport = page.getViewport({ scale: RENDER_SCALE }); // Higher scale for better quality (increased from 2.0)
 
-    console.log(`📄 PDF has ${numPages} pages`);
+  // Create canvas
+  const canvasInstance = canvas(viewport.width, viewport.height);
+  const context = canvasInstance.getContext('2d');
 
-    const pages = [];
+  // Render PDF page to canvas
+  const renderContext = {
+    canvasContext: context,
+    viewport: viewport
+  };
 
-    // Convert each page to image
-    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-      const page = await pdf.getPage(pageNum);
-      const viewport = page.getViewport({ scale: 3.5 }); // Higher scale for better quality (increased from 2.0)
+  await page.render(renderContext).promise;
+
+  // Convert canvas to buffer
+  const imageBuffer = canvasInstance.toBuffer('image/png');
+
+  // Get image dimensions using sharp
+  const metadata = await sharp(imageBuffer).metadata();
+
+  // Convert to JPEG buffer for better compression with high quality
+  const jpegBuffer = await sharp(imageBuffer)
+    .jpeg({ quality: 95 }) // Increased quality from 90 to 95
+    .toBuffer();
+
+  // Free page resources - long editions are rendered one page at a time
+  page.cleanup();
 
-      // Create canvas
-      const canvasInstance = canvas(viewport.width, viewport.height);
-      const context = canvasInstance.getContext('2d');
+  return {
+    pageNo: pageNum,
+    imageBuffer: jpegBuffer,
+    width: metadata.width,
+    height: metadata.height
+  };
+};
 
-      // Render PDF page to canvas
-      const renderContext = {
-        canvasContext: context,
-        viewport: viewport
-      };
+/**
+ * Extract the embedded text layer of a PDF page with positions
+ * Coordinates are pixels of the rendered page image (top-left origin), so they can be
+ * compared directly with mapped section boxes.
+ * @param {Object} pdf - Document returned by loadPdfDocument
+ * @param {Number} pageNum - 1-based page number
+ * @returns {Promise<Object>} { pageNo, width, height, items: [{ str, x, y, width, height }] }
+ */
+export const extractPdfPageText = async (pdf, pageNum) => {
+  const pdfjs = await loadPdfjs();
+  const Util = pdfjs.Util || pdfjs.default?.Util;
+
+  const page = await pdf.getPage(pageNum);
+  const viewport = page.getViewport({ scale: RENDER_SCALE });
+  const textContent = await page.getTextContent();
+
+  const items = [];
+  textContent.items.forEach((item) => {
+    if (!item.str || !item.str.trim()) return;
+
+    // Glyph run transform in viewport space: [a, b, c, d, e, f], (e, f) = baseline start
+    const tx = Util.transform(viewport.transform, item.transform);
+    const fontHeight = Math.hypot(tx[2], tx[3]);
+    if (!fontHeight) return;
+
+    items.push({
+      str: item.str,
+      x: Math.round(tx[4] * 10) / 10,
+      y: Math.round((tx[5] - fontHeight) * 10) / 10,
+      width: Math.round(item.width * RENDER_SCALE * 10) / 10,
+      height: Math.round(fontHeight * 10) / 10
+    });
+  });
 
-      await page.render(renderContext).promise;
+  page.cleanup();
 
-      // Convert canvas to buffer
-      const imageBuffer = canvasInstance.toBuffer('image/png');
+  return {
+    pageNo: pageNum,
+    width: Math.round(viewport.width),
+    height: Math.round(viewport.height),
+    items
+  };
+};
 
-      // Get image dimensions using sharp
-      const metadata = await sharp(imageBuffer).metadata();
+/**
+ * Convert PDF to images using pdfjs-dist (pure JavaScript, works on all platforms)
+ * @param {String} pdfPath - Path to PDF file
+ * @returns {Promise<Array>} Array of page images as buffers
+ */
+export const convertPDFToImages = async (pdfPath) => {
+  try {
+    // Read PDF file
+    const pdf = await loadPdfDocument(fs.readFileSync(pdfPath));
+    const numPages = pdf.numPages;
 
-      // Convert to JPEG buffer for better compression with high quality
-      const jpegBuffer = await sharp(imageBuffer)
-        .jpeg({ quality: 95 }) // Increased quality from 90 to 95
-        .toBuffer();
+    console.log(`📄 PDF has ${numPages} pages`);
 
-      pages.push({
-        pageNo: pageNum,
-        imageBuffer: jpegBuffer,
-        width: metadata.width,
-        height: metadata.height
-      });
+    const pages = [];
 
+    // Convert each page to image
+    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
+      pages.push(await renderPdfPage(pdf, pageNum));
       console.log(`✅ Converted page ${pageNum}/${numPages}`);
     }
 
@@ -0,0 +1,240 @@
+import mongoose from 'mongoose';
+import Poll, { POLL_RESULT_VISIBILITY } from '../models/Poll.js';
+import PollVote from '../models/PollVote.js';
+import Article from '../models/Article.js';
+import { deviceKey, ipKey } from './paywall.js';
+
+export const MIN_OPTIONS = 2;
+export const MAX_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 150;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Whether a poll takes votes right now
+ * @param {Object} poll - Poll (lean or document)
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isPollOpen = (poll, now = new Date()) =>
+  poll.isActive && new Date(poll.opensAt) <= now && (!poll.closesAt || new Date(poll.closesAt) > now);
+
+/**
+ * Whole-number percentages per option that add up to 100 (largest remainder method)
+ * @param {Array<number>} counts - Votes per option
+ * @returns {Array<number>} - Percentages (all 0 without votes)
+ */
+export const votePercentages = (counts) => {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return counts.map(() => 0);
+
+  const exact = counts.map(count => count * 100 / total);
+  const percentages = exact.map(Math.floor);
+  let remaining = 100 - percentages.reduce((sum, value) => sum + value, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        percentages[index]++;
+        remaining--;
+      }
+    });
+  return percentages;
+};
+
+/**
+ * Results of a poll
+ * @param {Object} poll - Poll (lean)
+ * @returns {Object} - { totalVotes, options: [{ optionId, text, textEn, votes, percent }] }
+ */
+export const pollResults = (poll) => {
+  const percentages = votePercentages(poll.options.map(option => option.votes || 0));
+  return {
+    totalVotes: poll.options.reduce((sum, option) => sum + (option.votes || 0), 0),
+    options: poll.options.map((option, index) => ({
+      optionId: option._id,
+      text: option.text,
+      textEn: option.textEn,
+      votes: option.votes || 0,
+      percent: percentages[index]
+    }))
+  };
+};
+
+// Keys identifying the voter: the reader account when signed in, otherwise the device (signed device cookie)
+const voterKeys = (req) => {
+  const device = deviceKey(req);
+  return {
+    voterKey: req.reader ? `reader:${req.reader._id}` : device,
+    deviceKey: device,
+    ipKey: req.reader ? null : ipKey(req)
+  };
+};
+
+// Signed-out votes from one IP address in one poll; a shared address (mobile carrier, office) has many readers, so
+// this only stops one client from voting again and again with fresh device cookies
+const MAX_ANONYMOUS_VOTES_PER_IP = 50;
+
+/**
+ * The vote already cast by this reader or (signed out) device, if any
+ * @param {string} pollId - Poll id
+ * @param {Object} req - Express request (req.reader when signed in)
+ * @returns {Promise<Object|null>} - PollVote (lean)
+ */
+export const findVote = async (pollId, req) => {
+  const keys = voterKeys(req);
+  // Signed out, a vote cast on this device while signed in also counts
+  const query = req.reader ? { voterKey: keys.voterKey } : { $or: [{ voterKey: keys.voterKey }, { deviceKey: keys.deviceKey }] };
+  return PollVote.findOne({ pollId, ...query }).lean();
+};
+
+/**
+ * Poll as shown to readers; results are included according to the poll's resultVisibility (staff always get them)
+ * @param {Object} poll - Poll (lean)
+ * @param {Object} options - { vote (this voter's PollVote or null), isStaff }
+ * @returns {Object}
+ */
+export const publicPoll = (poll, { vote = null, isStaff = false } = {}) => {
+  const open = isPollOpen(poll);
+  const showResults = isStaff || poll.resultVisibility === 'always' ||
+    (poll.resultVisibility === 'after-vote' && (Boolean(vote) || !open)) ||
+    (poll.resultVisibility === 'after-close' && !open);
+
+  return {
+    _id: poll._id,
+    question: poll.question,
+    questionEn: poll.questionEn,
+    options: poll.options.map(option => ({ _id: option._id, text: option.text, textEn: option.textEn })),
+    articleId: poll.articleId,
+    opensAt: poll.opensAt,
+    closesAt: poll.closesAt,
+    isOpen: open,
+    hasVoted: Boolean(vote),
+    votedOptionId: vote ? vote.optionId : null,
+    results: showResults ? pollResults(poll) : null
+  };
+};
+
+/**
+ * Record a vote (one per reader and per device)
+ * @param {Object} poll - Poll (lean)
+ * @param {string} optionId - Chosen option id
+ * @param {Object} req - Express request (req.reader when signed in)
+ * @returns {Promise<Object>} - Created PollVote
+ */
+export const castVote = async (poll, optionId, req) => {
+  if (!isPollOpen(poll)) throw Object.assign(new Error('Poll is closed'), { status: 403 });
+  const option = poll.options.find(item => item._id.toString() === String(optionId));
+  if (!option) throw badRequest('Unknown option');
+
+  const alreadyVoted = () => Object.assign(new Error('You have already voted in this poll'), { status: 409 });
+  if (await findVote(poll._id, req)) throw alreadyVoted();
+
+  const keys = voterKeys(req);
+  if (keys.ipKey && await PollVote.countDocuments({ pollId: poll._id, ipKey: keys.ipKey }) >= MAX_ANONYMOUS_VOTES_PER_IP) {
+    throw Object.assign(new Error('Too many votes from this network; sign in to vote'), { status: 429 });
+  }
+
+  let vote;
+  try {
+    vote = await PollVote.create({
+      pollId: poll._id,
+      optionId: option._id,
+      ...keys,
+      readerId: req.reader ? req.reader._id : null
+    });
+  } catch (error) {
+    // Two requests from the same voter at once
+    if (error.code === 11000) throw alreadyVoted();
+    throw error;
+  }
+
+  await Poll.updateOne(
+    { _id: poll._id, 'options._id': option._id },
+    { $inc: { 'options.$.votes': 1, totalVotes: 1 } },
+    { timestamps: false }
+  );
+  return vote;
+};
+
+const readDate = (value, field) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`Invalid ${field}`);
+  return date;
+};
+
+/**
+ * Validate poll fields from an admin request
+ * @param {Object} input - Request body
+ * @param {Object} existing - Poll being updated (lean), or null when creating
+ * @returns {Promise<Object>} - Fields to save
+ */
+export const preparePollFields = async (input, existing = null) => {
+  const fields = {};
+
+  if (input.question !== undefined || !existing) {
+    const question = String(input.question || '').trim();
+    if (!question) throw badRequest('Question is required');
+    if (question.length > MAX_QUESTION_LENGTH) throw badRequest(`Question must be at most ${MAX_QUESTION_LENGTH} characters`);
+    fields.question = question;
+  }
+  if (input.questionEn !== undefined) fields.questionEn = String(input.questionEn).trim().slice(0, MAX_QUESTION_LENGTH);
+
+  // Options as strings or { _id, text, textEn }; options sent with their _id keep their votes
+  if (input.options !== undefined || !existing) {
+    if (!Array.isArray(input.options) || input.options.length < MIN_OPTIONS || input.options.length > MAX_OPTIONS) {
+      throw badRequest(`A poll needs ${MIN_OPTIONS} to ${MAX_OPTIONS} options`);
+    }
+    const current = new Map((existing?.options || []).map(option => [option._id.toString(), option]));
+    fields.options = input.options.map((item) => {
+      const option = typeof item === 'string' ? { text: item } : (item || {});
+      const text = String(option.text || '').trim();
+      if (!text || text.length > MAX_OPTION_LENGTH) throw badRequest(`Option text is required (at most ${MAX_OPTION_LENGTH} characters)`);
+
+      const previous = option._id ? current.get(String(option._id)) : null;
+      if (option._id && !previous) throw badRequest('Unknown option id');
+      current.delete(String(option._id));
+      return {
+        ...(previous && { _id: previous._id, votes: previous.votes }),
+        text,
+        textEn: String(option.textEn || '').trim().slice(0, MAX_OPTION_LENGTH)
+      };
+    });
+    if ([...current.values()].some(option => option.votes > 0)) {
+      throw badRequest('Options that already have votes cannot be removed');
+    }
+  }
+
+  if (input.articleId !== undefined) {
+    if (input.articleId === null || input.articleId === '') {
+      fields.articleId = null;
+    } else {
+      const article = mongoose.Types.ObjectId.isValid(input.articleId)
+        ? await Article.findById(input.articleId).select('_id').lean()
+        : null;
+      if (!article) throw badRequest('Article not found');
+      fields.articleId = article._id;
+    }
+  }
+
+  if (input.showOnHomepage !== undefined) fields.showOnHomepage = Boolean(input.showOnHomepage);
+  if (input.isActive !== undefined) fields.isActive = Boolean(input.isActive);
+  if (input.resultVisibility !== undefined) {
+    if (!POLL_RESULT_VISIBILITY.includes(input.resultVisibility)) {
+      throw badRequest(`resultVisibility must be one of: ${POLL_RESULT_VISIBILITY.join(', ')}`);
+    }
+    fields.resultVisibility = input.resultVisibility;
+  }
+
+  if (input.opensAt !== undefined) fields.opensAt = readDate(input.opensAt, 'opensAt') || new Date();
+  if (input.closesAt !== undefined) fields.closesAt = readDate(input.closesAt, 'closesAt');
+  const opensAt = fields.opensAt || existing?.opensAt || new Date();
+  const closesAt = fields.closesAt !== undefined ? fields.closesAt : existing?.closesAt;
+  if (closesAt && new Date(closesAt) <= new Date(opensAt)) throw badRequest('closesAt must be after opensAt');
+
+  return fields;
+};
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import Reader from '../models/Reader.js';
+import ReaderSession from '../models/ReaderSession.js';
+import ReaderLoginCode from '../models/ReaderLoginCode.js';
+import Bookmark from '../models/Bookmark.js';
+import ReadingHistory from '../models/ReadingHistory.js';
+import { getNewsletterSettings } from './newsletter.js';
+import { deleteReaderComments } from './comments.js';
+import { sendMail } from './mailer.js';
+import { generateToken, hashToken } from '../utils/password.js';
+import { renderLoginCodeEmail } from '../utils/newsletterTemplate.js';
+
+const SESSION_TTL_DAYS = parseInt(process.env.READER_SESSION_TTL_DAYS) || 90;
+
+// Emailed sign-in codes
+const CODE_TTL_MINUTES = 10;
+const CODE_RESEND_INTERVAL_MS = 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const codeHash = (email, code) => hashToken(`${email}:${code}`);
+
+/**
+ * Create a session for the reader
+ * @param {Object} reader - Reader document
+ * @param {Object} req - Express request (user agent and IP are stored)
+ * @returns {Promise<Object>} - { token (raw, only returned here), expiresAt }
+ */
+export const createReaderSession = async (reader, req) => {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await ReaderSession.create({
+    readerId: reader._id,
+    tokenHash: hashToken(token),
+    expiresAt,
+    userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+    ip: req.ip || ''
+  });
+
+  return { token, expiresAt };
+};
+
+/**
+ * Email a one-time sign-in code (also used to register: the account is created when the code is used)
+ * @param {string} email - Normalized email address
+ * @returns {Promise<boolean>} - false if a code was sent less than a minute ago
+ */
+export const sendLoginCode = async (email) => {
+  const now = new Date();
+  const existing = await ReaderLoginCode.findOne({ email }).lean();
+  if (existing && now - existing.sentAt < CODE_RESEND_INTERVAL_MS && existing.expiresAt > now) return false;
+
+  const settings = await getNewsletterSettings();
+  if (!settings.from) throw badRequest('Newsletter "from" address is not configured');
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  await ReaderLoginCode.findOneAndUpdate(
+    { email },
+    { codeHash: codeHash(email, code), attempts: 0, sentAt: now, expiresAt: new Date(now.getTime() + CODE_TTL_MINUTES * 60 * 1000) },
+    { upsert: true }
+  );
+
+  const { subject, html, text } = renderLoginCodeEmail({ code, minutes: CODE_TTL_MINUTES });
+  await sendMail(settings.smtp, {
+    from: settings.from,
+    replyTo: settings.replyTo || undefined,
+    to: email,
+    subject,
+    html,
+    text
+  });
+  return true;
+};
+
+/**
+ * Check (and use up) an emailed sign-in code
+ * @param {string} email - Normalized email address
+ * @param {string} code - Code entered by the reader
+ * @returns {Promise<boolean>} - false if wrong or expired; the code is dropped after too many wrong tries
+ */
+export const consumeLoginCode = async (email, code) => {
+  // The attempt is counted before the code is compared, so parallel guesses cannot exceed MAX_CODE_ATTEMPTS
+  const entry = await ReaderLoginCode.findOneAndUpdate(
+    { email, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_CODE_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!entry) return false;
+
+  const expected = Buffer.from(entry.codeHash);
+  const given = Buffer.from(codeHash(email, String(code || '').trim()));
+  if (!crypto.timingSafeEqual(expected, given)) {
+    if (entry.attempts >= MAX_CODE_ATTEMPTS) await ReaderLoginCode.deleteOne({ _id: entry._id });
+    return false;
+  }
+
+  // Only one request can use the code
+  const used = await ReaderLoginCode.deleteOne({ _id: entry._id });
+  return used.deletedCount === 1;
+};
+
+/**
+ * Delete a reader account with its sessions, bookmarks, history and comments
+ * @param {string} readerId - Reader id
+ */
+export const deleteReaderAccount = async (readerId) => {
+  await Promise.all([
+    ReaderSession.deleteMany({ readerId }),
+    Bookmark.deleteMany({ readerId }),
+    ReadingHistory.deleteMany({ readerId }),
+    deleteReaderComments(readerId)
+  ]);
+  await Reader.deleteOne({ _id: readerId });
+};
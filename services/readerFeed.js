@@ -0,0 +1,130 @@
+import Article from '../models/Article.js';
+import ReadingHistory from '../models/ReadingHistory.js';
+
+// Articles considered for the feed
+const FEED_WINDOW_DAYS = 14;
+const MAX_CANDIDATES = 300;
+
+// History entries used to learn interests
+const HISTORY_SAMPLE = 100;
+
+// Score weights
+const FOLLOWED_CATEGORY_SCORE = 3;
+const FOLLOWED_AUTHOR_SCORE = 3;
+const HISTORY_CATEGORY_SCORE = 2;
+const HISTORY_AUTHOR_SCORE = 1;
+// Newer articles score up to this much more (halves every day)
+const RECENCY_SCORE = 2;
+
+const LIST_FIELDS = 'title titleEn slug summary featuredImage categoryId subCategoryId authorId publishedAt isBreaking isFeatured commentCount';
+
+// Share of the reader's recent history per category/author id
+const historyInterests = (history) => {
+  const categories = new Map();
+  const authors = new Map();
+  history.forEach((entry) => {
+    // Articles read to the end count double
+    const weight = entry.completed ? 2 : 1;
+    if (entry.categoryId) categories.set(entry.categoryId.toString(), (categories.get(entry.categoryId.toString()) || 0) + weight);
+    if (entry.authorId) authors.set(entry.authorId.toString(), (authors.get(entry.authorId.toString()) || 0) + weight);
+  });
+
+  const normalize = (counts) => {
+    const max = Math.max(0, ...counts.values());
+    return new Map([...counts].map(([id, count]) => [id, count / max]));
+  };
+  return { categories: normalize(categories), authors: normalize(authors) };
+};
+
+/**
+ * Personalized feed: recent articles from followed categories/authors and from what the reader reads most,
+ * skipping articles already read; topped up with the latest news when there is not enough
+ * @param {Object} reader - Reader document
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} - { data: articles with reasons[], page, limit, hasMore }
+ */
+export const buildForYouFeed = async (reader, { page = 1, limit = 20 } = {}) => {
+  const followedCategories = new Set((reader.follows?.categoryIds || []).map(String));
+  const followedAuthors = new Set((reader.follows?.authorIds || []).map(String));
+
+  const history = await ReadingHistory.find({ readerId: reader._id })
+    .sort({ lastReadAt: -1 })
+    .limit(HISTORY_SAMPLE)
+    .select('articleId categoryId authorId completed')
+    .lean();
+  const readIds = await ReadingHistory.distinct('articleId', { readerId: reader._id });
+  const interests = historyInterests(history);
+
+  const categoryIds = [...new Set([...followedCategories, ...interests.categories.keys()])];
+  const authorIds = [...new Set([...followedAuthors, ...interests.authors.keys()])];
+  const since = new Date(Date.now() - FEED_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const base = { status: 'published', publishedAt: { $gte: since }, _id: { $nin: readIds } };
+
+  const candidates = categoryIds.length + authorIds.length === 0 ? [] : await Article.find({
+    ...base,
+    $or: [
+      { categoryId: { $in: categoryIds } },
+      { subCategoryId: { $in: categoryIds } },
+      { authorId: { $in: authorIds } }
+    ]
+  })
+    .sort({ publishedAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .select(LIST_FIELDS)
+    .lean();
+
+  const now = Date.now();
+  const scored = candidates.map((article) => {
+    const categories = [article.categoryId, article.subCategoryId].filter(Boolean).map(String);
+    const author = article.authorId ? article.authorId.toString() : null;
+    const reasons = [];
+    let score = 0;
+
+    if (categories.some(id => followedCategories.has(id))) {
+      score += FOLLOWED_CATEGORY_SCORE;
+      reasons.push('followed-category');
+    }
+    if (author && followedAuthors.has(author)) {
+      score += FOLLOWED_AUTHOR_SCORE;
+      reasons.push('followed-author');
+    }
+    const historyScore = Math.max(0, ...categories.map(id => interests.categories.get(id) || 0)) * HISTORY_CATEGORY_SCORE +
+      (author ? (interests.authors.get(author) || 0) * HISTORY_AUTHOR_SCORE : 0);
+    if (historyScore > 0) {
+      score += historyScore;
+      reasons.push('reading-history');
+    }
+
+    const ageDays = (now - new Date(article.publishedAt).getTime()) / (24 * 60 * 60 * 1000);
+    score += RECENCY_SCORE * Math.pow(0.5, ageDays);
+    return { ...article, reasons, score };
+  }).sort((a, b) => b.score - a.score || new Date(b.publishedAt) - new Date(a.publishedAt));
+
+  const start = (page - 1) * limit;
+  let items = scored.slice(start, start + limit + 1);
+
+  // Top up with the latest articles once the personalized ones run out
+  if (items.length <= limit) {
+    const personalizedIds = scored.map(article => article._id);
+    const needed = limit + 1 - items.length;
+    const latest = await Article.find({ status: 'published', _id: { $nin: [...readIds, ...personalizedIds] } })
+      .sort({ publishedAt: -1 })
+      .skip(Math.max(start - scored.length, 0))
+      .limit(needed)
+      .select(LIST_FIELDS)
+      .lean();
+    items = items.concat(latest.map(article => ({ ...article, reasons: ['latest'], score: 0 })));
+  }
+
+  const data = await Article.populate(items.slice(0, limit), [
+    { path: 'categoryId', select: 'name nameEn slug' },
+    { path: 'authorId', select: 'name nameEn' }
+  ]);
+
+  return {
+    data: data.map(({ score, ...article }) => article),
+    page,
+    limit,
+    hasMore: items.length > limit
+  };
+};
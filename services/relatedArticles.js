@@ -0,0 +1,199 @@
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import RelatedArticles from '../models/RelatedArticles.js';
+import { tokenizeSearchText } from '../utils/searchText.js';
+
+// Number of ranked articles kept per cache entry (the endpoint returns a slice)
+const CACHE_SIZE = 20;
+
+// Candidate pool sizes
+const STRUCTURAL_CANDIDATES = 150;
+const TEXT_CANDIDATES = 50;
+
+// Score weights
+const WEIGHTS = {
+  subCategory: 3,
+  category: 2,
+  tag: 2,
+  keyword: 1,
+  titleOverlap: 4,
+  recency: 2
+};
+
+// Recency score halves every week
+const RECENCY_HALF_LIFE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CANDIDATE_FIELDS = 'title titleEn categoryId subCategoryId tags metaKeywords publishedAt';
+
+const toId = (value) => value ? String(value._id || value) : null;
+
+const keywordSet = (metaKeywords) => new Set(
+  String(metaKeywords || '')
+    .split(',')
+    .map(keyword => tokenizeSearchText(keyword).join(' '))
+    .filter(Boolean)
+);
+
+const titleTokens = (article) => new Set(tokenizeSearchText([article.title, article.titleEn].filter(Boolean).join(' ')));
+
+const countShared = (a, b) => [...a].filter(value => b.has(value)).length;
+
+/**
+ * Score a candidate against the source article
+ * @param {Object} source - { categoryIds, subCategoryId, tags, keywords, titleTokens }
+ * @param {Object} candidate - Article (lean)
+ * @param {Date} now
+ * @returns {number} - 0 when the candidate shares nothing with the source
+ */
+const scoreCandidate = (source, candidate, now) => {
+  let score = 0;
+
+  const candidateSubCategory = toId(candidate.subCategoryId);
+  if (source.subCategoryId && candidateSubCategory === source.subCategoryId) {
+    score += WEIGHTS.subCategory;
+  } else if (source.categoryIds.has(toId(candidate.categoryId)) || source.categoryIds.has(candidateSubCategory)) {
+    score += WEIGHTS.category;
+  }
+
+  const candidateTags = new Set((candidate.tags || []).map(toId));
+  score += Math.min(countShared(source.tags, candidateTags), 3) * WEIGHTS.tag;
+  score += Math.min(countShared(source.keywords, keywordSet(candidate.metaKeywords)), 3) * WEIGHTS.keyword;
+
+  const candidateTitle = titleTokens(candidate);
+  if (source.titleTokens.size > 0 && candidateTitle.size > 0) {
+    const shared = countShared(source.titleTokens, candidateTitle);
+    score += (shared / Math.sqrt(source.titleTokens.size * candidateTitle.size)) * WEIGHTS.titleOverlap;
+  }
+
+  // Recency only breaks ties between related articles, it never makes an article related
+  if (score === 0) return 0;
+
+  const ageDays = Math.max(0, (now - new Date(candidate.publishedAt || now)) / DAY_MS);
+  return score + WEIGHTS.recency * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+};
+
+/**
+ * Rank other published articles for an article (no caching)
+ * @param {Object} article - Article document or lean object
+ * @returns {Promise<Array<{articleId: mongoose.Types.ObjectId, score: number}>>} - Best first
+ */
+export const rankRelatedArticles = async (article) => {
+  const source = {
+    categoryIds: new Set([toId(article.categoryId), toId(article.subCategoryId)].filter(Boolean)),
+    subCategoryId: toId(article.subCategoryId),
+    tags: new Set((article.tags || []).map(toId)),
+    keywords: keywordSet(article.metaKeywords),
+    titleTokens: titleTokens(article)
+  };
+
+  const base = { status: 'published', _id: { $ne: article._id } };
+  const categoryIds = [...source.categoryIds];
+  const tagIds = [...source.tags];
+
+  const conditions = [];
+  if (categoryIds.length > 0) {
+    conditions.push({ categoryId: { $in: categoryIds } }, { subCategoryId: { $in: categoryIds } });
+  }
+  if (tagIds.length > 0) {
+    conditions.push({ tags: { $in: tagIds } });
+  }
+
+  const structuralQuery = conditions.length > 0
+    ? Article.find({ ...base, $or: conditions })
+      .select(CANDIDATE_FIELDS)
+      .sort({ publishedAt: -1 })
+      .limit(STRUCTURAL_CANDIDATES)
+      .lean()
+    : Promise.resolve([]);
+
+  // Title/keyword terms also find related stories filed under other categories
+  const terms = [...source.titleTokens, ...source.keywords];
+  const textQuery = terms.length > 0
+    ? Article.find({ ...base, $text: { $search: terms.join(' ') } }, { score: { $meta: 'textScore' } })
+      .select(CANDIDATE_FIELDS)
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(TEXT_CANDIDATES)
+      .lean()
+      .catch((error) => {
+        // Text index missing (build-search-index not run yet) - structural matches still work
+        console.error('Error finding related articles by text (non-critical):', error.message);
+        return [];
+      })
+    : Promise.resolve([]);
+
+  const [structural, textMatches] = await Promise.all([structuralQuery, textQuery]);
+
+  const candidates = new Map();
+  [...structural, ...textMatches].forEach(candidate => candidates.set(String(candidate._id), candidate));
+
+  const now = new Date();
+  return [...candidates.values()]
+    .map(candidate => ({ articleId: candidate._id, score: scoreCandidate(source, candidate, now) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CACHE_SIZE);
+};
+
+/**
+ * Ranked related articles for an article, from the cache when possible
+ * @param {Object} article - Article document
+ * @returns {Promise<{related: Array, cached: boolean}>}
+ */
+export const getRelatedArticleIds = async (article) => {
+  const cached = await RelatedArticles.findOne({ articleId: article._id }).lean();
+  if (cached) {
+    return { related: cached.related, cached: true };
+  }
+
+  const related = await rankRelatedArticles(article);
+
+  await RelatedArticles.findOneAndUpdate(
+    { articleId: article._id },
+    {
+      $set: {
+        related,
+        categoryIds: [article.categoryId, article.subCategoryId].map(toId).filter(Boolean),
+        tagIds: (article.tags || []).map(toId),
+        computedAt: new Date()
+      }
+    },
+    { upsert: true }
+  ).catch(err => console.error('Error caching related articles (non-critical):', err.message));
+
+  return { related, cached: false };
+};
+
+/**
+ * Drop cached rankings affected by changed articles: their own entries, entries listing them,
+ * and (for published articles) entries of articles sharing a category or tag.
+ * Never throws - a failed invalidation only leaves a stale list until the cache expires.
+ * @param {Array} articles - Article documents/lean objects or ids (deleted articles may be ids)
+ */
+export const invalidateRelatedArticles = async (articles) => {
+  try {
+    const list = (articles || []).filter(Boolean);
+    if (list.length === 0) return;
+
+    // Load what is needed for bare ids (missing ones were deleted)
+    const bareIds = list.filter(item => item instanceof mongoose.Types.ObjectId || typeof item === 'string');
+    const loaded = bareIds.length > 0
+      ? await Article.find({ _id: { $in: bareIds } }).select('categoryId subCategoryId tags status').lean()
+      : [];
+    const docs = [...list.filter(item => !bareIds.includes(item)), ...loaded];
+
+    const ids = [...new Set(list.map(toId))].map(id => new mongoose.Types.ObjectId(id));
+    const published = docs.filter(doc => doc.status === 'published');
+    const categoryIds = [...new Set(published.flatMap(doc => [toId(doc.categoryId), toId(doc.subCategoryId)]).filter(Boolean))];
+    const tagIds = [...new Set(published.flatMap(doc => (doc.tags || []).map(toId)))];
+
+    const conditions = [{ articleId: { $in: ids } }, { 'related.articleId': { $in: ids } }];
+    if (categoryIds.length > 0) conditions.push({ categoryIds: { $in: categoryIds } });
+    if (tagIds.length > 0) conditions.push({ tagIds: { $in: tagIds } });
+
+    await RelatedArticles.deleteMany({ $or: conditions });
+  } catch (error) {
+    console.error('Error invalidating related articles (non-critical):', error.message);
+  }
+};
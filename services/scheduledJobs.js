@@ -0,0 +1,181 @@
+import Article from '../models/Article.js';
+import Epaper from '../models/Epaper.js';
+import PhotoOfTheDay from '../models/PhotoOfTheDay.js';
+import { articlesChanged } from './articleEvents.js';
+import { epaperPublished } from './liveEvents.js';
+import { prunePushSubscriptions } from './webPush.js';
+import { sendScheduledNewsletters } from './newsletter.js';
+import { markSitemapsStale, regenerateSitemaps } from '../utils/sitemapRegenerator.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Publish articles whose scheduledAt has passed
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} - { publishedCount, articleIds }
+ */
+export const publishDueArticles = async ({ now = new Date() } = {}) => {
+  const due = await Article.find({ status: 'scheduled', scheduledAt: { $lte: now } }).select('_id').lean();
+  const articleIds = due.map(article => article._id);
+
+  if (articleIds.length === 0) {
+    return { publishedCount: 0, articleIds };
+  }
+
+  const result = await Article.updateMany(
+    { _id: { $in: articleIds }, status: 'scheduled' },
+    {
+      $set: { status: 'published', publishedAt: now },
+      $push: {
+        statusHistory: { from: 'scheduled', to: 'published', changedByName: 'scheduler', changedAt: now }
+      }
+    }
+  );
+
+  await articlesChanged(articleIds);
+
+  return { publishedCount: result.modifiedCount || 0, articleIds };
+};
+
+/**
+ * Unpublish published articles whose expiresAt has passed
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} - { unpublishedCount, articleIds }
+ */
+export const unpublishExpiredArticles = async ({ now = new Date() } = {}) => {
+  const expired = await Article.find({ status: 'published', expiresAt: { $lte: now } }).select('_id').lean();
+  const articleIds = expired.map(article => article._id);
+
+  if (articleIds.length === 0) {
+    return { unpublishedCount: 0, articleIds };
+  }
+
+  const result = await Article.updateMany(
+    { _id: { $in: articleIds }, status: 'published' },
+    {
+      $set: { status: 'unpublished' },
+      $push: {
+        statusHistory: { from: 'published', to: 'unpublished', changedByName: 'scheduler', note: 'Expired', changedAt: now }
+      }
+    }
+  );
+
+  await articlesChanged(articleIds, { wasPublished: true });
+
+  return { unpublishedCount: result.modifiedCount || 0, articleIds };
+};
+
+/**
+ * Publish e-papers whose publishAt has passed
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} - { publishedCount }
+ */
+export const publishDueEpapers = async ({ now = new Date() } = {}) => {
+  const due = await Epaper.find({ status: 'scheduled', publishAt: { $lte: now } })
+    .select('id title date shareImageUrl')
+    .lean();
+
+  if (due.length === 0) {
+    return { publishedCount: 0 };
+  }
+
+  const result = await Epaper.updateMany(
+    { id: { $in: due.map(epaper => epaper.id) }, status: 'scheduled' },
+    { $set: { status: 'published', updatedAt: now } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await markSitemapsStale();
+    await Promise.all(due.map(epaperPublished));
+  }
+
+  return { publishedCount: result.modifiedCount || 0 };
+};
+
+// India has no daylight saving time, so its offset is fixed
+const IST_OFFSET = '+05:30';
+
+// YYYY-MM-DD of a moment in India
+const istDate = (date) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: 'Asia/Kolkata',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+/**
+ * Mark today's Photo of the Day as current (falls back to the latest earlier photo)
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} - { currentPhotoId, changed }
+ */
+export const rotatePhotoOfTheDay = async ({ now = new Date() } = {}) => {
+  // The day changes at midnight in India, not at the server's (UTC) midnight
+  const tomorrow = new Date(`${istDate(now)}T00:00:00${IST_OFFSET}`);
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+
+  // Photos dated in the future must not become current early
+  const photo = await PhotoOfTheDay.findOne({ isActive: true, date: { $lt: tomorrow } })
+    .sort({ date: -1 })
+    .select('_id isCurrent')
+    .lean();
+
+  if (!photo) {
+    return { currentPhotoId: null, changed: false };
+  }
+
+  const cleared = await PhotoOfTheDay.updateMany(
+    { isCurrent: true, _id: { $ne: photo._id } },
+    { $set: { isCurrent: false } }
+  );
+  if (!photo.isCurrent) {
+    await PhotoOfTheDay.updateOne({ _id: photo._id }, { $set: { isCurrent: true } });
+  }
+
+  return { currentPhotoId: photo._id, changed: !photo.isCurrent || cleared.modifiedCount > 0 };
+};
+
+// Jobs run by services/scheduler.js
+export const SCHEDULED_JOBS = [
+  {
+    name: 'publish-scheduled-articles',
+    description: 'Publish articles whose scheduled time has passed',
+    intervalMs: MINUTE,
+    run: publishDueArticles
+  },
+  {
+    name: 'unpublish-expired-articles',
+    description: 'Unpublish articles whose expiry time has passed',
+    intervalMs: MINUTE,
+    run: unpublishExpiredArticles
+  },
+  {
+    name: 'publish-scheduled-epapers',
+    description: 'Publish e-papers whose publish time has passed',
+    intervalMs: MINUTE,
+    run: publishDueEpapers
+  },
+  {
+    name: 'regenerate-sitemaps',
+    description: 'Rebuild the sitemap files (keeps the news sitemap\'s 48 hour window current)',
+    intervalMs: 60 * MINUTE,
+    run: regenerateSitemaps
+  },
+  {
+    name: 'rotate-photo-of-the-day',
+    description: 'Switch Photo of the Day to today\'s photo',
+    intervalMs: 5 * MINUTE,
+    run: rotatePhotoOfTheDay
+  },
+  {
+    name: 'prune-push-subscriptions',
+    description: 'Delete expired and long-failing Web Push subscriptions',
+    intervalMs: 24 * 60 * MINUTE,
+    run: prunePushSubscriptions
+  },
+  {
+    name: 'send-newsletters',
+    description: 'Send the daily/weekly email digest when due and resume interrupted sends',
+    intervalMs: 15 * MINUTE,
+    run: sendScheduledNewsletters
+  }
+];
@@ -0,0 +1,186 @@
+import mongoose from 'mongoose';
+import JobLock from '../models/JobLock.js';
+import JobRun from '../models/JobRun.js';
+import { SCHEDULED_JOBS } from './scheduledJobs.js';
+import { INSTANCE_ID } from './instance.js';
+
+// A crashed instance releases its locks after this long
+const LOCK_TTL_MS = 5 * 60 * 1000;
+
+// Delay before the first tick so startup is not slowed down
+const STARTUP_DELAY_MS = 10 * 1000;
+
+const jobs = new Map();
+let started = false;
+
+/**
+ * Register a job with the scheduler
+ * @param {Object} job - { name, description, intervalMs, run }
+ */
+export const registerJob = ({ name, description = '', intervalMs, run }) => {
+  if (!name || typeof run !== 'function' || !(intervalMs > 0)) {
+    throw new Error(`Invalid scheduled job definition: ${name}`);
+  }
+  jobs.set(name, { name, description, intervalMs, run, timer: null, running: false });
+};
+
+SCHEDULED_JOBS.forEach(registerJob);
+
+/**
+ * Try to take the MongoDB lock for a job
+ * @param {Object} job - Registered job
+ * @param {boolean} force - Ignore nextRunAt (manual runs)
+ * @returns {Promise<Object|null>} - Lock document, or null if another run holds it / is not due
+ */
+const acquireLock = async (job, force) => {
+  const now = new Date();
+  const conditions = [{ $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] }];
+  if (!force) {
+    conditions.push({ $or: [{ nextRunAt: null }, { nextRunAt: { $lte: now } }] });
+  }
+
+  try {
+    return await JobLock.findOneAndUpdate(
+      { name: job.name, $and: conditions },
+      { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + LOCK_TTL_MS) } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Lock document exists but did not match: someone else holds it or the job is not due
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const releaseLock = (job, startedAt) => JobLock.updateOne(
+  { name: job.name, lockedBy: INSTANCE_ID },
+  {
+    $set: {
+      lockedBy: null,
+      lockedUntil: null,
+      lastRunAt: startedAt,
+      nextRunAt: new Date(startedAt.getTime() + job.intervalMs)
+    }
+  }
+);
+
+/**
+ * Run a job now if this instance can take its lock
+ * @param {string} name - Job name
+ * @param {Object} options - { trigger: 'schedule' | 'manual' | 'http' }
+ * @returns {Promise<Object|null>} - JobRun document, { skipped: true } if locked, null if unknown job
+ */
+export const runJob = async (name, { trigger = 'schedule' } = {}) => {
+  const job = jobs.get(name);
+  if (!job) return null;
+
+  if (job.running) {
+    return { skipped: true, reason: 'Job is already running on this instance' };
+  }
+
+  job.running = true;
+  try {
+    const lock = await acquireLock(job, trigger !== 'schedule');
+    if (!lock) {
+      return { skipped: true, reason: 'Job is running on another instance or is not due yet' };
+    }
+
+    const startedAt = new Date();
+    // The lock is released even if recording the run fails, so the job is not blocked until the lock expires
+    try {
+      const run = await JobRun.create({ job: name, trigger, instanceId: INSTANCE_ID, startedAt });
+
+      try {
+        run.result = (await job.run({ now: startedAt })) ?? null;
+        run.status = 'success';
+      } catch (error) {
+        console.error(`❌ Scheduled job "${name}" failed:`, error);
+        run.status = 'failed';
+        run.error = error.message || String(error);
+      }
+
+      run.finishedAt = new Date();
+      run.durationMs = run.finishedAt - startedAt;
+      await run.save();
+      return run;
+    } finally {
+      await releaseLock(job, startedAt);
+    }
+  } finally {
+    job.running = false;
+  }
+};
+
+const tick = async (job) => {
+  // Skip while MongoDB is (re)connecting - the lock cannot be taken anyway
+  if (mongoose.connection.readyState !== 1) return;
+
+  try {
+    const run = await runJob(job.name);
+    if (run && !run.skipped && run.status === 'success') {
+      console.log(`⏰ Job "${job.name}" finished in ${run.durationMs}ms`, run.result || '');
+    }
+  } catch (error) {
+    console.error(`❌ Scheduler error for job "${job.name}":`, error.message);
+  }
+};
+
+/**
+ * Start the interval timers for all registered jobs (disabled with SCHEDULER_ENABLED=false)
+ */
+export const startScheduler = () => {
+  if (started) return;
+
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('⏰ Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  started = true;
+  jobs.forEach((job) => {
+    job.timer = setTimeout(function runAndReschedule() {
+      tick(job).finally(() => {
+        if (started) job.timer = setTimeout(runAndReschedule, job.intervalMs);
+      });
+    }, STARTUP_DELAY_MS);
+  });
+
+  console.log(`⏰ Scheduler started with ${jobs.size} jobs (instance ${INSTANCE_ID})`);
+};
+
+/**
+ * Stop all job timers (runs in progress are allowed to finish)
+ */
+export const stopScheduler = () => {
+  started = false;
+  jobs.forEach((job) => {
+    clearTimeout(job.timer);
+    job.timer = null;
+  });
+};
+
+/**
+ * Registered jobs with their lock state and latest run
+ * @returns {Promise<Object[]>}
+ */
+export const getJobStatuses = async () => {
+  const names = [...jobs.keys()];
+  const [locks, lastRuns] = await Promise.all([
+    JobLock.find({ name: { $in: names } }).lean(),
+    Promise.all(names.map(name => JobRun.findOne({ job: name }).sort({ startedAt: -1 }).lean()))
+  ]);
+
+  return names.map((name, index) => {
+    const job = jobs.get(name);
+    const lock = locks.find(l => l.name === name);
+    return {
+      name,
+      description: job.description,
+      intervalMs: job.intervalMs,
+      lockedBy: lock?.lockedUntil > new Date() ? lock.lockedBy : null,
+      lastRunAt: lock?.lastRunAt || null,
+      nextRunAt: lock?.nextRunAt || null,
+      lastRun: lastRuns[index]
+    };
+  });
+};
@@ -0,0 +1,161 @@
+import { getSportsProvider } from './sportsProviders.js';
+import { NORMALIZERS } from '../utils/sportsNormalizer.js';
+
+// Sports served from the external provider
+export const EXTERNAL_SPORTS = Object.keys(NORMALIZERS);
+
+// How long answers are reused before asking the provider again
+const LIVE_TTL_MS = 30 * 1000;
+const UPCOMING_TTL_MS = 15 * 60 * 1000;
+const SCHEDULED_MATCH_TTL_MS = 5 * 60 * 1000;
+const FINISHED_MATCH_TTL_MS = 60 * 60 * 1000;
+
+// After a failed request the provider is left alone this long (cached data, if any, is served meanwhile)
+const FAILURE_RETRY_MS = 20 * 1000;
+// Last good answers are served for this long while the provider is down
+const STALE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+// key -> { value, fetchedAt, expiresAt, stale } or { error, expiresAt }
+const cache = new Map();
+// key -> promise of the request in progress (concurrent requests share it)
+const inflight = new Map();
+
+let providerOverride = null;
+
+const unavailable = () => Object.assign(new Error('Sports data is temporarily unavailable'), { status: 503 });
+
+const provider = () => {
+  const current = providerOverride || getSportsProvider();
+  if (!current) throw Object.assign(new Error(`Unknown SPORTS_PROVIDER: ${process.env.SPORTS_PROVIDER}`), { status: 503 });
+  return current;
+};
+
+/**
+ * Use another provider (e.g. the fixture-file provider in tests); clears the cache
+ * @param {Object|string|null} next - Provider object, provider name, or null for the configured one
+ */
+export const setSportsProvider = (next) => {
+  providerOverride = typeof next === 'string' ? getSportsProvider(next) : next;
+  clearSportsCache();
+};
+
+/**
+ * Forget all cached answers
+ */
+export const clearSportsCache = () => {
+  cache.clear();
+  inflight.clear();
+};
+
+const store = (key, entry) => {
+  cache.delete(key);
+  cache.set(key, entry);
+  // Oldest entries first in a Map
+  while (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+};
+
+const answer = (entry) => ({ data: entry.value, updatedAt: new Date(entry.fetchedAt).toISOString(), stale: Boolean(entry.stale) });
+
+/**
+ * Cached provider call: fresh answers are reused until their TTL, concurrent misses share one request and
+ * provider failures fall back to the last good answer
+ * @param {string} key - Cache key
+ * @param {Function} load - Async loader returning the (normalized) value
+ * @param {Function} ttl - Value -> milliseconds to keep it
+ * @returns {Promise<Object>} - { data, updatedAt, stale }
+ */
+const cached = async (key, load, ttl) => {
+  const now = Date.now();
+  const entry = cache.get(key);
+
+  if (entry && entry.expiresAt > now) {
+    if (entry.error) throw unavailable();
+    return answer(entry);
+  }
+  if (inflight.has(key)) return inflight.get(key);
+
+  const request = (async () => {
+    try {
+      const value = await load();
+      const fresh = { value, fetchedAt: Date.now(), expiresAt: Date.now() + ttl(value), stale: false };
+      store(key, fresh);
+      return answer(fresh);
+    } catch (error) {
+      // Configuration problems are not outages
+      if (error.status) throw error;
+
+      if (entry && !entry.error && Date.now() - entry.fetchedAt < STALE_MAX_AGE_MS) {
+        console.error(`Sports data request failed, serving cached data (${key}):`, error.message);
+        const stale = { ...entry, expiresAt: Date.now() + FAILURE_RETRY_MS, stale: true };
+        store(key, stale);
+        return answer(stale);
+      }
+
+      console.error(`Sports data request failed (${key}):`, error.message);
+      store(key, { error: error.message, expiresAt: Date.now() + FAILURE_RETRY_MS });
+      throw unavailable();
+    } finally {
+      inflight.delete(key);
+    }
+  })();
+
+  inflight.set(key, request);
+  return request;
+};
+
+const byStartTime = (a, b) => new Date(a.startsAt || 0) - new Date(b.startsAt || 0);
+
+/**
+ * Live matches of a sport
+ * @param {string} sport - cricket | football
+ * @returns {Promise<Object>} - { data: Match[], updatedAt, stale }
+ */
+export const getLiveMatches = (sport) => {
+  const source = provider();
+  return cached(`${source.name}:${sport}:live`, async () =>
+    (await source.liveMatches(sport)).map(NORMALIZERS[sport].match).sort(byStartTime), () => LIVE_TTL_MS);
+};
+
+/**
+ * Matches of a sport starting within the next week
+ * @param {string} sport - cricket | football
+ * @returns {Promise<Object>} - { data: Match[], updatedAt, stale }
+ */
+export const getUpcomingMatches = (sport) => {
+  const source = provider();
+  return cached(`${source.name}:${sport}:upcoming`, async () =>
+    (await source.upcomingMatches(sport)).map(NORMALIZERS[sport].match).sort(byStartTime), () => UPCOMING_TTL_MS);
+};
+
+// One provider request serves both the match and its scorecard
+const matchWithScorecard = (sport, id) => {
+  const source = provider();
+  return cached(`${source.name}:${sport}:match:${id}`, async () => {
+    const fixture = await source.match(sport, id);
+    return fixture ? { match: NORMALIZERS[sport].match(fixture), scorecard: NORMALIZERS[sport].scorecard(fixture) } : null;
+  }, (value) => {
+    if (!value) return SCHEDULED_MATCH_TTL_MS;
+    if (['live', 'break', 'unknown'].includes(value.match.status)) return LIVE_TTL_MS;
+    return value.match.status === 'scheduled' ? SCHEDULED_MATCH_TTL_MS : FINISHED_MATCH_TTL_MS;
+  });
+};
+
+/**
+ * One match
+ * @param {string} sport - cricket | football
+ * @param {string} id - Provider match id
+ * @returns {Promise<Object>} - { data: Match or null, updatedAt, stale }
+ */
+export const getMatch = async (sport, id) => {
+  const result = await matchWithScorecard(sport, id);
+  return { ...result, data: result.data ? result.data.match : null };
+};
+
+/**
+ * Scorecard of a match (cricket: innings with batting/bowling; football: period scores and events)
+ * @param {string} sport - cricket | football
+ * @param {string} id - Provider match id
+ * @returns {Promise<Object>} - { data: { match, scorecard } or null, updatedAt, stale }
+ */
+export const getScorecard = (sport, id) => matchWithScorecard(sport, id);
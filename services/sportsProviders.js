@@ -0,0 +1,143 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Fixtures shown as "upcoming"
+const UPCOMING_DAYS = 7;
+// Football v3 pages its lists (25 per page unless asked)
+const FOOTBALL_PAGE_SIZE = 50;
+
+const notConfigured = () => Object.assign(new Error('Sports data is not configured'), { status: 503 });
+
+const dateOnly = (date) => date.toISOString().split('T')[0];
+
+const upcomingRange = () => {
+  const start = new Date();
+  const end = new Date(start.getTime() + UPCOMING_DAYS * 24 * 60 * 60 * 1000);
+  return { start: dateOnly(start), end: dateOnly(end) };
+};
+
+// Upstream errors without the request URL or headers (they carry the API token)
+const upstreamError = (error) => {
+  const status = error.response?.status;
+  return Object.assign(new Error(`Sports Monk API error: ${status || error.code || error.message}`), { upstreamStatus: status || null });
+};
+
+/**
+ * Sports Monk (cricket API v2, football API v3); every method returns the raw "data" of the response.
+ * The football API takes the token in the Authorization header; the cricket API only accepts the api_token
+ * query parameter, so it is passed as a request param and kept out of errors and logs.
+ */
+const sportmonksProvider = {
+  name: 'sportmonks',
+
+  isConfigured() {
+    return Boolean(process.env.SPORTS_MONK_KEY);
+  },
+
+  async request(sport, endpoint, params = {}) {
+    if (!this.isConfigured()) throw notConfigured();
+    const token = process.env.SPORTS_MONK_KEY;
+    const config = sport === 'cricket'
+      ? { baseURL: 'https://cricket.sportmonks.com/api/v2.0', params: { ...params, api_token: token } }
+      : { baseURL: 'https://api.sportmonks.com/v3/football', params, headers: { Authorization: token } };
+
+    try {
+      const { data } = await axios.get(endpoint, {
+        ...config,
+        headers: { Accept: 'application/json', ...config.headers },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+      return data?.data ?? null;
+    } catch (error) {
+      // Unknown match ids are not an outage
+      if (error.response?.status === 404) return null;
+      throw upstreamError(error);
+    }
+  },
+
+  async liveMatches(sport) {
+    const data = sport === 'cricket'
+      ? await this.request(sport, '/livescores', { include: 'localteam,visitorteam,venue,scoreboards,league' })
+      : await this.request(sport, '/livescores/inplay', { include: 'participants,league,scores,state,venue', per_page: FOOTBALL_PAGE_SIZE });
+    return data || [];
+  },
+
+  async upcomingMatches(sport) {
+    const { start, end } = upcomingRange();
+    const data = sport === 'cricket'
+      ? await this.request(sport, '/fixtures', {
+        'filter[starts_between]': `${start},${end}`,
+        include: 'localteam,visitorteam,venue,league',
+        sort: 'starting_at'
+      })
+      : await this.request(sport, `/fixtures/between/${start}/${end}`, {
+        include: 'participants,league,state,venue',
+        per_page: FOOTBALL_PAGE_SIZE
+      });
+    return data || [];
+  },
+
+  async match(sport, id) {
+    if (!/^\d+$/.test(String(id))) return null;
+    return sport === 'cricket'
+      ? this.request(sport, `/fixtures/${id}`, {
+        include: 'localteam,visitorteam,venue,league,scoreboards,batting.batsman,batting.result,bowling.bowler'
+      })
+      : this.request(sport, `/fixtures/${id}`, { include: 'participants,league,scores,state,venue,round,events.type' });
+  }
+};
+
+/**
+ * Sports Monk responses saved as JSON files, for development and tests without the API:
+ * <dir>/<sport>/livescores.json, <dir>/<sport>/upcoming.json (arrays of fixtures) and <dir>/<sport>/matches/<id>.json.
+ * The directory is SPORTS_FIXTURES_DIR, or fixtures/sports in this repository.
+ */
+const fixtureFileProvider = {
+  name: 'fixtures',
+
+  isConfigured() {
+    return true;
+  },
+
+  dir() {
+    return process.env.SPORTS_FIXTURES_DIR || path.join(__dirname, '../fixtures/sports');
+  },
+
+  async read(...parts) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir(), ...parts), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  async liveMatches(sport) {
+    return (await this.read(sport, 'livescores.json')) || [];
+  },
+
+  async upcomingMatches(sport) {
+    return (await this.read(sport, 'upcoming.json')) || [];
+  },
+
+  async match(sport, id) {
+    if (!/^[\w-]+$/.test(String(id))) return null;
+    return this.read(sport, 'matches', `${id}.json`);
+  }
+};
+
+const PROVIDERS = { sportmonks: sportmonksProvider, fixtures: fixtureFileProvider };
+
+/**
+ * Sports data provider by name
+ * @param {string} name - "sportmonks" or "fixtures" (defaults to SPORTS_PROVIDER, else sportmonks)
+ * @returns {Object|null} - { name, isConfigured, liveMatches, upcomingMatches, match }
+ */
+export const getSportsProvider = (name = process.env.SPORTS_PROVIDER || 'sportmonks') =>
+  Object.prototype.hasOwnProperty.call(PROVIDERS, name) ? PROVIDERS[name] : null;
@@ -0,0 +1,162 @@
+import Subscriber from '../models/Subscriber.js';
+import SubscriberConsent from '../models/SubscriberConsent.js';
+import { getNewsletterSettings } from './newsletter.js';
+import { sendMail } from './mailer.js';
+import { signSubscriberToken, confirmUrl, manageUrl } from './subscriberTokens.js';
+import { resolveCategoryIds } from '../utils/categories.js';
+import { renderConfirmationEmail, renderManageLinkEmail } from '../utils/newsletterTemplate.js';
+
+// Minimum gap between link emails to the same subscriber
+const LINK_EMAIL_INTERVAL_MS = 2 * 60 * 1000;
+
+const FREQUENCIES = ['daily', 'weekly'];
+const CHANNELS = ['email', 'whatsapp', 'push'];
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Preferences as stored/shown (defaults filled in for subscribers from before the preference center)
+ * @param {Object} subscriber - Subscriber document or plain object
+ * @returns {Object} - { categoryIds, frequency, channels: { email, whatsapp, push } }
+ */
+export const subscriberPreferences = (subscriber) => {
+  const preferences = subscriber.preferences || {};
+  return {
+    categoryIds: (preferences.categoryIds || []).map(id => id.toString()),
+    frequency: preferences.frequency || 'daily',
+    channels: {
+      email: preferences.channels?.email ?? true,
+      whatsapp: preferences.channels?.whatsapp ?? false,
+      push: preferences.channels?.push ?? false
+    }
+  };
+};
+
+/**
+ * Validate a preferences update and merge it into the current preferences
+ * @param {Object} input - { categories: [id|slug], frequency, channels: { email, whatsapp, push } } (all optional)
+ * @param {Object} current - Current preferences (see subscriberPreferences)
+ * @returns {Promise<Object>} - New preferences
+ */
+export const mergePreferences = async (input = {}, current = subscriberPreferences({})) => {
+  const next = { ...current, channels: { ...current.channels } };
+
+  if (input.categories !== undefined) {
+    if (!Array.isArray(input.categories) || input.categories.length > 50) {
+      throw badRequest('categories must be a list of category ids or slugs');
+    }
+    const categoryIds = await resolveCategoryIds(input.categories);
+    if (categoryIds === null) throw badRequest('Unknown category');
+    next.categoryIds = categoryIds.map(id => id.toString());
+  }
+
+  if (input.frequency !== undefined) {
+    if (!FREQUENCIES.includes(input.frequency)) throw badRequest('frequency must be daily or weekly');
+    next.frequency = input.frequency;
+  }
+
+  if (input.channels !== undefined) {
+    if (!input.channels || typeof input.channels !== 'object') throw badRequest('channels must be an object');
+    CHANNELS.forEach((channel) => {
+      if (input.channels[channel] !== undefined) next.channels[channel] = Boolean(input.channels[channel]);
+    });
+  }
+
+  return next;
+};
+
+const consentEntry = (subscriber, action, { source, req = null, previousPreferences = null }) => ({
+  subscriberId: subscriber._id,
+  email: subscriber.email,
+  action,
+  source,
+  preferences: subscriberPreferences(subscriber),
+  previousPreferences,
+  ip: req?.ip || '',
+  userAgent: (req?.get('User-Agent') || '').slice(0, 300),
+  userId: req?.user?._id || null
+});
+
+/**
+ * Append an entry to a subscriber's consent audit trail (never throws - the change itself already happened)
+ * @param {Object} subscriber - Subscriber document
+ * @param {string} action - subscribed | confirmed | preferences_updated | unsubscribed | resubscribed
+ * @param {Object} context - { source, req, previousPreferences }
+ */
+export const recordConsent = async (subscriber, action, context) => {
+  try {
+    await SubscriberConsent.create(consentEntry(subscriber, action, context));
+  } catch (error) {
+    console.error(`Error recording consent for subscriber ${subscriber._id}:`, error.message);
+  }
+};
+
+/**
+ * Same entry for many subscribers at once (e.g. an import); never throws
+ * @param {Array<Object>} subscribers - Subscriber documents
+ * @param {string} action - See recordConsent
+ * @param {Object} context - { source, req }
+ */
+export const recordConsents = async (subscribers, action, context) => {
+  if (subscribers.length === 0) return;
+  try {
+    await SubscriberConsent.insertMany(subscribers.map(subscriber => consentEntry(subscriber, action, context)), { ordered: false });
+  } catch (error) {
+    console.error(`Error recording consent for ${subscribers.length} subscribers:`, error.message);
+  }
+};
+
+// Send a link email unless one went out a moment ago; returns whether it was sent
+const sendLinkEmail = async (subscriber, render) => {
+  const now = new Date();
+  const claimed = await Subscriber.updateOne(
+    {
+      _id: subscriber._id,
+      $or: [{ linkEmailSentAt: null }, { linkEmailSentAt: { $lte: new Date(now.getTime() - LINK_EMAIL_INTERVAL_MS) } }]
+    },
+    { $set: { linkEmailSentAt: now } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  try {
+    const settings = await getNewsletterSettings();
+    if (!settings.from) throw badRequest('Newsletter "from" address is not configured');
+
+    const { subject, html, text } = await render();
+    await sendMail(settings.smtp, {
+      from: settings.from,
+      replyTo: settings.replyTo || undefined,
+      to: subscriber.email,
+      subject,
+      html,
+      text
+    });
+  } catch (error) {
+    // Nothing was sent, so the next request may try again straight away
+    await Subscriber.updateOne({ _id: subscriber._id, linkEmailSentAt: now }, { $set: { linkEmailSentAt: null } });
+    throw error;
+  }
+  return true;
+};
+
+/**
+ * Email the double opt-in link to a pending subscriber
+ * @param {Object} subscriber - Subscriber document
+ * @returns {Promise<boolean>} - false if a link was sent too recently
+ */
+export const sendConfirmationEmail = (subscriber) => sendLinkEmail(subscriber, async () =>
+  renderConfirmationEmail({
+    name: subscriber.name,
+    confirmUrl: confirmUrl(await signSubscriberToken(subscriber._id, 'confirm'))
+  }));
+
+/**
+ * Email a preference center link (used instead of acting on an email address nobody proved to own)
+ * @param {Object} subscriber - Subscriber document
+ * @returns {Promise<boolean>} - false if a link was sent too recently
+ */
+export const sendManageLinkEmail = (subscriber) => sendLinkEmail(subscriber, async () =>
+  renderManageLinkEmail({
+    name: subscriber.name,
+    manageUrl: manageUrl(await signSubscriberToken(subscriber._id, 'manage'))
+  }));
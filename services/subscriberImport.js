@@ -0,0 +1,250 @@
+import Subscriber from '../models/Subscriber.js';
+import { subscriberPreferences, recordConsents } from './subscriberConsent.js';
+import { resolveCategoryIds } from '../utils/categories.js';
+import { parseCsv } from '../utils/csv.js';
+
+// Largest file accepted in one import
+export const MAX_IMPORT_ROWS = 10000;
+
+// Header names accepted for each column (lowercased, spaces/underscores/dashes removed)
+const COLUMNS = {
+  name: ['name', 'fullname'],
+  email: ['email', 'emailaddress'],
+  phone: ['phone', 'mobile', 'phonenumber', 'mobilenumber', 'whatsapp'],
+  frequency: ['frequency'],
+  categories: ['categories', 'category', 'topics']
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// "+91 98765-43210" / "098765 43210" -> "9876543210"
+const cleanPhone = (value) => {
+  const digits = String(value || '').replace(/[\s\-().]/g, '').replace(/^\+91/, '');
+  return /^0[0-9]{10}$/.test(digits) ? digits.slice(1) : digits;
+};
+
+const headerKey = (header) => header.toLowerCase().replace(/[\s_-]/g, '');
+
+// Column index per field from the header row
+const mapColumns = (header) => {
+  const keys = header.map(headerKey);
+  const columns = {};
+  Object.entries(COLUMNS).forEach(([field, names]) => {
+    const index = keys.findIndex(key => names.includes(key));
+    if (index >= 0) columns[field] = index;
+  });
+
+  const missing = ['name', 'email', 'phone'].filter(field => columns[field] === undefined);
+  if (missing.length > 0) throw badRequest(`Missing column(s): ${missing.join(', ')}`);
+  return columns;
+};
+
+// Validate one data row; categories are resolved with a cache shared by the whole file
+const readRow = async (cells, columns, resolveCategory) => {
+  const value = (field) => (columns[field] === undefined ? '' : String(cells[columns[field]] || '').trim());
+  const errors = [];
+
+  const name = value('name');
+  const email = value('email').toLowerCase();
+  const phone = cleanPhone(value('phone'));
+  if (!name) errors.push('name is required');
+  if (!EMAIL_REGEX.test(email)) errors.push('invalid email');
+  if (!/^[0-9]{10}$/.test(phone)) errors.push('phone must have 10 digits');
+
+  const preferences = {};
+  const frequency = value('frequency').toLowerCase();
+  if (frequency) {
+    if (['daily', 'weekly'].includes(frequency)) preferences.frequency = frequency;
+    else errors.push('frequency must be daily or weekly');
+  }
+
+  const categories = value('categories').split(/[;|]/).map(category => category.trim()).filter(Boolean);
+  if (categories.length > 0) {
+    const categoryIds = await Promise.all(categories.map(resolveCategory));
+    const unknown = categories.filter((category, index) => !categoryIds[index]);
+    if (unknown.length > 0) errors.push(`unknown category: ${unknown.join(', ')}`);
+    else preferences.categoryIds = categoryIds;
+  }
+
+  return { name, email, phone, preferences, errors };
+};
+
+/**
+ * Import subscribers from CSV (columns: name, email, phone, optional frequency and categories separated by ";").
+ * Rows matching an existing subscriber by email or phone are merged into it; subscribers who unsubscribed
+ * are never reactivated. New subscribers are added as confirmed - only import people who already agreed.
+ * @param {string} text - CSV file contents
+ * @param {Object} options - { dryRun: report only, req: request (for the consent log) }
+ * @returns {Promise<Object>} - { dryRun, totalRows, created, merged, unchanged, skipped, invalid, duplicates, conflicts, failed, rows }
+ *   where rows lists every row that was not simply created ({ row, status, email, phone, matchedBy, changes, errors, notes })
+ */
+export const importSubscribers = async (text, { dryRun = false, req = null } = {}) => {
+  const [header, ...dataRows] = parseCsv(text);
+  if (!header || dataRows.length === 0) throw badRequest('The file has no subscriber rows');
+  if (dataRows.length > MAX_IMPORT_ROWS) throw badRequest(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+
+  const columns = mapColumns(header);
+  const categoryCache = new Map();
+  const resolveCategory = (value) => {
+    if (!categoryCache.has(value)) {
+      categoryCache.set(value, resolveCategoryIds([value]).then(ids => (ids && ids[0] ? ids[0].toString() : null)));
+    }
+    return categoryCache.get(value);
+  };
+
+  const report = { dryRun, totalRows: dataRows.length, created: 0, merged: 0, unchanged: 0, skipped: 0, invalid: 0, duplicates: 0, conflicts: 0, failed: 0, rows: [] };
+  const rows = [];
+  const seenEmails = new Map();
+  const seenPhones = new Map();
+
+  // Row numbers match the spreadsheet (header is row 1)
+  for (const [index, cells] of dataRows.entries()) {
+    const row = { row: index + 2, ...(await readRow(cells, columns, resolveCategory)) };
+
+    if (row.errors.length > 0) {
+      report.invalid++;
+      report.rows.push({ row: row.row, status: 'invalid', email: row.email, phone: row.phone, errors: row.errors });
+      continue;
+    }
+
+    const duplicateOf = seenEmails.get(row.email) || seenPhones.get(row.phone);
+    if (duplicateOf) {
+      report.duplicates++;
+      report.rows.push({
+        row: row.row,
+        status: 'duplicate',
+        email: row.email,
+        phone: row.phone,
+        matchedBy: seenEmails.has(row.email) ? 'email' : 'phone',
+        errors: [`same subscriber as row ${duplicateOf}`]
+      });
+      continue;
+    }
+    seenEmails.set(row.email, row.row);
+    seenPhones.set(row.phone, row.row);
+    rows.push(row);
+  }
+
+  const existing = await Subscriber.find({
+    $or: [{ email: { $in: rows.map(row => row.email) } }, { phone: { $in: rows.map(row => row.phone) } }]
+  });
+  const byEmail = new Map(existing.map(subscriber => [subscriber.email, subscriber]));
+  const byPhone = new Map(existing.map(subscriber => [subscriber.phone, subscriber]));
+
+  const toCreate = [];
+  const toMerge = [];
+
+  rows.forEach((row) => {
+    const emailMatch = byEmail.get(row.email);
+    const phoneMatch = byPhone.get(row.phone);
+
+    if (emailMatch && phoneMatch && !emailMatch._id.equals(phoneMatch._id)) {
+      report.conflicts++;
+      report.rows.push({
+        row: row.row,
+        status: 'conflict',
+        email: row.email,
+        phone: row.phone,
+        matchedBy: 'both',
+        errors: ['email and phone belong to different subscribers']
+      });
+      return;
+    }
+
+    const subscriber = emailMatch || phoneMatch;
+    if (!subscriber) {
+      toCreate.push(row);
+      return;
+    }
+
+    const matchedBy = emailMatch && phoneMatch ? 'both' : (emailMatch ? 'email' : 'phone');
+    if (subscriber.status === 'unsubscribed') {
+      report.skipped++;
+      report.rows.push({ row: row.row, status: 'skipped', email: row.email, phone: row.phone, matchedBy, errors: ['subscriber has unsubscribed'] });
+      return;
+    }
+
+    // The subscriber's email is kept (a different address for a known phone is reported, not copied over)
+    const changes = {};
+    if (row.name !== subscriber.name) changes.name = row.name;
+    if (matchedBy === 'email' && row.phone !== subscriber.phone) changes.phone = row.phone;
+    const current = subscriberPreferences(subscriber);
+    if (row.preferences.frequency && row.preferences.frequency !== current.frequency) {
+      changes['preferences.frequency'] = row.preferences.frequency;
+    }
+    if (row.preferences.categoryIds && JSON.stringify(row.preferences.categoryIds) !== JSON.stringify(current.categoryIds)) {
+      changes['preferences.categoryIds'] = row.preferences.categoryIds;
+    }
+
+    const entry = {
+      row: row.row,
+      email: row.email,
+      phone: row.phone,
+      matchedBy,
+      subscriberId: subscriber._id,
+      changes: Object.keys(changes),
+      ...(matchedBy === 'phone' && row.email !== subscriber.email && { notes: [`kept existing email ${subscriber.email}`] })
+    };
+    if (entry.changes.length === 0) {
+      report.unchanged++;
+      report.rows.push({ ...entry, status: 'unchanged' });
+    } else {
+      report.merged++;
+      report.rows.push({ ...entry, status: 'merged' });
+      toMerge.push({ subscriber, changes });
+    }
+  });
+
+  report.created = toCreate.length;
+  report.rows.sort((a, b) => a.row - b.row);
+  if (dryRun) return report;
+
+  if (toMerge.length > 0) {
+    await Subscriber.bulkWrite(toMerge.map(({ subscriber, changes }) => ({
+      updateOne: { filter: { _id: subscriber._id }, update: { $set: changes } }
+    })));
+  }
+
+  if (toCreate.length > 0) {
+    const now = new Date();
+    let created;
+    let writeErrors = [];
+    try {
+      created = await Subscriber.insertMany(toCreate.map(row => ({
+        name: row.name,
+        email: row.email,
+        phone: row.phone,
+        status: 'confirmed',
+        isActive: true,
+        confirmedAt: now,
+        preferences: row.preferences
+      })), { ordered: false });
+    } catch (error) {
+      // Some rows failed (e.g. the email or phone was added since it was checked); the others are in
+      if (!error.writeErrors) throw error;
+      created = error.insertedDocs || [];
+      writeErrors = error.writeErrors;
+    }
+    await recordConsents(created, 'subscribed', { source: 'import', req });
+
+    const createdEmails = new Set(created.map(subscriber => subscriber.email));
+    const failed = toCreate.filter(row => !createdEmails.has(row.email));
+    if (failed.length > 0) {
+      // Mongoose copies the driver's write errors into plain { err, index } objects (index into toCreate)
+      const messages = new Map(writeErrors.map((writeError) => {
+        const { code, errmsg } = writeError.err || writeError;
+        return [toCreate[writeError.index]?.email, code === 11000 ? 'a subscriber with this email or phone already exists' : errmsg];
+      }));
+      failed.forEach((row) => {
+        report.rows.push({ row: row.row, status: 'failed', email: row.email, phone: row.phone, errors: [messages.get(row.email) || 'could not be saved'] });
+      });
+      report.failed = failed.length;
+      report.created = created.length;
+      report.rows.sort((a, b) => a.row - b.row);
+    }
+  }
+
+  return report;
+};
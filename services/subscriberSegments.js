@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import SubscriberSegment from '../models/SubscriberSegment.js';
+import { resolveCategoryIds } from '../utils/categories.js';
+
+const STATUSES = ['pending', 'confirmed', 'unsubscribed'];
+const EMAIL_STATUSES = ['ok', 'bounced'];
+const FREQUENCIES = ['daily', 'weekly'];
+const CHANNELS = ['email', 'whatsapp', 'push'];
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const readDate = (value, field) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`${field} must be a date`);
+  return date.toISOString();
+};
+
+const readEnum = (value, allowed, field) => {
+  if (!allowed.includes(value)) throw badRequest(`${field} must be one of: ${allowed.join(', ')}`);
+  return value;
+};
+
+/**
+ * Validate subscriber filters from a query string or JSON body into their stored form
+ * @param {Object} input - { status, isActive, emailStatus, subscribedFrom, subscribedTo, frequency, categories, channel }
+ *   (categories: ids/slugs as a list or comma separated; isActive: boolean or "true"/"false")
+ * @returns {Promise<Object>} - Filters with only the given keys (categories stored as categoryIds)
+ */
+export const normalizeSegmentFilters = async (input = {}) => {
+  const filters = {};
+  const given = (key) => input[key] !== undefined && input[key] !== null && input[key] !== '';
+
+  if (given('status')) filters.status = readEnum(input.status, STATUSES, 'status');
+  if (given('emailStatus')) filters.emailStatus = readEnum(input.emailStatus, EMAIL_STATUSES, 'emailStatus');
+  if (given('frequency')) filters.frequency = readEnum(input.frequency, FREQUENCIES, 'frequency');
+  if (given('channel')) filters.channel = readEnum(input.channel, CHANNELS, 'channel');
+  if (given('isActive')) filters.isActive = input.isActive === true || input.isActive === 'true';
+  if (given('subscribedFrom')) filters.subscribedFrom = readDate(input.subscribedFrom, 'subscribedFrom');
+  if (given('subscribedTo')) filters.subscribedTo = readDate(input.subscribedTo, 'subscribedTo');
+
+  const categories = input.categories ?? input.categoryIds;
+  if (categories !== undefined && categories !== '') {
+    const values = Array.isArray(categories) ? categories : String(categories).split(',').map(value => value.trim()).filter(Boolean);
+    const categoryIds = await resolveCategoryIds(values);
+    if (categoryIds === null) throw badRequest('Unknown category');
+    if (categoryIds.length > 0) filters.categoryIds = categoryIds.map(id => id.toString());
+  }
+
+  return filters;
+};
+
+/**
+ * MongoDB query for stored filters
+ * @param {Object} filters - From normalizeSegmentFilters
+ * @returns {Object} - Subscriber query
+ */
+export const subscriberQuery = (filters = {}) => {
+  const query = {};
+
+  if (filters.status) query.status = filters.status;
+  if (filters.isActive !== undefined) query.isActive = filters.isActive;
+  if (filters.emailStatus) query.emailStatus = filters.emailStatus;
+  if (filters.subscribedFrom || filters.subscribedTo) {
+    query.subscribedAt = {};
+    if (filters.subscribedFrom) query.subscribedAt.$gte = new Date(filters.subscribedFrom);
+    if (filters.subscribedTo) query.subscribedAt.$lte = new Date(filters.subscribedTo);
+  }
+  // Subscribers from before the preference center have no preferences: daily, email only
+  if (filters.frequency) {
+    query['preferences.frequency'] = filters.frequency === 'daily' ? { $ne: 'weekly' } : 'weekly';
+  }
+  if (filters.channel) {
+    query[`preferences.channels.${filters.channel}`] = filters.channel === 'email' ? { $ne: false } : true;
+  }
+  if (filters.categoryIds?.length > 0) {
+    query['preferences.categoryIds'] = { $in: filters.categoryIds.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  return query;
+};
+
+/**
+ * Saved segment by id
+ * @param {string} segmentId - SubscriberSegment id
+ * @returns {Promise<Object|null>} - Segment (lean)
+ */
+export const findSegment = (segmentId) =>
+  (mongoose.Types.ObjectId.isValid(segmentId) ? SubscriberSegment.findById(segmentId).lean() : Promise.resolve(null));
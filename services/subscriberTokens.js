@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import Settings from '../models/Settings.js';
+
+const BASE_URL = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://navmanchnews.com';
+
+// Settings key holding the generated signing secret (hidden from the settings API)
+export const SUBSCRIBER_SECRET_SETTINGS_KEY = 'subscriberLinkSecret';
+
+// How long emailed links stay valid
+const TOKEN_TTL_MS = {
+  confirm: 3 * 24 * 60 * 60 * 1000,
+  manage: 90 * 24 * 60 * 60 * 1000,
+  // Paid-subscription sign-in link (subject is the email address)
+  access: 24 * 60 * 60 * 1000
+};
+
+let cachedSecret = null;
+
+/**
+ * Secret used to sign subscriber links. SUBSCRIBER_LINK_SECRET takes precedence;
+ * otherwise one is generated on first use and stored in settings (shared by all instances).
+ * @returns {Promise<string>}
+ */
+const getSigningSecret = async () => {
+  if (process.env.SUBSCRIBER_LINK_SECRET) return process.env.SUBSCRIBER_LINK_SECRET;
+  if (cachedSecret) return cachedSecret;
+
+  let setting = await Settings.findOne({ key: SUBSCRIBER_SECRET_SETTINGS_KEY }).lean();
+  if (!setting) {
+    try {
+      // $setOnInsert: instances generating a secret at the same time end up with the same one
+      setting = await Settings.findOneAndUpdate(
+        { key: SUBSCRIBER_SECRET_SETTINGS_KEY },
+        { $setOnInsert: { value: crypto.randomBytes(32).toString('base64url') } },
+        { upsert: true, new: true }
+      ).lean();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      setting = await Settings.findOne({ key: SUBSCRIBER_SECRET_SETTINGS_KEY }).lean();
+    }
+  }
+  cachedSecret = setting.value;
+  return cachedSecret;
+};
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Signed, expiring token for an emailed subscriber link
+ * @param {string} subscriberId - Subscriber id (email address for "access")
+ * @param {string} purpose - "confirm", "manage" or "access"
+ * @param {Date} now - Issue time
+ * @returns {Promise<string>} - "<payload>.<signature>"
+ */
+export const signSubscriberToken = async (subscriberId, purpose, now = new Date()) => {
+  const expiresAt = Math.floor((now.getTime() + TOKEN_TTL_MS[purpose]) / 1000);
+  const payload = Buffer.from(`${subscriberId}.${purpose}.${expiresAt}`).toString('base64url');
+  return `${payload}.${sign(payload, await getSigningSecret())}`;
+};
+
+/**
+ * Check a subscriber link token
+ * @param {string} token - Token from the link
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<string|null>} - Subscriber id (email for "access"), null if the token is invalid, expired or for another purpose
+ */
+export const verifySubscriberToken = async (token, purpose) => {
+  const [payload, signature, extra] = String(token || '').split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload, await getSigningSecret()));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  // Split from the end: an email subject contains dots itself
+  const parts = Buffer.from(payload, 'base64url').toString().split('.');
+  const expiresAt = parts.pop();
+  const tokenPurpose = parts.pop();
+  const subscriberId = parts.join('.');
+  if (tokenPurpose !== purpose || parseInt(expiresAt) * 1000 < Date.now()) return null;
+  return subscriberId;
+};
+
+/**
+ * Frontend page that confirms a pending subscription (posts the token to /api/subscribers/confirm)
+ * @param {string} token - "confirm" token
+ * @returns {string}
+ */
+export const confirmUrl = (token) => `${BASE_URL}/subscribe/confirm?token=${encodeURIComponent(token)}`;
+
+/**
+ * Frontend preference center (reads and saves /api/subscribers/preferences with the token)
+ * @param {string} token - "manage" token
+ * @returns {string}
+ */
+export const manageUrl = (token) => `${BASE_URL}/subscribe/preferences?token=${encodeURIComponent(token)}`;
+
+/**
+ * Frontend page that exchanges a paid-subscription sign-in link for an access token (POST /api/payments/access)
+ * @param {string} token - "access" token
+ * @returns {string}
+ */
+export const accessUrl = (token) => `${BASE_URL}/subscription/access?token=${encodeURIComponent(token)}`;
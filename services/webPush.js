@@ -0,0 +1,287 @@
+import axios from 'axios';
+import webpush from 'web-push';
+import Settings from '../models/Settings.js';
+import PushSubscription from '../models/PushSubscription.js';
+import PushNotification from '../models/PushNotification.js';
+import { stripHtml } from '../utils/xmlHelpers.js';
+
+const BASE_URL = process.env.FRONTEND_URL || 'https://navmanchnews.com';
+
+// Settings key holding the generated VAPID key pair (hidden from the settings API)
+export const VAPID_SETTINGS_KEY = 'webPushVapidKeys';
+
+// Keys are re-read after this long so a rotation on another instance is picked up
+const VAPID_CACHE_MS = 5 * 60 * 1000;
+
+// Pushes sent in parallel
+const SEND_CONCURRENCY = 10;
+
+// Push services drop undelivered breaking news after this long
+const PUSH_TTL_SECONDS = 6 * 60 * 60;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Subscriptions are switched off after this many failures in a row
+const MAX_FAILURES = 5;
+
+const BODY_MAX_LENGTH = 180;
+
+// Switched-off subscriptions are deleted after this long
+const INACTIVE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+let cachedKeys = null;
+let cachedAt = 0;
+
+const vapidSubject = () => process.env.VAPID_SUBJECT ||
+  (BASE_URL.startsWith('https://') ? BASE_URL : 'mailto:admin@navmanchnews.com');
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1).trim()}…` : text);
+
+/**
+ * VAPID keys used to sign pushes. VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY take precedence;
+ * otherwise a key pair is generated on first use and stored in settings.
+ * @returns {Promise<{publicKey: string, privateKey: string, subject: string}>}
+ */
+export const getVapidKeys = async () => {
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    return { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY, subject: vapidSubject() };
+  }
+
+  if (!cachedKeys || Date.now() - cachedAt > VAPID_CACHE_MS) {
+    let setting = await Settings.findOne({ key: VAPID_SETTINGS_KEY }).lean();
+    if (!setting) {
+      try {
+        // $setOnInsert: instances generating keys at the same time end up with the same pair
+        setting = await Settings.findOneAndUpdate(
+          { key: VAPID_SETTINGS_KEY },
+          { $setOnInsert: { value: { ...webpush.generateVAPIDKeys(), createdAt: new Date() } } },
+          { upsert: true, new: true }
+        ).lean();
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        setting = await Settings.findOne({ key: VAPID_SETTINGS_KEY }).lean();
+      }
+    }
+    cachedKeys = setting.value;
+    cachedAt = Date.now();
+  }
+
+  return { publicKey: cachedKeys.publicKey, privateKey: cachedKeys.privateKey, subject: vapidSubject() };
+};
+
+/**
+ * Replace the stored VAPID keys. Existing subscriptions were made for the old key and are removed;
+ * browsers subscribe again when they see a different public key.
+ * @returns {Promise<{publicKey: string, removedSubscriptions: number}>}
+ */
+export const rotateVapidKeys = async () => {
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    throw Object.assign(new Error('VAPID keys are set through environment variables'), { status: 400 });
+  }
+
+  const keys = { ...webpush.generateVAPIDKeys(), createdAt: new Date() };
+  await Settings.findOneAndUpdate({ key: VAPID_SETTINGS_KEY }, { $set: { value: keys } }, { upsert: true });
+  cachedKeys = keys;
+  cachedAt = Date.now();
+
+  const result = await PushSubscription.deleteMany({});
+  return { publicKey: keys.publicKey, removedSubscriptions: result.deletedCount || 0 };
+};
+
+// Hosts of the browsers' push services; anything else would let a subscriber make the server POST to any URL
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'updates.push.services.mozilla.com', 'web.push.apple.com'];
+const PUSH_SERVICE_HOST_SUFFIXES = ['.notify.windows.com'];
+
+/**
+ * Whether pushes may be sent to this endpoint: https on a known push service host. Plain http (e.g. the local
+ * stand-in push endpoint) is only allowed with PUSH_ALLOW_HTTP_ENDPOINTS=true.
+ * @param {string} endpoint - Push service URL from the browser subscription
+ * @returns {boolean}
+ */
+export const isAllowedEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+  if (url.protocol === 'https:') {
+    const host = url.hostname.toLowerCase();
+    return (!url.port || url.port === '443') &&
+      (PUSH_SERVICE_HOSTS.includes(host) || PUSH_SERVICE_HOST_SUFFIXES.some(suffix => host.endsWith(suffix)));
+  }
+  return url.protocol === 'http:' && process.env.PUSH_ALLOW_HTTP_ENDPOINTS === 'true';
+};
+
+// Encrypt and send one push; the push service's answer decides what happens to the subscription
+const sendToSubscription = async (subscription, payload, vapidDetails, topic) => {
+  // Saved before the endpoint check was as strict; dropped like an expired subscription
+  if (!isAllowedEndpoint(subscription.endpoint)) return { result: 'expired' };
+  try {
+    const request = webpush.generateRequestDetails(
+      { endpoint: subscription.endpoint, keys: subscription.keys },
+      payload,
+      { vapidDetails, TTL: PUSH_TTL_SECONDS, urgency: 'high', ...(topic && { topic }) }
+    );
+
+    const response = await axios({
+      method: request.method,
+      url: request.endpoint,
+      headers: request.headers,
+      data: request.body,
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+
+    if (response.status >= 200 && response.status < 300) return { result: 'delivered' };
+    if (response.status === 404 || response.status === 410) return { result: 'expired' };
+    return { result: 'failed', error: `Push service responded ${response.status}` };
+  } catch (error) {
+    return { result: 'failed', error: error.message };
+  }
+};
+
+// Send a stored notification to every matching subscription and record the stats
+const deliverNotification = async (notification) => {
+  const vapidDetails = await getVapidKeys();
+  const payload = JSON.stringify({
+    notificationId: notification._id,
+    articleId: notification.articleId,
+    title: notification.title,
+    body: notification.body,
+    url: notification.url,
+    image: notification.image,
+    // Same tag: a newer push about the article replaces the shown one
+    tag: notification.articleId ? `article-${notification.articleId}` : `push-${notification._id}`
+  });
+  const topic = notification.articleId ? notification.articleId.toString() : null;
+
+  const query = { isActive: true };
+  if (notification.categoryIds.length > 0) {
+    query.$or = [{ categoryIds: { $size: 0 } }, { categoryIds: { $in: notification.categoryIds } }];
+  }
+
+  const stats = { targeted: 0, delivered: 0, failed: 0, expired: 0 };
+  const delivered = [];
+  const expired = [];
+  const failed = [];
+
+  const sendBatch = (batch) => Promise.all(batch.map(async (subscription) => {
+    const { result, error } = await sendToSubscription(subscription, payload, vapidDetails, topic);
+    stats[result]++;
+    if (result === 'delivered') delivered.push(subscription._id);
+    if (result === 'expired') expired.push(subscription._id);
+    if (result === 'failed') failed.push({ id: subscription._id, error });
+  }));
+
+  let batch = [];
+  const cursor = PushSubscription.find(query).select('endpoint keys').lean().cursor();
+  for await (const subscription of cursor) {
+    stats.targeted++;
+    batch.push(subscription);
+    if (batch.length >= SEND_CONCURRENCY) {
+      await sendBatch(batch);
+      batch = [];
+    }
+  }
+  await sendBatch(batch);
+
+  const now = new Date();
+  await Promise.all([
+    delivered.length > 0
+      ? PushSubscription.updateMany({ _id: { $in: delivered } }, { $set: { failureCount: 0, lastError: '', lastSuccessAt: now } })
+      : null,
+    // The push service says these are gone for good
+    expired.length > 0 ? PushSubscription.deleteMany({ _id: { $in: expired } }) : null,
+    failed.length > 0
+      ? PushSubscription.bulkWrite(failed.map(({ id, error }) => ({
+          updateOne: {
+            filter: { _id: id },
+            update: { $inc: { failureCount: 1 }, $set: { lastError: error, lastFailureAt: now } }
+          }
+        })))
+      : null
+  ]);
+  if (failed.length > 0) {
+    await PushSubscription.updateMany({ failureCount: { $gte: MAX_FAILURES }, isActive: true }, { $set: { isActive: false } });
+  }
+
+  await PushNotification.updateOne(
+    { _id: notification._id },
+    { $set: { stats, status: 'sent', finishedAt: new Date() } }
+  );
+
+  console.log(`🔔 Push "${notification.title}": ${stats.delivered}/${stats.targeted} delivered, ${stats.failed} failed, ${stats.expired} expired`);
+};
+
+/**
+ * Store a push notification and send it in the background (progress is saved on the document)
+ * @param {Object} options - { kind, articleId, title, body, url, image, categoryIds, user }
+ * @returns {Promise<Object|null>} - PushNotification document (status "sending"), null if this article was already pushed
+ */
+export const sendPushNotification = async ({ kind = 'manual', articleId = null, title, body = '', url = '', image = '', categoryIds = [], user = null }) => {
+  let notification;
+  try {
+    notification = await PushNotification.create({
+      kind,
+      articleId,
+      title: truncate(stripHtml(title), 120),
+      body: truncate(stripHtml(body), BODY_MAX_LENGTH),
+      url: url || BASE_URL,
+      image,
+      categoryIds,
+      createdBy: user?._id || null
+    });
+  } catch (error) {
+    // Another request or instance already sent this article's breaking push
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  deliverNotification(notification).catch((error) => {
+    console.error(`Error sending push notification ${notification._id}:`, error.message);
+    PushNotification.updateOne(
+      { _id: notification._id },
+      { $set: { status: 'failed', error: error.message, finishedAt: new Date() } }
+    ).catch(err => console.error('Error saving push notification status (non-critical):', err.message));
+  });
+
+  return notification;
+};
+
+/**
+ * Push a breaking article to subscribers of its category (once per article). Never throws.
+ * @param {Object} article - Article document or plain object
+ */
+export const pushBreakingArticle = async (article) => {
+  try {
+    const toId = (value) => (value && value._id ? value._id : value);
+    await sendPushNotification({
+      kind: 'breaking',
+      articleId: article._id,
+      title: article.title,
+      body: article.summary || '',
+      url: `${BASE_URL}/news/${article.slug || article._id}`,
+      image: article.featuredImage || '',
+      categoryIds: [toId(article.categoryId), toId(article.subCategoryId)].filter(Boolean)
+    });
+  } catch (error) {
+    console.error(`Error sending breaking news push for article ${article._id} (non-critical):`, error.message);
+  }
+};
+
+/**
+ * Delete subscriptions that expired or were switched off a while ago
+ * @param {Object} context - { now }
+ * @returns {Promise<Object>} - { removedCount }
+ */
+export const prunePushSubscriptions = async ({ now = new Date() } = {}) => {
+  const result = await PushSubscription.deleteMany({
+    $or: [
+      { expirationTime: { $ne: null, $lte: now } },
+      { isActive: false, updatedAt: { $lte: new Date(now.getTime() - INACTIVE_RETENTION_MS) } }
+    ]
+  });
+  return { removedCount: result.deletedCount || 0 };
+};
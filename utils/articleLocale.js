@@ -0,0 +1,86 @@
+// Language selection for articles (Marathi base fields + Hindi/English translations)
+
+import { ARTICLE_LANGUAGES, DEFAULT_ARTICLE_LANGUAGE } from '../models/Article.js';
+
+// Fields that have a translated version
+export const LOCALIZED_FIELDS = ['title', 'summary', 'content', 'metaDescription', 'metaKeywords'];
+
+// og:locale values
+export const OG_LOCALES = { mr: 'mr_IN', hi: 'hi_IN', en: 'en_IN' };
+
+/**
+ * Map a lang query value to a supported language
+ * @param {string} lang - e.g. "hi", "en-IN", "MR"
+ * @returns {string|null} - Supported language code, or null if not supported/empty
+ */
+export const normalizeLanguage = (lang) => {
+  if (!lang) return null;
+  const code = String(lang).trim().toLowerCase().split(/[-_]/)[0];
+  return ARTICLE_LANGUAGES.includes(code) ? code : null;
+};
+
+// Translation of an article, with the legacy titleEn used as English headline
+const getTranslation = (article, lang) => {
+  if (lang === DEFAULT_ARTICLE_LANGUAGE) return null;
+  const translation = article.translations?.[lang] || {};
+  if (lang === 'en' && !translation.title && article.titleEn) {
+    return { ...translation, title: article.titleEn };
+  }
+  return translation;
+};
+
+/**
+ * Languages an article has a headline in (Marathi is always available)
+ * @param {Object} article - Article document or plain object
+ * @returns {string[]}
+ */
+export const getAvailableLanguages = (article) => ARTICLE_LANGUAGES.filter(lang =>
+  lang === DEFAULT_ARTICLE_LANGUAGE || Boolean(getTranslation(article, lang)?.title)
+);
+
+/**
+ * URL of an article page in a language (Marathi is the plain URL)
+ * @param {string} url - Article URL
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+export const getLocalizedUrl = (url, lang) => (
+  !lang || lang === DEFAULT_ARTICLE_LANGUAGE ? url : `${url}${url.includes('?') ? '&' : '?'}lang=${lang}`
+);
+
+/**
+ * Plain copy of an article with reader-facing fields in the requested language.
+ * Every field falls back to Marathi on its own, so a translated headline with a
+ * missing body still returns the Marathi body.
+ * @param {Object} article - Article document or plain object (category/author may be populated)
+ * @param {string} lang - Requested language
+ * @returns {Object} - Article with lang, availableLanguages and without translations
+ */
+export const localizeArticle = (article, lang) => {
+  const localized = typeof article.toObject === 'function' ? article.toObject() : { ...article };
+  const requested = normalizeLanguage(lang) || DEFAULT_ARTICLE_LANGUAGE;
+  const translation = getTranslation(localized, requested);
+  const availableLanguages = getAvailableLanguages(localized);
+
+  if (translation) {
+    LOCALIZED_FIELDS.forEach((field) => {
+      if (translation[field]) localized[field] = translation[field];
+    });
+  }
+
+  // Category/author only have English names besides Marathi
+  if (requested === 'en') {
+    ['categoryId', 'subCategoryId', 'authorId'].forEach((field) => {
+      if (localized[field]?.nameEn) {
+        localized[field] = { ...localized[field], name: localized[field].nameEn };
+      }
+    });
+  }
+
+  delete localized.translations;
+  localized.lang = availableLanguages.includes(requested) ? requested : DEFAULT_ARTICLE_LANGUAGE;
+  localized.requestedLang = requested;
+  localized.availableLanguages = availableLanguages;
+
+  return localized;
+};
@@ -0,0 +1,143 @@
+// Helpers for recording and comparing article revisions
+
+import ArticleRevision from '../models/ArticleRevision.js';
+
+// Article fields captured in every revision
+export const REVISION_FIELDS = [
+  'title',
+  'titleEn',
+  'subtitle',
+  'summary',
+  'content',
+  'translations',
+  'categoryId',
+  'subCategoryId',
+  'authorId',
+  'featuredImage',
+  'shareImageUrl',
+  'imageGallery',
+  'tags',
+  'isBreaking',
+  'isFeatured',
+  'isLiveBlog',
+  'liveBlogStatus',
+  'status',
+  'scheduledAt',
+  'publishedAt',
+  'expiresAt',
+  'metaKeywords',
+  'metaDescription',
+  'slug'
+];
+
+// Workflow/URL fields that are kept as-is when an old revision is restored
+export const RESTORE_EXCLUDED_FIELDS = ['status', 'scheduledAt', 'publishedAt', 'expiresAt', 'slug'];
+
+// Normalize a value so that ObjectIds, Dates and arrays compare reliably
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (typeof value === 'object') {
+    // Populated documents and ObjectIds
+    if (value._id) return String(value._id);
+    if (typeof value.toHexString === 'function') return value.toHexString();
+  }
+  return value;
+};
+
+/**
+ * Build a plain snapshot of the tracked fields of an article
+ * @param {Object} article - Article document or plain object
+ * @returns {Object} - Snapshot with normalized values
+ */
+export const snapshotArticle = (article) => {
+  const source = typeof article.toObject === 'function' ? article.toObject({ depopulate: true }) : article;
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    snapshot[field] = normalizeValue(source[field]);
+  });
+  return snapshot;
+};
+
+/**
+ * Compare two snapshots field by field
+ * @param {Object} fromSnapshot - Older snapshot
+ * @param {Object} toSnapshot - Newer snapshot
+ * @returns {Array<{field: string, from: *, to: *}>} - Changed fields only
+ */
+export const diffSnapshots = (fromSnapshot = {}, toSnapshot = {}) => {
+  return REVISION_FIELDS
+    .filter(field => JSON.stringify(fromSnapshot[field] ?? null) !== JSON.stringify(toSnapshot[field] ?? null))
+    .map(field => ({
+      field,
+      from: fromSnapshot[field] ?? null,
+      to: toSnapshot[field] ?? null
+    }));
+};
+
+/**
+ * Get the most recent revision of an article
+ * @param {ObjectId} articleId - Article ID
+ * @returns {Promise<Object|null>} - Latest revision (lean) or null
+ */
+export const getLatestRevision = (articleId) => {
+  return ArticleRevision.findOne({ articleId }).sort({ revision: -1 }).lean();
+};
+
+/**
+ * Store the current state of a pre-existing article before its first tracked edit
+ * so the wording that is about to be overwritten can still be restored
+ * @param {Object} article - Article document (state before the edit)
+ */
+export const ensureBaselineRevision = async (article) => {
+  const latest = await getLatestRevision(article._id);
+  if (latest) return latest;
+
+  return ArticleRevision.create({
+    articleId: article._id,
+    revision: 1,
+    action: 'baseline',
+    snapshot: snapshotArticle(article),
+    changedFields: []
+  });
+};
+
+/**
+ * Record an immutable revision for an article (skipped if nothing changed)
+ * @param {Object} article - Saved article document
+ * @param {Object} options - { user, action, restoredFrom }
+ * @returns {Promise<Object|null>} - Created revision or null if nothing changed
+ */
+export const recordArticleRevision = async (article, { user = null, action = 'update', restoredFrom = null } = {}) => {
+  const snapshot = snapshotArticle(article);
+
+  // Retry once if another save grabbed the same revision number concurrently
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const latest = await getLatestRevision(article._id);
+    const changedFields = latest
+      ? diffSnapshots(latest.snapshot, snapshot).map(change => change.field)
+      : REVISION_FIELDS.filter(field => snapshot[field] !== null);
+
+    if (latest && changedFields.length === 0) {
+      return null;
+    }
+
+    try {
+      return await ArticleRevision.create({
+        articleId: article._id,
+        revision: latest ? latest.revision + 1 : 1,
+        action,
+        snapshot,
+        changedFields,
+        editedBy: user?._id || null,
+        editedByName: user?.name || '',
+        restoredFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 1) throw error;
+    }
+  }
+
+  return null;
+};
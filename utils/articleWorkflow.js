@@ -0,0 +1,151 @@
+// Editorial workflow: allowed status transitions and who may perform them
+//
+// draft → submitted → in-review → approved → scheduled → published → unpublished/archived
+// Editors may shortcut desk copy straight from draft/approved to scheduled or published.
+
+import { ROLES } from '../middleware/auth.js';
+
+// Map of from-status -> { to-status: roles allowed }
+export const ARTICLE_TRANSITIONS = {
+  draft: {
+    submitted: ROLES.NEWSROOM,
+    scheduled: ROLES.EDITORS,
+    published: ROLES.EDITORS,
+    archived: ROLES.EDITORS
+  },
+  submitted: {
+    draft: ROLES.NEWSROOM, // withdraw
+    'in-review': ROLES.EDITORS
+  },
+  'in-review': {
+    draft: ROLES.EDITORS, // changes requested
+    approved: ROLES.EDITORS
+  },
+  approved: {
+    draft: ROLES.EDITORS,
+    scheduled: ROLES.EDITORS,
+    published: ROLES.EDITORS
+  },
+  scheduled: {
+    approved: ROLES.EDITORS, // cancel schedule
+    draft: ROLES.EDITORS,
+    published: ROLES.EDITORS
+  },
+  published: {
+    unpublished: ROLES.EDITORS,
+    archived: ROLES.EDITORS
+  },
+  unpublished: {
+    draft: ROLES.EDITORS,
+    published: ROLES.EDITORS,
+    archived: ROLES.EDITORS
+  },
+  archived: {
+    draft: ROLES.EDITORS
+  }
+};
+
+// Statuses a new article may start in, per role
+const INITIAL_STATUSES = {
+  reporter: ['draft', 'submitted'],
+  editor: ['draft', 'submitted', 'approved', 'scheduled', 'published'],
+  admin: ['draft', 'submitted', 'approved', 'scheduled', 'published']
+};
+
+// Statuses that make up an editor's review queue
+export const REVIEW_STATUSES = ['submitted', 'in-review'];
+
+/**
+ * Check whether a user role may move an article between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} role - User role
+ * @returns {boolean}
+ */
+export const canTransition = (from, to, role) => {
+  const allowedRoles = ARTICLE_TRANSITIONS[from]?.[to];
+  return Array.isArray(allowedRoles) && allowedRoles.includes(role);
+};
+
+/**
+ * List statuses reachable from the current status for a role
+ * @param {string} from - Current status
+ * @param {string} role - User role
+ * @returns {string[]}
+ */
+export const getAllowedTransitions = (from, role) => {
+  return Object.entries(ARTICLE_TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+};
+
+/**
+ * Check whether a role may create an article in the given status
+ * @param {string} status - Requested initial status
+ * @param {string} role - User role
+ * @returns {boolean}
+ */
+export const canCreateWithStatus = (status, role) => {
+  return (INITIAL_STATUSES[role] || []).includes(status);
+};
+
+// Error with an HTTP status, thrown by applyTransition
+export class WorkflowError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validate and apply a status change to an article document (caller saves)
+ * @param {Object} article - Article document
+ * @param {string} to - Requested status
+ * @param {Object} options - { user, note, scheduledAt, initial }
+ */
+export const applyTransition = (article, to, { user = null, note = '', scheduledAt, initial = false } = {}) => {
+  const from = initial ? null : article.status;
+  const role = user?.role;
+
+  if (initial) {
+    if (!canCreateWithStatus(to, role)) {
+      throw new WorkflowError(`You cannot create an article with status "${to}"`, 403);
+    }
+  } else if (from === to) {
+    return;
+  } else if (!ARTICLE_TRANSITIONS[from]?.[to]) {
+    throw new WorkflowError(`Cannot move an article from "${from}" to "${to}"`);
+  } else if (!canTransition(from, to, role)) {
+    throw new WorkflowError(`You do not have permission to move an article from "${from}" to "${to}"`, 403);
+  }
+
+  if (scheduledAt !== undefined) {
+    article.scheduledAt = scheduledAt || null;
+  }
+
+  if (to === 'scheduled') {
+    if (!article.scheduledAt || isNaN(new Date(article.scheduledAt).getTime())) {
+      throw new WorkflowError('A valid scheduledAt date is required to schedule an article');
+    }
+  }
+
+  if (to === 'published' && !article.publishedAt) {
+    article.publishedAt = new Date();
+  }
+
+  // Re-publishing an expired article clears the old expiry, otherwise the scheduler unpublishes it again
+  if (to === 'published' && article.expiresAt && new Date(article.expiresAt) <= new Date()) {
+    article.expiresAt = null;
+  }
+
+  article.status = to;
+  article.statusHistory.push({
+    from,
+    to,
+    changedBy: user?._id || null,
+    changedByName: user?.name || '',
+    note: note || '',
+    changedAt: new Date()
+  });
+};
@@ -0,0 +1,21 @@
+// Helpers for category references sent by clients
+
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+
+/**
+ * Category ids from a list of ids or slugs
+ * @param {Array<string>} values - Category ids and/or slugs
+ * @returns {Promise<Array|null>} - Category ids ([] for an empty list), null if any is unknown
+ */
+export const resolveCategoryIds = async (values) => {
+  if (!Array.isArray(values) || values.length === 0) return [];
+
+  const ids = values.filter(value => mongoose.Types.ObjectId.isValid(value));
+  const slugs = values.filter(value => !mongoose.Types.ObjectId.isValid(value));
+  const categories = await Category.find({
+    $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }]
+  }).select('_id').lean();
+
+  return categories.length === new Set(values.map(String)).size ? categories.map(category => category._id) : null;
+};
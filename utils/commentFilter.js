@@ -0,0 +1,106 @@
+// Profanity and spam checks for reader comments (Marathi, Hindi and English, in Devanagari and Latin script)
+
+// Whole words; entries ending in "*" also match longer words starting with them (Marathi/Hindi inflections)
+const BLOCKED_WORDS = {
+  marathi: [
+    // Not "झव*": that also blocks झवेरी (Zaveri Bazaar)
+    'झवाड्या', 'झवाडी', 'झवणे', 'झव', 'झवला', 'झवली', 'झवले', 'झवतो', 'झवते', 'झवायला', 'झवून', 'भोसडी*',
+    'भोसड्या*', 'रांडे*', 'रांड', 'आयघाल्या', 'आयझवाड्या',
+    'भिकारचोट', 'भिकारचोट*', 'चुत्या', 'चुत्या*', 'गांडू', 'गांडीत', 'भडव्या', 'भडवा', 'हरामखोर', 'हरामखोरा',
+    'लवड्या', 'लवडा', 'zavadya', 'zavnya', 'bhosdi*', 'randechya', 'aighalya', 'bhikarchot', 'chutya', 'lavdya', 'lavda'
+  ],
+  hindi: [
+    'चूतिया', 'चूतिये', 'चुतिया', 'मादरचोद', 'मादरचोद*', 'बहनचोद', 'बहनचोद*', 'बहेनचोद', 'भेनचोद', 'भोसडीके',
+    'भोसडी*', 'रंडी', 'रंडी*', 'हरामी', 'हरामज़ादा', 'हरामजादा', 'हरामजादे', 'कमीना', 'कमीने', 'गांडू', 'गांड',
+    'लौडा', 'लौडे', 'लंड', 'भडवा', 'भडवे', 'कुत्ती', 'चोदू', 'चोद', 'चोदना', 'चोदने', 'चोदा', 'चोदी', 'चुदाई',
+    'madarchod*', 'behenchod*', 'bhenchod*', 'benchod', 'chutiya*', 'chutiye', 'bhosdike', 'bhosdiwale', 'randi',
+    'harami', 'haramzada', 'kamina', 'kamine', 'gandu', 'gaand', 'lauda', 'laude', 'lund', 'bhadwa', 'bhadwe',
+    // Not "chod*": in Latin script that is also "chhod" (leave), as in "chod do" or "chodo"
+    'chodu', 'chudai'
+  ],
+  english: [
+    'fuck', 'fuck*', 'fck', 'fuk', 'motherfucker*', 'shit', 'shitty', 'bullshit', 'bitch', 'bitch*', 'bastard',
+    'asshole', 'cunt', 'dickhead', 'slut', 'whore', 'wanker', 'retard'
+  ]
+};
+
+// Latin look-alikes used to dodge filters ("sh1t", "a$$hole")
+const LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+const URL_REGEX = /(https?:\/\/|www\.)\S+/gi;
+const PHONE_REGEX = /(?:\+?91[\s-]?)?[6-9]\d{4}[\s-]?\d{5}/;
+const REPEATED_CHARS_REGEX = /(.)\1{9,}/u;
+
+const MAX_LINKS = 1;
+const CAPS_MIN_LETTERS = 20;
+const CAPS_RATIO = 0.7;
+
+/**
+ * Split text into words for matching: lower case, no nukta/zero-width characters (so "लौड़ा" matches "लौडा")
+ * and look-alike digits/symbols mapped inside Latin words
+ * @param {string} text
+ * @returns {Array<string>} - Words
+ */
+const normalizeWords = (text) => String(text || '')
+  .normalize('NFC')
+  .toLowerCase()
+  .replace(/[\u200B-\u200D\uFEFF\u093C]/g, '')
+  .replace(/[a-z][a-z0-9@$]*[a-z0-9@$]/g, word => word.replace(/[013457@$]/g, char => LEET[char]))
+  .match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+
+// Letters repeated for emphasis ("fuuuck")
+const squeeze = (word) => word.replace(/([a-z])\1+/g, '$1');
+
+// Exact words and prefixes for a word list
+const compile = (words) => {
+  const exact = new Set();
+  const prefixes = [];
+  words.map(word => word.normalize('NFC').toLowerCase().replace(/\u093C/g, '')).forEach((word) => {
+    if (word.endsWith('*')) prefixes.push(word.slice(0, -1));
+    else exact.add(word);
+  });
+  return { exact, prefixes };
+};
+
+const DEFAULT_LIST = compile(Object.values(BLOCKED_WORDS).flat());
+
+/**
+ * Blocked words found in a text
+ * @param {string} text - Comment text
+ * @param {Array<string>} extraWords - Additional blocked words from the comment settings (same "*" syntax)
+ * @returns {Array<string>} - Matched words (empty if clean)
+ */
+export const findBlockedWords = (text, extraWords = []) => {
+  const lists = extraWords.length > 0 ? [DEFAULT_LIST, compile(extraWords)] : [DEFAULT_LIST];
+  const found = new Set();
+
+  normalizeWords(text).forEach((word) => {
+    const candidates = [word, squeeze(word)];
+    const blocked = lists.some(list => candidates.some(candidate =>
+      list.exact.has(candidate) || list.prefixes.some(prefix => candidate.startsWith(prefix))));
+    if (blocked) found.add(word);
+  });
+
+  return [...found];
+};
+
+/**
+ * Spam signals in a comment; a comment with any of them is held for moderation
+ * @param {string} text - Comment text
+ * @returns {Array<string>} - Flags: links, phone-number, repeated-characters, shouting
+ */
+export const spamFlags = (text) => {
+  const flags = [];
+  const body = String(text || '');
+
+  if ((body.match(URL_REGEX) || []).length > MAX_LINKS) flags.push('links');
+  if (PHONE_REGEX.test(body)) flags.push('phone-number');
+  if (REPEATED_CHARS_REGEX.test(body)) flags.push('repeated-characters');
+
+  const letters = body.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= CAPS_MIN_LETTERS && letters.replace(/[^A-Z]/g, '').length / letters.length > CAPS_RATIO) {
+    flags.push('shouting');
+  }
+
+  return flags;
+};
@@ -0,0 +1,157 @@
+import EpaperPageText from '../models/EpaperPageText.js';
+
+// Lines taller than this multiple of the median text height are treated as headlines
+const HEADLINE_RATIO = 1.3;
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+};
+
+const isEmptyTitle = (title) => !title || !String(title).trim() || String(title).trim().toLowerCase() === 'untitled';
+
+// Group text items into lines (top to bottom), each line ordered left to right
+const groupIntoLines = (items, lineHeight) => {
+  const lines = [];
+  [...items]
+    .sort((a, b) => a.y - b.y || a.x - b.x)
+    .forEach((item) => {
+      const centerY = item.y + item.height / 2;
+      const line = lines.find(l => Math.abs(l.centerY - centerY) < lineHeight / 2);
+      if (line) {
+        line.items.push(item);
+      } else {
+        lines.push({ centerY, items: [item] });
+      }
+    });
+
+  return lines
+    .sort((a, b) => a.centerY - b.centerY)
+    .map(line => {
+      const sorted = line.items.sort((a, b) => a.x - b.x);
+      // pdfjs often splits words into several runs - only add a space where there is a visible gap
+      return sorted.reduce((text, item, index) => {
+        if (index === 0) return item.str;
+        const previous = sorted[index - 1];
+        const gap = item.x - (previous.x + previous.width);
+        return `${text}${gap > item.height * 0.2 ? ' ' : ''}${item.str}`;
+      }, '').trim();
+    })
+    .filter(Boolean);
+};
+
+// Split body items into columns using the gutters between their x ranges
+const splitIntoColumns = (items, gutter) => {
+  const columns = [];
+  [...items]
+    .sort((a, b) => a.x - b.x)
+    .forEach((item) => {
+      const column = columns[columns.length - 1];
+      if (column && item.x <= column.right + gutter) {
+        column.items.push(item);
+        column.right = Math.max(column.right, item.x + item.width);
+      } else {
+        columns.push({ right: item.x + item.width, items: [item] });
+      }
+    });
+  return columns.map(column => column.items);
+};
+
+// Join lines, undoing end-of-line hyphenation
+const joinLines = (lines) => lines.reduce((text, line) => {
+  if (!text) return line;
+  if (/[A-Za-z]-$/.test(text)) return `${text.slice(0, -1)}${line}`;
+  return `${text} ${line}`;
+}, '');
+
+/**
+ * Text of the glyphs inside a section box
+ * @param {Object} pageText - EpaperPageText document or plain object
+ * @param {Object} box - { x, y, width, height } in page image pixels
+ * @param {Object} options - { pageWidth, pageHeight } of the page image the box was drawn on
+ * @returns {{title: string, content: string}} - Headline (tallest text) and body text
+ */
+export const extractBoxText = (pageText, box, { pageWidth, pageHeight } = {}) => {
+  // The page image may have been stored at a different size than the render the text came from
+  const scaleX = pageWidth && pageText.width ? pageWidth / pageText.width : 1;
+  const scaleY = pageHeight && pageText.height ? pageHeight / pageText.height : 1;
+
+  const items = (pageText.items || [])
+    .map(item => ({
+      str: item.str,
+      x: item.x * scaleX,
+      y: item.y * scaleY,
+      width: item.width * scaleX,
+      height: item.height * scaleY
+    }))
+    .filter((item) => {
+      const centerX = item.x + item.width / 2;
+      const centerY = item.y + item.height / 2;
+      return centerX >= box.x && centerX <= box.x + box.width &&
+        centerY >= box.y && centerY <= box.y + box.height;
+    });
+
+  if (items.length === 0) {
+    return { title: '', content: '' };
+  }
+
+  const bodyHeight = median(items.map(item => item.height));
+  const headlineItems = items.filter(item => item.height >= bodyHeight * HEADLINE_RATIO);
+  const bodyItems = items.filter(item => item.height < bodyHeight * HEADLINE_RATIO);
+
+  const contentLines = splitIntoColumns(bodyItems, bodyHeight * 0.8)
+    .flatMap(columnItems => groupIntoLines(columnItems, bodyHeight));
+  const content = joinLines(contentLines);
+
+  let title = '';
+  if (headlineItems.length > 0) {
+    const headlineHeight = median(headlineItems.map(item => item.height));
+    title = groupIntoLines(headlineItems, headlineHeight).join(' ');
+  } else if (contentLines.length > 0) {
+    title = contentLines[0].slice(0, 120);
+  }
+
+  return { title: title.trim(), content: content.trim() };
+};
+
+/**
+ * Fill empty section titles/content of an e-paper from the stored PDF text layer
+ * Text typed in by an editor is never overwritten. The caller saves the e-paper.
+ * @param {Object} epaper - Epaper document
+ * @returns {Promise<number>} - Number of sections that were filled
+ */
+export const fillSectionText = async (epaper) => {
+  const pageTexts = await EpaperPageText.find({ epaperId: epaper.id }).lean();
+  if (pageTexts.length === 0) return 0;
+
+  let filled = 0;
+  (epaper.pages || []).forEach((page) => {
+    const pageText = pageTexts.find(text => text.pageNo === page.pageNo);
+    if (!pageText || !Array.isArray(page.news)) return;
+
+    page.news.forEach((section) => {
+      const needsTitle = isEmptyTitle(section.title);
+      const needsContent = !section.content || !String(section.content).trim();
+      if ((!needsTitle && !needsContent) || !(section.width > 0 && section.height > 0)) return;
+
+      const text = extractBoxText(pageText, section, { pageWidth: page.width, pageHeight: page.height });
+      let changed = false;
+      if (needsTitle && text.title) {
+        section.title = text.title;
+        changed = true;
+      }
+      if (needsContent && text.content) {
+        section.content = text.content;
+        changed = true;
+      }
+      if (changed) filled++;
+    });
+  });
+
+  if (filled > 0 && typeof epaper.markModified === 'function') {
+    epaper.markModified('pages');
+  }
+
+  return filled;
+};
@@ -0,0 +1,84 @@
+// RSS 2.0 and Atom 1.0 builders for article feeds
+
+import { escapeXml, cdata, stripHtml } from './xmlHelpers.js';
+
+const SUMMARY_LENGTH = 300;
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+// Guess the enclosure MIME type from the image URL (Cloudinary URLs keep the extension)
+const imageType = (url) => {
+  const extension = String(url).split('?')[0].split('.').pop().toLowerCase();
+  return IMAGE_TYPES[extension] || 'image/jpeg';
+};
+
+const itemSummary = (item) => {
+  const text = stripHtml(item.summary || item.content);
+  return text.length > SUMMARY_LENGTH ? `${text.slice(0, SUMMARY_LENGTH).trim()}…` : text;
+};
+
+/**
+ * RSS 2.0 document
+ * @param {Object} channel - { title, description, link, selfUrl, language, updatedAt }
+ * @param {Object[]} items - { id, title, link, summary, content, author, categories, image, publishedAt, updatedAt }
+ * @param {Object} options - { fullContent }
+ * @returns {string} - XML
+ */
+export const buildRssFeed = (channel, items, { fullContent = false } = {}) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(channel.title)}</title>
+    <link>${escapeXml(channel.link)}</link>
+    <description>${escapeXml(channel.description)}</description>
+    <language>${escapeXml(channel.language || 'mr')}</language>
+    <lastBuildDate>${new Date(channel.updatedAt || Date.now()).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(channel.selfUrl)}" rel="self" type="application/rss+xml"/>
+${items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="true">${escapeXml(item.link)}</guid>
+      <pubDate>${new Date(item.publishedAt || item.updatedAt).toUTCString()}</pubDate>
+      <description>${cdata(itemSummary(item))}</description>${fullContent && item.content ? `
+      <content:encoded>${cdata(item.content)}</content:encoded>` : ''}${item.author ? `
+      <dc:creator>${escapeXml(item.author)}</dc:creator>` : ''}${(item.categories || []).map(category => `
+      <category>${escapeXml(category)}</category>`).join('')}${item.image ? `
+      <enclosure url="${escapeXml(item.image)}" length="0" type="${imageType(item.image)}"/>` : ''}
+    </item>`).join('\n')}
+  </channel>
+</rss>`;
+
+/**
+ * Atom 1.0 document
+ * @param {Object} channel - { title, description, link, selfUrl, language, updatedAt }
+ * @param {Object[]} items - Same shape as for buildRssFeed
+ * @param {Object} options - { fullContent }
+ * @returns {string} - XML
+ */
+export const buildAtomFeed = (channel, items, { fullContent = false } = {}) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(channel.language || 'mr')}">
+  <title>${escapeXml(channel.title)}</title>
+  <subtitle>${escapeXml(channel.description)}</subtitle>
+  <id>${escapeXml(channel.selfUrl)}</id>
+  <link href="${escapeXml(channel.link)}" rel="alternate" type="text/html"/>
+  <link href="${escapeXml(channel.selfUrl)}" rel="self" type="application/atom+xml"/>
+  <updated>${new Date(channel.updatedAt || Date.now()).toISOString()}</updated>
+${items.map(item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <id>${escapeXml(item.link)}</id>
+    <link href="${escapeXml(item.link)}" rel="alternate" type="text/html"/>
+    <published>${new Date(item.publishedAt || item.updatedAt).toISOString()}</published>
+    <updated>${new Date(item.updatedAt || item.publishedAt).toISOString()}</updated>
+    <author><name>${escapeXml(item.author || channel.title)}</name></author>
+    <summary type="text">${escapeXml(itemSummary(item))}</summary>${fullContent && item.content ? `
+    <content type="html">${escapeXml(item.content)}</content>` : ''}${(item.categories || []).map(category => `
+    <category term="${escapeXml(category)}"/>`).join('')}${item.image ? `
+    <link href="${escapeXml(item.image)}" rel="enclosure" type="${imageType(item.image)}"/>` : ''}
+  </entry>`).join('\n')}
+</feed>`;
@@ -1,6 +1,8 @@
 // Utility to generate meta HTML for social media previews
 // This is extracted from socialPreview routes for reuse
 
+import { localizeArticle, getLocalizedUrl, OG_LOCALES } from './articleLocale.js';
+
 const getPlainText = (html) => {
   if (!html) return '';
   return String(html)
@@ -184,8 +186,9 @@ export const getCroppedImageUrl = (pageImageUrl, section) => {
   }
 };
 
-// Generate meta HTML for news articles
-export const generateArticleMetaHtml = (article, baseUrl) => {
+// Generate meta HTML for news articles (lang: 'hi' / 'en' for a translated version, default Marathi)
+export const generateArticleMetaHtml = (sourceArticle, baseUrl, { lang } = {}) => {
+  const article = localizeArticle(sourceArticle, lang);
   const description = article.summary || 
     (article.content ? getPlainText(article.content).substring(0, 200) : '') ||
     article.title || '';
@@ -207,14 +210,25 @@ export const generateArticleMetaHtml = (article, baseUrl) => {
   
   const absoluteImage = getAbsoluteImageUrl(imageUrl, baseUrl);
   const articleId = article._id ? String(article._id) : (article.id ? String(article.id) : '');
-  const articleUrl = `${baseUrl}/news/${articleId}`;
+  const defaultUrl = `${baseUrl}/news/${articleId}`;
+  const articleUrl = getLocalizedUrl(defaultUrl, article.lang);
   const siteName = 'नव मंच - Nav Manch';
   
   const safeTitle = escapeHtml(article.title);
   const safeDescription = escapeHtml(description);
   
+  // hreflang alternates for every language the article has a headline in
+  const alternateLinks = [
+    ...article.availableLanguages.map(code => `<link rel="alternate" hreflang="${code}" href="${escapeHtml(getLocalizedUrl(defaultUrl, code))}">`),
+    `<link rel="alternate" hreflang="x-default" href="${escapeHtml(defaultUrl)}">`
+  ].join('\n  ');
+  const alternateLocales = article.availableLanguages
+    .filter(code => code !== article.lang)
+    .map(code => `<meta property="og:locale:alternate" content="${OG_LOCALES[code]}">`)
+    .join('\n  ');
+  
   const html = `<!DOCTYPE html>
-<html lang="mr">
+<html lang="${article.lang}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -235,7 +249,8 @@ export const generateArticleMetaHtml = (article, baseUrl) => {
   <meta property="og:image:height" content="315">
   <meta property="og:image:type" content="image/jpeg">
   <meta property="og:site_name" content="${siteName}">
-  <meta property="og:locale" content="mr_IN">
+  <meta property="og:locale" content="${OG_LOCALES[article.lang]}">
+  ${alternateLocales}
   
   <!-- Twitter -->
   <meta name="twitter:card" content="summary_large_image">
@@ -248,6 +263,9 @@ export const generateArticleMetaHtml = (article, baseUrl) => {
   <!-- Canonical -->
   <link rel="canonical" href="${articleUrl}">
   
+  <!-- Language versions -->
+  ${alternateLinks}
+  
   <!-- Redirect to actual React app (only for non-crawlers) -->
   <script>
     if (!navigator.userAgent.match(/facebookexternalhit|whatsapp|twitterbot|linkedinbot/i)) {
@@ -326,7 +344,11 @@ export const generateEpaperSectionMetaHtml = (epaper, page, section, baseUrl) =>
     .trim();
   
   const title = `${sectionTitle} - ${epaperTitle}`;
-  const description = `${epaperTitle} - पृष्ठ ${page.pageNo}`;
+  // Section text (typed in or taken from the PDF text layer) makes a better description than the page number
+  const sectionText = (section?.content || '').replace(/\s+/g, ' ').trim();
+  const description = sectionText
+    ? (sectionText.length > 200 ? `${sectionText.substring(0, 197)}...` : sectionText)
+    : `${epaperTitle} - पृष्ठ ${page.pageNo}`;
   
   // Use IDs in URLs
   let epaperIdentifier;
@@ -0,0 +1,209 @@
+// HTML and plain-text newsletter emails (inline styles - mail clients ignore <style> blocks)
+
+import { escapeXml, stripHtml } from './xmlHelpers.js';
+
+const PUBLICATION_NAME = 'नव मंच';
+
+const SUBJECTS = {
+  daily: 'आजच्या प्रमुख बातम्या',
+  weekly: 'या आठवड्यातील प्रमुख बातम्या',
+  manual: 'प्रमुख बातम्या'
+};
+
+const SUMMARY_LENGTH = 160;
+
+const formatDate = (date, timeZone) => new Intl.DateTimeFormat('mr-IN', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+  timeZone
+}).format(new Date(date));
+
+const shorten = (text, length) => (text.length > length ? `${text.slice(0, length - 1).trim()}…` : text);
+
+const articleSummary = (article) => shorten(stripHtml(article.summary || article.content || ''), SUMMARY_LENGTH);
+
+// Shared page around every email: masthead, body rows and a small footer
+const layout = (title, rowsHtml, footerHtml) => `<!DOCTYPE html>
+<html lang="mr">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeXml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f4f4f4;font-family:Arial,Helvetica,sans-serif;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f4;">
+    <tr>
+      <td align="center" style="padding:20px 10px;">
+        <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;padding:0 16px;">
+          <tr>
+            <td style="padding:20px 0;border-bottom:3px solid #c62828;">
+              <div style="font-size:26px;font-weight:bold;color:#c62828;">${escapeXml(PUBLICATION_NAME)}</div>
+              <div style="font-size:14px;color:#666666;">${escapeXml(title)}</div>
+            </td>
+          </tr>
+          ${rowsHtml}
+          <tr>
+            <td style="padding:20px 0;font-size:12px;color:#888888;text-align:center;">
+              ${footerHtml}
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+// Email with one call-to-action button (confirmation and preference links)
+const renderLinkEmail = ({ subject, name, intro, buttonLabel, url, note }) => {
+  const html = layout(subject, `
+          <tr>
+            <td style="padding:20px 0;font-size:15px;line-height:1.6;color:#111111;">
+              ${name ? `नमस्कार ${escapeXml(name)},<br><br>` : ''}${escapeXml(intro)}
+            </td>
+          </tr>
+          <tr>
+            <td style="padding:0 0 20px;text-align:center;">
+              <a href="${escapeXml(url)}" style="display:inline-block;padding:12px 22px;background:#c62828;color:#ffffff;font-weight:bold;text-decoration:none;border-radius:4px;">${escapeXml(buttonLabel)}</a>
+            </td>
+          </tr>`, escapeXml(note));
+
+  const text = [subject, '', intro, '', url, '', note].join('\n');
+  return { html, text };
+};
+
+/**
+ * Subject line of a digest
+ * @param {string} kind - "daily", "weekly" or "manual"
+ * @param {Date} date - Send date
+ * @param {string} timeZone - IANA time zone for the date
+ * @returns {string}
+ */
+export const digestSubject = (kind, date, timeZone) =>
+  `${PUBLICATION_NAME}: ${SUBJECTS[kind] || SUBJECTS.manual} – ${formatDate(date, timeZone)}`;
+
+/**
+ * Render a digest email for one subscriber
+ * @param {Object} digest - { subject, articles: [{ title, summary, url, featuredImage }], epaper: { title, url, image } | null }
+ * @param {Object} recipient - { name, unsubscribeUrl, manageUrl }
+ * @returns {{html: string, text: string}}
+ */
+export const renderDigestEmail = (digest, recipient) => {
+  const articlesHtml = digest.articles.map(article => `
+        <tr>
+          <td style="padding:16px 0;border-bottom:1px solid #e5e5e5;">
+            ${article.featuredImage ? `<a href="${escapeXml(article.url)}"><img src="${escapeXml(article.featuredImage)}" alt="" width="568" style="display:block;width:100%;max-width:568px;height:auto;border:0;margin-bottom:10px;"></a>` : ''}
+            <a href="${escapeXml(article.url)}" style="font-size:18px;font-weight:bold;color:#111111;text-decoration:none;">${escapeXml(article.title)}</a>
+            ${articleSummary(article) ? `<p style="margin:6px 0 0;font-size:14px;line-height:1.5;color:#444444;">${escapeXml(articleSummary(article))}</p>` : ''}
+          </td>
+        </tr>`).join('');
+
+  const epaperHtml = digest.epaper ? `
+        <tr>
+          <td style="padding:20px 0;text-align:center;">
+            ${digest.epaper.image ? `<a href="${escapeXml(digest.epaper.url)}"><img src="${escapeXml(digest.epaper.image)}" alt="" width="200" style="display:block;margin:0 auto 10px;width:200px;height:auto;border:0;"></a>` : ''}
+            <a href="${escapeXml(digest.epaper.url)}" style="display:inline-block;padding:10px 18px;background:#c62828;color:#ffffff;font-weight:bold;text-decoration:none;border-radius:4px;">ई-पेपर वाचा: ${escapeXml(digest.epaper.title)}</a>
+          </td>
+        </tr>` : '';
+
+  const footerHtml = `तुम्ही ${escapeXml(PUBLICATION_NAME)} च्या बातमीपत्राचे सदस्य असल्यामुळे हा ईमेल तुम्हाला मिळाला आहे.<br>
+              ${recipient.manageUrl ? `<a href="${escapeXml(recipient.manageUrl)}" style="color:#888888;">पसंती बदला (Preferences)</a> · ` : ''}<a href="${escapeXml(recipient.unsubscribeUrl)}" style="color:#888888;">सदस्यता रद्द करा (Unsubscribe)</a>`;
+
+  const html = layout(digest.subject, `
+          ${recipient.name ? `<tr><td style="padding:16px 0 0;font-size:15px;color:#111111;">नमस्कार ${escapeXml(recipient.name)},</td></tr>` : ''}
+          ${articlesHtml}
+          ${epaperHtml}`, footerHtml);
+
+  const text = [
+    digest.subject,
+    '',
+    ...digest.articles.flatMap(article => [article.title, articleSummary(article), article.url, '']),
+    ...(digest.epaper ? [`ई-पेपर: ${digest.epaper.title}`, digest.epaper.url, ''] : []),
+    ...(recipient.manageUrl ? [`Preferences: ${recipient.manageUrl}`] : []),
+    `Unsubscribe: ${recipient.unsubscribeUrl}`
+  ].filter(line => line !== undefined).join('\n');
+
+  return { html, text };
+};
+
+/**
+ * Double opt-in email asking the subscriber to confirm the address
+ * @param {Object} recipient - { name, confirmUrl }
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const renderConfirmationEmail = ({ name, confirmUrl }) => {
+  const subject = `${PUBLICATION_NAME}: सदस्यत्वाची खात्री करा`;
+  return {
+    subject,
+    ...renderLinkEmail({
+      subject,
+      name,
+      intro: `${PUBLICATION_NAME} च्या बातमीपत्रासाठी नोंदणी केल्याबद्दल धन्यवाद. सदस्यत्व सुरू करण्यासाठी खालील बटणावर क्लिक करा.`,
+      buttonLabel: 'सदस्यत्वाची खात्री करा (Confirm)',
+      url: confirmUrl,
+      note: 'तुम्ही नोंदणी केली नसेल तर या ईमेलकडे दुर्लक्ष करा; तुमची नोंदणी होणार नाही.'
+    })
+  };
+};
+
+/**
+ * Email with a link to the preference center (sent on request, e.g. to unsubscribe by email)
+ * @param {Object} recipient - { name, manageUrl }
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const renderManageLinkEmail = ({ name, manageUrl }) => {
+  const subject = `${PUBLICATION_NAME}: तुमच्या सदस्यत्वाची पसंती`;
+  return {
+    subject,
+    ...renderLinkEmail({
+      subject,
+      name,
+      intro: 'तुमच्या सदस्यत्वाची पसंती बदलण्यासाठी किंवा सदस्यता रद्द करण्यासाठी खालील बटणावर क्लिक करा.',
+      buttonLabel: 'पसंती बदला (Manage preferences)',
+      url: manageUrl,
+      note: 'ही विनंती तुम्ही केली नसेल तर या ईमेलकडे दुर्लक्ष करा.'
+    })
+  };
+};
+
+/**
+ * Sign-in link for a paid subscription (lets the reader unlock it on another device)
+ * @param {Object} recipient - { name, accessUrl }
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const renderAccessLinkEmail = ({ name, accessUrl }) => {
+  const subject = `${PUBLICATION_NAME}: डिजिटल सदस्यत्व लॉग-इन`;
+  return {
+    subject,
+    ...renderLinkEmail({
+      subject,
+      name,
+      intro: 'या डिव्हाइसवर तुमचे डिजिटल सदस्यत्व (ई-पेपर) सुरू करण्यासाठी खालील बटणावर क्लिक करा. ही लिंक २४ तास चालेल.',
+      buttonLabel: 'सदस्यत्व सुरू करा (Sign in)',
+      url: accessUrl,
+      note: 'ही विनंती तुम्ही केली नसेल तर या ईमेलकडे दुर्लक्ष करा.'
+    })
+  };
+};
+
+/**
+ * One-time sign-in code for a reader account
+ * @param {Object} data - { code, minutes: validity }
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const renderLoginCodeEmail = ({ code, minutes }) => {
+  const subject = `${PUBLICATION_NAME}: लॉग-इन कोड ${code}`;
+  const intro = `तुमचा लॉग-इन कोड खाली दिला आहे. हा कोड ${minutes} मिनिटे चालेल.`;
+  const note = 'ही विनंती तुम्ही केली नसेल तर या ईमेलकडे दुर्लक्ष करा. हा कोड कोणालाही सांगू नका.';
+
+  const html = layout(subject, `
+          <tr>
+            <td style="padding:20px 0;font-size:15px;line-height:1.6;color:#111111;">${escapeXml(intro)}</td>
+          </tr>
+          <tr>
+            <td style="padding:0 0 20px;text-align:center;font-size:32px;font-weight:bold;letter-spacing:8px;color:#111111;">${escapeXml(code)}</td>
+          </tr>`, escapeXml(note));
+
+  return { subject, html, text: [subject, '', intro, '', code, '', note].join('\n') };
+};
@@ -0,0 +1,59 @@
+// Password hashing and session token helpers built on Node's crypto module
+// (scrypt keeps us free of native bcrypt builds on Render)
+
+import crypto from 'crypto';
+
+const KEY_LENGTH = 64;
+const SCRYPT_PREFIX = 'scrypt';
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const scryptAsync = (password, salt) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, KEY_LENGTH, (error, derivedKey) => {
+    if (error) reject(error);
+    else resolve(derivedKey);
+  });
+});
+
+/**
+ * Hash a plain text password
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - Encoded hash in the form scrypt$salt$hash
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derivedKey = await scryptAsync(String(password), salt);
+  return `${SCRYPT_PREFIX}$${salt}$${derivedKey.toString('hex')}`;
+};
+
+/**
+ * Compare a plain text password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+export const verifyPassword = async (password, storedHash) => {
+  if (!password || !storedHash) return false;
+
+  const [prefix, salt, hash] = String(storedHash).split('$');
+  if (prefix !== SCRYPT_PREFIX || !salt || !hash) return false;
+
+  const derivedKey = await scryptAsync(String(password), salt);
+  const storedKey = Buffer.from(hash, 'hex');
+
+  if (storedKey.length !== derivedKey.length) return false;
+  return crypto.timingSafeEqual(storedKey, derivedKey);
+};
+
+/**
+ * Generate a random opaque token (sent to the client once)
+ * @returns {string} - 64 character hex token
+ */
+export const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Hash a token before storing it so a database leak does not leak sessions
+ * @param {string} token - Opaque token
+ * @returns {string} - SHA-256 hex digest
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
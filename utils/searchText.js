@@ -0,0 +1,142 @@
+// Marathi-aware text normalization used by the article search index
+// Both indexed text and user queries go through normalizeSearchText so that
+// spelling variants (nukta, zero-width joiners, long/short matras) still match.
+
+// Very common words that only add noise to the text index
+const STOP_WORDS = new Set([
+  'आणि', 'व', 'की', 'हे', 'ही', 'हा', 'ते', 'ती', 'तो', 'या', 'च्या', 'ची', 'चा', 'चे', 'ला', 'ने', 'त', 'वर', 'मध्ये', 'आहे', 'होते', 'असे',
+  'और', 'का', 'के', 'को', 'में', 'से', 'है',
+  'the', 'and', 'of', 'a', 'an', 'in', 'on', 'to', 'is', 'for'
+]);
+
+// Devanagari characters folded onto a single spelling
+const DEVANAGARI_FOLDS = [
+  [/\u0901/g, '\u0902'], // chandrabindu -> anusvara
+  [/\u0940/g, '\u093F'], // vowel sign II -> I
+  [/\u0942/g, '\u0941'], // vowel sign UU -> U
+  [/\u0908/g, '\u0907'], // letter II -> I
+  [/\u090A/g, '\u0909'], // letter UU -> U
+  [/\u0945/g, '\u0947'], // candra E sign -> E sign
+  [/\u0949/g, '\u094B'], // candra O sign -> O sign
+  [/\u090D/g, '\u090F'], // candra E -> E
+  [/\u0911/g, '\u0913'] // candra O -> O
+];
+
+const getPlainText = (html) => {
+  if (!html) return '';
+  return String(html)
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const escapeHtml = (str) => {
+  if (!str) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Normalize text for indexing/searching
+ * @param {string} text - Raw text (HTML allowed)
+ * @returns {string} - Lowercased, folded, punctuation-free text
+ */
+export const normalizeSearchText = (text) => {
+  if (!text) return '';
+
+  let normalized = getPlainText(text)
+    .normalize('NFD') // splits precomposed nukta letters (क़ -> क + ़) and Latin accents
+    .replace(/[\u200B-\u200D\u2060\uFEFF]/g, '') // zero-width space/joiners
+    .replace(/\u093C/g, '') // nukta
+    .replace(/[\u0300-\u036F]/g, '') // Latin combining accents
+    .replace(/[\u0966-\u096F]/g, (digit) => String(digit.charCodeAt(0) - 0x0966)); // Devanagari digits
+
+  DEVANAGARI_FOLDS.forEach(([pattern, replacement]) => {
+    normalized = normalized.replace(pattern, replacement);
+  });
+
+  return normalized
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ') // punctuation incl. danda (।, ॥)
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Split text into normalized search tokens (stop words removed, duplicates kept out)
+ * @param {string} text - Raw text
+ * @returns {string[]} - Unique tokens
+ */
+export const tokenizeSearchText = (text) => {
+  const tokens = normalizeSearchText(text)
+    .split(' ')
+    .filter(token => token && !STOP_WORDS.has(token));
+  return [...new Set(tokens)];
+};
+
+/**
+ * Strip a trailing vowel sign so inflected forms match (पुणे -> पुण matches पुण्यात)
+ * @param {string} token - Normalized token
+ * @returns {string} - Stem used for prefix matching
+ */
+export const stemSearchToken = (token) => {
+  if (!token || token.length <= 2) return token;
+  return token.replace(/[\u093E-\u094D]+$/, '');
+};
+
+/**
+ * Build the normalized fields stored on an article for the text index
+ * @param {Object} article - Article document or plain object
+ * @param {Object} extra - { authorName, tagNames }
+ * @returns {{title: string, keywords: string, body: string}}
+ */
+export const buildArticleSearchText = (article, { authorName = '', tagNames = [] } = {}) => {
+  // Hindi/English versions are searchable too
+  const translations = ['hi', 'en'].map(lang => article.translations?.[lang]).filter(Boolean);
+  const collect = (field) => translations.map(translation => translation[field]);
+
+  return {
+    title: normalizeSearchText([article.title, article.titleEn, ...collect('title')].filter(Boolean).join(' ')),
+    keywords: normalizeSearchText([article.metaKeywords, ...collect('metaKeywords'), ...tagNames, authorName].filter(Boolean).join(' ')),
+    body: normalizeSearchText([article.summary, article.content, ...collect('summary'), ...collect('content')].filter(Boolean).join(' '))
+  };
+};
+
+/**
+ * Wrap words matching any query token in <mark> (output is HTML-escaped)
+ * @param {string} text - Raw text (HTML allowed)
+ * @param {string[]} queryTokens - Normalized query tokens
+ * @param {Object} options - { maxLength }
+ * @returns {string} - Highlighted snippet
+ */
+export const buildHighlightedSnippet = (text, queryTokens, { maxLength = 220 } = {}) => {
+  const plain = getPlainText(text);
+  if (!plain) return '';
+
+  const words = plain.split(' ');
+  const isMatch = (word) => {
+    const normalizedWord = normalizeSearchText(word);
+    return normalizedWord && queryTokens.some(token => normalizedWord.startsWith(stemSearchToken(token)));
+  };
+
+  const firstMatch = words.findIndex(isMatch);
+  // Start a few words before the first hit so the snippet has context
+  const start = firstMatch > 8 ? firstMatch - 8 : 0;
+
+  const parts = [];
+  let length = 0;
+  for (let i = start; i < words.length && length < maxLength; i++) {
+    const word = words[i];
+    parts.push(isMatch(word) ? `<mark>${escapeHtml(word)}</mark>` : escapeHtml(word));
+    length += word.length + 1;
+  }
+
+  const lastIndex = start + parts.length;
+  return `${start > 0 ? '… ' : ''}${parts.join(' ')}${lastIndex < words.length ? ' …' : ''}`;
+};
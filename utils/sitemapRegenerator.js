@@ -0,0 +1,279 @@
+// Builds the sitemap index, its paginated child sitemaps and the Google News sitemap.
+// Files are stored in MongoDB and rebuilt when published content changes (or hourly),
+// so requests never query every article.
+
+import Article from '../models/Article.js';
+import Epaper from '../models/Epaper.js';
+import Category from '../models/Category.js';
+import Author from '../models/Author.js';
+import SitemapFile from '../models/SitemapFile.js';
+import { escapeXml } from './xmlHelpers.js';
+import { getAvailableLanguages, getLocalizedUrl } from './articleLocale.js';
+
+const BASE_URL = process.env.FRONTEND_URL || 'https://navmanchnews.com';
+const PUBLICATION_NAME = 'Nav Manch';
+
+// URLs per child sitemap (the protocol allows 50,000; smaller files stay well below the 50MB limit)
+const URLS_PER_SITEMAP = 10000;
+
+// Google News only wants articles from the last two days, at most 1,000 of them
+const NEWS_WINDOW_MS = 48 * 60 * 60 * 1000;
+const NEWS_LIMIT = 1000;
+
+// Rebuild at least this often even without changes (the news window moves)
+const MAX_AGE_MS = 60 * 60 * 1000;
+
+// Changes are batched: one rebuild this long after the first change
+const REGENERATE_DELAY_MS = 30 * 1000;
+
+const STATIC_PAGES = [
+  { path: '/', changefreq: 'daily', priority: '1.0' },
+  { path: '/epaper', changefreq: 'daily', priority: '0.9' },
+  { path: '/gallery', changefreq: 'weekly', priority: '0.8' },
+  { path: '/blogs', changefreq: 'daily', priority: '0.8' },
+  { path: '/articles', changefreq: 'daily', priority: '0.8' },
+  { path: '/shorts', changefreq: 'daily', priority: '0.7' },
+  { path: '/events', changefreq: 'weekly', priority: '0.7' }
+];
+
+let regenerating = null;
+let regenerateTimer = null;
+
+const formatDate = (date) => new Date(date || Date.now()).toISOString().split('T')[0];
+
+const latestDate = (dates) => dates.reduce((latest, date) => (date && (!latest || date > latest) ? date : latest), null);
+
+const renderUrl = (url) => `  <url>
+    <loc>${escapeXml(url.loc)}</loc>
+    <lastmod>${formatDate(url.lastmod)}</lastmod>${url.changefreq ? `
+    <changefreq>${url.changefreq}</changefreq>` : ''}${url.priority ? `
+    <priority>${url.priority}</priority>` : ''}${(url.alternates || []).map(alternate => `
+    <xhtml:link rel="alternate" hreflang="${alternate.hreflang}" href="${escapeXml(alternate.href)}"/>`).join('')}${(url.images || []).map(image => `
+    <image:image>
+      <image:loc>${escapeXml(image)}</image:loc>
+    </image:image>`).join('')}${url.news ? `
+    <news:news>
+      <news:publication>
+        <news:name>${escapeXml(PUBLICATION_NAME)}</news:name>
+        <news:language>mr</news:language>
+      </news:publication>
+      <news:publication_date>${new Date(url.news.publishedAt).toISOString()}</news:publication_date>
+      <news:title>${escapeXml(url.news.title)}</news:title>
+    </news:news>` : ''}
+  </url>`;
+
+const renderUrlset = (urls) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls.map(renderUrl).join('\n')}
+</urlset>`;
+
+const renderIndex = (files) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${files.map(file => `  <sitemap>
+    <loc>${escapeXml(`${BASE_URL}/sitemap-${file.name}.xml`)}</loc>
+    <lastmod>${formatDate(file.lastmod)}</lastmod>
+  </sitemap>`).join('\n')}
+</sitemapindex>`;
+
+// Split URLs into numbered files ("articles-1", "articles-2", ...)
+const paginate = (prefix, urls) => {
+  const files = [];
+  for (let start = 0; start < urls.length; start += URLS_PER_SITEMAP) {
+    const chunk = urls.slice(start, start + URLS_PER_SITEMAP);
+    files.push({ name: `${prefix}-${files.length + 1}`, urls: chunk });
+  }
+  return files;
+};
+
+// hreflang alternates for translated articles (none when only Marathi exists)
+const articleAlternates = (article, loc) => {
+  const languages = getAvailableLanguages(article);
+  if (languages.length < 2) return [];
+  return [
+    ...languages.map(lang => ({ hreflang: lang, href: getLocalizedUrl(loc, lang) })),
+    { hreflang: 'x-default', href: loc }
+  ];
+};
+
+const buildArticleUrls = async () => {
+  const urls = [];
+  const cursor = Article.find({ status: 'published', slug: { $exists: true, $nin: [null, ''] } })
+    .select('slug updatedAt publishedAt featuredImage titleEn translations.hi.title translations.en.title')
+    .sort({ publishedAt: -1 })
+    .lean()
+    .cursor();
+
+  for await (const article of cursor) {
+    const loc = `${BASE_URL}/news/${article.slug}`;
+    urls.push({
+      loc,
+      lastmod: article.updatedAt || article.publishedAt,
+      changefreq: 'weekly',
+      priority: '0.8',
+      alternates: articleAlternates(article, loc),
+      images: article.featuredImage ? [article.featuredImage] : []
+    });
+  }
+  return urls;
+};
+
+const buildEpaperUrls = async () => {
+  const epapers = await Epaper.find({ status: 'published' })
+    .select('date updatedAt pages.image')
+    .sort({ date: -1 })
+    .lean();
+
+  return epapers
+    .filter(epaper => epaper.date)
+    .map(epaper => ({
+      loc: `${BASE_URL}/epaper/${formatDate(epaper.date)}`,
+      lastmod: epaper.updatedAt || epaper.date,
+      changefreq: 'daily',
+      priority: '0.7',
+      images: (epaper.pages || []).map(page => page.image).filter(Boolean)
+    }));
+};
+
+const buildCategoryUrls = async () => {
+  const categories = await Category.find({ isActive: true }).select('slug updatedAt').lean();
+  return categories.map(category => ({
+    loc: `${BASE_URL}/category/${category.slug || category._id}`,
+    lastmod: category.updatedAt,
+    changefreq: 'daily',
+    priority: '0.6'
+  }));
+};
+
+const buildAuthorUrls = async () => {
+  const authors = await Author.find({ isActive: true }).select('updatedAt').lean();
+  return authors.map(author => ({
+    loc: `${BASE_URL}/author/${author._id}`,
+    lastmod: author.updatedAt,
+    changefreq: 'weekly',
+    priority: '0.5'
+  }));
+};
+
+const buildNewsUrls = async (now) => {
+  const articles = await Article.find({
+    status: 'published',
+    slug: { $exists: true, $nin: [null, ''] },
+    publishedAt: { $gte: new Date(now.getTime() - NEWS_WINDOW_MS) }
+  })
+    .select('title slug publishedAt updatedAt featuredImage')
+    .sort({ publishedAt: -1 })
+    .limit(NEWS_LIMIT)
+    .lean();
+
+  return articles.map(article => ({
+    loc: `${BASE_URL}/news/${article.slug}`,
+    lastmod: article.updatedAt || article.publishedAt,
+    images: article.featuredImage ? [article.featuredImage] : [],
+    news: { title: article.title, publishedAt: article.publishedAt }
+  }));
+};
+
+const buildAll = async () => {
+  const startedAt = new Date();
+
+  const [articleUrls, epaperUrls, categoryUrls, authorUrls, newsUrls] = await Promise.all([
+    buildArticleUrls(),
+    buildEpaperUrls(),
+    buildCategoryUrls(),
+    buildAuthorUrls(),
+    buildNewsUrls(startedAt)
+  ]);
+
+  const staticUrls = STATIC_PAGES.map(page => ({ ...page, loc: `${BASE_URL}${page.path}`, lastmod: startedAt }));
+
+  const children = [
+    { name: 'pages', urls: staticUrls },
+    ...paginate('articles', articleUrls),
+    ...paginate('epapers', epaperUrls),
+    ...paginate('categories', categoryUrls),
+    ...paginate('authors', authorUrls),
+    { name: 'news', urls: newsUrls }
+  ].map(file => ({
+    name: file.name,
+    xml: renderUrlset(file.urls),
+    urlCount: file.urls.length,
+    lastmod: latestDate(file.urls.map(url => (url.lastmod ? new Date(url.lastmod) : null))) || startedAt
+  }));
+
+  const files = [...children, { name: 'index', xml: renderIndex(children), urlCount: children.length }];
+
+  await SitemapFile.bulkWrite(files.map(file => ({
+    updateOne: {
+      filter: { name: file.name },
+      update: { $set: { xml: file.xml, urlCount: file.urlCount, generatedAt: startedAt } },
+      upsert: true
+    }
+  })));
+
+  // Drop pages that no longer exist (e.g. fewer article pages after deletions)
+  await SitemapFile.deleteMany({ name: { $nin: files.map(file => file.name) } });
+
+  const urlCount = children.reduce((sum, file) => sum + file.urlCount, 0);
+  console.log(`🗺️  Sitemaps regenerated: ${children.length} files, ${urlCount} URLs`);
+
+  return { files: children.length, urls: urlCount };
+};
+
+/**
+ * Rebuild all sitemap files now (concurrent calls share one rebuild)
+ * @returns {Promise<{files: number, urls: number}>}
+ */
+export const regenerateSitemaps = () => {
+  if (!regenerating) {
+    regenerating = buildAll().finally(() => {
+      regenerating = null;
+    });
+  }
+  return regenerating;
+};
+
+/**
+ * Mark the sitemaps as outdated after a publish/unpublish and schedule a rebuild.
+ * Other instances see the mark and rebuild on their next sitemap request.
+ * Never throws - the hourly rebuild picks up anything missed.
+ */
+export const markSitemapsStale = async () => {
+  try {
+    await SitemapFile.updateOne({ name: 'index' }, { $set: { staleAt: new Date() } });
+  } catch (error) {
+    console.error('Error marking sitemaps stale (non-critical):', error.message);
+  }
+
+  if (!regenerateTimer) {
+    regenerateTimer = setTimeout(() => {
+      regenerateTimer = null;
+      regenerateSitemaps().catch(err => console.error('Error regenerating sitemaps (non-critical):', err.message));
+    }, REGENERATE_DELAY_MS);
+    regenerateTimer.unref();
+  }
+};
+
+/**
+ * XML of a sitemap file, rebuilding first if the files are missing, stale or too old
+ * @param {string} name - "index", "news", "pages", "articles-1", ...
+ * @returns {Promise<string|null>} - XML, or null if there is no such file
+ */
+export const getSitemapXml = async (name) => {
+  const index = await SitemapFile.findOne({ name: 'index' }).select('generatedAt staleAt').lean();
+  const outdated = !index?.generatedAt ||
+    (index.staleAt && index.staleAt > index.generatedAt) ||
+    Date.now() - index.generatedAt.getTime() > MAX_AGE_MS;
+
+  if (outdated) {
+    try {
+      await regenerateSitemaps();
+    } catch (error) {
+      // Serve the previous files if the rebuild fails
+      console.error('Error regenerating sitemaps:', error);
+      if (!index) throw error;
+    }
+  }
+
+  const file = await SitemapFile.findOne({ name }).select('xml').lean();
+  return file ? file.xml : null;
+};
@@ -0,0 +1,284 @@
+// Turns Sports Monk cricket (v2) and football (v3) payloads into one match format for the frontend
+
+/**
+ * Normalized match
+ * @typedef {Object} Match
+ * @property {string} id - Id at the source (used in /api/sports/:sport/matches/:id)
+ * @property {string} source - "sportmonks" (or "local" for matches entered by the sports desk)
+ * @property {string} sport - cricket | football | kabaddi
+ * @property {string} status - scheduled | live | break | finished | postponed | cancelled | abandoned | unknown
+ * @property {string} statusText - Status as given by the source ("2nd Innings", "HT", ...)
+ * @property {string|null} startsAt - ISO date
+ * @property {Object|null} competition - { id, name }
+ * @property {Object|null} venue - { name, city }
+ * @property {Array<Object>} teams - Home/first team first: { id, name, shortName, logo, isWinner,
+ *   score: null | { display, runs, wickets, overs, innings: [{ runs, wickets, overs }] } (cricket)
+ *   | { display, goals } (football) | { display, points } (kabaddi) }
+ * @property {string} result - Result or situation note ("India won by 5 wickets")
+ * @property {Object} [detail] - Sport specific extras on the match endpoint (toss, format, round, ...)
+ */
+
+export const MATCH_STATUSES = ['scheduled', 'live', 'break', 'finished', 'postponed', 'cancelled', 'abandoned', 'unknown'];
+
+const CRICKET_STATUSES = {
+  'NS': 'scheduled',
+  '1st Innings': 'live',
+  '2nd Innings': 'live',
+  '3rd Innings': 'live',
+  '4th Innings': 'live',
+  'Super Over': 'live',
+  'Innings Break': 'break',
+  'Lunch': 'break',
+  'Tea Break': 'break',
+  'Dinner': 'break',
+  'Int.': 'break',
+  'Delayed': 'break',
+  'Finished': 'finished',
+  'Postp.': 'postponed',
+  'Cancl.': 'cancelled',
+  'Aban.': 'abandoned'
+};
+
+// Football v3 state ids (used when the state is not included)
+const FOOTBALL_STATE_IDS = {
+  1: 'NS', 2: 'INPLAY_1ST_HALF', 3: 'HT', 4: 'BREAK', 5: 'FT', 6: 'INPLAY_ET', 7: 'AET', 8: 'FT_PEN', 9: 'INPLAY_PENALTIES',
+  10: 'POSTPONED', 11: 'SUSPENDED', 12: 'CANCELLED', 13: 'TBA', 14: 'WO', 15: 'ABANDONED', 16: 'DELAYED', 17: 'AWARDED',
+  18: 'INTERRUPTED', 19: 'AWAITING_UPDATES', 21: 'EXTRA_TIME_BREAK', 22: 'INPLAY_2ND_HALF', 25: 'PEN_BREAK'
+};
+
+const FOOTBALL_STATUSES = {
+  NS: 'scheduled',
+  TBA: 'scheduled',
+  INPLAY_1ST_HALF: 'live',
+  INPLAY_2ND_HALF: 'live',
+  INPLAY_ET: 'live',
+  INPLAY_PENALTIES: 'live',
+  HT: 'break',
+  BREAK: 'break',
+  EXTRA_TIME_BREAK: 'break',
+  PEN_BREAK: 'break',
+  INTERRUPTED: 'break',
+  SUSPENDED: 'break',
+  DELAYED: 'postponed',
+  POSTPONED: 'postponed',
+  FT: 'finished',
+  AET: 'finished',
+  FT_PEN: 'finished',
+  AWARDED: 'finished',
+  WO: 'finished',
+  CANCELLED: 'cancelled',
+  ABANDONED: 'abandoned'
+};
+
+// Football v3 event type ids (used when the type is not included)
+const FOOTBALL_EVENT_TYPE_IDS = {
+  10: 'VAR', 14: 'GOAL', 15: 'OWNGOAL', 16: 'PENALTY', 17: 'MISSED_PENALTY', 18: 'SUBSTITUTION', 19: 'YELLOWCARD',
+  20: 'REDCARD', 21: 'YELLOWREDCARD'
+};
+
+const FOOTBALL_EVENT_TYPES = {
+  VAR: 'var',
+  GOAL: 'goal',
+  OWNGOAL: 'own-goal',
+  PENALTY: 'penalty',
+  MISSED_PENALTY: 'missed-penalty',
+  SUBSTITUTION: 'substitution',
+  YELLOWCARD: 'yellow-card',
+  REDCARD: 'red-card',
+  YELLOWREDCARD: 'yellow-red-card'
+};
+
+const toIso = (value) => {
+  if (!value) return null;
+  // Football v3 gives "2026-10-19 15:00:00" in UTC
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+const team = (data, fallbackId) => ({
+  id: data?.id ? String(data.id) : (fallbackId ? String(fallbackId) : null),
+  name: data?.name || '',
+  shortName: data?.code || data?.short_code || '',
+  logo: data?.image_path || ''
+});
+
+/**
+ * Cricket score line ("245/6 (45.2)", all out without wickets, innings joined with " & ")
+ * @param {Array<Object>} innings - [{ runs, wickets, overs }]
+ * @returns {string}
+ */
+export const cricketScoreDisplay = (innings) => innings.map(({ runs, wickets, overs }) =>
+  `${runs}${wickets !== null && wickets < 10 ? `/${wickets}` : ''}${overs !== null ? ` (${overs})` : ''}`).join(' & ');
+
+const cricketTeamScore = (fixture, teamId) => {
+  const innings = (fixture.scoreboards || [])
+    .filter(board => board.type === 'total' && String(board.team_id) === String(teamId))
+    .sort((a, b) => String(a.scoreboard).localeCompare(String(b.scoreboard)))
+    .map(board => ({ runs: toNumber(board.total) || 0, wickets: toNumber(board.wickets), overs: toNumber(board.overs) }));
+  if (innings.length === 0) return null;
+
+  const last = innings[innings.length - 1];
+  return { display: cricketScoreDisplay(innings), runs: last.runs, wickets: last.wickets, overs: last.overs, innings };
+};
+
+/**
+ * Normalize a Sports Monk cricket (v2) fixture
+ * @param {Object} fixture - Fixture with localteam, visitorteam, venue, scoreboards and optionally league/tosswon included
+ * @returns {Match}
+ */
+export const normalizeCricketMatch = (fixture) => {
+  const status = fixture.live && !CRICKET_STATUSES[fixture.status]
+    ? 'live'
+    : (CRICKET_STATUSES[fixture.status] || (/^Stump/.test(fixture.status || '') ? 'break' : 'unknown'));
+  const teams = [[fixture.localteam, fixture.localteam_id], [fixture.visitorteam, fixture.visitorteam_id]].map(([data, id]) => ({
+    ...team(data, id),
+    isWinner: Boolean(fixture.winner_team_id) && String(fixture.winner_team_id) === String(data?.id || id),
+    score: cricketTeamScore(fixture, data?.id || id)
+  }));
+
+  return {
+    id: String(fixture.id),
+    source: 'sportmonks',
+    sport: 'cricket',
+    status,
+    statusText: fixture.status || '',
+    startsAt: toIso(fixture.starting_at),
+    competition: fixture.league ? { id: String(fixture.league.id), name: fixture.league.name } : null,
+    venue: fixture.venue ? { name: fixture.venue.name || '', city: fixture.venue.city || '' } : null,
+    teams,
+    result: fixture.note || '',
+    detail: {
+      format: fixture.type || '',
+      round: fixture.round || '',
+      tossWonBy: fixture.toss_won_team_id ? String(fixture.toss_won_team_id) : null,
+      elected: fixture.elected || null
+    }
+  };
+};
+
+/**
+ * Innings by innings batting, bowling and extras of a cricket fixture
+ * @param {Object} fixture - Fixture with scoreboards, batting.batsman and bowling.bowler included
+ * @returns {Object} - { innings: [{ number, battingTeamId, total, extras, batting, bowling }] }
+ */
+export const cricketScorecard = (fixture) => {
+  const boards = (fixture.scoreboards || []).filter(board => board.type === 'total')
+    .sort((a, b) => String(a.scoreboard).localeCompare(String(b.scoreboard)));
+
+  return {
+    innings: boards.map((board, index) => {
+      const extras = (fixture.scoreboards || []).find(item => item.type === 'extra' && item.scoreboard === board.scoreboard);
+      const inInnings = item => item.scoreboard === board.scoreboard;
+      return {
+        number: index + 1,
+        battingTeamId: String(board.team_id),
+        total: { runs: toNumber(board.total) || 0, wickets: toNumber(board.wickets), overs: toNumber(board.overs) },
+        extras: extras ? {
+          wides: toNumber(extras.wide) || 0,
+          noBalls: toNumber(extras.noball_runs) || 0,
+          byes: toNumber(extras.bye) || 0,
+          legByes: toNumber(extras.leg_bye) || 0,
+          penalty: toNumber(extras.penalty) || 0
+        } : null,
+        batting: (fixture.batting || []).filter(inInnings).sort((a, b) => (a.sort || 0) - (b.sort || 0)).map(item => ({
+          playerId: String(item.player_id),
+          name: item.batsman?.fullname || '',
+          runs: toNumber(item.score) || 0,
+          balls: toNumber(item.ball) || 0,
+          fours: toNumber(item.four_x) || 0,
+          sixes: toNumber(item.six_x) || 0,
+          strikeRate: toNumber(item.rate),
+          dismissal: item.result?.name || '',
+          notOut: item.active !== false && !item.result
+        })),
+        bowling: (fixture.bowling || []).filter(inInnings).sort((a, b) => (a.sort || 0) - (b.sort || 0)).map(item => ({
+          playerId: String(item.player_id),
+          name: item.bowler?.fullname || '',
+          overs: toNumber(item.overs) || 0,
+          maidens: toNumber(item.medians) || 0,
+          runs: toNumber(item.runs) || 0,
+          wickets: toNumber(item.wickets) || 0,
+          wides: toNumber(item.wide) || 0,
+          noBalls: toNumber(item.noball) || 0,
+          economy: toNumber(item.rate)
+        }))
+      };
+    })
+  };
+};
+
+const footballState = (fixture) => fixture.state?.developer_name || fixture.state?.state || FOOTBALL_STATE_IDS[fixture.state_id] || '';
+
+/**
+ * Normalize a Sports Monk football (v3) fixture
+ * @param {Object} fixture - Fixture with participants, scores, state, league and venue (as available) included
+ * @returns {Match}
+ */
+export const normalizeFootballMatch = (fixture) => {
+  const state = footballState(fixture);
+  const participants = [...(fixture.participants || [])]
+    .sort((a, b) => (a.meta?.location === 'home' ? -1 : 0) - (b.meta?.location === 'home' ? -1 : 0));
+  const started = !['scheduled', 'postponed', 'cancelled'].includes(FOOTBALL_STATUSES[state]);
+
+  const teams = participants.map((participant) => {
+    const current = (fixture.scores || []).find(item => item.description === 'CURRENT' && String(item.participant_id) === String(participant.id));
+    const goals = current ? toNumber(current.score?.goals) : (started && fixture.scores ? 0 : null);
+    return {
+      ...team(participant),
+      isWinner: participant.meta?.winner === true,
+      score: goals === null ? null : { display: String(goals), goals }
+    };
+  });
+
+  return {
+    id: String(fixture.id),
+    source: 'sportmonks',
+    sport: 'football',
+    status: FOOTBALL_STATUSES[state] || 'unknown',
+    statusText: fixture.state?.short_name || state,
+    startsAt: fixture.starting_at_timestamp ? new Date(fixture.starting_at_timestamp * 1000).toISOString() : toIso(fixture.starting_at),
+    competition: fixture.league ? { id: String(fixture.league.id), name: fixture.league.name } : null,
+    venue: fixture.venue ? { name: fixture.venue.name || '', city: fixture.venue.city_name || '' } : null,
+    teams,
+    result: fixture.result_info || '',
+    detail: {
+      name: fixture.name || '',
+      round: fixture.round?.name || ''
+    }
+  };
+};
+
+/**
+ * Period scores and match events of a football fixture
+ * @param {Object} fixture - Fixture with participants, scores and events.type included
+ * @returns {Object} - { periods: [{ name, scores: { teamId: goals } }], events: [{ minute, extraMinute, type, teamId, player, relatedPlayer, result }] }
+ */
+export const footballScorecard = (fixture) => {
+  const periods = new Map();
+  (fixture.scores || []).filter(item => item.description !== 'CURRENT').forEach((item) => {
+    if (!periods.has(item.description)) periods.set(item.description, {});
+    periods.get(item.description)[String(item.participant_id)] = toNumber(item.score?.goals) || 0;
+  });
+
+  return {
+    periods: [...periods].map(([name, scores]) => ({ name, scores })),
+    events: (fixture.events || [])
+      .sort((a, b) => (a.minute || 0) - (b.minute || 0) || (a.extra_minute || 0) - (b.extra_minute || 0))
+      .map(event => ({
+        minute: toNumber(event.minute),
+        extraMinute: toNumber(event.extra_minute),
+        type: FOOTBALL_EVENT_TYPES[event.type?.developer_name || FOOTBALL_EVENT_TYPE_IDS[event.type_id]] || 'other',
+        teamId: event.participant_id ? String(event.participant_id) : null,
+        player: event.player_name || '',
+        relatedPlayer: event.related_player_name || '',
+        result: event.result || ''
+      }))
+  };
+};
+
+export const NORMALIZERS = {
+  cricket: { match: normalizeCricketMatch, scorecard: cricketScorecard },
+  football: { match: normalizeFootballMatch, scorecard: footballScorecard }
+};
@@ -0,0 +1,75 @@
+// Helpers for resolving article tags
+
+import mongoose from 'mongoose';
+import Tag from '../models/Tag.js';
+import { generateSlug, generateUniqueSlug } from './slugGenerator.js';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find a tag by slug, English slug or an alias left behind by a rename/merge
+ * @param {string} slug - Slug from the URL (or a tag id)
+ * @returns {Promise<Object|null>} - Tag document
+ */
+export const findTagBySlug = async (slug) => {
+  if (!slug) return null;
+  if (mongoose.Types.ObjectId.isValid(slug)) {
+    const tag = await Tag.findById(slug);
+    if (tag) return tag;
+  }
+
+  const value = String(slug).trim().toLowerCase();
+  return (await Tag.findOne({ slug: value })) ||
+    (await Tag.findOne({ slugEn: value })) ||
+    Tag.findOne({ aliases: value });
+};
+
+/**
+ * Slugs for a tag name (lowercased so English tags get clean URLs)
+ * @param {Object} data - { name, nameEn }
+ * @param {string} excludeId - Tag being updated
+ * @returns {Promise<{slug: string, slugEn: string}>}
+ */
+export const buildTagSlugs = async ({ name, nameEn }, excludeId = null) => ({
+  slug: await generateUniqueSlug(Tag, String(name).trim().toLowerCase(), excludeId),
+  slugEn: nameEn ? generateSlug(String(nameEn).trim().toLowerCase()) : ''
+});
+
+/**
+ * Turn tag input from the article form into tag ids
+ * Accepts ids, tag names or { name, nameEn } objects; unknown names create new tags.
+ * @param {Array|string} values - Tag ids/names (or a comma separated string)
+ * @returns {Promise<mongoose.Types.ObjectId[]>} - Unique tag ids in input order
+ */
+export const resolveTagIds = async (values) => {
+  if (!values) return [];
+  const list = Array.isArray(values) ? values : String(values).split(',');
+
+  const ids = [];
+  for (const value of list) {
+    if (!value) continue;
+
+    if (typeof value === 'object' && value._id) {
+      ids.push(String(value._id));
+      continue;
+    }
+
+    const name = String(typeof value === 'object' ? value.name : value).trim();
+    if (!name) continue;
+
+    if (mongoose.Types.ObjectId.isValid(name) && await Tag.exists({ _id: name })) {
+      ids.push(name);
+      continue;
+    }
+
+    const nameRegex = new RegExp(`^${escapeRegex(name)}$`, 'i');
+    let tag = await Tag.findOne({ $or: [{ name: nameRegex }, { nameEn: nameRegex }, { aliases: name.toLowerCase() }] });
+    if (!tag) {
+      const nameEn = typeof value === 'object' ? value.nameEn || '' : '';
+      tag = await Tag.create({ name, nameEn, ...(await buildTagSlugs({ name, nameEn })) });
+    }
+    ids.push(String(tag._id));
+  }
+
+  return [...new Set(ids)].map(id => new mongoose.Types.ObjectId(id));
+};
@@ -0,0 +1,45 @@
+// Helpers shared by the XML endpoints (sitemaps, RSS/Atom feeds)
+
+// Control characters that are not allowed anywhere in an XML 1.0 document
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escape XML special characters (and drop characters XML cannot contain)
+ * @param {string} unsafe - Text to escape
+ * @returns {string} - Escaped text
+ */
+export const escapeXml = (unsafe) => {
+  if (unsafe === undefined || unsafe === null) return '';
+  return String(unsafe).replace(INVALID_XML_CHARS, '').replace(/[<>&'"]/g, (c) => {
+    switch (c) {
+      case '<': return '&lt;';
+      case '>': return '&gt;';
+      case '&': return '&amp;';
+      case '\'': return '&apos;';
+      case '"': return '&quot;';
+      default: return c;
+    }
+  });
+};
+
+/**
+ * Wrap text (usually HTML) in a CDATA section
+ * @param {string} text - Raw text
+ * @returns {string} - CDATA section safe to embed in XML
+ */
+export const cdata = (text) => {
+  const value = String(text || '').replace(INVALID_XML_CHARS, '');
+  // "]]>" would end the section early - split it across two sections
+  return `<![CDATA[${value.replace(/\]\]>/g, ']]]]><![CDATA[>')}]]>`;
+};
+
+/**
+ * Strip HTML tags and collapse whitespace
+ * @param {string} html - HTML text
+ * @returns {string} - Plain text
+ */
+export const stripHtml = (html) => String(html || '')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();